@@ -0,0 +1,408 @@
+// Lokaler Ersatz für die Sendcloud-API v2 (nur die Teile, die der Proxy supabase/functions/sendcloud-api nutzt).
+// Deterministisch: Paket-IDs und Sendungsnummern werden ab Serverstart hochgezählt, Labels sind
+// echte PDFs mit dem Aufdruck "TESTLABEL". Start mit `npm run sendcloud:fake`, den Proxy lokal mit
+// `supabase functions serve` bereitstellen (SENDCLOUD_API_URL und SENDCLOUD_SERVICE_POINTS_URL jeweils
+// http://host.docker.internal:8787/api/v2) und im Frontend VITE_SHIPPING_CARRIER=fake setzen.
+//
+// Fehlerfälle:
+//   - Umgebungsvariable FAKE_SENDCLOUD_SCENARIO oder Header X-Fake-Scenario pro Anfrage (nur bei direktem Aufruf, nicht über den Proxy):
+//     ok | invalid_address | unauthorized | rate_limited | server_error | slow
+//   - POST /__fake/scenario {"scenario": "..."} ändert den Standard zur Laufzeit
+//   - PLZ 00000 (Absender oder Empfänger) ergibt immer "invalid address", Gewicht über 31,5 kg einen Gewichtsfehler
+// Sendungsstatus setzen (für Tracking-Tests): POST /__fake/parcels/:id/status {"status_id": 11}
+//   Ist FAKE_SENDCLOUD_WEBHOOK_URL gesetzt (z.B. http://localhost:54321/functions/v1/sendcloud-webhook),
+//   geht wie bei Sendcloud ein signierter Webhook "parcel_status_changed" raus. Signiert wird mit
+//   FAKE_SENDCLOUD_WEBHOOK_SECRET (Standard "fake-secret"), das beim Webhook als SENDCLOUD_SECRET_KEY hinterlegt sein muss.
+// Zustand verwerfen: POST /__fake/reset
+//
+// Annahmestellen: GET /api/v2/service-points?address=16348 liefert Einträge aus
+// scripts/fixtures/sendcloud-service-points.json, nach Entfernung zur PLZ sortiert. Für PLZ ohne
+// Einträge in der Nähe werden drei erfundene Annahmestellen im PLZ-Gebiet erzeugt.
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const API_PREFIX = '/api/v2';
+const SCENARIOS = ['ok', 'invalid_address', 'unauthorized', 'rate_limited', 'server_error', 'slow'];
+const MAX_WEIGHT = 31.5;
+const WEBHOOK_URL = process.env.FAKE_SENDCLOUD_WEBHOOK_URL || '';
+const WEBHOOK_SECRET = process.env.FAKE_SENDCLOUD_WEBHOOK_SECRET || 'fake-secret';
+
+const SHIPPING_METHODS = [
+  { id: 8, name: 'DHL Paket 0-31.5kg', carrier: 'dhl', min_weight: '0.001', max_weight: '31.501', countries: [{ iso_2: 'DE', price: 0 }] },
+  { id: 1343, name: 'DHL Paket 0-5kg', carrier: 'dhl', min_weight: '0.001', max_weight: '5.001', countries: [{ iso_2: 'DE', price: 0 }] },
+];
+
+const STATUS_MESSAGES = {
+  1000: 'Ready to send',
+  1: 'Announced',
+  3: 'En route to sorting center',
+  11: 'Delivered',
+  62996: 'Returned to sender',
+  80: 'Exception',
+  2000: 'Cancelled',
+};
+
+const SERVICE_POINTS = JSON.parse(fs.readFileSync(new URL('./fixtures/sendcloud-service-points.json', import.meta.url), 'utf8'));
+// Weiter als so viele PLZ entfernt gilt ein Eintrag nicht mehr als "in der Nähe".
+const SERVICE_POINT_ZIP_RANGE = 1000;
+
+let state;
+const resetState = () => {
+  state = {
+    scenario: SCENARIOS.includes(process.env.FAKE_SENDCLOUD_SCENARIO) ? process.env.FAKE_SENDCLOUD_SCENARIO : 'ok',
+    nextParcelId: 100001,
+    parcels: new Map(),
+  };
+};
+resetState();
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'authorization, apikey, content-type, x-client-info, x-fake-scenario',
+};
+
+const sendJson = (res, statusCode, body) => {
+  res.writeHead(statusCode, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+// Fehlerformat wie bei Sendcloud: {"error": {"code": 400, "message": "...", "request": "api/v2/parcels"}}
+const sendError = (res, statusCode, message, path) => {
+  sendJson(res, statusCode, { error: { code: statusCode, message, request: path.replace(/^\//, '') } });
+};
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const text = Buffer.concat(chunks).toString('utf8');
+    if (!text) {
+      resolve({});
+      return;
+    }
+    try {
+      resolve(JSON.parse(text));
+    } catch (parseError) {
+      reject(parseError);
+    }
+  });
+  req.on('error', reject);
+});
+
+// --- PDF -------------------------------------------------------------------------------------------
+
+const escapePdfText = (text) => String(text ?? '')
+  .replace(/[^\x20-\xff]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+// Ein A4-Blatt mit Adressen, Referenz und einem (nicht lesbaren) Strichcode aus der Sendungsnummer.
+const buildLabelPdf = (parcel) => {
+  const textLines = [
+    [16, 'TESTLABEL - kein gültiges Versandlabel'],
+    [11, `Sendungsnummer: ${parcel.tracking_number}`],
+    [11, `Referenz: ${parcel.order_number}`],
+    [11, `Gewicht: ${parcel.weight} kg · Versandart: ${parcel.shipment.name}`],
+    [11, ''],
+    [11, 'Absender:'],
+    [11, parcel.from_name],
+    [11, `${parcel.from_address_1} ${parcel.from_house_number}`.trim()],
+    [11, `${parcel.from_postal_code} ${parcel.from_city}`],
+    [11, ''],
+    [11, 'Empfänger:'],
+    [11, parcel.name],
+    [11, `${parcel.address} ${parcel.house_number}`.trim()],
+    [11, `${parcel.postal_code} ${parcel.city}`],
+  ];
+
+  let y = 780;
+  const textCommands = textLines.map(([size, text]) => {
+    const command = `BT /F1 ${size} Tf 50 ${y} Td (${escapePdfText(text)}) Tj ET`;
+    y -= size + 8;
+    return command;
+  });
+  const barcodeCommands = [...parcel.tracking_number].map((digit, index) => (
+    `${50 + index * 12} 440 ${2 + (parseInt(digit, 10) || 0) % 4 * 2} 80 re f`
+  ));
+  const content = [...textCommands, ...barcodeCommands].join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+};
+
+// --- Sendcloud-Endpunkte ---------------------------------------------------------------------------
+
+const toParcelResponse = (parcel) => ({
+  ...parcel,
+  label: {
+    normal_printer: [`http://localhost:${PORT}${API_PREFIX}/labels/normal_printer/${parcel.id}`],
+    label_printer: `http://localhost:${PORT}${API_PREFIX}/labels/label_printer/${parcel.id}`,
+  },
+});
+
+const createParcel = (res, path, input) => {
+  const parcel = input?.parcel;
+  if (!parcel) {
+    sendError(res, 400, 'Missing parcel data.', path);
+    return;
+  }
+  const required = ['name', 'address', 'postal_code', 'city', 'from_name', 'from_address_1', 'from_postal_code', 'from_city'];
+  const missing = required.filter(field => !String(parcel[field] ?? '').trim());
+  if (missing.length > 0) {
+    sendError(res, 400, `The following fields are required: ${missing.join(', ')}.`, path);
+    return;
+  }
+  if (parcel.postal_code === '00000' || parcel.from_postal_code === '00000') {
+    sendError(res, 400, 'Invalid address: postal code does not exist.', path);
+    return;
+  }
+  const shippingMethod = SHIPPING_METHODS.find(method => method.id === parcel.shipment?.id);
+  if (!shippingMethod) {
+    sendError(res, 400, `Shipping method ${parcel.shipment?.id} is not available.`, path);
+    return;
+  }
+  const weight = parseFloat(parcel.weight) || 0;
+  if (weight <= 0 || weight > Math.min(MAX_WEIGHT, parseFloat(shippingMethod.max_weight))) {
+    sendError(res, 400, `Weight ${parcel.weight} kg is outside the range of ${shippingMethod.name}.`, path);
+    return;
+  }
+
+  const id = state.nextParcelId;
+  state.nextParcelId += 1;
+  const trackingNumber = `00340434${String(id).padStart(12, '0')}`;
+  const created = {
+    ...parcel,
+    id,
+    weight: weight.toFixed(3),
+    tracking_number: trackingNumber,
+    tracking_url: `http://localhost:${PORT}/tracking/${trackingNumber}`,
+    status: { id: 1000, message: STATUS_MESSAGES[1000] },
+    shipment: { id: shippingMethod.id, name: shippingMethod.name },
+    carrier: { code: shippingMethod.carrier },
+    date_created: new Date().toISOString(),
+  };
+  state.parcels.set(id, created);
+  sendJson(res, 200, { parcel: toParcelResponse(created) });
+};
+
+const cancelParcel = (res, path, parcel) => {
+  if (parcel.status.id === 2000) {
+    sendJson(res, 200, { status: 'cancelled', message: 'Parcel has been cancelled' });
+  } else if (parcel.status.id === 1000) {
+    parcel.status = { id: 2000, message: STATUS_MESSAGES[2000] };
+    sendJson(res, 200, { status: 'cancelled', message: 'Parcel has been cancelled' });
+  } else if (parcel.status.id === 1) {
+    parcel.status = { id: 2000, message: STATUS_MESSAGES[2000] };
+    sendJson(res, 202, { status: 'queued', message: 'Parcel cancellation has been queued' });
+  } else {
+    sendJson(res, 400, { status: 'failed', message: 'Shipped parcels, or parcels being shipped, can no longer be cancelled.' });
+  }
+};
+
+const getDistanceMeters = (from, to) => {
+  const toRadians = degrees => (parseFloat(degrees) * Math.PI) / 180;
+  const dLat = toRadians(to.latitude) - toRadians(from.latitude);
+  const dLon = toRadians(to.longitude) - toRadians(from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return Math.round(6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)));
+};
+
+const buildSyntheticServicePoints = (zip) => {
+  const weekdays = { 0: ['08:00 - 20:00'], 1: ['08:00 - 20:00'], 2: ['08:00 - 20:00'], 3: ['08:00 - 20:00'], 4: ['08:00 - 20:00'], 5: ['08:00 - 16:00'], 6: [] };
+  const allDay = Object.fromEntries([0, 1, 2, 3, 4, 5, 6].map(day => [day, ['00:00 - 24:00']]));
+  return [
+    { shop_type: 'packStation', name: 'Packstation 100', street: 'Teststraße', house_number: '1', formatted_opening_times: allDay, distance: 350 },
+    { shop_type: 'parcelShop', name: 'Testladen (DHL Paketshop)', street: 'Musterweg', house_number: '12', formatted_opening_times: weekdays, distance: 720 },
+    { shop_type: 'postOffice', name: 'Deutsche Post Filiale 100', street: 'Postplatz', house_number: '3', formatted_opening_times: weekdays, distance: 1400 },
+  ].map((point, index) => ({ ...point, id: 90000000 + parseInt(zip, 10) * 10 + index, code: `${100 + index}-${zip}`, postal_code: zip, city: 'Teststadt' }));
+};
+
+const findServicePoints = (res, path, query) => {
+  const zip = (query.get('address') || '').trim();
+  if (!/^\d{5}$/.test(zip)) {
+    sendError(res, 400, 'address must be a 5-digit postal code.', path);
+    return;
+  }
+  const limit = parseInt(query.get('limit'), 10) || 10;
+  const zipDistance = point => Math.abs(parseInt(point.postal_code, 10) - parseInt(zip, 10));
+  const nearby = SERVICE_POINTS.filter(point => zipDistance(point) <= SERVICE_POINT_ZIP_RANGE);
+  if (nearby.length === 0) {
+    sendJson(res, 200, buildSyntheticServicePoints(zip).map(point => ({ ...point, carrier: 'dhl', country: 'DE', is_active: true })));
+    return;
+  }
+  // Bezugspunkt ist die Annahmestelle mit der nächstgelegenen PLZ.
+  const [anchor] = [...nearby].sort((a, b) => zipDistance(a) - zipDistance(b));
+  const points = nearby
+    .map(point => ({ ...point, carrier: 'dhl', country: 'DE', is_active: true, distance: getDistanceMeters(anchor, point) + 150 }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit);
+  sendJson(res, 200, points);
+};
+
+const handleApiRequest = async (req, res, path, query) => {
+  if (req.method === 'GET' && path === '/shipping_methods') {
+    sendJson(res, 200, { shipping_methods: SHIPPING_METHODS });
+    return;
+  }
+  if (req.method === 'GET' && path === '/service-points') {
+    findServicePoints(res, path, query);
+    return;
+  }
+  if (req.method === 'POST' && path === '/parcels') {
+    createParcel(res, path, await readJsonBody(req));
+    return;
+  }
+
+  const parcelMatch = path.match(/^\/parcels\/(\d+)(\/cancel)?$/);
+  const labelMatch = path.match(/^\/labels\/(normal_printer|label_printer)\/(\d+)$/);
+  const parcelId = parcelMatch ? parcelMatch[1] : labelMatch?.[2];
+  const parcel = parcelId ? state.parcels.get(parseInt(parcelId, 10)) : null;
+
+  if ((parcelMatch || labelMatch) && !parcel) {
+    sendError(res, 404, 'No Parcel matches the given query.', path);
+  } else if (req.method === 'GET' && parcelMatch && !parcelMatch[2]) {
+    sendJson(res, 200, { parcel: toParcelResponse(parcel) });
+  } else if (req.method === 'POST' && parcelMatch && parcelMatch[2]) {
+    cancelParcel(res, path, parcel);
+  } else if (req.method === 'GET' && labelMatch) {
+    res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/pdf' });
+    res.end(buildLabelPdf(parcel));
+  } else {
+    sendError(res, 404, 'Not found.', path);
+  }
+};
+
+// Wie Sendcloud: JSON-Body, HMAC-SHA256 (hex) über den rohen Body im Header Sendcloud-Signature.
+const sendStatusWebhook = async (parcel) => {
+  if (!WEBHOOK_URL) return null;
+  const body = JSON.stringify({ action: 'parcel_status_changed', timestamp: Date.now(), parcel: toParcelResponse(parcel) });
+  const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex');
+  try {
+    const response = await fetch(WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Sendcloud-Signature': signature },
+      body,
+    });
+    console.log(`Webhook für Paket ${parcel.id}: HTTP ${response.status}`);
+    return response.status;
+  } catch (webhookError) {
+    console.error(`Webhook für Paket ${parcel.id} fehlgeschlagen:`, webhookError.message);
+    return null;
+  }
+};
+
+// --- Steuerung der Testszenarien -------------------------------------------------------------------
+
+const handleControlRequest = async (req, res, path) => {
+  const body = req.method === 'POST' ? await readJsonBody(req) : {};
+  const statusMatch = path.match(/^\/parcels\/(\d+)\/status$/);
+
+  if (req.method === 'POST' && path === '/scenario') {
+    if (!SCENARIOS.includes(body.scenario)) {
+      sendJson(res, 400, { message: `Unbekanntes Szenario. Erlaubt: ${SCENARIOS.join(', ')}` });
+      return;
+    }
+    state.scenario = body.scenario;
+    sendJson(res, 200, { scenario: state.scenario });
+  } else if (req.method === 'POST' && path === '/reset') {
+    resetState();
+    sendJson(res, 200, { scenario: state.scenario });
+  } else if (req.method === 'GET' && path === '/parcels') {
+    sendJson(res, 200, { parcels: [...state.parcels.values()].map(toParcelResponse) });
+  } else if (req.method === 'POST' && statusMatch) {
+    const parcel = state.parcels.get(parseInt(statusMatch[1], 10));
+    const statusId = parseInt(body.status_id, 10);
+    if (!parcel || !statusId) {
+      sendJson(res, 400, { message: 'Paket unbekannt oder status_id fehlt.' });
+      return;
+    }
+    parcel.status = { id: statusId, message: body.message || STATUS_MESSAGES[statusId] || `Status ${statusId}` };
+    const webhookStatus = await sendStatusWebhook(parcel);
+    sendJson(res, 200, { parcel: toParcelResponse(parcel), webhook_status: webhookStatus });
+  } else {
+    sendJson(res, 404, { message: 'Not found.' });
+  }
+};
+
+const applyScenario = async (req, res, path) => {
+  const requested = req.headers['x-fake-scenario'];
+  const scenario = SCENARIOS.includes(requested) ? requested : state.scenario;
+
+  switch (scenario) {
+    case 'unauthorized':
+      sendError(res, 401, 'Invalid username/password.', path);
+      return false;
+    case 'rate_limited':
+      res.setHeader('Retry-After', '60');
+      sendError(res, 429, 'Request was throttled. Expected available in 60 seconds.', path);
+      return false;
+    case 'server_error':
+      sendError(res, 500, 'Internal server error.', path);
+      return false;
+    case 'invalid_address':
+      if (req.method === 'POST' && path === '/parcels') {
+        sendError(res, 400, 'Invalid address: street and house number could not be verified.', path);
+        return false;
+      }
+      return true;
+    case 'slow':
+      await new Promise(resolve => setTimeout(resolve, 5000));
+      return true;
+    default:
+      return true;
+  }
+};
+
+const server = http.createServer(async (req, res) => {
+  const { pathname, searchParams } = new URL(req.url, `http://localhost:${PORT}`);
+  console.log(`${req.method} ${pathname}`);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  try {
+    if (pathname.startsWith('/__fake/')) {
+      await handleControlRequest(req, res, pathname.slice('/__fake'.length));
+    } else if (pathname.startsWith(API_PREFIX)) {
+      const path = pathname.slice(API_PREFIX.length) || '/';
+      if (await applyScenario(req, res, path)) {
+        await handleApiRequest(req, res, path, searchParams);
+      }
+    } else {
+      sendJson(res, 404, { message: 'Not found.' });
+    }
+  } catch (requestError) {
+    console.error(requestError);
+    sendError(res, 400, 'Malformed request body.', pathname);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Sendcloud-Ersatz läuft auf http://localhost:${PORT}${API_PREFIX} (Szenario: ${state.scenario})`);
+});
@@ -10,6 +10,9 @@ import React from 'react';
     import ImpressumPage from '@/pages/ImpressumPage';
     import PrivacyPage from '@/pages/PrivacyPage';
     import ConfirmationPage from '@/pages/ConfirmationPage';
+    import SharedCartPage from '@/pages/SharedCartPage';
+    import SelfDeliveryAppointmentPage from '@/pages/SelfDeliveryAppointmentPage';
+    import OrderStatusPage from '@/pages/OrderStatusPage';
     import AcceptedItemsPage from '@/pages/AcceptedItemsPage';
     import LocationPage from '@/pages/LocationPage';
     import BlogPage from '@/pages/BlogPage'; 
@@ -17,6 +20,13 @@ import React from 'react';
     import AdminLoginPage from '@/pages/AdminLoginPage';
     import AdminBlogDashboardPage from '@/pages/AdminBlogDashboardPage';
     import AdminPriceManagementPage from '@/pages/AdminPriceManagementPage';
+    import AdminAnkaeufePage from '@/pages/AdminAnkaeufePage';
+    import AdminWareneingangPage from '@/pages/AdminWareneingangPage';
+    import AdminProductCodesPage from '@/pages/AdminProductCodesPage';
+    import AdminPayoutsPage from '@/pages/AdminPayoutsPage';
+    import AdminDatevExportPage from '@/pages/AdminDatevExportPage';
+    import AdminPickupPlanningPage from '@/pages/AdminPickupPlanningPage';
+    import AdminSelfDeliveryPage from '@/pages/AdminSelfDeliveryPage';
     import CareerPage from '@/pages/CareerPage'; 
     import AboutUsPage from '@/pages/AboutUsPage'; 
     import { CartProvider } from '@/hooks/useCart';
@@ -48,6 +58,9 @@ import React from 'react';
                   <Route path="impressum" element={<ImpressumPage />} />
                   <Route path="datenschutz" element={<PrivacyPage />} />
                   <Route path="bestaetigung" element={<ConfirmationPage />} />
+                  <Route path="warenkorb/:token" element={<SharedCartPage />} />
+                  <Route path="anlieferung/:token" element={<SelfDeliveryAppointmentPage />} />
+                  <Route path="status" element={<OrderStatusPage />} />
                   <Route path="was-wir-annehmen" element={<AcceptedItemsPage />} />
                   <Route path="standort" element={<LocationPage />} />
                   <Route path="blog" element={<BlogPage />} />
@@ -58,6 +71,13 @@ import React from 'react';
                   <Route path="admin/login" element={<AdminLoginPage />} />
                   <Route path="admin/blog" element={<AdminBlogDashboardPage />} /> 
                   <Route path="admin/preise" element={<AdminPriceManagementPage />} />
+                  <Route path="admin/ankaeufe" element={<AdminAnkaeufePage />} />
+                  <Route path="admin/wareneingang" element={<AdminWareneingangPage />} />
+                  <Route path="admin/auszahlungen" element={<AdminPayoutsPage />} />
+                  <Route path="admin/abholungen" element={<AdminPickupPlanningPage />} />
+                  <Route path="admin/anlieferungen" element={<AdminSelfDeliveryPage />} />
+                  <Route path="admin/buchhaltung" element={<AdminDatevExportPage />} />
+                  <Route path="admin/einzelartikel" element={<AdminProductCodesPage />} />
                   
                   <Route path="*" element={<HomePage />} /> 
                 </Route>
@@ -1,10 +1,40 @@
 import React from 'react';
     import { Link } from 'react-router-dom';
     import { Button } from '@/components/ui/button';
-    import { Edit3, Tag, ArrowLeft } from 'lucide-react';
+    import { Edit3, Tag, ArrowLeft, Inbox, ScanLine, Barcode, Banknote, FileSpreadsheet, Truck, CalendarClock } from 'lucide-react';
 
     const AdminNavigation = () => (
       <div className="mb-6 flex flex-wrap gap-2">
+        <Button asChild variant="outline">
+          <Link to="/admin/ankaeufe">
+            <Inbox className="mr-2 h-4 w-4" /> Ankäufe
+          </Link>
+        </Button>
+        <Button asChild variant="outline">
+          <Link to="/admin/wareneingang">
+            <ScanLine className="mr-2 h-4 w-4" /> Wareneingang
+          </Link>
+        </Button>
+        <Button asChild variant="outline">
+          <Link to="/admin/abholungen">
+            <Truck className="mr-2 h-4 w-4" /> Abholtouren
+          </Link>
+        </Button>
+        <Button asChild variant="outline">
+          <Link to="/admin/anlieferungen">
+            <CalendarClock className="mr-2 h-4 w-4" /> Anlieferungen
+          </Link>
+        </Button>
+        <Button asChild variant="outline">
+          <Link to="/admin/auszahlungen">
+            <Banknote className="mr-2 h-4 w-4" /> Auszahlungen
+          </Link>
+        </Button>
+        <Button asChild variant="outline">
+          <Link to="/admin/buchhaltung">
+            <FileSpreadsheet className="mr-2 h-4 w-4" /> Buchhaltung
+          </Link>
+        </Button>
         <Button asChild variant="outline">
           <Link to="/admin/blog">
             <Edit3 className="mr-2 h-4 w-4" /> Blog Verwalten
@@ -15,6 +45,11 @@ import React from 'react';
             <Tag className="mr-2 h-4 w-4" /> Preise Verwalten
           </Link>
         </Button>
+        <Button asChild variant="outline">
+          <Link to="/admin/einzelartikel">
+            <Barcode className="mr-2 h-4 w-4" /> Einzelartikel
+          </Link>
+        </Button>
         <Button asChild variant="outline" className="sm:ml-auto">
             <Link to="/">
                 <ArrowLeft className="mr-2 h-4 w-4" /> Zur Webseite
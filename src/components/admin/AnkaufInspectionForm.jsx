@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useCallback } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Input } from '@/components/ui/input';
+    import { Label } from '@/components/ui/label';
+    import { Loader2, Scale, Save, ClipboardCheck } from 'lucide-react';
+    import { useToast } from '@/components/ui/use-toast';
+    import {
+      REJECTION_REASONS,
+      buildInspectionRows,
+      calculateInspectionRow,
+      calculateInspectionTotals,
+      rowHasRejection,
+      fetchInspectionItems,
+      saveInspection,
+    } from '@/lib/ankaufInspection';
+    import { fetchCreditNote } from '@/lib/creditNotes';
+
+    const selectClassName = "flex h-10 w-full items-center justify-between rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background focus:outline-none focus:ring-2 focus:ring-ring focus:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50";
+
+    const formatDifference = (value, unit) => {
+      const sign = value > 0 ? '+' : '';
+      return `${sign}${value.toFixed(2)} ${unit}`;
+    };
+
+    const differenceClassName = (value) => {
+      if (value < 0) return 'text-red-600';
+      if (value > 0) return 'text-green-600';
+      return 'text-muted-foreground';
+    };
+
+    const AnkaufInspectionForm = ({ request, onSaved }) => {
+      const { toast } = useToast();
+      const [rows, setRows] = useState([]);
+      const [isLoading, setIsLoading] = useState(true);
+      const [isSaving, setIsSaving] = useState(false);
+      const [creditNoteNumber, setCreditNoteNumber] = useState(null);
+
+      const loadInspection = useCallback(async () => {
+        setIsLoading(true);
+        try {
+          const [savedItems, creditNote] = await Promise.all([fetchInspectionItems(request.id), fetchCreditNote(request.id)]);
+          setRows(buildInspectionRows(request, savedItems));
+          setCreditNoteNumber(creditNote?.credit_note_number || null);
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+          setRows(buildInspectionRows(request));
+        } finally {
+          setIsLoading(false);
+        }
+      }, [request, toast]);
+
+      useEffect(() => {
+        loadInspection();
+      }, [loadInspection]);
+
+      const handleRowChange = (itemIndex, field, value) => {
+        setRows(prev => prev.map(row => (row.itemIndex === itemIndex ? { ...row, [field]: value } : row)));
+      };
+
+      const handleSave = async (complete) => {
+        setIsSaving(true);
+        try {
+          const updated = await saveInspection(request.id, rows, { complete });
+          toast({
+            title: complete ? "Prüfung abgeschlossen" : "Prüfung gespeichert",
+            description: `${request.ankaufs_nummer}: Endbetrag ${parseFloat(updated.final_price || 0).toFixed(2)} €.`,
+            variant: "success",
+          });
+          if (onSaved) onSaved(updated);
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setIsSaving(false);
+        }
+      };
+
+      if (isLoading) {
+        return <div className="flex justify-center py-4"><Loader2 className="h-6 w-6 animate-spin text-primary" /></div>;
+      }
+
+      const totals = calculateInspectionTotals(rows);
+      const weightDifference = totals.acceptedWeight - totals.declaredWeight;
+      const priceDifference = totals.finalPrice - totals.declaredPrice;
+      const pickupFee = parseFloat(request.pickup_fee) || 0;
+      // Nach der Gutschrift bleibt die Prüfung lesbar, aber fest: Endbetrag, Gutschrift und Auszahlung müssen übereinstimmen.
+      const isEditable = (request.status === 'received' || request.status === 'checked') && !creditNoteNumber;
+
+      return (
+        <div className="p-4 border rounded-lg text-sm space-y-4">
+          <h4 className="font-semibold flex items-center"><Scale className="mr-2 h-4 w-4" /> Eingangsprüfung</h4>
+          {creditNoteNumber ? (
+            <p className="text-muted-foreground">Gutschrift {creditNoteNumber} ist ausgestellt; die Prüfung kann nicht mehr geändert werden.</p>
+          ) : !isEditable && (
+            <p className="text-muted-foreground">Die Prüfung ist erst möglich, wenn die Ware eingegangen ist.</p>
+          )}
+
+          {rows.map((row) => {
+            const result = calculateInspectionRow(row);
+            const isPiece = row.unit === 'piece';
+            const [actualField, rejectedField, unitLabel, step] = isPiece
+              ? ['actualQuantity', 'rejectedQuantity', 'Stk.', '1']
+              : ['actualWeight', 'rejectedWeight', 'kg', '0.01'];
+            const hasRejection = rowHasRejection(row);
+            return (
+              <div key={row.itemIndex} className="border rounded-md p-3 space-y-3">
+                <div className="flex justify-between flex-wrap gap-2">
+                  <span className="font-medium">{row.category}</span>
+                  <span className="text-muted-foreground">
+                    Angemeldet: {isPiece ? `${row.declaredQuantity} Stk.` : `${row.declaredWeight.toFixed(2)} kg`} · {row.declaredPrice.toFixed(2)} € ({row.pricePerKg.toFixed(2)} €/{unitLabel})
+                  </span>
+                </div>
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                  <div>
+                    <Label htmlFor={`actual-${row.itemIndex}`}>Tatsächlich ({unitLabel})</Label>
+                    <Input
+                      id={`actual-${row.itemIndex}`}
+                      type="number"
+                      min="0"
+                      step={step}
+                      value={row[actualField]}
+                      onChange={(e) => handleRowChange(row.itemIndex, actualField, e.target.value)}
+                      disabled={!isEditable || isSaving}
+                      className="mt-1"
+                    />
+                  </div>
+                  <div>
+                    <Label htmlFor={`rejected-${row.itemIndex}`}>Davon abgelehnt ({unitLabel})</Label>
+                    <Input
+                      id={`rejected-${row.itemIndex}`}
+                      type="number"
+                      min="0"
+                      step={step}
+                      value={row[rejectedField]}
+                      onChange={(e) => handleRowChange(row.itemIndex, rejectedField, e.target.value)}
+                      disabled={!isEditable || isSaving}
+                      className="mt-1"
+                    />
+                  </div>
+                  <div>
+                    <Label htmlFor={`rejectionReason-${row.itemIndex}`}>Ablehnungsgrund</Label>
+                    <select
+                      id={`rejectionReason-${row.itemIndex}`}
+                      value={row.rejectionReason}
+                      onChange={(e) => handleRowChange(row.itemIndex, 'rejectionReason', e.target.value)}
+                      disabled={!isEditable || isSaving || !hasRejection}
+                      className={`${selectClassName} mt-1`}
+                    >
+                      <option value="">– bitte wählen –</option>
+                      {Object.entries(REJECTION_REASONS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                {hasRejection && (
+                  <Input
+                    value={row.rejectionNote}
+                    onChange={(e) => handleRowChange(row.itemIndex, 'rejectionNote', e.target.value)}
+                    disabled={!isEditable || isSaving}
+                    placeholder="Anmerkung zur Ablehnung (optional)"
+                  />
+                )}
+                <div className="flex justify-between flex-wrap gap-2">
+                  <span>
+                    Angenommen: {isPiece ? `${result.acceptedQuantity} Stk. (ca. ${result.acceptedWeight.toFixed(2)} kg)` : `${result.acceptedWeight.toFixed(2)} kg`} · <strong>{result.finalPrice.toFixed(2)} €</strong>
+                  </span>
+                  <span className={differenceClassName(result.priceDifference)}>
+                    {isPiece ? `${result.quantityDifference > 0 ? '+' : ''}${result.quantityDifference} Stk.` : formatDifference(result.weightDifference, 'kg')} · {formatDifference(result.priceDifference, '€')}
+                  </span>
+                </div>
+              </div>
+            );
+          })}
+
+          <div className="grid grid-cols-3 gap-2 border-t pt-3">
+            <span />
+            <span className="text-right text-muted-foreground">Angemeldet</span>
+            <span className="text-right text-muted-foreground">Geprüft</span>
+            <span>Gewicht</span>
+            <span className="text-right">{totals.declaredWeight.toFixed(2)} kg</span>
+            <span className="text-right">{totals.acceptedWeight.toFixed(2)} kg</span>
+            <span>Betrag</span>
+            <span className="text-right">{totals.declaredPrice.toFixed(2)} €</span>
+            <span className="text-right font-semibold">{totals.finalPrice.toFixed(2)} €</span>
+            <span>Differenz</span>
+            <span className={`text-right ${differenceClassName(weightDifference)}`}>{formatDifference(weightDifference, 'kg')}</span>
+            <span className={`text-right ${differenceClassName(priceDifference)}`}>{formatDifference(priceDifference, '€')}</span>
+          </div>
+          {pickupFee > 0 && (
+            <div className="flex justify-between border-t pt-2">
+              <span>Abzüglich Abholgebühr {pickupFee.toFixed(2)} € · Auszahlung</span>
+              <span className="font-semibold">{Math.max(totals.finalPrice - pickupFee, 0).toFixed(2)} €</span>
+            </div>
+          )}
+          {totals.rejectedWeight > 0 && (
+            <p className="text-muted-foreground">Abgelehnt insgesamt: {totals.rejectedWeight.toFixed(2)} kg</p>
+          )}
+
+          {isEditable && (
+            <div className="flex flex-wrap gap-2 justify-end">
+              <Button variant="outline" size="sm" onClick={() => handleSave(false)} disabled={isSaving}>
+                {isSaving ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Save className="mr-2 h-4 w-4" />}
+                Zwischenspeichern
+              </Button>
+              {request.status === 'received' && (
+                <Button size="sm" onClick={() => handleSave(true)} disabled={isSaving} className="bg-emerald-500 hover:bg-emerald-600">
+                  {isSaving ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <ClipboardCheck className="mr-2 h-4 w-4" />}
+                  Prüfung abschließen
+                </Button>
+              )}
+            </div>
+          )}
+        </div>
+      );
+    };
+
+    export default AnkaufInspectionForm;
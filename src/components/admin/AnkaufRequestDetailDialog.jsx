@@ -0,0 +1,205 @@
+import React, { useState, useEffect, useCallback } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Label } from '@/components/ui/label';
+    import { Textarea } from '@/components/ui/textarea';
+    import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from '@/components/ui/dialog';
+    import { Loader2, History, ArrowRight } from 'lucide-react';
+    import { getStatusLabel, getStatusBadgeClass, getAllowedTransitions } from '@/lib/ankaufStatus';
+    import { fetchAnkaufStatusHistory, getDeliveryTypeGerman } from '@/lib/ankaufRequestsAdmin';
+    import AnkaufInspectionForm from '@/components/admin/AnkaufInspectionForm';
+    import CreditNoteSection from '@/components/admin/CreditNoteSection';
+    import ShipmentLabelsSection from '@/components/admin/ShipmentLabelsSection';
+    import { formatItemQuantity, formatItemWeight, isPerPieceItem } from '@/lib/cartItemUnits';
+    import { formatIban, getBankForIban } from '@/lib/iban';
+
+    const INSPECTABLE_STATUSES = ['received', 'checked', 'paid', 'returned'];
+    const CREDIT_NOTE_STATUSES = ['checked', 'paid'];
+
+    const formatDateTime = (value) => new Date(value).toLocaleString('de-DE', {
+      day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+
+    const AnkaufRequestDetailDialog = ({ request, open, onOpenChange, onTransition, isTransitioning, onInspectionSaved }) => {
+      const [history, setHistory] = useState([]);
+      const [isLoadingHistory, setIsLoadingHistory] = useState(false);
+      const [historyError, setHistoryError] = useState(null);
+      const [note, setNote] = useState('');
+
+      const loadHistory = useCallback(async () => {
+        if (!request) return;
+        setIsLoadingHistory(true);
+        setHistoryError(null);
+        try {
+          setHistory(await fetchAnkaufStatusHistory(request.id));
+        } catch (error) {
+          setHistoryError(error.message);
+        } finally {
+          setIsLoadingHistory(false);
+        }
+      }, [request]);
+
+      useEffect(() => {
+        if (open) {
+          setNote('');
+          loadHistory();
+        }
+      }, [open, loadHistory]);
+
+      if (!request) return null;
+
+      const customer = request.customers || {};
+      const bank = request.iban ? getBankForIban(request.iban) : null;
+      const items = Array.isArray(request.items) ? request.items : [];
+      const allowedTransitions = getAllowedTransitions(request.status);
+
+      const handleTransitionClick = async (toStatus) => {
+        const succeeded = await onTransition(request, toStatus, note);
+        if (succeeded) {
+          setNote('');
+          loadHistory();
+        }
+      };
+
+      const handleInspectionSaved = (updated) => {
+        if (onInspectionSaved) onInspectionSaved(updated);
+        loadHistory();
+      };
+
+      return (
+        <Dialog open={open} onOpenChange={onOpenChange}>
+          <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+            <DialogHeader>
+              <DialogTitle className="flex items-center gap-3">
+                {request.ankaufs_nummer}
+                <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusBadgeClass(request.status)}`}>
+                  {getStatusLabel(request.status)}
+                </span>
+              </DialogTitle>
+              <DialogDescription>
+                Eingegangen am {formatDateTime(request.submission_date)} · {getDeliveryTypeGerman(request.delivery_type)}
+              </DialogDescription>
+            </DialogHeader>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+              <div className="p-4 border rounded-lg space-y-1">
+                <h4 className="font-semibold mb-2">Kunde</h4>
+                {customer.company_name && <p>{customer.company_name}</p>}
+                <p>{customer.name}</p>
+                <p>{customer.street}</p>
+                <p>{customer.zip} {customer.city}</p>
+                <p className="text-muted-foreground">{customer.email}</p>
+                {customer.phone && <p className="text-muted-foreground">{customer.phone}</p>}
+              </div>
+              <div className="p-4 border rounded-lg space-y-1">
+                <h4 className="font-semibold mb-2">Auszahlung</h4>
+                {request.iban && <p><strong>IBAN:</strong> <span className="font-mono">{formatIban(request.iban)}</span></p>}
+                {bank && <p className="text-muted-foreground">{bank.name} · BIC {bank.bic}</p>}
+                {request.paypal && <p><strong>PayPal:</strong> {request.paypal}</p>}
+                {!request.iban && !request.paypal && <p className="text-muted-foreground">Keine Bank-/PayPal-Daten (Barauszahlung vor Ort).</p>}
+                {request.delivery_type === 'versand' && <p><strong>Labels:</strong> {(request.shipment_labels || []).length} von {request.number_of_labels} erstellt</p>}
+                {request.pdf_url && (
+                  <p><a href={request.pdf_url} target="_blank" rel="noopener noreferrer" className="text-primary hover:underline">Begleitschein öffnen</a></p>
+                )}
+                {request.credit_note_url && (
+                  <p><a href={request.credit_note_url} target="_blank" rel="noopener noreferrer" className="text-primary hover:underline">Gutschrift öffnen</a></p>
+                )}
+              </div>
+            </div>
+
+            <div className="p-4 border rounded-lg text-sm">
+              <h4 className="font-semibold mb-2">Angemeldete Artikel</h4>
+              <ul className="space-y-1">
+                {items.map((item, index) => (
+                  <li key={item.id || index} className="flex justify-between">
+                    <span>
+                      {item.category}
+                      {item.priceVersionId && <span className="ml-2 text-xs text-muted-foreground font-mono" title="Preisversion bei Absendung">#{item.priceVersionId}</span>}
+                    </span>
+                    <span className="text-muted-foreground">{formatItemQuantity(item)}{isPerPieceItem(item) ? ` (${formatItemWeight(item)})` : ''} · {parseFloat(item.price || 0).toFixed(2)} €</span>
+                  </li>
+                ))}
+              </ul>
+              <div className="flex justify-between font-semibold border-t mt-2 pt-2">
+                <span>Gesamt (geschätzt)</span>
+                <span>{parseFloat(request.total_weight || 0).toFixed(2)} kg · {parseFloat(request.total_price || 0).toFixed(2)} €</span>
+              </div>
+              {request.final_price != null && (
+                <div className="flex justify-between font-semibold text-primary">
+                  <span>Endbetrag nach Prüfung</span>
+                  <span>{parseFloat(request.final_weight || 0).toFixed(2)} kg · {parseFloat(request.final_price).toFixed(2)} €</span>
+                </div>
+              )}
+              {request.inspected_at && (
+                <p className="text-xs text-muted-foreground text-right mt-1">
+                  Geprüft am {formatDateTime(request.inspected_at)} · {request.inspected_by_email || 'Unbekannt'}
+                </p>
+              )}
+            </div>
+
+            {request.delivery_type === 'versand' && <ShipmentLabelsSection request={request} />}
+
+            {INSPECTABLE_STATUSES.includes(request.status) && (
+              <AnkaufInspectionForm request={request} onSaved={handleInspectionSaved} />
+            )}
+
+            {CREDIT_NOTE_STATUSES.includes(request.status) && request.inspected_at && (
+              <CreditNoteSection
+                request={request}
+                onCreditNoteChanged={(creditNote) => onInspectionSaved && onInspectionSaved({ id: request.id, credit_note_url: creditNote.pdf_url })}
+              />
+            )}
+
+            {allowedTransitions.length > 0 && (
+              <div className="p-4 border rounded-lg space-y-3">
+                <h4 className="font-semibold text-sm">Status ändern</h4>
+                <div>
+                  <Label htmlFor="transitionNote">Notiz (optional)</Label>
+                  <Textarea id="transitionNote" value={note} onChange={(e) => setNote(e.target.value)} rows={2} className="mt-1" placeholder="z.B. Paket beschädigt angekommen" />
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  {allowedTransitions.map((toStatus) => (
+                    <Button
+                      key={toStatus}
+                      variant={toStatus === 'rejected' || toStatus === 'returned' ? 'destructive' : 'default'}
+                      size="sm"
+                      disabled={isTransitioning}
+                      onClick={() => handleTransitionClick(toStatus)}
+                    >
+                      {isTransitioning ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <ArrowRight className="mr-2 h-4 w-4" />}
+                      {getStatusLabel(toStatus)}
+                    </Button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div className="p-4 border rounded-lg text-sm">
+              <h4 className="font-semibold mb-2 flex items-center"><History className="mr-2 h-4 w-4" /> Statusverlauf</h4>
+              {isLoadingHistory ? (
+                <div className="flex justify-center py-4"><Loader2 className="h-6 w-6 animate-spin text-primary" /></div>
+              ) : historyError ? (
+                <p className="text-red-600">{historyError}</p>
+              ) : history.length === 0 ? (
+                <p className="text-muted-foreground">Noch keine Statusänderungen.</p>
+              ) : (
+                <ol className="space-y-2">
+                  {history.map((entry) => (
+                    <li key={entry.id} className="border-l-2 border-primary pl-3">
+                      <p>
+                        {getStatusLabel(entry.from_status)} → <strong>{getStatusLabel(entry.to_status)}</strong>
+                      </p>
+                      <p className="text-xs text-muted-foreground">
+                        {formatDateTime(entry.changed_at)} · {entry.changed_by_email || 'Unbekannt'}
+                      </p>
+                      {entry.note && <p className="text-xs italic mt-1">{entry.note}</p>}
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+          </DialogContent>
+        </Dialog>
+      );
+    };
+
+    export default AnkaufRequestDetailDialog;
@@ -0,0 +1,75 @@
+import React from 'react';
+    import { Input } from '@/components/ui/input';
+    import { Label } from '@/components/ui/label';
+    import { Button } from '@/components/ui/button';
+    import { Search, RotateCcw } from 'lucide-react';
+    import { ANKAUF_STATUSES } from '@/lib/ankaufStatus';
+
+    const selectClassName = "flex h-10 w-full items-center justify-between rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background placeholder:text-muted-foreground focus:outline-none focus:ring-2 focus:ring-ring focus:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50";
+
+    export const EMPTY_ANKAUF_FILTERS = {
+      searchTerm: '',
+      status: '',
+      deliveryType: '',
+      dateFrom: '',
+      dateTo: '',
+    };
+
+    const AnkaufRequestFilters = ({ filters, onFilterChange, onReset }) => {
+      const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        onFilterChange(name, value);
+      };
+
+      return (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4 mb-6 p-4 border rounded-lg bg-slate-50 dark:bg-slate-800/50">
+          <div className="lg:col-span-2">
+            <Label htmlFor="searchTerm">Suche</Label>
+            <div className="relative mt-1">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+              <Input
+                id="searchTerm"
+                name="searchTerm"
+                value={filters.searchTerm}
+                onChange={handleInputChange}
+                placeholder="Ankaufsnummer, Name, E-Mail, PLZ..."
+                className="pl-9"
+              />
+            </div>
+          </div>
+          <div>
+            <Label htmlFor="status">Status</Label>
+            <select id="status" name="status" value={filters.status} onChange={handleInputChange} className={`${selectClassName} mt-1`}>
+              <option value="">Alle Status</option>
+              {Object.entries(ANKAUF_STATUSES).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <Label htmlFor="deliveryType">Abgabeart</Label>
+            <select id="deliveryType" name="deliveryType" value={filters.deliveryType} onChange={handleInputChange} className={`${selectClassName} mt-1`}>
+              <option value="">Alle Abgabearten</option>
+              <option value="versand">Versand</option>
+              <option value="selbstanlieferung">Selbstanlieferung</option>
+              <option value="abholung">Abholung</option>
+            </select>
+          </div>
+          <div className="flex items-end">
+            <Button type="button" variant="outline" onClick={onReset} className="w-full">
+              <RotateCcw className="mr-2 h-4 w-4" /> Filter zurücksetzen
+            </Button>
+          </div>
+          <div>
+            <Label htmlFor="dateFrom">Eingang von</Label>
+            <Input id="dateFrom" name="dateFrom" type="date" value={filters.dateFrom} onChange={handleInputChange} className="mt-1" />
+          </div>
+          <div>
+            <Label htmlFor="dateTo">Eingang bis</Label>
+            <Input id="dateTo" name="dateTo" type="date" value={filters.dateTo} onChange={handleInputChange} className="mt-1" />
+          </div>
+        </div>
+      );
+    };
+
+    export default AnkaufRequestFilters;
@@ -0,0 +1,105 @@
+import React from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from '@/components/ui/card';
+    import { Eye, Loader2, ChevronLeft, ChevronRight } from 'lucide-react';
+    import { getStatusLabel, getStatusBadgeClass } from '@/lib/ankaufStatus';
+    import { getDeliveryTypeGerman } from '@/lib/ankaufRequestsAdmin';
+
+    const AnkaufRequestTable = ({ requests, isLoading, totalCount, page, pageCount, onPageChange, onOpenDetails }) => {
+      if (isLoading && requests.length === 0) {
+        return (
+          <div className="flex justify-center items-center h-32">
+            <Loader2 className="h-8 w-8 animate-spin text-primary" />
+          </div>
+        );
+      }
+
+      if (!isLoading && requests.length === 0) {
+        return <p className="text-muted-foreground text-center py-4">Keine Ankaufsanfragen für die gewählten Filter gefunden.</p>;
+      }
+
+      return (
+        <Card className="shadow-lg">
+          <CardHeader>
+            <CardTitle className="text-2xl">Ankaufsanfragen</CardTitle>
+            <CardDescription>Eingegangene Ankäufe, neueste zuerst. Klicken Sie auf das Auge, um Details und Statusverlauf zu öffnen.</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-border">
+                <thead className="bg-slate-50 dark:bg-slate-800">
+                  <tr>
+                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Ankaufsnr.</th>
+                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Eingang</th>
+                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Kunde</th>
+                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Abgabeart</th>
+                    <th scope="col" className="px-4 py-3 text-right text-xs font-medium text-muted-foreground uppercase tracking-wider">Gewicht</th>
+                    <th scope="col" className="px-4 py-3 text-right text-xs font-medium text-muted-foreground uppercase tracking-wider">Wert</th>
+                    <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Status</th>
+                    <th scope="col" className="px-4 py-3 text-right text-xs font-medium text-muted-foreground uppercase tracking-wider">Aktionen</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-background divide-y divide-border">
+                  {requests.map(request => (
+                    <tr key={request.id} className="hover:bg-slate-50/50 dark:hover:bg-slate-800/50 transition-colors">
+                      <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-foreground">{request.ankaufs_nummer}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-muted-foreground">
+                        {new Date(request.submission_date).toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                      </td>
+                      <td className="px-4 py-3 text-sm">
+                        <div className="text-foreground">{request.customers?.company_name || request.customers?.name || '–'}</div>
+                        <div className="text-xs text-muted-foreground">{request.customers?.email}</div>
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-muted-foreground">
+                        {getDeliveryTypeGerman(request.delivery_type)}
+                        {request.delivery_type === 'versand' && (
+                          <div className="text-xs">{(request.shipment_labels || []).length}/{request.number_of_labels} Labels</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-muted-foreground">{parseFloat(request.total_weight || 0).toFixed(2)} kg</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-muted-foreground">
+                        {request.final_price != null ? (
+                          <>
+                            <span className="font-medium text-foreground">{parseFloat(request.final_price).toFixed(2)} €</span>
+                            {parseFloat(request.final_price) !== parseFloat(request.total_price || 0) && (
+                              <span className="block text-xs line-through">{parseFloat(request.total_price || 0).toFixed(2)} €</span>
+                            )}
+                          </>
+                        ) : (
+                          `${parseFloat(request.total_price || 0).toFixed(2)} €`
+                        )}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusBadgeClass(request.status)}`}>
+                          {getStatusLabel(request.status)}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-right text-sm font-medium">
+                        <Button variant="outline" size="sm" onClick={() => onOpenDetails(request)} aria-label="Details anzeigen">
+                          <Eye className="h-4 w-4" />
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </CardContent>
+          <CardFooter className="flex flex-col sm:flex-row items-center justify-between gap-2">
+            <p className="text-xs text-muted-foreground">Insgesamt {totalCount} Ankaufsanfragen · Seite {page + 1} von {pageCount}.</p>
+            {pageCount > 1 && (
+              <div className="flex gap-2">
+                <Button variant="outline" size="sm" onClick={() => onPageChange(page - 1)} disabled={isLoading || page === 0}>
+                  <ChevronLeft className="mr-1 h-4 w-4" /> Zurück
+                </Button>
+                <Button variant="outline" size="sm" onClick={() => onPageChange(page + 1)} disabled={isLoading || page + 1 >= pageCount}>
+                  Weiter <ChevronRight className="ml-1 h-4 w-4" />
+                </Button>
+              </div>
+            )}
+          </CardFooter>
+        </Card>
+      );
+    };
+
+    export default AnkaufRequestTable;
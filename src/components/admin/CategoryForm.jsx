@@ -41,6 +41,13 @@ import React from 'react';
                   <Label htmlFor="price_per_kg">Preis pro KG/Stück (€)</Label>
                   <Input id="price_per_kg" name="price_per_kg" type="number" step="0.01" value={currentCategory.price_per_kg} onChange={handleInputChange} required />
                 </div>
+                {editingCategoryId && (
+                  <div>
+                    <Label htmlFor="price_change_reason">Grund der Preisänderung (optional)</Label>
+                    <Input id="price_change_reason" name="price_change_reason" value={currentCategory.price_change_reason || ''} onChange={handleInputChange} placeholder="z.B. Marktpreise gesunken" />
+                    <p className="text-xs text-muted-foreground mt-1">Wird nur bei geändertem Preis in der Preishistorie gespeichert.</p>
+                  </div>
+                )}
                 <div>
                   <Label htmlFor="icon_name">Icon Name (Lucide Icons)</Label>
                   <Input id="icon_name" name="icon_name" value={currentCategory.icon_name} onChange={handleInputChange} placeholder="z.B. BookMarked, Disc3, Gamepad2" />
@@ -61,11 +68,23 @@ import React from 'react';
                     <option value="defekt_stueck">Defekt pro Stück</option>
                   </select>
                 </div>
+                {currentCategory.category_type && currentCategory.category_type.includes('stueck') && (
+                  <div>
+                    <Label htmlFor="estimated_weight_per_piece">Geschätztes Gewicht pro Stück (kg)</Label>
+                    <Input id="estimated_weight_per_piece" name="estimated_weight_per_piece" type="number" min="0" step="0.001" value={currentCategory.estimated_weight_per_piece} onChange={handleInputChange} placeholder="z.B. 0.35" />
+                    <p className="text-xs text-muted-foreground mt-1">Zählt im Rechner für die Versandkosten- und Abholgrenzen.</p>
+                  </div>
+                )}
                 <div>
                   <Label htmlFor="sort_order">Sortierreihenfolge</Label>
                   <Input id="sort_order" name="sort_order" type="number" value={currentCategory.sort_order} onChange={handleInputChange} placeholder="z.B. 10, 20, 30 (kleinere Zahlen zuerst)" />
                    <p className="text-xs text-muted-foreground mt-1">Gibt die Anzeigeposition an. Kleinere Zahlen werden weiter oben angezeigt.</p>
                 </div>
+                <div>
+                  <Label htmlFor="datev_account">DATEV-Konto (Wareneingang)</Label>
+                  <Input id="datev_account" name="datev_account" inputMode="numeric" pattern="[0-9]{4,8}" value={currentCategory.datev_account || ''} onChange={handleInputChange} placeholder="z.B. 3200" />
+                  <p className="text-xs text-muted-foreground mt-1">Sachkonto für den Buchhaltungsexport. Leer lassen für das Standardkonto.</p>
+                </div>
                 <div className="flex items-center space-x-2">
                    <Switch 
                     id="requires_weight" 
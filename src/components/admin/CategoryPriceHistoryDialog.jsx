@@ -0,0 +1,86 @@
+import React, { useState, useEffect } from 'react';
+    import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from '@/components/ui/dialog';
+    import { Loader2 } from 'lucide-react';
+    import { fetchCategoryPriceHistory } from '@/lib/categoryPriceHistory';
+
+    const formatDateTime = (value) => new Date(value).toLocaleString('de-DE', {
+      day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+
+    const CategoryPriceHistoryDialog = ({ category, open, onOpenChange }) => {
+      const [versions, setVersions] = useState([]);
+      const [isLoading, setIsLoading] = useState(false);
+      const [loadError, setLoadError] = useState(null);
+
+      useEffect(() => {
+        if (!open || !category) return;
+        const loadVersions = async () => {
+          setIsLoading(true);
+          setLoadError(null);
+          try {
+            setVersions(await fetchCategoryPriceHistory(category.id));
+          } catch (error) {
+            setLoadError(error.message);
+          } finally {
+            setIsLoading(false);
+          }
+        };
+        loadVersions();
+      }, [open, category]);
+
+      if (!category) return null;
+
+      const unit = category.category_type && category.category_type.includes('kg') ? 'kg' : 'Stk.';
+
+      return (
+        <Dialog open={open} onOpenChange={onOpenChange}>
+          <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+            <DialogHeader>
+              <DialogTitle>Preishistorie: {category.name}</DialogTitle>
+              <DialogDescription>Alle Preisversionen mit Gültigkeitszeitraum. Ankaufsanfragen verweisen auf die Version, mit der sie berechnet wurden.</DialogDescription>
+            </DialogHeader>
+            {isLoading ? (
+              <div className="flex justify-center py-6"><Loader2 className="h-6 w-6 animate-spin text-primary" /></div>
+            ) : loadError ? (
+              <p className="text-sm text-red-600">{loadError}</p>
+            ) : versions.length === 0 ? (
+              <p className="text-sm text-muted-foreground">Noch keine Preisversionen vorhanden.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-border text-sm">
+                  <thead className="bg-slate-50 dark:bg-slate-800">
+                    <tr>
+                      <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Version</th>
+                      <th scope="col" className="px-3 py-2 text-right text-xs font-medium text-muted-foreground uppercase tracking-wider">Preis</th>
+                      <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Gültig</th>
+                      <th scope="col" className="px-3 py-2 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Geändert von / Grund</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-border">
+                    {versions.map(version => (
+                      <tr key={version.id}>
+                        <td className="px-3 py-2 whitespace-nowrap font-mono">
+                          #{version.id}
+                          {!version.valid_to && <span className="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800 dark:bg-green-700 dark:text-green-100">aktuell</span>}
+                        </td>
+                        <td className="px-3 py-2 whitespace-nowrap text-right">{parseFloat(version.price_per_kg).toFixed(2)} € / {unit}</td>
+                        <td className="px-3 py-2 whitespace-nowrap text-muted-foreground">
+                          {formatDateTime(version.valid_from)}<br />
+                          {version.valid_to ? `bis ${formatDateTime(version.valid_to)}` : 'bis heute'}
+                        </td>
+                        <td className="px-3 py-2">
+                          <span className="text-muted-foreground">{version.changed_by_email || 'System'}</span>
+                          {version.reason && <p className="text-xs italic">{version.reason}</p>}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </DialogContent>
+        </Dialog>
+      );
+    };
+
+    export default CategoryPriceHistoryDialog;
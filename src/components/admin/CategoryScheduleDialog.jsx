@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Input } from '@/components/ui/input';
+    import { Label } from '@/components/ui/label';
+    import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from '@/components/ui/dialog';
+    import { Loader2, CalendarClock, XCircle } from 'lucide-react';
+    import { useToast } from '@/components/ui/use-toast';
+    import { scheduleCategoryChange, cancelScheduledCategoryChange, describeScheduledChange } from '@/lib/categoryScheduledChanges';
+
+    const selectClassName = "flex h-10 w-full items-center justify-between rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background focus:outline-none focus:ring-2 focus:ring-ring focus:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50";
+
+    const EMPTY_SCHEDULE_FORM = { effectiveAt: '', newPricePerKg: '', activation: '', reason: '' };
+
+    const formatDateTime = (value) => new Date(value).toLocaleString('de-DE', {
+      day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+
+    const CategoryScheduleDialog = ({ category, changes = [], open, onOpenChange, onChanged }) => {
+      const { toast } = useToast();
+      const [form, setForm] = useState(EMPTY_SCHEDULE_FORM);
+      const [isSaving, setIsSaving] = useState(false);
+      const [cancellingId, setCancellingId] = useState(null);
+
+      useEffect(() => {
+        if (open) setForm(EMPTY_SCHEDULE_FORM);
+      }, [open]);
+
+      if (!category) return null;
+
+      const unit = category.category_type && category.category_type.includes('kg') ? 'kg' : 'Stk.';
+
+      const handleChange = (e) => {
+        const { name, value } = e.target;
+        setForm(prev => ({ ...prev, [name]: value }));
+      };
+
+      const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        try {
+          await scheduleCategoryChange({
+            categoryId: category.id,
+            effectiveAt: form.effectiveAt,
+            newPricePerKg: form.newPricePerKg,
+            newIsActive: form.activation === '' ? null : form.activation === 'activate',
+            reason: form.reason,
+          });
+          toast({ title: "Änderung geplant", description: `${category.name}: wirksam ab ${formatDateTime(form.effectiveAt)}.`, variant: "success" });
+          setForm(EMPTY_SCHEDULE_FORM);
+          if (onChanged) onChanged();
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setIsSaving(false);
+        }
+      };
+
+      const handleCancelChange = async (changeId) => {
+        setCancellingId(changeId);
+        try {
+          await cancelScheduledCategoryChange(changeId);
+          toast({ title: "Storniert", description: "Die geplante Änderung wurde storniert.", variant: "info" });
+          if (onChanged) onChanged();
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setCancellingId(null);
+        }
+      };
+
+      return (
+        <Dialog open={open} onOpenChange={onOpenChange}>
+          <DialogContent className="max-w-xl max-h-[90vh] overflow-y-auto">
+            <DialogHeader>
+              <DialogTitle>Änderung planen: {category.name}</DialogTitle>
+              <DialogDescription>
+                Aktuell {parseFloat(category.price_per_kg).toFixed(2)} € / {unit}, {category.is_active ? 'aktiv' : 'inaktiv'}. Die Änderung wird zum gewählten Zeitpunkt automatisch wirksam.
+              </DialogDescription>
+            </DialogHeader>
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <Label htmlFor="effectiveAt">Wirksam ab</Label>
+                <Input id="effectiveAt" name="effectiveAt" type="datetime-local" value={form.effectiveAt} onChange={handleChange} required className="mt-1" />
+              </div>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <Label htmlFor="newPricePerKg">Neuer Preis (€ / {unit})</Label>
+                  <Input id="newPricePerKg" name="newPricePerKg" type="number" min="0" step="0.01" value={form.newPricePerKg} onChange={handleChange} placeholder="unverändert" className="mt-1" />
+                </div>
+                <div>
+                  <Label htmlFor="activation">Sichtbarkeit</Label>
+                  <select id="activation" name="activation" value={form.activation} onChange={handleChange} className={`${selectClassName} mt-1`}>
+                    <option value="">unverändert</option>
+                    <option value="activate">aktivieren</option>
+                    <option value="deactivate">deaktivieren</option>
+                  </select>
+                </div>
+              </div>
+              <div>
+                <Label htmlFor="scheduleReason">Grund (optional)</Label>
+                <Input id="scheduleReason" name="reason" value={form.reason} onChange={handleChange} placeholder="z.B. Saisonende" className="mt-1" />
+              </div>
+              <div className="flex justify-end">
+                <Button type="submit" disabled={isSaving}>
+                  {isSaving ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <CalendarClock className="mr-2 h-4 w-4" />}
+                  Änderung planen
+                </Button>
+              </div>
+            </form>
+
+            <div className="border-t pt-4 text-sm">
+              <h4 className="font-semibold mb-2">Geplante Änderungen</h4>
+              {changes.length === 0 ? (
+                <p className="text-muted-foreground">Keine geplanten Änderungen.</p>
+              ) : (
+                <ul className="space-y-2">
+                  {changes.map(change => (
+                    <li key={change.id} className="flex items-start justify-between gap-2 border rounded-md p-2">
+                      <div>
+                        <p><strong>{formatDateTime(change.effective_at)}</strong>: {describeScheduledChange(change, unit)}</p>
+                        <p className="text-xs text-muted-foreground">
+                          {change.created_by_email || 'Unbekannt'}{change.reason ? ` · ${change.reason}` : ''}
+                        </p>
+                      </div>
+                      <Button variant="ghost" size="sm" onClick={() => handleCancelChange(change.id)} disabled={cancellingId === change.id} aria-label="Geplante Änderung stornieren" className="text-destructive">
+                        {cancellingId === change.id ? <Loader2 className="h-4 w-4 animate-spin" /> : <XCircle className="h-4 w-4" />}
+                      </Button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </DialogContent>
+        </Dialog>
+      );
+    };
+
+    export default CategoryScheduleDialog;
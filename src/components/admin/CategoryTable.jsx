@@ -1,7 +1,7 @@
-import React from 'react';
+import React, { useState } from 'react';
     import { Button } from '@/components/ui/button';
     import { Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from '@/components/ui/card';
-    import { Edit3, Trash2, Loader2, Package, ArrowUpDown } from 'lucide-react';
+    import { Edit3, Trash2, Loader2, Package, ArrowUpDown, History, CalendarClock } from 'lucide-react';
     import {
       AlertDialog,
       AlertDialogAction,
@@ -14,13 +14,19 @@ import React from 'react';
       AlertDialogTrigger,
     } from "@/components/ui/alert-dialog";
     import * as LucideIcons from 'lucide-react';
+    import CategoryPriceHistoryDialog from '@/components/admin/CategoryPriceHistoryDialog';
+    import CategoryScheduleDialog from '@/components/admin/CategoryScheduleDialog';
+    import { describeScheduledChange } from '@/lib/categoryScheduledChanges';
 
     const IconRenderer = ({ iconName, ...props }) => {
       const IconComponent = LucideIcons[iconName] || Package;
       return <IconComponent {...props} />;
     };
 
-    const CategoryTable = ({ categories, isLoading, onEdit, onDelete, onSort }) => {
+    const CategoryTable = ({ categories, isLoading, onEdit, onDelete, onSort, scheduledChanges = {}, onScheduleChanged }) => {
+      const [historyCategory, setHistoryCategory] = useState(null);
+      const [scheduleCategory, setScheduleCategory] = useState(null);
+
       if (isLoading && categories.length === 0) {
         return (
           <div className="flex justify-center items-center h-32">
@@ -56,6 +62,7 @@ import React from 'react';
                       Reihenf. <ArrowUpDown className="inline-block ml-1 h-3 w-3" />
                     </th>
                     <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Aktiv</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Geplant</th>
                     <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-muted-foreground uppercase tracking-wider">Aktionen</th>
                   </tr>
                 </thead>
@@ -70,6 +77,9 @@ import React from 'react';
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <div className="text-sm text-muted-foreground">{parseFloat(category.price_per_kg).toFixed(2)} / {category.category_type && category.category_type.includes('kg') ? 'kg' : 'Stk.'}</div>
+                        {category.category_type && category.category_type.includes('stueck') && parseFloat(category.estimated_weight_per_piece) > 0 && (
+                          <div className="text-xs text-muted-foreground">ca. {parseFloat(category.estimated_weight_per_piece)} kg / Stk.</div>
+                        )}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                           <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
@@ -86,7 +96,20 @@ import React from 'react';
                           {category.is_active ? 'Aktiv' : 'Inaktiv'}
                         </span>
                       </td>
+                      <td className="px-6 py-4 text-xs text-muted-foreground">
+                        {(scheduledChanges[category.id] || []).map(change => (
+                          <div key={change.id} className="whitespace-nowrap">
+                            ab {new Date(change.effective_at).toLocaleString('de-DE', { day: '2-digit', month: '2-digit', year: '2-digit', hour: '2-digit', minute: '2-digit' })}: {describeScheduledChange(change, category.category_type && category.category_type.includes('kg') ? 'kg' : 'Stk.')}
+                          </div>
+                        ))}
+                      </td>
                       <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                        <Button variant="outline" size="sm" onClick={() => setScheduleCategory(category)} aria-label="Änderung planen">
+                          <CalendarClock className="h-4 w-4" />
+                        </Button>
+                        <Button variant="outline" size="sm" onClick={() => setHistoryCategory(category)} aria-label="Preishistorie anzeigen">
+                          <History className="h-4 w-4" />
+                        </Button>
                         <Button variant="outline" size="sm" onClick={() => onEdit(category)} aria-label="Kategorie bearbeiten">
                           <Edit3 className="h-4 w-4" />
                         </Button>
@@ -121,6 +144,18 @@ import React from 'react';
           <CardFooter>
             <p className="text-xs text-muted-foreground">Insgesamt {categories.length} Kategorien.</p>
           </CardFooter>
+          <CategoryPriceHistoryDialog
+            category={historyCategory}
+            open={!!historyCategory}
+            onOpenChange={(open) => { if (!open) setHistoryCategory(null); }}
+          />
+          <CategoryScheduleDialog
+            category={scheduleCategory}
+            changes={scheduleCategory ? (scheduledChanges[scheduleCategory.id] || []) : []}
+            open={!!scheduleCategory}
+            onOpenChange={(open) => { if (!open) setScheduleCategory(null); }}
+            onChanged={onScheduleChanged}
+          />
         </Card>
       );
     };
@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useCallback } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Input } from '@/components/ui/input';
+    import { Label } from '@/components/ui/label';
+    import { Loader2, FileText, RefreshCw, Receipt } from 'lucide-react';
+    import { useToast } from '@/components/ui/use-toast';
+    import {
+      CREDIT_NOTE_TAX_TREATMENTS,
+      BUSINESS_TAX_TREATMENTS,
+      CREDIT_NOTE_VAT_RATES,
+      getTaxTreatmentLabel,
+      fetchCreditNote,
+      issueCreditNote,
+      createCreditNotePdf,
+    } from '@/lib/creditNotes';
+
+    const selectClassName = "flex h-10 w-full items-center justify-between rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background focus:outline-none focus:ring-2 focus:ring-ring focus:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50";
+
+    const CreditNoteSection = ({ request, onCreditNoteChanged }) => {
+      const { toast } = useToast();
+      const [creditNote, setCreditNote] = useState(null);
+      const [isLoading, setIsLoading] = useState(true);
+      const [isWorking, setIsWorking] = useState(false);
+      const [taxTreatment, setTaxTreatment] = useState('margin_scheme');
+      const [vatRate, setVatRate] = useState(CREDIT_NOTE_VAT_RATES[0]);
+      const [sellerVatId, setSellerVatId] = useState('');
+      const isBusinessSeller = !!request.customers?.company_name;
+
+      const loadCreditNote = useCallback(async () => {
+        setIsLoading(true);
+        try {
+          setCreditNote(await fetchCreditNote(request.id));
+        } catch (error) {
+          toast({ title: 'Fehler', description: error.message, variant: 'destructive' });
+        } finally {
+          setIsLoading(false);
+        }
+      }, [request.id, toast]);
+
+      useEffect(() => {
+        loadCreditNote();
+      }, [loadCreditNote]);
+
+      // Die Nummer ist nach issueCreditNote vergeben; scheitert nur das PDF, kann es später neu erzeugt werden.
+      const generatePdf = async (note) => {
+        try {
+          const updated = await createCreditNotePdf(note);
+          setCreditNote(updated);
+          if (onCreditNoteChanged) onCreditNoteChanged(updated);
+          toast({ title: 'Gutschrift erstellt', description: `${updated.credit_note_number} wurde gespeichert.`, variant: 'success' });
+        } catch (error) {
+          console.error('CreditNoteSection: PDF fehlgeschlagen:', error);
+          toast({ title: 'PDF fehlgeschlagen', description: `${note.credit_note_number} ist vergeben, das PDF kann neu erzeugt werden. ${error.message}`, variant: 'warning' });
+        }
+      };
+
+      const handleIssue = async () => {
+        setIsWorking(true);
+        try {
+          const issued = await issueCreditNote(request.id, isBusinessSeller ? { taxTreatment, vatRate, sellerVatId } : {});
+          setCreditNote(issued);
+          if (onCreditNoteChanged) onCreditNoteChanged(issued);
+          await generatePdf(issued);
+        } catch (error) {
+          toast({ title: 'Fehler', description: error.message, variant: 'destructive' });
+        } finally {
+          setIsWorking(false);
+        }
+      };
+
+      const handleRegeneratePdf = async () => {
+        setIsWorking(true);
+        await generatePdf(creditNote);
+        setIsWorking(false);
+      };
+
+      if (isLoading) {
+        return (
+          <div className="p-4 border rounded-lg flex justify-center">
+            <Loader2 className="h-5 w-5 animate-spin text-primary" />
+          </div>
+        );
+      }
+
+      return (
+        <div className="p-4 border rounded-lg space-y-3 text-sm">
+          <h4 className="font-semibold flex items-center"><Receipt className="mr-2 h-4 w-4" /> Gutschrift</h4>
+          {creditNote ? (
+            <>
+              <div className="flex justify-between gap-2 flex-wrap">
+                <span className="font-mono font-semibold">{creditNote.credit_note_number}</span>
+                <span>{parseFloat(creditNote.gross_amount).toFixed(2)} €</span>
+              </div>
+              <p className="text-muted-foreground">
+                {getTaxTreatmentLabel(creditNote.tax_treatment)}
+                {creditNote.tax_treatment === 'regular' && ` · ${parseFloat(creditNote.vat_rate)} % USt. (${parseFloat(creditNote.vat_amount).toFixed(2)} €)`}
+                {' · '}ausgestellt {new Date(creditNote.issued_at).toLocaleDateString('de-DE')}{creditNote.issued_by_email ? ` von ${creditNote.issued_by_email}` : ''}
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {creditNote.pdf_url && (
+                  <Button asChild variant="outline" size="sm">
+                    <a href={creditNote.pdf_url} target="_blank" rel="noopener noreferrer"><FileText className="mr-2 h-4 w-4" /> Gutschrift öffnen</a>
+                  </Button>
+                )}
+                <Button variant="outline" size="sm" onClick={handleRegeneratePdf} disabled={isWorking}>
+                  {isWorking ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <RefreshCw className="mr-2 h-4 w-4" />}
+                  {creditNote.pdf_url ? 'PDF neu erzeugen' : 'PDF erzeugen'}
+                </Button>
+              </div>
+            </>
+          ) : (
+            <>
+              <p className="text-muted-foreground">
+                Die Gutschrift übernimmt die geprüften Mengen und den Endbetrag und bekommt die nächste fortlaufende Nummer.
+                Danach ändert sie sich nicht mehr.
+              </p>
+              {isBusinessSeller && (
+                <div className="grid sm:grid-cols-2 gap-3">
+                  <div>
+                    <Label htmlFor="creditNoteTaxTreatment">Besteuerung des Verkäufers</Label>
+                    <select
+                      id="creditNoteTaxTreatment"
+                      value={taxTreatment}
+                      onChange={(e) => setTaxTreatment(e.target.value)}
+                      className={`${selectClassName} mt-1`}
+                    >
+                      {BUSINESS_TAX_TREATMENTS.map(key => (
+                        <option key={key} value={key}>{CREDIT_NOTE_TAX_TREATMENTS[key].label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {taxTreatment === 'regular' && (
+                    <div>
+                      <Label htmlFor="creditNoteVatRate">Steuersatz</Label>
+                      <select
+                        id="creditNoteVatRate"
+                        value={vatRate}
+                        onChange={(e) => setVatRate(parseInt(e.target.value, 10))}
+                        className={`${selectClassName} mt-1`}
+                      >
+                        {CREDIT_NOTE_VAT_RATES.map(rate => <option key={rate} value={rate}>{rate} %</option>)}
+                      </select>
+                    </div>
+                  )}
+                  <div className="sm:col-span-2">
+                    <Label htmlFor="creditNoteSellerVatId">
+                      Steuernummer / USt-IdNr. des Verkäufers{taxTreatment === 'regular' ? '*' : ''}
+                    </Label>
+                    <Input id="creditNoteSellerVatId" value={sellerVatId} onChange={(e) => setSellerVatId(e.target.value)} className="mt-1" />
+                  </div>
+                  <p className="sm:col-span-2 text-xs text-muted-foreground">{CREDIT_NOTE_TAX_TREATMENTS[taxTreatment].note}</p>
+                </div>
+              )}
+              <Button size="sm" onClick={handleIssue} disabled={isWorking || (isBusinessSeller && taxTreatment === 'regular' && !sellerVatId.trim())}>
+                {isWorking ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Receipt className="mr-2 h-4 w-4" />}
+                Gutschrift erstellen
+              </Button>
+            </>
+          )}
+        </div>
+      );
+    };
+
+    export default CreditNoteSection;
@@ -0,0 +1,104 @@
+import React from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Checkbox } from '@/components/ui/checkbox';
+    import { Label } from '@/components/ui/label';
+    import { Textarea } from '@/components/ui/textarea';
+    import { Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from '@/components/ui/card';
+    import { Loader2, PackageCheck, CheckCircle } from 'lucide-react';
+    import { getStatusLabel, getStatusBadgeClass } from '@/lib/ankaufStatus';
+    import { getDeliveryTypeGerman, getExpectedParcelCount } from '@/lib/ankaufRequestsAdmin';
+    import { formatItemQuantity } from '@/lib/cartItemUnits';
+    import { getLabelReference } from '@/lib/ankaufsNummer';
+
+    const ParcelReceiptCard = ({
+      request,
+      receipts,
+      selectedIndexes,
+      onToggleIndex,
+      note,
+      onNoteChange,
+      onSubmit,
+      isSubmitting,
+    }) => {
+      const parcelCount = getExpectedParcelCount(request);
+      const receivedByIndex = new Map(receipts.map(receipt => [receipt.label_index, receipt]));
+      const items = Array.isArray(request.items) ? request.items : [];
+      const openIndexes = Array.from({ length: parcelCount }, (_, i) => i + 1).filter(index => !receivedByIndex.has(index));
+
+      return (
+        <Card className="shadow-lg border-t-4 border-primary">
+          <CardHeader>
+            <CardTitle className="text-2xl flex items-center gap-3">
+              {request.ankaufs_nummer}
+              <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusBadgeClass(request.status)}`}>
+                {getStatusLabel(request.status)}
+              </span>
+            </CardTitle>
+            <CardDescription>
+              {request.customers?.company_name || request.customers?.name} · {request.customers?.zip} {request.customers?.city} · {getDeliveryTypeGerman(request.delivery_type)}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <div>
+              <h4 className="font-semibold text-sm mb-2">Angemeldete Artikel</h4>
+              <ul className="space-y-1 text-sm">
+                {items.map((item, index) => (
+                  <li key={item.id || index} className="flex justify-between border-b border-dashed pb-1">
+                    <span>{item.category}</span>
+                    <span className="text-muted-foreground">{formatItemQuantity(item)}</span>
+                  </li>
+                ))}
+              </ul>
+              <p className="text-sm font-semibold text-right mt-2">Gesamt: {parseFloat(request.total_weight || 0).toFixed(2)} kg</p>
+            </div>
+
+            <div>
+              <h4 className="font-semibold text-sm mb-2">Pakete ({receipts.length} von {parcelCount} eingegangen)</h4>
+              <div className="space-y-2">
+                {Array.from({ length: parcelCount }, (_, i) => i + 1).map(index => {
+                  const receipt = receivedByIndex.get(index);
+                  return (
+                    <div key={index} className="flex items-center space-x-3 p-2 border rounded-md">
+                      {receipt ? (
+                        <CheckCircle className="h-5 w-5 text-green-600 shrink-0" />
+                      ) : (
+                        <Checkbox
+                          id={`parcel-${index}`}
+                          checked={selectedIndexes.includes(index)}
+                          onCheckedChange={() => onToggleIndex(index)}
+                        />
+                      )}
+                      <Label htmlFor={`parcel-${index}`} className="flex-grow font-mono">
+                        {getLabelReference(request.ankaufs_nummer, index, parcelCount)}
+                      </Label>
+                      {receipt && (
+                        <span className="text-xs text-muted-foreground">
+                          {new Date(receipt.received_at).toLocaleString('de-DE')} · {receipt.received_by_email || 'Unbekannt'}
+                        </span>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+
+            {openIndexes.length > 0 && (
+              <div>
+                <Label htmlFor="receiptNote">Notiz zum Wareneingang (optional)</Label>
+                <Textarea id="receiptNote" value={note} onChange={(e) => onNoteChange(e.target.value)} rows={2} className="mt-1" placeholder="z.B. Karton beschädigt" />
+              </div>
+            )}
+          </CardContent>
+          {openIndexes.length > 0 && (
+            <CardFooter>
+              <Button onClick={onSubmit} disabled={isSubmitting || selectedIndexes.length === 0} className="w-full bg-emerald-500 hover:bg-emerald-600">
+                {isSubmitting ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <PackageCheck className="mr-2 h-4 w-4" />}
+                {selectedIndexes.length} Paket(e) als eingegangen buchen
+              </Button>
+            </CardFooter>
+          )}
+        </Card>
+      );
+    };
+
+    export default ParcelReceiptCard;
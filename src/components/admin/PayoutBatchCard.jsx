@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Input } from '@/components/ui/input';
+    import { Label } from '@/components/ui/label';
+    import {
+      AlertDialog,
+      AlertDialogAction,
+      AlertDialogCancel,
+      AlertDialogContent,
+      AlertDialogDescription,
+      AlertDialogFooter,
+      AlertDialogHeader,
+      AlertDialogTitle,
+      AlertDialogTrigger,
+    } from '@/components/ui/alert-dialog';
+    import { FileCode, FileSpreadsheet, CheckCircle2, XCircle, Loader2 } from 'lucide-react';
+    import { useToast } from '@/components/ui/use-toast';
+    import { buildSepaCreditTransferXml } from '@/lib/sepaCreditTransfer';
+    import { buildPaypalPayoutCsv } from '@/lib/paypalPayoutCsv';
+    import { PAYOUT_BATCH_STATUSES, getPayoutDebtorAccount, downloadTextFile } from '@/lib/payouts';
+    import { formatIban } from '@/lib/iban';
+
+    const formatDateTime = (value) => new Date(value).toLocaleString('de-DE', {
+      day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+
+    const todayIsoDate = () => new Date().toLocaleDateString('sv-SE');
+
+    const PayoutBatchCard = ({ batch, onConfirm, onCancel, isBusy }) => {
+      const { toast } = useToast();
+      const [executionDate, setExecutionDate] = useState(todayIsoDate);
+      const items = batch.payout_batch_items || [];
+      const status = PAYOUT_BATCH_STATUSES[batch.status] || PAYOUT_BATCH_STATUSES.open;
+
+      const handleSepaDownload = () => {
+        const debtor = getPayoutDebtorAccount();
+        if (!debtor.iban) {
+          toast({ title: 'Auftraggeberkonto fehlt', description: 'VITE_PAYOUT_DEBTOR_IBAN ist nicht konfiguriert.', variant: 'destructive' });
+          return;
+        }
+        try {
+          const xml = buildSepaCreditTransferXml({ messageId: batch.batch_number, items, debtor, executionDate });
+          downloadTextFile(xml, `${batch.batch_number}_SEPA.xml`, 'application/xml');
+        } catch (error) {
+          toast({ title: 'Fehler', description: error.message, variant: 'destructive' });
+        }
+      };
+
+      const handlePaypalDownload = () => {
+        try {
+          downloadTextFile(buildPaypalPayoutCsv(items), `${batch.batch_number}_PayPal.csv`, 'text/csv');
+        } catch (error) {
+          toast({ title: 'Fehler', description: error.message, variant: 'destructive' });
+        }
+      };
+
+      return (
+        <div className="border rounded-lg p-4 space-y-4 text-sm">
+          <div className="flex justify-between items-start flex-wrap gap-2">
+            <div>
+              <p className="font-semibold font-mono text-base">{batch.batch_number}</p>
+              <p className="text-muted-foreground">
+                Erstellt {formatDateTime(batch.created_at)}{batch.created_by_email ? ` von ${batch.created_by_email}` : ''}
+                {batch.confirmed_at && ` · bestätigt ${formatDateTime(batch.confirmed_at)}`}
+              </p>
+            </div>
+            <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${status.badgeClass}`}>{status.label}</span>
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            <span>SEPA: {batch.sepa_count} Überweisung(en)</span>
+            <span className="text-right font-semibold">{parseFloat(batch.sepa_total).toFixed(2)} €</span>
+            <span>PayPal: {batch.paypal_count} Zahlung(en)</span>
+            <span className="text-right font-semibold">{parseFloat(batch.paypal_total).toFixed(2)} €</span>
+          </div>
+
+          <details>
+            <summary className="cursor-pointer text-muted-foreground">Positionen anzeigen ({items.length})</summary>
+            <ul className="mt-2 divide-y">
+              {items.map(item => (
+                <li key={item.id} className="py-1 flex justify-between gap-2">
+                  <span>
+                    <span className="font-mono">{item.ankaufs_nummer}</span> · {item.creditor_name}
+                    <span className="block text-xs text-muted-foreground">{item.method === 'sepa' ? formatIban(item.iban) : `PayPal: ${item.paypal}`}</span>
+                  </span>
+                  <span className="whitespace-nowrap">{parseFloat(item.amount).toFixed(2)} €</span>
+                </li>
+              ))}
+            </ul>
+          </details>
+
+          {batch.status !== 'cancelled' && (
+            <div className="flex flex-wrap items-end gap-2">
+              {batch.sepa_count > 0 && (
+                <>
+                  <div>
+                    <Label htmlFor={`executionDate-${batch.id}`} className="text-xs">Ausführungsdatum</Label>
+                    <Input
+                      id={`executionDate-${batch.id}`}
+                      type="date"
+                      value={executionDate}
+                      onChange={(e) => setExecutionDate(e.target.value)}
+                      className="h-9 mt-1"
+                    />
+                  </div>
+                  <Button variant="outline" size="sm" onClick={handleSepaDownload} disabled={!executionDate}>
+                    <FileCode className="mr-2 h-4 w-4" /> SEPA-XML
+                  </Button>
+                </>
+              )}
+              {batch.paypal_count > 0 && (
+                <Button variant="outline" size="sm" onClick={handlePaypalDownload}>
+                  <FileSpreadsheet className="mr-2 h-4 w-4" /> PayPal-CSV
+                </Button>
+              )}
+            </div>
+          )}
+
+          {batch.status === 'open' && (
+            <div className="flex flex-wrap gap-2 justify-end border-t pt-3">
+              <Button variant="outline" size="sm" onClick={() => onCancel(batch)} disabled={isBusy}>
+                <XCircle className="mr-2 h-4 w-4" /> Verwerfen
+              </Button>
+              <AlertDialog>
+                <AlertDialogTrigger asChild>
+                  <Button size="sm" className="bg-emerald-500 hover:bg-emerald-600" disabled={isBusy}>
+                    {isBusy ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <CheckCircle2 className="mr-2 h-4 w-4" />}
+                    Als ausgezahlt bestätigen
+                  </Button>
+                </AlertDialogTrigger>
+                <AlertDialogContent>
+                  <AlertDialogHeader>
+                    <AlertDialogTitle>Auszahlung bestätigen?</AlertDialogTitle>
+                    <AlertDialogDescription>
+                      Bestätige erst, wenn die SEPA-Datei bei der Bank freigegeben und die PayPal-Zahlungen ausgeführt wurden.
+                      Alle {items.length} Ankäufe werden auf "Ausgezahlt" gesetzt.
+                    </AlertDialogDescription>
+                  </AlertDialogHeader>
+                  <AlertDialogFooter>
+                    <AlertDialogCancel>Abbrechen</AlertDialogCancel>
+                    <AlertDialogAction onClick={() => onConfirm(batch)} className="bg-emerald-500 hover:bg-emerald-600">
+                      Bestätigen
+                    </AlertDialogAction>
+                  </AlertDialogFooter>
+                </AlertDialogContent>
+              </AlertDialog>
+            </div>
+          )}
+        </div>
+      );
+    };
+
+    export default PayoutBatchCard;
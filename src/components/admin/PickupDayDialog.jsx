@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Input } from '@/components/ui/input';
+    import { Label } from '@/components/ui/label';
+    import { Switch } from '@/components/ui/switch';
+    import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogFooter } from '@/components/ui/dialog';
+    import { Loader2 } from 'lucide-react';
+
+    const selectClassName = "flex h-10 w-full items-center justify-between rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background focus:outline-none focus:ring-2 focus:ring-ring focus:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50";
+
+    export const EMPTY_PICKUP_DAY = {
+      pickup_date: '',
+      driver_id: '',
+      zip_prefixes: '',
+      max_weight: '300',
+      max_stops: '8',
+      window_start: '09:00',
+      window_end: '16:00',
+      is_active: true,
+      note: '',
+    };
+
+    const PickupDayDialog = ({ day, drivers, open, onOpenChange, onSubmit, isSubmitting }) => {
+      const [form, setForm] = useState(EMPTY_PICKUP_DAY);
+
+      useEffect(() => {
+        if (open) {
+          setForm(day ? {
+            pickup_date: day.pickup_date,
+            driver_id: day.driver_id || '',
+            zip_prefixes: (day.zip_prefixes || []).join(', '),
+            max_weight: day.max_weight.toString(),
+            max_stops: day.max_stops.toString(),
+            window_start: day.window_start.slice(0, 5),
+            window_end: day.window_end.slice(0, 5),
+            is_active: day.is_active,
+            note: day.note || '',
+          } : EMPTY_PICKUP_DAY);
+        }
+      }, [open, day]);
+
+      const handleChange = (e) => {
+        const { name, value } = e.target;
+        setForm(prev => ({ ...prev, [name]: value }));
+      };
+
+      const handleSubmit = (e) => {
+        e.preventDefault();
+        onSubmit(form);
+      };
+
+      const selectableDrivers = drivers.filter(driver => driver.is_active || driver.id === form.driver_id);
+
+      return (
+        <Dialog open={open} onOpenChange={onOpenChange}>
+          <DialogContent className="max-w-lg">
+            <DialogHeader>
+              <DialogTitle>{day ? 'Abholtag bearbeiten' : 'Neuer Abholtag'}</DialogTitle>
+              <DialogDescription>
+                Kunden sehen den Tag, solange ihre PLZ zu einem der Gebiete passt und Gewicht und Stopps noch frei sind.
+                Ohne PLZ-Gebiet wird das ganze Abholgebiet angefahren.
+              </DialogDescription>
+            </DialogHeader>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <Label htmlFor="pickup_date">Datum</Label>
+                  <Input id="pickup_date" name="pickup_date" type="date" value={form.pickup_date} onChange={handleChange} required className="mt-1" />
+                </div>
+                <div>
+                  <Label htmlFor="driver_id">Fahrer</Label>
+                  <select id="driver_id" name="driver_id" value={form.driver_id} onChange={handleChange} className={`${selectClassName} mt-1`}>
+                    <option value="">– noch offen –</option>
+                    {selectableDrivers.map(driver => (
+                      <option key={driver.id} value={driver.id}>{driver.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div>
+                <Label htmlFor="zip_prefixes">PLZ-Gebiete</Label>
+                <Input id="zip_prefixes" name="zip_prefixes" value={form.zip_prefixes} onChange={handleChange} className="mt-1 font-mono" placeholder="z.B. 163, 134, 16515" />
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <Label htmlFor="max_weight">Höchstgewicht (kg)</Label>
+                  <Input id="max_weight" name="max_weight" type="number" min="1" step="1" value={form.max_weight} onChange={handleChange} required className="mt-1" />
+                </div>
+                <div>
+                  <Label htmlFor="max_stops">Max. Stopps</Label>
+                  <Input id="max_stops" name="max_stops" type="number" min="1" step="1" value={form.max_stops} onChange={handleChange} required className="mt-1" />
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <Label htmlFor="window_start">Zeitfenster von</Label>
+                  <Input id="window_start" name="window_start" type="time" value={form.window_start} onChange={handleChange} required className="mt-1" />
+                </div>
+                <div>
+                  <Label htmlFor="window_end">bis</Label>
+                  <Input id="window_end" name="window_end" type="time" value={form.window_end} onChange={handleChange} required className="mt-1" />
+                </div>
+              </div>
+              <div>
+                <Label htmlFor="note">Hinweis für den Fahrer</Label>
+                <Input id="note" name="note" value={form.note} onChange={handleChange} className="mt-1" placeholder="z.B. Transporter mit Hebebühne" />
+              </div>
+              <div className="flex items-center space-x-2">
+                <Switch id="is_active" checked={form.is_active} onCheckedChange={(checked) => setForm(prev => ({ ...prev, is_active: checked }))} />
+                <Label htmlFor="is_active">Buchbar (im Ankaufsformular sichtbar)</Label>
+              </div>
+              <DialogFooter>
+                <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>Abbrechen</Button>
+                <Button type="submit" disabled={isSubmitting}>
+                  {isSubmitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                  Speichern
+                </Button>
+              </DialogFooter>
+            </form>
+          </DialogContent>
+        </Dialog>
+      );
+    };
+
+    export default PickupDayDialog;
@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/card';
+    import { Loader2, Printer, MapPin, AlertTriangle } from 'lucide-react';
+    import { useToast } from '@/components/ui/use-toast';
+    import { fetchPickupDayStops, planPickupRoute, formatPickupWindow } from '@/lib/pickupPlanning';
+    import { PICKUP_DEPOT } from '@/lib/zipCentroids';
+    import { getStatusLabel } from '@/lib/ankaufStatus';
+    import { renderHtmlToPdfBlob } from '@/lib/pdfRenderer';
+    import { generatePickupRunSheetHTML, RUN_SHEET_CSS } from '@/lib/pickupRunSheetGenerator';
+
+    const formatKm = (value) => `${value.toFixed(1).replace('.', ',')} km`;
+
+    const formatDate = (value) =>
+      new Date(`${value}T12:00:00`).toLocaleDateString('de-DE', { weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric' });
+
+    const PickupDayRouteCard = ({ day }) => {
+      const { toast } = useToast();
+      const [route, setRoute] = useState(null);
+      const [isLoading, setIsLoading] = useState(true);
+      const [isPrinting, setIsPrinting] = useState(false);
+
+      useEffect(() => {
+        let isCancelled = false;
+        setIsLoading(true);
+        fetchPickupDayStops(day.id)
+          .then(stops => {
+            if (!isCancelled) setRoute(planPickupRoute(stops));
+          })
+          .catch(error => {
+            if (!isCancelled) toast({ title: "Fehler", description: error.message, variant: "destructive" });
+          })
+          .finally(() => {
+            if (!isCancelled) setIsLoading(false);
+          });
+        return () => { isCancelled = true; };
+      }, [day.id, toast]);
+
+      const handlePrint = async () => {
+        setIsPrinting(true);
+        try {
+          const pdfBlob = await renderHtmlToPdfBlob(generatePickupRunSheetHTML(day, route), RUN_SHEET_CSS);
+          window.open(URL.createObjectURL(pdfBlob), '_blank');
+        } catch (error) {
+          console.error('Error generating pickup run sheet:', error);
+          toast({ title: "Fehler", description: "Die Fahrerliste konnte nicht erstellt werden.", variant: "destructive" });
+        } finally {
+          setIsPrinting(false);
+        }
+      };
+
+      const hasApproximateStops = route?.stops.some(stop => stop.location.approximate);
+
+      return (
+        <Card className="shadow-lg">
+          <CardHeader className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4 space-y-0">
+            <div>
+              <CardTitle className="text-2xl">Tour am {formatDate(day.pickup_date)}</CardTitle>
+              <CardDescription>
+                {formatPickupWindow(day)} Uhr · Fahrer: {day.driver_name || 'noch offen'} · Start und Ziel: {PICKUP_DEPOT.name}
+              </CardDescription>
+            </div>
+            <Button onClick={handlePrint} disabled={isLoading || isPrinting || !route || route.stops.length === 0} variant="outline">
+              {isPrinting ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Printer className="mr-2 h-4 w-4" />}
+              Fahrerliste drucken
+            </Button>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {isLoading ? (
+              <div className="flex justify-center py-4">
+                <Loader2 className="h-6 w-6 animate-spin text-primary" />
+              </div>
+            ) : !route || route.stops.length === 0 ? (
+              <p className="text-muted-foreground text-center py-4">Für diesen Tag sind noch keine Abholungen gebucht.</p>
+            ) : (
+              <>
+                {hasApproximateStops && (
+                  <div className="flex items-start p-3 bg-amber-50 dark:bg-amber-900/30 border border-amber-300 dark:border-amber-700 rounded-md text-amber-700 dark:text-amber-300 text-sm">
+                    <AlertTriangle className="h-5 w-5 mr-2 mt-0.5 flex-shrink-0" />
+                    <p>Für einige PLZ ist kein Mittelpunkt hinterlegt; ihre Lage ist geschätzt. Die Reihenfolge bitte vor der Abfahrt prüfen.</p>
+                  </div>
+                )}
+                <ol className="divide-y text-sm">
+                  {route.stops.map((stop, index) => (
+                    <li key={stop.pickup_request_id} className="py-2 flex justify-between gap-4 flex-wrap">
+                      <span className="flex items-start gap-2">
+                        <span className="font-semibold w-6 text-right">{index + 1}.</span>
+                        <span>
+                          <span className="font-medium">{stop.company_name ? `${stop.company_name}, ` : ''}{stop.name}</span>
+                          <span className="block text-muted-foreground">
+                            {stop.street}, {stop.zip} {stop.city}
+                            {stop.location.approximate && <MapPin className="inline ml-1 h-3 w-3 text-amber-600" aria-label="Lage geschätzt" />}
+                          </span>
+                          <span className="block text-xs text-muted-foreground">
+                            <span className="font-mono">{stop.ankaufs_nummer}</span> · {getStatusLabel(stop.status)} · ca. {(parseFloat(stop.total_weight) || 0).toFixed(1)} kg
+                            {stop.phone ? ` · ${stop.phone}` : ''}
+                          </span>
+                          {stop.notes && <span className="block text-xs italic text-muted-foreground">{stop.notes}</span>}
+                        </span>
+                      </span>
+                      <span className="text-right whitespace-nowrap text-muted-foreground">+ {formatKm(stop.legDistanceKm)}</span>
+                    </li>
+                  ))}
+                </ol>
+                <div className="flex justify-between gap-4 pt-4 border-t text-sm flex-wrap">
+                  <span>Rückfahrt zum Lager: {formatKm(route.returnDistanceKm)}</span>
+                  <span><strong>Gesamt ca. {formatKm(route.totalDistanceKm)}</strong> (Luftlinie)</span>
+                </div>
+              </>
+            )}
+          </CardContent>
+        </Card>
+      );
+    };
+
+    export default PickupDayRouteCard;
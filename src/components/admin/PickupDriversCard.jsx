@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Input } from '@/components/ui/input';
+    import { Switch } from '@/components/ui/switch';
+    import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/card';
+    import { Loader2, UserPlus, Save } from 'lucide-react';
+    import { useToast } from '@/components/ui/use-toast';
+    import { savePickupDriver } from '@/lib/pickupPlanning';
+
+    const EMPTY_DRIVER = { name: '', phone: '', is_active: true };
+
+    const PickupDriverRow = ({ driver, onSaved }) => {
+      const { toast } = useToast();
+      const [form, setForm] = useState({ name: driver.name, phone: driver.phone || '', is_active: driver.is_active });
+      const [isSaving, setIsSaving] = useState(false);
+      const isDirty = form.name !== driver.name || form.phone !== (driver.phone || '') || form.is_active !== driver.is_active;
+
+      const handleSave = async () => {
+        setIsSaving(true);
+        try {
+          await savePickupDriver(form, driver.id);
+          toast({ title: "Gespeichert", description: `${form.name} wurde aktualisiert.`, variant: "success" });
+          onSaved();
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setIsSaving(false);
+        }
+      };
+
+      return (
+        <li className="py-2 flex flex-wrap items-center gap-2">
+          <Input value={form.name} onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))} className="flex-1 min-w-[10rem]" aria-label="Name" />
+          <Input value={form.phone} onChange={(e) => setForm(prev => ({ ...prev, phone: e.target.value }))} className="flex-1 min-w-[10rem]" placeholder="Telefon" aria-label="Telefon" />
+          <div className="flex items-center space-x-2">
+            <Switch id={`driver-active-${driver.id}`} checked={form.is_active} onCheckedChange={(checked) => setForm(prev => ({ ...prev, is_active: checked }))} />
+            <label htmlFor={`driver-active-${driver.id}`} className="text-sm">Aktiv</label>
+          </div>
+          <Button size="sm" variant="outline" onClick={handleSave} disabled={!isDirty || isSaving}>
+            {isSaving ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Save className="mr-2 h-4 w-4" />}
+            Speichern
+          </Button>
+        </li>
+      );
+    };
+
+    const PickupDriversCard = ({ drivers, onChanged }) => {
+      const { toast } = useToast();
+      const [newDriver, setNewDriver] = useState(EMPTY_DRIVER);
+      const [isAdding, setIsAdding] = useState(false);
+
+      const handleAdd = async (e) => {
+        e.preventDefault();
+        setIsAdding(true);
+        try {
+          await savePickupDriver(newDriver);
+          toast({ title: "Fahrer angelegt", description: `${newDriver.name} kann jetzt Abholtagen zugeteilt werden.`, variant: "success" });
+          setNewDriver(EMPTY_DRIVER);
+          onChanged();
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setIsAdding(false);
+        }
+      };
+
+      return (
+        <Card className="shadow-lg">
+          <CardHeader>
+            <CardTitle className="text-2xl">Fahrer</CardTitle>
+            <CardDescription>Inaktive Fahrer bleiben bei bestehenden Touren eingetragen, können aber keinen neuen Tagen zugeteilt werden.</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {drivers.length === 0 ? (
+              <p className="text-muted-foreground text-center py-2">Noch keine Fahrer angelegt.</p>
+            ) : (
+              <ul className="divide-y">
+                {drivers.map(driver => (
+                  <PickupDriverRow key={`${driver.id}-${driver.name}-${driver.phone}-${driver.is_active}`} driver={driver} onSaved={onChanged} />
+                ))}
+              </ul>
+            )}
+            <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-2 pt-4 border-t">
+              <Input value={newDriver.name} onChange={(e) => setNewDriver(prev => ({ ...prev, name: e.target.value }))} className="flex-1 min-w-[10rem]" placeholder="Name" required />
+              <Input value={newDriver.phone} onChange={(e) => setNewDriver(prev => ({ ...prev, phone: e.target.value }))} className="flex-1 min-w-[10rem]" placeholder="Telefon" />
+              <Button type="submit" disabled={isAdding}>
+                {isAdding ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <UserPlus className="mr-2 h-4 w-4" />}
+                Fahrer anlegen
+              </Button>
+            </form>
+          </CardContent>
+        </Card>
+      );
+    };
+
+    export default PickupDriversCard;
@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Input } from '@/components/ui/input';
+    import { Label } from '@/components/ui/label';
+    import { Switch } from '@/components/ui/switch';
+    import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogFooter } from '@/components/ui/dialog';
+    import { Loader2 } from 'lucide-react';
+
+    export const EMPTY_SERVICE_AREA = {
+      name: '',
+      zip_from: '',
+      zip_to: '',
+      min_weight: '15',
+      pickup_fee: '0',
+      is_active: true,
+    };
+
+    const PickupServiceAreaDialog = ({ area, open, onOpenChange, onSubmit, isSubmitting }) => {
+      const [form, setForm] = useState(EMPTY_SERVICE_AREA);
+
+      useEffect(() => {
+        if (open) {
+          setForm(area ? {
+            name: area.name,
+            zip_from: area.zip_from,
+            zip_to: area.zip_to,
+            min_weight: area.min_weight.toString(),
+            pickup_fee: area.pickup_fee.toString(),
+            is_active: area.is_active,
+          } : EMPTY_SERVICE_AREA);
+        }
+      }, [open, area]);
+
+      const handleChange = (e) => {
+        const { name, value } = e.target;
+        setForm(prev => ({ ...prev, [name]: value }));
+      };
+
+      const handleSubmit = (e) => {
+        e.preventDefault();
+        onSubmit(form);
+      };
+
+      return (
+        <Dialog open={open} onOpenChange={onOpenChange}>
+          <DialogContent className="max-w-lg">
+            <DialogHeader>
+              <DialogTitle>{area ? 'Abholgebiet bearbeiten' : 'Neues Abholgebiet'}</DialogTitle>
+              <DialogDescription>
+                Ein PLZ-Bereich oder eine einzelne PLZ (Feld „bis“ leer lassen). Liegt eine PLZ in mehreren Gebieten,
+                gilt das kleinste – so lässt sich z.B. für einzelne Orte eine Gebühr festlegen.
+              </DialogDescription>
+            </DialogHeader>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <Label htmlFor="area_name">Bezeichnung</Label>
+                <Input id="area_name" name="name" value={form.name} onChange={handleChange} className="mt-1" placeholder="z.B. Barnim Nord" />
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <Label htmlFor="zip_from">PLZ von</Label>
+                  <Input id="zip_from" name="zip_from" value={form.zip_from} onChange={handleChange} required inputMode="numeric" maxLength={5} className="mt-1 font-mono" placeholder="16000" />
+                </div>
+                <div>
+                  <Label htmlFor="zip_to">bis</Label>
+                  <Input id="zip_to" name="zip_to" value={form.zip_to} onChange={handleChange} inputMode="numeric" maxLength={5} className="mt-1 font-mono" placeholder="16999" />
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <Label htmlFor="min_weight">Mindestgewicht (kg)</Label>
+                  <Input id="min_weight" name="min_weight" type="number" min="0" step="0.5" value={form.min_weight} onChange={handleChange} required className="mt-1" />
+                </div>
+                <div>
+                  <Label htmlFor="pickup_fee">Abholgebühr (€)</Label>
+                  <Input id="pickup_fee" name="pickup_fee" type="number" min="0" step="0.01" value={form.pickup_fee} onChange={handleChange} className="mt-1" />
+                </div>
+              </div>
+              <div className="flex items-center space-x-2">
+                <Switch id="area_is_active" checked={form.is_active} onCheckedChange={(checked) => setForm(prev => ({ ...prev, is_active: checked }))} />
+                <Label htmlFor="area_is_active">Aktiv (im Ankaufsformular und auf der Webseite)</Label>
+              </div>
+              <DialogFooter>
+                <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>Abbrechen</Button>
+                <Button type="submit" disabled={isSubmitting}>
+                  {isSubmitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                  Speichern
+                </Button>
+              </DialogFooter>
+            </form>
+          </DialogContent>
+        </Dialog>
+      );
+    };
+
+    export default PickupServiceAreaDialog;
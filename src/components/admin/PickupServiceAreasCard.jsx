@@ -0,0 +1,152 @@
+import React, { useState, useEffect, useCallback } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/card';
+    import {
+      AlertDialog,
+      AlertDialogAction,
+      AlertDialogCancel,
+      AlertDialogContent,
+      AlertDialogDescription,
+      AlertDialogFooter,
+      AlertDialogHeader,
+      AlertDialogTitle,
+    } from '@/components/ui/alert-dialog';
+    import { Loader2, MapPin, Edit, Trash2 } from 'lucide-react';
+    import { useToast } from '@/components/ui/use-toast';
+    import PickupServiceAreaDialog from '@/components/admin/PickupServiceAreaDialog';
+    import {
+      fetchPickupServiceAreas,
+      savePickupServiceArea,
+      deletePickupServiceArea,
+      formatZipRange,
+      formatWeight,
+      formatPickupFee,
+    } from '@/lib/pickupServiceAreas';
+
+    const PickupServiceAreasCard = () => {
+      const { toast } = useToast();
+      const [areas, setAreas] = useState([]);
+      const [isLoading, setIsLoading] = useState(true);
+      const [editingArea, setEditingArea] = useState(null);
+      const [isDialogOpen, setIsDialogOpen] = useState(false);
+      const [isSubmitting, setIsSubmitting] = useState(false);
+      const [areaToDelete, setAreaToDelete] = useState(null);
+
+      const loadAreas = useCallback(async () => {
+        try {
+          setAreas(await fetchPickupServiceAreas());
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setIsLoading(false);
+        }
+      }, [toast]);
+
+      useEffect(() => {
+        loadAreas();
+      }, [loadAreas]);
+
+      const openDialog = (area = null) => {
+        setEditingArea(area);
+        setIsDialogOpen(true);
+      };
+
+      const handleSubmitArea = async (form) => {
+        setIsSubmitting(true);
+        try {
+          await savePickupServiceArea(form, editingArea?.id);
+          toast({ title: "Gespeichert", description: "Formular und Webseite zeigen ab sofort das geänderte Abholgebiet.", variant: "success" });
+          setIsDialogOpen(false);
+          loadAreas();
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setIsSubmitting(false);
+        }
+      };
+
+      const handleDeleteArea = async () => {
+        const area = areaToDelete;
+        setAreaToDelete(null);
+        try {
+          await deletePickupServiceArea(area.id);
+          toast({ title: "Gelöscht", description: `Abholgebiet ${area.name} wurde gelöscht.`, variant: "success" });
+          loadAreas();
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        }
+      };
+
+      return (
+        <Card className="shadow-lg">
+          <CardHeader className="flex flex-row items-start justify-between gap-4 space-y-0">
+            <div className="space-y-1.5">
+              <CardTitle className="text-2xl">Abholgebiete</CardTitle>
+              <CardDescription>
+                Nur für PLZ in einem aktiven Gebiet wird die Abholung angeboten. Mindestgewicht und Gebühr gelten je Gebiet;
+                bereits gebuchte Abholungen behalten ihre Gebühr.
+              </CardDescription>
+            </div>
+            <Button onClick={() => openDialog()} className="shrink-0">
+              <MapPin className="mr-2 h-4 w-4" /> Gebiet anlegen
+            </Button>
+          </CardHeader>
+          <CardContent>
+            {isLoading ? (
+              <div className="flex justify-center py-4">
+                <Loader2 className="h-6 w-6 animate-spin text-primary" />
+              </div>
+            ) : areas.length === 0 ? (
+              <p className="text-muted-foreground text-center py-2">Keine Abholgebiete angelegt – die Abholung wird derzeit nicht angeboten.</p>
+            ) : (
+              <ul className="divide-y text-sm">
+                {areas.map(area => (
+                  <li key={area.id} className={`py-2 flex justify-between items-center gap-4 ${area.is_active ? '' : 'opacity-60'}`}>
+                    <span>
+                      <span className="font-medium">{area.name}</span>
+                      <span className="ml-2 font-mono">{formatZipRange(area)}</span>
+                      <span className="block text-xs text-muted-foreground">
+                        ab {formatWeight(area.min_weight)} · {formatPickupFee(area.pickup_fee)}{area.is_active ? '' : ' · inaktiv'}
+                      </span>
+                    </span>
+                    <span className="flex gap-2">
+                      <Button size="sm" variant="outline" onClick={() => openDialog(area)} title="Bearbeiten">
+                        <Edit className="h-4 w-4" />
+                      </Button>
+                      <Button size="sm" variant="outline" onClick={() => setAreaToDelete(area)} title="Löschen">
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </CardContent>
+
+          <PickupServiceAreaDialog
+            area={editingArea}
+            open={isDialogOpen}
+            onOpenChange={setIsDialogOpen}
+            onSubmit={handleSubmitArea}
+            isSubmitting={isSubmitting}
+          />
+
+          <AlertDialog open={!!areaToDelete} onOpenChange={(open) => !open && setAreaToDelete(null)}>
+            <AlertDialogContent>
+              <AlertDialogHeader>
+                <AlertDialogTitle>Abholgebiet löschen?</AlertDialogTitle>
+                <AlertDialogDescription>
+                  {areaToDelete && `${areaToDelete.name} (${formatZipRange(areaToDelete)}) wird entfernt. Zum vorübergehenden Aussetzen das Gebiet besser auf inaktiv stellen.`}
+                </AlertDialogDescription>
+              </AlertDialogHeader>
+              <AlertDialogFooter>
+                <AlertDialogCancel>Abbrechen</AlertDialogCancel>
+                <AlertDialogAction onClick={handleDeleteArea} className="bg-red-500 hover:bg-red-600">Löschen</AlertDialogAction>
+              </AlertDialogFooter>
+            </AlertDialogContent>
+          </AlertDialog>
+        </Card>
+      );
+    };
+
+    export default PickupServiceAreasCard;
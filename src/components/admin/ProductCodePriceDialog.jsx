@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Input } from '@/components/ui/input';
+    import { Label } from '@/components/ui/label';
+    import { Switch } from '@/components/ui/switch';
+    import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogFooter } from '@/components/ui/dialog';
+    import { Loader2 } from 'lucide-react';
+
+    const selectClassName = "flex h-10 w-full items-center justify-between rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background focus:outline-none focus:ring-2 focus:ring-ring focus:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50";
+
+    export const EMPTY_PRODUCT_CODE_ENTRY = {
+      code: '',
+      title: '',
+      category_id: '',
+      price: '',
+      estimated_weight: '',
+      is_active: true,
+      notes: '',
+    };
+
+    const ProductCodePriceDialog = ({ entry, categories, open, onOpenChange, onSubmit, isSubmitting }) => {
+      const [form, setForm] = useState(EMPTY_PRODUCT_CODE_ENTRY);
+
+      useEffect(() => {
+        if (open) {
+          setForm(entry ? {
+            code: entry.code,
+            title: entry.title,
+            category_id: entry.category_id || '',
+            price: entry.price.toString(),
+            estimated_weight: entry.estimated_weight ? entry.estimated_weight.toString() : '',
+            is_active: entry.is_active,
+            notes: entry.notes || '',
+          } : EMPTY_PRODUCT_CODE_ENTRY);
+        }
+      }, [open, entry]);
+
+      const handleChange = (e) => {
+        const { name, value } = e.target;
+        setForm(prev => ({ ...prev, [name]: value }));
+      };
+
+      const handleSubmit = (e) => {
+        e.preventDefault();
+        onSubmit(form);
+      };
+
+      return (
+        <Dialog open={open} onOpenChange={onOpenChange}>
+          <DialogContent className="max-w-lg">
+            <DialogHeader>
+              <DialogTitle>{entry ? 'Einzelartikel bearbeiten' : 'Neuer Einzelartikel'}</DialogTitle>
+              <DialogDescription>ISBN-10 wird automatisch in ISBN-13 umgerechnet.</DialogDescription>
+            </DialogHeader>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <Label htmlFor="code">ISBN / EAN</Label>
+                <Input id="code" name="code" value={form.code} onChange={handleChange} required className="mt-1 font-mono" />
+              </div>
+              <div>
+                <Label htmlFor="title">Titel</Label>
+                <Input id="title" name="title" value={form.title} onChange={handleChange} required className="mt-1" placeholder="z.B. Der Herr der Ringe, Erstausgabe 1969" />
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <Label htmlFor="price">Ankaufspreis (€)</Label>
+                  <Input id="price" name="price" type="number" min="0" step="0.01" value={form.price} onChange={handleChange} required className="mt-1" />
+                </div>
+                <div>
+                  <Label htmlFor="estimated_weight">Gewicht ca. (kg)</Label>
+                  <Input id="estimated_weight" name="estimated_weight" type="number" min="0" step="0.001" value={form.estimated_weight} onChange={handleChange} className="mt-1" />
+                </div>
+              </div>
+              <div>
+                <Label htmlFor="category_id">Kategorie</Label>
+                <select id="category_id" name="category_id" value={form.category_id} onChange={handleChange} className={`${selectClassName} mt-1`}>
+                  <option value="">– keine –</option>
+                  {categories.map(category => (
+                    <option key={category.id} value={category.id}>{category.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <Label htmlFor="notes">Interne Notiz</Label>
+                <Input id="notes" name="notes" value={form.notes} onChange={handleChange} className="mt-1" placeholder="z.B. nur mit Schutzumschlag" />
+              </div>
+              <div className="flex items-center space-x-2">
+                <Switch id="is_active" checked={form.is_active} onCheckedChange={(checked) => setForm(prev => ({ ...prev, is_active: checked }))} />
+                <Label htmlFor="is_active">Aktiv (im Rechner auffindbar)</Label>
+              </div>
+              <DialogFooter>
+                <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>Abbrechen</Button>
+                <Button type="submit" disabled={isSubmitting}>
+                  {isSubmitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                  Speichern
+                </Button>
+              </DialogFooter>
+            </form>
+          </DialogContent>
+        </Dialog>
+      );
+    };
+
+    export default ProductCodePriceDialog;
@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+    import { Input } from '@/components/ui/input';
+    import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/card';
+    import { Loader2 } from 'lucide-react';
+    import { useToast } from '@/components/ui/use-toast';
+    import { SELF_DELIVERY_WEEKDAYS, fetchSlotCapacities, saveSlotCapacity, toShortTime } from '@/lib/selfDeliverySlots';
+
+    // Zeitfenster, die im Raster angeboten werden (Beginn 06:00 bis 18:00).
+    const SLOT_STARTS = Array.from({ length: 13 }, (_, index) => `${String(index + 6).padStart(2, '0')}:00:00`);
+
+    const toCellKey = (weekday, slotStart) => `${weekday}-${toShortTime(slotStart)}`;
+
+    const SelfDeliveryCapacityCard = () => {
+      const { toast } = useToast();
+      const [capacities, setCapacities] = useState({});
+      const [drafts, setDrafts] = useState({});
+      const [isLoading, setIsLoading] = useState(true);
+      const [savingKey, setSavingKey] = useState(null);
+
+      useEffect(() => {
+        fetchSlotCapacities()
+          .then(rows => {
+            setCapacities(Object.fromEntries(rows.map(row => [toCellKey(row.weekday, row.slot_start), row.capacity])));
+          })
+          .catch(error => toast({ title: "Fehler", description: error.message, variant: "destructive" }))
+          .finally(() => setIsLoading(false));
+      }, [toast]);
+
+      const handleBlur = async (weekday, slotStart) => {
+        const key = toCellKey(weekday, slotStart);
+        if (drafts[key] === undefined || String(capacities[key] ?? 0) === drafts[key]) return;
+        setSavingKey(key);
+        try {
+          await saveSlotCapacity(weekday, slotStart, drafts[key]);
+          setCapacities(prev => ({ ...prev, [key]: parseInt(drafts[key], 10) }));
+          setDrafts(prev => {
+            const next = { ...prev };
+            delete next[key];
+            return next;
+          });
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setSavingKey(null);
+        }
+      };
+
+      return (
+        <Card className="shadow-lg">
+          <CardHeader>
+            <CardTitle className="text-2xl">Annahmezeiten</CardTitle>
+            <CardDescription>
+              Anlieferungen je Stunde und Wochentag, die gleichzeitig angenommen werden können. 0 = geschlossen.
+              Änderungen gelten sofort für neue Buchungen; bestehende Termine bleiben erhalten.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {isLoading ? (
+              <div className="flex justify-center py-4">
+                <Loader2 className="h-6 w-6 animate-spin text-primary" />
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="text-sm">
+                  <thead>
+                    <tr>
+                      <th scope="col" className="px-2 py-2 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Zeit</th>
+                      {SELF_DELIVERY_WEEKDAYS.map(weekday => (
+                        <th key={weekday.value} scope="col" className="px-2 py-2 text-center text-xs font-medium text-muted-foreground uppercase tracking-wider">{weekday.label}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {SLOT_STARTS.map(slotStart => (
+                      <tr key={slotStart}>
+                        <td className="px-2 py-1 whitespace-nowrap text-muted-foreground">{toShortTime(slotStart)}</td>
+                        {SELF_DELIVERY_WEEKDAYS.map(weekday => {
+                          const key = toCellKey(weekday.value, slotStart);
+                          const value = drafts[key] ?? String(capacities[key] ?? 0);
+                          return (
+                            <td key={key} className="px-1 py-1">
+                              <Input
+                                type="number"
+                                min="0"
+                                step="1"
+                                value={value}
+                                onChange={(e) => setDrafts(prev => ({ ...prev, [key]: e.target.value }))}
+                                onBlur={() => handleBlur(weekday.value, slotStart)}
+                                disabled={savingKey === key}
+                                aria-label={`${weekday.label} ${toShortTime(slotStart)}`}
+                                className={`w-16 h-8 text-center ${value === '0' ? 'text-muted-foreground' : 'font-semibold'}`}
+                              />
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      );
+    };
+
+    export default SelfDeliveryCapacityCard;
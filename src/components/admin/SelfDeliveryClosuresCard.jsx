@@ -0,0 +1,135 @@
+import React, { useState, useEffect, useCallback } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Input } from '@/components/ui/input';
+    import { Label } from '@/components/ui/label';
+    import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/card';
+    import { Loader2, CalendarPlus, Trash2 } from 'lucide-react';
+    import { useToast } from '@/components/ui/use-toast';
+    import { fetchClosures, createClosure, deleteClosure } from '@/lib/selfDeliverySlots';
+    import { getBrandenburgHolidays } from '@/lib/holidays';
+
+    const EMPTY_CLOSURE = { date_from: '', date_to: '', reason: '' };
+
+    const formatDate = (value) =>
+      new Date(`${value}T12:00:00`).toLocaleDateString('de-DE', { weekday: 'short', day: '2-digit', month: '2-digit', year: 'numeric' });
+
+    // Feiertage der nächsten zwölf Monate, nur zur Information – sie sind immer gesperrt.
+    const getUpcomingHolidays = () => {
+      const today = new Date().toLocaleDateString('sv-SE');
+      const year = new Date().getFullYear();
+      return [...getBrandenburgHolidays(year), ...getBrandenburgHolidays(year + 1)]
+        .filter(([date]) => date >= today)
+        .slice(0, 12);
+    };
+
+    const SelfDeliveryClosuresCard = () => {
+      const { toast } = useToast();
+      const [closures, setClosures] = useState([]);
+      const [newClosure, setNewClosure] = useState(EMPTY_CLOSURE);
+      const [isLoading, setIsLoading] = useState(true);
+      const [isSaving, setIsSaving] = useState(false);
+
+      const loadClosures = useCallback(async () => {
+        try {
+          setClosures(await fetchClosures());
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setIsLoading(false);
+        }
+      }, [toast]);
+
+      useEffect(() => {
+        loadClosures();
+      }, [loadClosures]);
+
+      const handleAdd = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        try {
+          await createClosure({ ...newClosure, date_to: newClosure.date_to || newClosure.date_from });
+          toast({ title: "Gespeichert", description: "Im Zeitraum werden keine Anlieferungen mehr angeboten.", variant: "success" });
+          setNewClosure(EMPTY_CLOSURE);
+          loadClosures();
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setIsSaving(false);
+        }
+      };
+
+      const handleDelete = async (closure) => {
+        try {
+          await deleteClosure(closure.id);
+          loadClosures();
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        }
+      };
+
+      return (
+        <Card className="shadow-lg">
+          <CardHeader>
+            <CardTitle className="text-2xl">Schließtage</CardTitle>
+            <CardDescription>
+              Betriebsurlaub und andere Tage ohne Warenannahme. Bereits gebuchte Termine in diesem Zeitraum bleiben bestehen und sollten abgesagt werden.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <form onSubmit={handleAdd} className="flex flex-wrap items-end gap-4">
+              <div>
+                <Label htmlFor="closureFrom">Von</Label>
+                <Input id="closureFrom" type="date" value={newClosure.date_from} onChange={(e) => setNewClosure(prev => ({ ...prev, date_from: e.target.value }))} className="mt-1" required />
+              </div>
+              <div>
+                <Label htmlFor="closureTo">Bis</Label>
+                <Input id="closureTo" type="date" value={newClosure.date_to} min={newClosure.date_from} onChange={(e) => setNewClosure(prev => ({ ...prev, date_to: e.target.value }))} className="mt-1" />
+              </div>
+              <div className="flex-1 min-w-[12rem]">
+                <Label htmlFor="closureReason">Grund</Label>
+                <Input id="closureReason" value={newClosure.reason} onChange={(e) => setNewClosure(prev => ({ ...prev, reason: e.target.value }))} className="mt-1" placeholder="z.B. Betriebsurlaub" />
+              </div>
+              <Button type="submit" disabled={isSaving}>
+                {isSaving ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <CalendarPlus className="mr-2 h-4 w-4" />}
+                Schließtag eintragen
+              </Button>
+            </form>
+
+            {isLoading ? (
+              <div className="flex justify-center py-4">
+                <Loader2 className="h-6 w-6 animate-spin text-primary" />
+              </div>
+            ) : closures.length === 0 ? (
+              <p className="text-muted-foreground text-center py-2">Keine Schließtage eingetragen.</p>
+            ) : (
+              <ul className="divide-y text-sm">
+                {closures.map(closure => (
+                  <li key={closure.id} className="py-2 flex justify-between items-center gap-4">
+                    <span>
+                      <span className="font-medium">
+                        {formatDate(closure.date_from)}{closure.date_to !== closure.date_from ? ` – ${formatDate(closure.date_to)}` : ''}
+                      </span>
+                      {closure.reason && <span className="block text-xs text-muted-foreground">{closure.reason}</span>}
+                    </span>
+                    <Button size="sm" variant="outline" onClick={() => handleDelete(closure)} title="Löschen">
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div className="pt-4 border-t">
+              <h3 className="text-sm font-semibold mb-2">Gesetzliche Feiertage (Brandenburg, automatisch gesperrt)</h3>
+              <ul className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-1 text-sm text-muted-foreground">
+                {getUpcomingHolidays().map(([date, name]) => (
+                  <li key={date}>{formatDate(date)} · {name}</li>
+                ))}
+              </ul>
+            </div>
+          </CardContent>
+        </Card>
+      );
+    };
+
+    export default SelfDeliveryClosuresCard;
@@ -0,0 +1,98 @@
+import React, { useState, useEffect, useCallback } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Loader2, Truck, RefreshCw } from 'lucide-react';
+    import { useToast } from '@/components/ui/use-toast';
+    import { getTrackingStatusLabel } from '@/lib/shippingCarrier';
+    import { fetchShipmentLabels, syncShipmentTrackingStatuses, TRACKING_STATUS_BADGE_CLASSES, FINAL_TRACKING_STATUSES } from '@/lib/shipmentTracking';
+
+    const formatDateTime = (value) => new Date(value).toLocaleString('de-DE', {
+      day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+
+    const ShipmentLabelsSection = ({ request }) => {
+      const { toast } = useToast();
+      const [labels, setLabels] = useState([]);
+      const [isLoading, setIsLoading] = useState(true);
+      const [isSyncing, setIsSyncing] = useState(false);
+
+      const loadLabels = useCallback(async () => {
+        setIsLoading(true);
+        try {
+          setLabels(await fetchShipmentLabels(request.id));
+        } catch (error) {
+          toast({ title: 'Fehler', description: error.message, variant: 'destructive' });
+        } finally {
+          setIsLoading(false);
+        }
+      }, [request.id, toast]);
+
+      useEffect(() => {
+        loadLabels();
+      }, [loadLabels]);
+
+      const handleSync = async () => {
+        setIsSyncing(true);
+        try {
+          const { checked, changed, failed } = await syncShipmentTrackingStatuses({ ankaufRequestId: request.id });
+          toast({
+            title: 'Sendungsstatus abgefragt',
+            description: `${checked} geprüft, ${changed} geändert${failed ? `, ${failed} fehlgeschlagen` : ''}.`,
+            variant: failed ? 'warning' : 'success',
+          });
+          await loadLabels();
+        } catch (error) {
+          toast({ title: 'Fehler', description: error.message, variant: 'destructive' });
+        } finally {
+          setIsSyncing(false);
+        }
+      };
+
+      const hasOpenLabels = labels.some(label => !FINAL_TRACKING_STATUSES.includes(label.tracking_status));
+
+      return (
+        <div className="p-4 border rounded-lg text-sm">
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="font-semibold flex items-center"><Truck className="mr-2 h-4 w-4" /> Sendungen</h4>
+            {hasOpenLabels && (
+              <Button variant="outline" size="sm" onClick={handleSync} disabled={isSyncing}>
+                {isSyncing ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <RefreshCw className="mr-2 h-4 w-4" />}
+                Status abfragen
+              </Button>
+            )}
+          </div>
+          {isLoading ? (
+            <div className="flex justify-center py-4"><Loader2 className="h-5 w-5 animate-spin text-primary" /></div>
+          ) : labels.length === 0 ? (
+            <p className="text-muted-foreground">Noch keine Versandlabels erstellt ({request.number_of_labels} angefordert).</p>
+          ) : (
+            <ul className="space-y-2">
+              {labels.map((label) => (
+                <li key={label.id} className="flex flex-wrap items-start justify-between gap-2 border-b last:border-b-0 pb-2 last:pb-0">
+                  <div>
+                    <p className="font-mono">{label.reference}</p>
+                    <p className="text-xs text-muted-foreground">
+                      {label.tracking_number ? `Sendungsnr. ${label.tracking_number}` : 'Keine Sendungsnummer'} · erstellt {formatDateTime(label.created_at)}
+                    </p>
+                    {label.tracking_status_text && <p className="text-xs italic">{label.tracking_status_text}</p>}
+                    {label.label_url && (
+                      <a href={label.label_url} target="_blank" rel="noopener noreferrer" className="text-xs text-primary hover:underline">Label öffnen</a>
+                    )}
+                  </div>
+                  <div className="text-right">
+                    <span className={`px-2 py-1 text-xs font-semibold rounded-full ${TRACKING_STATUS_BADGE_CLASSES[label.tracking_status] || TRACKING_STATUS_BADGE_CLASSES.unknown}`}>
+                      {getTrackingStatusLabel(label.tracking_status)}
+                    </span>
+                    <p className="text-xs text-muted-foreground mt-1">seit {formatDateTime(label.status_changed_at)}</p>
+                    {!label.first_scanned_at && !FINAL_TRACKING_STATUSES.includes(label.tracking_status) && (
+                      <p className="text-xs text-amber-600">Noch nicht eingeliefert</p>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      );
+    };
+
+    export default ShipmentLabelsSection;
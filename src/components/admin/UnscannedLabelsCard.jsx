@@ -0,0 +1,96 @@
+import React, { useState, useEffect, useCallback } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/card';
+    import { Loader2, AlertTriangle, RefreshCw } from 'lucide-react';
+    import { useToast } from '@/components/ui/use-toast';
+    import { getTrackingStatusLabel } from '@/lib/shippingCarrier';
+    import { fetchUnscannedShipmentLabels, syncShipmentTrackingStatuses, UNSCANNED_LABEL_ALERT_DAYS } from '@/lib/shipmentTracking';
+
+    const formatDate = (value) => new Date(value).toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit', year: 'numeric' });
+
+    const getAgeInDays = (value) => Math.floor((Date.now() - new Date(value).getTime()) / (24 * 60 * 60 * 1000));
+
+    // Warnliste: Labels, die seit UNSCANNED_LABEL_ALERT_DAYS Tagen nicht beim Paketdienst eingeliefert wurden.
+    const UnscannedLabelsCard = ({ onOpenRequest }) => {
+      const { toast } = useToast();
+      const [labels, setLabels] = useState([]);
+      const [isLoading, setIsLoading] = useState(true);
+      const [isSyncing, setIsSyncing] = useState(false);
+
+      const loadLabels = useCallback(async () => {
+        try {
+          setLabels(await fetchUnscannedShipmentLabels());
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setIsLoading(false);
+        }
+      }, [toast]);
+
+      useEffect(() => {
+        loadLabels();
+      }, [loadLabels]);
+
+      const handleSync = async () => {
+        setIsSyncing(true);
+        try {
+          const { checked, changed, failed } = await syncShipmentTrackingStatuses();
+          toast({
+            title: "Sendungsstatus aktualisiert",
+            description: `${checked} Sendungen abgefragt, ${changed} geändert${failed ? `, ${failed} fehlgeschlagen` : ''}.`,
+            variant: failed ? "warning" : "success",
+          });
+          await loadLabels();
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setIsSyncing(false);
+        }
+      };
+
+      return (
+        <Card className={`mb-6 ${labels.length > 0 ? 'border-amber-400' : ''}`}>
+          <CardHeader className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 space-y-0">
+            <div>
+              <CardTitle className="text-lg flex items-center">
+                {labels.length > 0 && <AlertTriangle className="mr-2 h-5 w-5 text-amber-500" />}
+                Nicht eingelieferte Pakete
+              </CardTitle>
+              <CardDescription>Versandlabels älter als {UNSCANNED_LABEL_ALERT_DAYS} Tage ohne Scan beim Paketdienst.</CardDescription>
+            </div>
+            <Button variant="outline" size="sm" onClick={handleSync} disabled={isSyncing}>
+              {isSyncing ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <RefreshCw className="mr-2 h-4 w-4" />}
+              Sendungsstatus aktualisieren
+            </Button>
+          </CardHeader>
+          <CardContent>
+            {isLoading ? (
+              <div className="flex justify-center py-2"><Loader2 className="h-5 w-5 animate-spin text-primary" /></div>
+            ) : labels.length === 0 ? (
+              <p className="text-sm text-muted-foreground">Alle Labels wurden rechtzeitig eingeliefert.</p>
+            ) : (
+              <ul className="divide-y text-sm">
+                {labels.map((label) => (
+                  <li key={label.id} className="py-2 flex flex-wrap items-center justify-between gap-2">
+                    <div>
+                      <button type="button" onClick={() => onOpenRequest && onOpenRequest(label)} className="font-mono text-primary hover:underline">
+                        {label.reference}
+                      </button>
+                      <span className="ml-2">{label.customer_name}</span>
+                      {label.customer_email && (
+                        <a href={`mailto:${label.customer_email}`} className="ml-2 text-muted-foreground hover:underline">{label.customer_email}</a>
+                      )}
+                    </div>
+                    <span className="text-muted-foreground">
+                      {getTrackingStatusLabel(label.tracking_status)} · erstellt {formatDate(label.created_at)} ({getAgeInDays(label.created_at)} Tage)
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </CardContent>
+        </Card>
+      );
+    };
+
+    export default UnscannedLabelsCard;
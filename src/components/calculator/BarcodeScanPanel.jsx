@@ -0,0 +1,245 @@
+import React, { useState, useCallback, useRef } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Input } from '@/components/ui/input';
+    import { Label } from '@/components/ui/label';
+    import { Card, CardContent, CardHeader, CardTitle, CardDescription, CardFooter } from '@/components/ui/card';
+    import { Camera, CameraOff, Loader2, PlusCircle, Trash2, Minus, Plus, AlertTriangle } from 'lucide-react';
+    import { useToast } from '@/components/ui/use-toast';
+    import CameraScanner from '@/components/shared/CameraScanner';
+    import { normalizeProductCode, lookupProductCode, formatProductCode, buildProductCodeCartItem } from '@/lib/productCodes';
+    import { findCategoryForEan, getEanProductKind, EAN_KIND_LABELS } from '@/lib/eanCategories';
+    import { buildCategoryCartItem } from '@/lib/cartItemUnits';
+
+    const SCAN_FORMATS = ['ean13', 'ean8', 'upcA'];
+    const DUPLICATE_WINDOW_MS = 2000;
+
+    // Gescannte Codes einer Gewichtskategorie werden zusammen gewogen.
+    const groupWeightEntries = (entries) => entries.reduce((groups, entry) => {
+      if (entry.status !== 'category' || entry.category.isPerPiece) return groups;
+      const group = groups.find(g => g.category.id === entry.category.id);
+      if (group) {
+        group.count += entry.count;
+      } else {
+        groups.push({ category: entry.category, count: entry.count });
+      }
+      return groups;
+    }, []);
+
+    const BarcodeScanPanel = ({ categories, onAddItems }) => {
+      const { toast } = useToast();
+      const [isCameraOn, setIsCameraOn] = useState(false);
+      const [entries, setEntries] = useState([]);
+      const [groupWeights, setGroupWeights] = useState({});
+      const [manualCode, setManualCode] = useState('');
+      const knownCodesRef = useRef(new Set());
+
+      const resolveEntry = useCallback(async (code) => {
+        let match = null;
+        try {
+          match = await lookupProductCode(code);
+        } catch (error) {
+          // Ohne Preisliste bleibt die Zuordnung über den Präfix.
+          console.error('BarcodeScanPanel: Preisliste nicht erreichbar:', error);
+        }
+        const category = match ? null : findCategoryForEan(code, categories);
+        const status = match ? 'priced' : category ? 'category' : 'unmatched';
+        setEntries(prev => prev.map(entry => (entry.code === code ? { ...entry, status, match, category } : entry)));
+      }, [categories]);
+
+      const handleCode = useCallback((rawCode) => {
+        const code = normalizeProductCode(rawCode);
+        if (!code) return false;
+        // Erneut gescannte Codes zählen als weiteres Exemplar desselben Artikels.
+        if (knownCodesRef.current.has(code)) {
+          setEntries(prev => prev.map(entry => (entry.code === code ? { ...entry, count: entry.count + 1 } : entry)));
+        } else {
+          knownCodesRef.current.add(code);
+          setEntries(prev => [{ code, count: 1, status: 'loading', match: null, category: null }, ...prev]);
+          resolveEntry(code);
+        }
+        if (navigator.vibrate) navigator.vibrate(80);
+        return true;
+      }, [resolveEntry]);
+
+      const handleDetected = useCallback(({ text }) => {
+        handleCode(text);
+      }, [handleCode]);
+
+      const handleManualSubmit = (e) => {
+        e.preventDefault();
+        if (handleCode(manualCode)) {
+          setManualCode('');
+        } else {
+          toast({ title: 'Ungültiger Code', description: 'Bitte prüfe die ISBN/EAN. Länge oder Prüfziffer stimmen nicht.', variant: 'destructive' });
+        }
+      };
+
+      const changeCount = (code, delta) => {
+        const entry = entries.find(e => e.code === code);
+        if (entry && entry.count + delta <= 0) knownCodesRef.current.delete(code);
+        setEntries(prev => prev
+          .map(entry => (entry.code === code ? { ...entry, count: entry.count + delta } : entry))
+          .filter(entry => entry.count > 0));
+      };
+
+      const handleAddAll = () => {
+        const weightGroups = groupWeightEntries(entries);
+        const missingWeight = weightGroups.find(group => !group.category.requiresContact && !(parseFloat(groupWeights[group.category.id]) > 0));
+        if (missingWeight) {
+          toast({
+            title: 'Fehlendes Gewicht',
+            description: `Bitte gib das Gesamtgewicht für "${missingWeight.category.name}" ein.`,
+            variant: 'destructive',
+          });
+          return;
+        }
+
+        const items = [];
+        entries.forEach(entry => {
+          if (entry.status === 'priced') {
+            items.push(buildProductCodeCartItem(entry.match, entry.count));
+          } else if (entry.status === 'category' && entry.category.isPerPiece) {
+            items.push(buildCategoryCartItem(entry.category, entry.count));
+          }
+        });
+        weightGroups.forEach(group => {
+          items.push(buildCategoryCartItem(group.category, parseFloat(groupWeights[group.category.id]) || 0));
+        });
+        if (items.length === 0) return;
+
+        onAddItems(items);
+        const remaining = entries.filter(entry => entry.status === 'unmatched');
+        knownCodesRef.current = new Set(remaining.map(entry => entry.code));
+        setEntries(remaining);
+        setGroupWeights({});
+      };
+
+      const weightGroups = groupWeightEntries(entries);
+      const isResolving = entries.some(entry => entry.status === 'loading');
+      const hasAddableEntries = entries.some(entry => entry.status === 'priced' || entry.status === 'category');
+
+      const describeEntry = (entry) => {
+        if (entry.status === 'loading') return 'Wird gesucht …';
+        if (entry.status === 'priced') return `${entry.match.title} · ${entry.match.price.toFixed(2)} €/Stk.`;
+        if (entry.status === 'category') {
+          const kind = EAN_KIND_LABELS[getEanProductKind(entry.code)];
+          return `${kind ? `${kind} → ` : ''}${entry.category.name} (${entry.category.isPerPiece ? 'nach Stück' : 'nach Gewicht'})`;
+        }
+        return 'Keine Zuordnung – bitte die Kategorie von Hand wählen.';
+      };
+
+      return (
+        <Card className="shadow-xl">
+          <CardHeader>
+            <CardTitle className="text-2xl text-primary flex items-center">
+              <Camera className="h-7 w-7 mr-3" /> Mit der Kamera scannen
+            </CardTitle>
+            <CardDescription>
+              Halte den Strichcode (ISBN/EAN) deiner Artikel nacheinander vor die Kamera. Bücher ordnen wir automatisch der
+              passenden Kategorie zu, gelistete Einzelartikel bekommen ihren Stückpreis.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <Button type="button" variant={isCameraOn ? 'outline' : 'default'} onClick={() => setIsCameraOn(on => !on)} className="w-full">
+              {isCameraOn ? <CameraOff className="mr-2 h-4 w-4" /> : <Camera className="mr-2 h-4 w-4" />}
+              {isCameraOn ? 'Kamera ausschalten' : 'Kamera starten'}
+            </Button>
+            {isCameraOn && (
+              <CameraScanner
+                formats={SCAN_FORMATS}
+                onDetected={handleDetected}
+                duplicateWindowMs={DUPLICATE_WINDOW_MS}
+                showTorchToggle
+                className="aspect-video"
+              />
+            )}
+
+            <form onSubmit={handleManualSubmit} className="flex gap-2 items-end">
+              <div className="flex-grow">
+                <Label htmlFor="scanManualCode">Code von Hand eingeben</Label>
+                <Input
+                  id="scanManualCode"
+                  value={manualCode}
+                  onChange={(e) => setManualCode(e.target.value)}
+                  placeholder="z.B. 978-3-16-148410-0"
+                  inputMode="numeric"
+                  autoComplete="off"
+                  className="mt-1 font-mono"
+                />
+              </div>
+              <Button type="submit" variant="outline" disabled={!manualCode.trim()}>Übernehmen</Button>
+            </form>
+
+            {entries.length > 0 && (
+              <div className="space-y-2">
+                <h4 className="font-semibold">Gescannte Artikel ({entries.reduce((sum, entry) => sum + entry.count, 0)})</h4>
+                <ul className="divide-y border rounded-lg">
+                  {entries.map(entry => (
+                    <li key={entry.code} className="flex items-center justify-between gap-3 p-3 text-sm">
+                      <div className="min-w-0">
+                        <p className="font-mono text-muted-foreground">{formatProductCode(entry.code)}</p>
+                        <p className={`truncate ${entry.status === 'unmatched' ? 'text-amber-600 dark:text-amber-400' : 'text-foreground'}`}>
+                          {entry.status === 'loading' && <Loader2 className="inline h-3 w-3 mr-1 animate-spin" />}
+                          {describeEntry(entry)}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-1 flex-shrink-0">
+                        <Button type="button" variant="ghost" size="icon" onClick={() => changeCount(entry.code, -1)} aria-label="Anzahl verringern">
+                          {entry.count > 1 ? <Minus className="h-4 w-4" /> : <Trash2 className="h-4 w-4 text-red-500" />}
+                        </Button>
+                        <span className="w-6 text-center font-semibold">{entry.count}</span>
+                        <Button type="button" variant="ghost" size="icon" onClick={() => changeCount(entry.code, 1)} aria-label="Anzahl erhöhen">
+                          <Plus className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {weightGroups.length > 0 && (
+              <div className="space-y-3">
+                <p className="text-sm text-muted-foreground">Gewichtskategorien werden nach Kilo bezahlt. Bitte wiege die gescannten Artikel zusammen.</p>
+                {weightGroups.map(group => (
+                  <div key={group.category.id}>
+                    <Label htmlFor={`scanWeight-${group.category.id}`}>
+                      Gesamtgewicht {group.category.name} in kg ({group.count} Artikel)
+                    </Label>
+                    <Input
+                      id={`scanWeight-${group.category.id}`}
+                      type="text"
+                      inputMode="decimal"
+                      value={groupWeights[group.category.id] || ''}
+                      onChange={(e) => {
+                        const value = e.target.value;
+                        if (/^\d*\.?\d*$/.test(value)) setGroupWeights(prev => ({ ...prev, [group.category.id]: value }));
+                      }}
+                      placeholder="z.B. 2.5"
+                      disabled={group.category.requiresContact}
+                      className="mt-1"
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {entries.some(entry => entry.status === 'unmatched') && (
+              <div className="flex items-start p-3 bg-amber-50 dark:bg-amber-900/30 border border-amber-300 dark:border-amber-700 rounded-md text-amber-700 dark:text-amber-300 text-sm">
+                <AlertTriangle className="h-5 w-5 mr-2 mt-0.5 flex-shrink-0" />
+                <p>Nicht zugeordnete Codes bleiben in der Liste. Wähle für diese Artikel die Kategorie unter "Nach Kategorie & Gewicht".</p>
+              </div>
+            )}
+          </CardContent>
+          {hasAddableEntries && (
+            <CardFooter>
+              <Button onClick={handleAddAll} disabled={isResolving} size="lg" className="w-full text-lg py-7 bg-gradient-to-r from-emerald-500 to-sky-500 hover:from-emerald-600 hover:to-sky-600 text-white shadow-md">
+                <PlusCircle className="mr-2 h-6 w-6" /> Alle in den Warenkorb
+              </Button>
+            </CardFooter>
+          )}
+        </Card>
+      );
+    };
+
+    export default BarcodeScanPanel;
@@ -7,8 +7,13 @@ import React from 'react';
     import { motion, AnimatePresence } from 'framer-motion';
     import { Link } from 'react-router-dom';
     import { getIconComponent } from '@/hooks/useCart'; // Corrected import
+    import CartPriceChangeNotice from '@/components/calculator/CartPriceChangeNotice';
+    import CartRestoreNotice from '@/components/calculator/CartRestoreNotice';
+    import CartShareButton from '@/components/calculator/CartShareButton';
+    import { formatUnitPrice, isPerPieceItem } from '@/lib/cartItemUnits';
+    import { formatProductCode } from '@/lib/productCodes';
 
-    const CartDisplay = ({ cartItems, totalWeight, totalPrice, onRemoveItem, onUpdateItemWeight }) => {
+    const CartDisplay = ({ cartItems, totalWeight, totalPrice, onRemoveItem, onUpdateItemWeight, onUpdateItemQuantity }) => {
       
       const renderItemIcon = (iconName) => {
         const icon = getIconComponent(iconName, { className: "h-8 w-8 text-primary mr-3 flex-shrink-0" });
@@ -22,6 +27,7 @@ import React from 'react';
               <ShoppingCart className="mr-3 h-7 w-7" /> Dein Warenkorb
             </CardTitle>
             {cartItems.length === 0 && <CardDescription>Dein Warenkorb ist leer. Füge Artikel hinzu, um den Wert zu sehen.</CardDescription>}
+            <CartRestoreNotice className="mt-2" />
           </CardHeader>
           <CardContent className={`space-y-4 ${cartItems.length > 0 ? 'max-h-[calc(100vh-30rem)] overflow-y-auto pr-2' : ''}`}>
             <AnimatePresence>
@@ -40,27 +46,47 @@ import React from 'react';
                       <div>
                         <p className="font-semibold text-foreground text-base">{item.category.split('(')[0].trim()}</p>
                         <p className="text-xs text-muted-foreground">
-                          {item.requiresContact ? 'Preis auf Anfrage' : `${(item.pricePerKg || 0).toFixed(2)} €/kg`}
+                          {item.requiresContact ? 'Preis auf Anfrage' : formatUnitPrice(item)}
                         </p>
+                        {item.productCode && <p className="text-xs text-muted-foreground font-mono">{formatProductCode(item.productCode)}</p>}
                       </div>
                     </div>
                     <Button variant="ghost" size="icon" onClick={() => onRemoveItem(item.id)} className="text-destructive hover:text-destructive/80 h-8 w-8">
                       <Trash2 className="h-4 w-4" />
                     </Button>
                   </div>
-                  <div className="flex items-center space-x-2">
-                    <Label htmlFor={`weight-${item.id}`} className="text-sm whitespace-nowrap">Gewicht (kg):</Label>
-                    <Input
-                      id={`weight-${item.id}`}
-                      type="text"
-                      inputMode="decimal"
-                      value={item.weight === 0 && item.price === 0 && !item.requiresContact ? '' : item.weight.toString()}
-                      onChange={(e) => onUpdateItemWeight(item.id, e.target.value)}
-                      className="w-24 h-9 text-sm"
-                      disabled={item.requiresContact}
-                    />
-                    <p className="text-sm font-medium text-foreground ml-auto">= {(item.price || 0).toFixed(2)} €</p>
-                  </div>
+                  {isPerPieceItem(item) ? (
+                    <div className="flex items-center space-x-2">
+                      <Label htmlFor={`quantity-${item.id}`} className="text-sm whitespace-nowrap">Anzahl (Stk.):</Label>
+                      <Input
+                        id={`quantity-${item.id}`}
+                        type="text"
+                        inputMode="numeric"
+                        value={item.quantity === 0 && !item.requiresContact ? '' : String(item.quantity)}
+                        onChange={(e) => onUpdateItemQuantity(item.id, e.target.value)}
+                        className="w-24 h-9 text-sm"
+                        disabled={item.requiresContact}
+                      />
+                      <p className="text-sm font-medium text-foreground ml-auto">= {(item.price || 0).toFixed(2)} €</p>
+                    </div>
+                  ) : (
+                    <div className="flex items-center space-x-2">
+                      <Label htmlFor={`weight-${item.id}`} className="text-sm whitespace-nowrap">Gewicht (kg):</Label>
+                      <Input
+                        id={`weight-${item.id}`}
+                        type="text"
+                        inputMode="decimal"
+                        value={item.weight === 0 && item.price === 0 && !item.requiresContact ? '' : item.weight.toString()}
+                        onChange={(e) => onUpdateItemWeight(item.id, e.target.value)}
+                        className="w-24 h-9 text-sm"
+                        disabled={item.requiresContact}
+                      />
+                      <p className="text-sm font-medium text-foreground ml-auto">= {(item.price || 0).toFixed(2)} €</p>
+                    </div>
+                  )}
+                  {isPerPieceItem(item) && item.weight > 0 && (
+                    <p className="text-xs text-muted-foreground mt-1.5">Geschätztes Gewicht: ca. {item.weight.toFixed(2)} kg</p>
+                  )}
                   {item.requiresContact && (
                     <p className="text-xs text-amber-600 dark:text-amber-400 mt-1.5">Preis wird nach Kontaktaufnahme festgelegt.</p>
                   )}
@@ -70,6 +96,7 @@ import React from 'react';
           </CardContent>
           {cartItems.length > 0 && (
             <CardFooter className="flex-col items-stretch space-y-4 pt-6 border-t">
+              <CartPriceChangeNotice />
               <div className="flex justify-between text-lg font-semibold">
                 <span className="text-foreground">Gesamtgewicht:</span>
                 <span className="text-primary">{totalWeight.toFixed(2)} kg</span>
@@ -83,6 +110,7 @@ import React from 'react';
                   Ankauf abschließen <ShoppingCart className="ml-2 h-5 w-5" />
                 </Link>
               </Button>
+              <CartShareButton cartItems={cartItems} />
             </CardFooter>
           )}
         </Card>
@@ -0,0 +1,54 @@
+import React from 'react';
+    import { Button } from '@/components/ui/button';
+    import { AlertTriangle, Clock } from 'lucide-react';
+    import { useCart } from '@/hooks/useCart';
+    import { getUnitLabel } from '@/lib/cartItemUnits';
+
+    const formatDateTime = (value) => new Date(value).toLocaleString('de-DE', {
+      day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+
+    const CartPriceChangeNotice = ({ className = '' }) => {
+      const { priceChanges, nextCartChangeAt, applyCurrentPrices } = useCart();
+
+      if (priceChanges.length > 0) {
+        return (
+          <div className={`p-4 border border-amber-300 rounded-lg bg-amber-50 dark:bg-amber-900/30 text-sm space-y-3 ${className}`}>
+            <p className="font-semibold flex items-center text-amber-800 dark:text-amber-200">
+              <AlertTriangle className="mr-2 h-4 w-4 flex-shrink-0" /> Die Ankaufspreise haben sich seit deiner Berechnung geändert
+            </p>
+            <ul className="space-y-1">
+              {priceChanges.map(change => (
+                <li key={change.itemId} className="flex justify-between gap-2">
+                  <span>{change.category.split('(')[0].trim()}</span>
+                  <span className="text-muted-foreground whitespace-nowrap">
+                    {change.deactivated
+                      ? 'wird nicht mehr angekauft'
+                      : `${(change.oldPricePerKg || 0).toFixed(2)} € → ${change.newPricePerKg.toFixed(2)} €/${getUnitLabel(change)}`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+            <Button type="button" size="sm" onClick={applyCurrentPrices} className="w-full">
+              Aktuelle Preise übernehmen
+            </Button>
+          </div>
+        );
+      }
+
+      if (nextCartChangeAt) {
+        return (
+          <div className={`p-3 border rounded-lg bg-slate-50 dark:bg-slate-800/50 text-xs text-muted-foreground flex items-start ${className}`}>
+            <Clock className="mr-2 h-4 w-4 flex-shrink-0" />
+            <span>
+              Ab {formatDateTime(nextCartChangeAt)} gelten für Artikel in deinem Warenkorb neue Ankaufspreise.
+              Sende deinen Ankauf vorher ab, damit der berechnete Preis gilt.
+            </span>
+          </div>
+        );
+      }
+
+      return null;
+    };
+
+    export default CartPriceChangeNotice;
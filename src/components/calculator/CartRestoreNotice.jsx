@@ -0,0 +1,39 @@
+import React from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Info, X } from 'lucide-react';
+    import { useCart } from '@/hooks/useCart';
+    import { getUnitLabel } from '@/lib/cartItemUnits';
+
+    // Hinweis nach dem Wiederherstellen eines gespeicherten Warenkorbs, dessen Preise bereits angepasst wurden.
+    const CartRestoreNotice = ({ className = '' }) => {
+      const { restoredPriceChanges, dismissRestoredPriceChanges } = useCart();
+
+      if (restoredPriceChanges.length === 0) return null;
+
+      return (
+        <div className={`p-4 border border-sky-300 rounded-lg bg-sky-50 dark:bg-sky-900/30 text-sm space-y-3 ${className}`}>
+          <div className="flex justify-between items-start gap-2">
+            <p className="font-semibold flex items-center text-sky-800 dark:text-sky-200">
+              <Info className="mr-2 h-4 w-4 flex-shrink-0" /> Dein gespeicherter Warenkorb wurde auf die aktuellen Preise umgestellt
+            </p>
+            <Button type="button" variant="ghost" size="icon" className="h-6 w-6 flex-shrink-0" onClick={dismissRestoredPriceChanges} aria-label="Hinweis schließen">
+              <X className="h-4 w-4" />
+            </Button>
+          </div>
+          <ul className="space-y-1">
+            {restoredPriceChanges.map(change => (
+              <li key={change.itemId} className="flex justify-between gap-2">
+                <span>{change.category.split('(')[0].trim()}</span>
+                <span className="text-muted-foreground whitespace-nowrap">
+                  {change.deactivated
+                    ? 'nicht mehr im Ankauf – entfernt'
+                    : `${(change.oldPricePerKg || 0).toFixed(2)} € → ${change.newPricePerKg.toFixed(2)} €/${getUnitLabel(change)}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      );
+    };
+
+    export default CartRestoreNotice;
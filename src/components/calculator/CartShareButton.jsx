@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Input } from '@/components/ui/input';
+    import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogFooter } from '@/components/ui/dialog';
+    import { Link2, Copy, Mail, Share2, Loader2 } from 'lucide-react';
+    import { useToast } from '@/components/ui/use-toast';
+    import { createSharedCart, buildSharedCartUrl } from '@/lib/cartStorage';
+
+    // "Warenkorb an mich senden": speichert den Warenkorb unter einem Token und zeigt den Link zum Kopieren.
+    const CartShareButton = ({ cartItems }) => {
+      const { toast } = useToast();
+      const [isOpen, setIsOpen] = useState(false);
+      const [isCreating, setIsCreating] = useState(false);
+      const [shareUrl, setShareUrl] = useState('');
+
+      const handleCreate = async () => {
+        setIsCreating(true);
+        setShareUrl('');
+        setIsOpen(true);
+        try {
+          const token = await createSharedCart(cartItems);
+          setShareUrl(buildSharedCartUrl(token));
+        } catch (error) {
+          setIsOpen(false);
+          toast({ title: 'Fehler', description: error.message, variant: 'destructive' });
+        } finally {
+          setIsCreating(false);
+        }
+      };
+
+      const handleCopy = async () => {
+        try {
+          await navigator.clipboard.writeText(shareUrl);
+          toast({ title: 'Link kopiert', description: 'Öffne den Link auf deinem anderen Gerät, um den Warenkorb zu übernehmen.', variant: 'success' });
+        } catch (error) {
+          toast({ title: 'Kopieren nicht möglich', description: 'Bitte markiere den Link und kopiere ihn von Hand.', variant: 'warning' });
+        }
+      };
+
+      const handleShare = async () => {
+        try {
+          await navigator.share({ title: 'Mein Buchretter-Warenkorb', url: shareUrl });
+        } catch (error) {
+          // Abbruch durch den Nutzer ist kein Fehler.
+        }
+      };
+
+      const mailtoHref = `mailto:?subject=${encodeURIComponent('Mein Buchretter-Warenkorb')}&body=${encodeURIComponent(`Hier geht es zu meinem Warenkorb: ${shareUrl}`)}`;
+
+      return (
+        <>
+          <Button type="button" variant="outline" onClick={handleCreate} disabled={isCreating || cartItems.length === 0} className="w-full">
+            <Link2 className="mr-2 h-4 w-4" /> Warenkorb-Link an mich senden
+          </Button>
+          <Dialog open={isOpen} onOpenChange={setIsOpen}>
+            <DialogContent className="max-w-lg">
+              <DialogHeader>
+                <DialogTitle>Warenkorb auf anderem Gerät öffnen</DialogTitle>
+                <DialogDescription>
+                  Über diesen Link kannst du deinen Warenkorb 30 Tage lang auf jedem Gerät wiederherstellen. Er enthält nur die Artikel, keine persönlichen Daten.
+                </DialogDescription>
+              </DialogHeader>
+              {isCreating ? (
+                <div className="flex justify-center py-6"><Loader2 className="h-6 w-6 animate-spin text-primary" /></div>
+              ) : (
+                <Input value={shareUrl} readOnly onFocus={(e) => e.target.select()} className="font-mono text-sm" aria-label="Warenkorb-Link" />
+              )}
+              <DialogFooter className="gap-2 sm:gap-0">
+                {typeof navigator !== 'undefined' && navigator.share && (
+                  <Button type="button" variant="outline" onClick={handleShare} disabled={!shareUrl}>
+                    <Share2 className="mr-2 h-4 w-4" /> Teilen
+                  </Button>
+                )}
+                <Button asChild variant="outline" disabled={!shareUrl}>
+                  <a href={mailtoHref}><Mail className="mr-2 h-4 w-4" /> Per E-Mail</a>
+                </Button>
+                <Button type="button" onClick={handleCopy} disabled={!shareUrl}>
+                  <Copy className="mr-2 h-4 w-4" /> Link kopieren
+                </Button>
+              </DialogFooter>
+            </DialogContent>
+          </Dialog>
+        </>
+      );
+    };
+
+    export default CartShareButton;
@@ -54,7 +54,7 @@ import React from 'react';
                   </CardHeader>
                   <CardContent className="p-2 pt-0 text-center">
                      <p className="text-base font-medium text-muted-foreground group-hover:text-primary transition-colors">
-                        {category.pricePerKg > 0 ? `${category.pricePerKg.toFixed(2)} €/kg` : 'Auf Anfrage'}
+                        {category.pricePerKg > 0 ? `${category.pricePerKg.toFixed(2)} €/${category.isPerPiece ? 'Stk.' : 'kg'}` : 'Auf Anfrage'}
                      </p>
                   </CardContent>
                   <div className="bg-slate-50 dark:bg-slate-800/50 p-2 text-center text-xs font-medium text-primary group-hover:bg-primary group-hover:text-primary-foreground transition-colors flex items-center justify-center">
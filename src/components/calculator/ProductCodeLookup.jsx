@@ -0,0 +1,120 @@
+import React, { useState, useRef } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Input } from '@/components/ui/input';
+    import { Label } from '@/components/ui/label';
+    import { Card, CardContent, CardHeader, CardTitle, CardDescription, CardFooter } from '@/components/ui/card';
+    import { Search, Loader2, PlusCircle, Barcode, AlertTriangle } from 'lucide-react';
+    import { useToast } from '@/components/ui/use-toast';
+    import { normalizeProductCode, lookupProductCode, formatProductCode, buildProductCodeCartItem } from '@/lib/productCodes';
+
+    const ProductCodeLookup = ({ onAddItem, onFallback }) => {
+      const { toast } = useToast();
+      const [codeInput, setCodeInput] = useState('');
+      const [isSearching, setIsSearching] = useState(false);
+      const [match, setMatch] = useState(null);
+      const [unmatchedCode, setUnmatchedCode] = useState(null);
+      const inputRef = useRef(null);
+
+      const resetLookup = () => {
+        setCodeInput('');
+        setMatch(null);
+        setUnmatchedCode(null);
+        if (inputRef.current) inputRef.current.focus();
+      };
+
+      const handleSearch = async (e) => {
+        e.preventDefault();
+        const code = normalizeProductCode(codeInput);
+        if (!code) {
+          toast({ title: 'Ungültiger Code', description: 'Bitte prüfe die ISBN/EAN. Länge oder Prüfziffer stimmen nicht.', variant: 'destructive' });
+          return;
+        }
+
+        setIsSearching(true);
+        setMatch(null);
+        setUnmatchedCode(null);
+        try {
+          const found = await lookupProductCode(code);
+          if (found) {
+            setMatch(found);
+          } else {
+            setUnmatchedCode(code);
+          }
+        } catch (error) {
+          toast({ title: 'Fehler', description: error.message, variant: 'destructive' });
+        } finally {
+          setIsSearching(false);
+        }
+      };
+
+      const handleAdd = () => {
+        onAddItem(buildProductCodeCartItem(match));
+        resetLookup();
+      };
+
+      return (
+        <Card className="shadow-xl">
+          <CardHeader>
+            <CardTitle className="text-2xl text-primary flex items-center">
+              <Barcode className="h-7 w-7 mr-3" /> Einzelartikel per ISBN/EAN
+            </CardTitle>
+            <CardDescription>
+              Für Sammlerstücke wie seltene Bücher, Schallplatten oder Retro-Spiele machen wir ein Angebot pro Artikel.
+              Tippe die ISBN/EAN ein oder scanne sie mit einem Handscanner.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <form onSubmit={handleSearch} className="flex gap-2 items-end">
+              <div className="flex-grow">
+                <Label htmlFor="productCode" className="font-semibold">ISBN / EAN</Label>
+                <Input
+                  ref={inputRef}
+                  id="productCode"
+                  value={codeInput}
+                  onChange={(e) => setCodeInput(e.target.value)}
+                  placeholder="z.B. 978-3-16-148410-0"
+                  inputMode="numeric"
+                  autoComplete="off"
+                  className="text-xl py-6 mt-2 font-mono"
+                />
+              </div>
+              <Button type="submit" size="lg" disabled={isSearching || !codeInput.trim()} className="py-6">
+                {isSearching ? <Loader2 className="h-5 w-5 animate-spin" /> : <Search className="h-5 w-5" />}
+                <span className="sr-only">Suchen</span>
+              </Button>
+            </form>
+
+            {match && (
+              <div className="p-4 border rounded-lg bg-slate-50 dark:bg-slate-800/50">
+                <p className="font-semibold text-lg text-foreground">{match.title}</p>
+                <p className="text-sm text-muted-foreground font-mono">{formatProductCode(match.code)}</p>
+                <p className="text-2xl font-semibold text-right mt-2">
+                  Unser Angebot: <span className="text-primary">{match.price.toFixed(2)} €</span>
+                </p>
+              </div>
+            )}
+
+            {unmatchedCode && (
+              <div className="flex items-start p-3 bg-amber-50 dark:bg-amber-900/30 border border-amber-300 dark:border-amber-700 rounded-md text-amber-700 dark:text-amber-300 text-sm">
+                <AlertTriangle className="h-5 w-5 mr-2 mt-0.5 flex-shrink-0" />
+                <div className="space-y-2">
+                  <p>{formatProductCode(unmatchedCode)} steht nicht in unserer Einzelpreisliste. Du kannst den Artikel ganz normal nach Gewicht in der passenden Kategorie verkaufen.</p>
+                  <Button type="button" variant="outline" size="sm" onClick={() => onFallback(unmatchedCode)}>
+                    Nach Gewicht berechnen
+                  </Button>
+                </div>
+              </div>
+            )}
+          </CardContent>
+          {match && (
+            <CardFooter>
+              <Button onClick={handleAdd} size="lg" className="w-full text-lg py-7 bg-gradient-to-r from-emerald-500 to-sky-500 hover:from-emerald-600 hover:to-sky-600 text-white shadow-md">
+                <PlusCircle className="mr-2 h-6 w-6" /> Artikel hinzufügen
+              </Button>
+            </CardFooter>
+          )}
+        </Card>
+      );
+    };
+
+    export default ProductCodeLookup;
@@ -1,6 +1,8 @@
 import React from 'react';
+    import { Link } from 'react-router-dom';
     import { motion } from 'framer-motion';
-    import { MailCheck } from 'lucide-react';
+    import { MailCheck, CalendarClock, MapPin } from 'lucide-react';
+    import { DROP_OFF_POINT_TYPES, formatDropOffPointAddress, formatOpeningHours } from '@/lib/dropOffPoints';
 
     const getDeliveryTypeGerman = (type) => {
       if (type === 'selbstanlieferung') return 'Selbstanlieferung';
@@ -45,9 +47,30 @@ import React from 'react';
               <div><strong className="text-slate-600">Abgabeart:</strong> {getDeliveryTypeGerman(submissionData.deliveryType)}</div>
               <div><strong className="text-slate-600">Gesamtgewicht:</strong> {submissionData.totalWeight.toFixed(2)} kg</div>
               <div><strong className="text-slate-600">Geschätzter Ankaufswert:</strong> {submissionData.totalPrice.toFixed(2)} €</div>
+              {submissionData.deliveryType === 'abholung' && submissionData.pickupFee > 0 && (
+                <div><strong className="text-slate-600">Abholgebühr (wird abgezogen):</strong> {submissionData.pickupFee.toFixed(2)} €</div>
+              )}
               {submissionData.iban && <div><strong className="text-slate-600">IBAN:</strong> {submissionData.iban}</div>}
               {submissionData.paypal && <div><strong className="text-slate-600">PayPal:</strong> {submissionData.paypal}</div>}
             </div>
+            {submissionData.deliveryType === 'selbstanlieferung' && submissionData.selfDeliveryToken && (
+              <div className="pt-3 border-t text-sm flex flex-wrap items-center gap-2">
+                <CalendarClock className="h-4 w-4 text-slate-600" />
+                <span><strong className="text-slate-600">Dein Anliefertermin:</strong> {new Date(`${submissionData.deliveryDate}T12:00:00`).toLocaleDateString('de-DE')}, {submissionData.selectedTimeSlot} Uhr</span>
+                <Link to={`/anlieferung/${submissionData.selfDeliveryToken}`} className="text-primary underline">Termin verschieben oder absagen</Link>
+              </div>
+            )}
+            {submissionData.deliveryType === 'versand' && submissionData.dropOffPoint && (
+              <div className="pt-3 border-t text-sm flex items-start gap-2">
+                <MapPin className="h-4 w-4 mt-0.5 text-slate-600 shrink-0" />
+                <div>
+                  <p>
+                    <strong className="text-slate-600">Deine Abgabestelle:</strong> {DROP_OFF_POINT_TYPES[submissionData.dropOffPoint.type]} {submissionData.dropOffPoint.name}, {formatDropOffPointAddress(submissionData.dropOffPoint)}
+                  </p>
+                  <p className="text-slate-600">Öffnungszeiten: {formatOpeningHours(submissionData.dropOffPoint.openingHours).join(', ')}</p>
+                </div>
+              </div>
+            )}
           </div>
         </>
       );
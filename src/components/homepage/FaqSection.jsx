@@ -7,6 +7,8 @@ import React from 'react';
     } from "@/components/ui/accordion";
     import { motion } from 'framer-motion';
     import { Link } from 'react-router-dom';
+    import { usePickupServiceAreas } from '@/hooks/usePickupServiceAreas';
+    import { describePickupServiceAreas, describePickupMinWeight, hasPickupFees } from '@/lib/pickupServiceAreas';
 
     const faqs = [
       {
@@ -35,7 +37,14 @@ import React from 'react';
       },
       {
         question: "Gibt es ein Mindestgewicht für den kostenlosen Versand oder die Abholung?",
-        answer: "Ja, für den kostenlosen Versand per DHL benötigen wir ein Mindestgesamtgewicht von 10 kg. Für eine kostenlose Abholung im Umkreis von ca. 30 km um Klosterfelde (PLZ 16348) ist ein Mindestgewicht von 15 kg erforderlich."
+        // Abholgebiete und Mindestgewichte kommen aus der Verwaltung (pickup_service_areas).
+        answer: ({ pickupAreas }) => {
+          const minWeight = describePickupMinWeight(pickupAreas);
+          const pickupText = minWeight
+            ? `Für eine Abholung in unserem Abholgebiet (${describePickupServiceAreas(pickupAreas)}) ist ein Mindestgewicht von ${minWeight} erforderlich.${hasPickupFees(pickupAreas) ? ' In einigen Gebieten fällt eine Abholgebühr an.' : ''}`
+            : 'Ob wir bei dir abholen können, prüfen wir im Ankaufsformular anhand deiner PLZ.';
+          return `Ja, für den kostenlosen Versand per DHL benötigen wir ein Mindestgesamtgewicht von 10 kg. ${pickupText}`;
+        }
       },
       {
         question: "Welche Artikel kann ich genau verkaufen?",
@@ -61,6 +70,8 @@ import React from 'react';
     };
     
     const FaqSection = () => {
+      const { areas: pickupAreas } = usePickupServiceAreas();
+
       return (
         <motion.section 
           className="py-16"
@@ -85,7 +96,7 @@ import React from 'react';
                       {faq.question}
                     </AccordionTrigger>
                     <AccordionContent className="text-muted-foreground pt-2 leading-relaxed">
-                      {faq.answer}
+                      {typeof faq.answer === 'function' ? faq.answer({ pickupAreas }) : faq.answer}
                     </AccordionContent>
                   </AccordionItem>
                 </motion.div>
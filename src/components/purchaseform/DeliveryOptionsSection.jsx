@@ -3,10 +3,22 @@ import React from 'react';
     import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
     import { motion } from 'framer-motion';
     import { AlertCircle } from 'lucide-react';
+    import { usePickupServiceAreas } from '@/hooks/usePickupServiceAreas';
+    import { describePickupServiceAreas, getLowestPickupMinWeight, formatWeight, formatPickupFee } from '@/lib/pickupServiceAreas';
 
     const DeliveryOptionsSection = ({ formData, handleSelectChange, totalWeight, zipEligibility }) => {
       const safeZipEligibility = zipEligibility || { isEligible: false, message: "PLZ Prüfung ausstehend." };
-      const isAbholungDisabled = totalWeight < 15 || (formData.zip.length === 5 && !safeZipEligibility.isEligible);
+      const { areas: pickupServiceAreas } = usePickupServiceAreas();
+      const pickupArea = safeZipEligibility.area;
+      // Mit bekannter PLZ gilt das Mindestgewicht ihres Gebiets, sonst das niedrigste aller Gebiete.
+      const minPickupWeight = pickupArea ? pickupArea.min_weight : getLowestPickupMinWeight(pickupServiceAreas);
+      const isAbholungDisabled = minPickupWeight === null
+        || totalWeight < minPickupWeight
+        || (formData.zip.length === 5 && !safeZipEligibility.isEligible);
+      const areasText = describePickupServiceAreas(pickupServiceAreas);
+      const abholungLabel = pickupArea
+        ? `ab ${formatWeight(pickupArea.min_weight)}, ${formatPickupFee(pickupArea.pickup_fee)}`
+        : [minPickupWeight !== null && `ab ${formatWeight(minPickupWeight)}`, areasText && `nur ${areasText}`].filter(Boolean).join(', ');
       
       return (
         <fieldset className="space-y-6 p-4 border rounded-lg shadow-sm">
@@ -21,11 +33,11 @@ import React from 'react';
                 <SelectItem value="versand" className="text-base">Versand per Post/DHL (deutschlandweit)</SelectItem>
                 <SelectItem value="selbstanlieferung" className="text-base">Selbstanlieferung (Triftstr. 21B, 16348 Wandlitz)</SelectItem>
                 <SelectItem value="abholung" disabled={isAbholungDisabled} className="text-base">
-                  Persönliche Abholung durch uns (ab 15kg, nur PLZ 16xxx & 130xx, 131xx, 134xx)
+                  Persönliche Abholung durch uns{abholungLabel ? ` (${abholungLabel})` : ''}
                 </SelectItem>
               </SelectContent>
             </Select>
-            {formData.deliveryType === 'abholung' && totalWeight < 15 && (
+            {formData.deliveryType === 'abholung' && minPickupWeight !== null && totalWeight < minPickupWeight && (
               <motion.div 
                 initial={{ opacity: 0, height: 0 }}
                 animate={{ opacity: 1, height: 'auto' }}
@@ -34,7 +46,7 @@ import React from 'react';
               >
                 <AlertCircle className="h-5 w-5 mr-2 shrink-0 mt-0.5" />
                 <div>
-                  Für eine kostenlose Abholung ist ein Mindestgewicht von 15kg erforderlich. Dein aktuelles Gesamtgewicht beträgt {totalWeight.toFixed(2)}kg.
+                  Für eine Abholung ist ein Mindestgewicht von {formatWeight(minPickupWeight)} erforderlich. Dein aktuelles Gesamtgewicht beträgt {totalWeight.toFixed(2)}kg.
                   Bitte füge weitere Artikel hinzu oder wähle eine andere Abgabeart.
                 </div>
               </motion.div>
@@ -5,9 +5,10 @@ import React from 'react';
     import SelfDeliveryDetailsSection from '@/components/purchaseform/SelfDeliveryDetailsSection';
     import ConfirmationSection from '@/components/purchaseform/ConfirmationSection';
     import NumberOfLabelsSection from '@/components/purchaseform/NumberOfLabelsSection';
+    import DropOffPointFinder from '@/components/purchaseform/DropOffPointFinder';
     import { motion } from 'framer-motion';
 
-    const DeliveryPaymentConfirmationSection = ({ formData, setFormData, handleChange, handleSelectChange, handleNestedChange, totalWeight, zipEligibility }) => {
+    const DeliveryPaymentConfirmationSection = ({ formData, setFormData, handleChange, handleSelectChange, handleNestedChange, totalWeight, zipEligibility, holdToken }) => {
       return (
         <div className="space-y-8">
           <DeliveryOptionsSection
@@ -19,16 +20,21 @@ import React from 'react';
 
           {formData.deliveryType === 'versand' && (
             <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ duration: 0.5 }}>
-              <NumberOfLabelsSection formData={formData} handleSelectChange={handleSelectChange} />
+              <NumberOfLabelsSection numberOfLabels={String(formData.numberOfLabels)} totalWeight={totalWeight} handleSelectChange={handleSelectChange} />
+              <div className="mt-8">
+                <DropOffPointFinder zip={formData.zip} dropOffPoint={formData.dropOffPoint} setFormData={setFormData} />
+              </div>
             </motion.div>
           )}
 
-          {formData.deliveryType === 'abholung' && zipEligibility.isEligible && totalWeight >= 15 && (
+          {formData.deliveryType === 'abholung' && zipEligibility.area && totalWeight >= zipEligibility.area.min_weight && (
             <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ duration: 0.5 }}>
               <PickupDetailsSection 
                 pickupDetails={formData.pickupDetails} 
                 handleNestedChange={handleNestedChange} 
-                setFormData={setFormData}
+                zip={formData.zip}
+                totalWeight={totalWeight}
+                serviceArea={zipEligibility.area}
               />
             </motion.div>
           )}
@@ -36,10 +42,10 @@ import React from 'react';
           {formData.deliveryType === 'selbstanlieferung' && (
             <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ duration: 0.5 }}>
               <SelfDeliveryDetailsSection 
-                deliveryDetails={formData.deliveryDetails}
-                handleNestedChange={handleNestedChange}
                 formData={formData}
                 setFormData={setFormData}
+                handleChange={handleChange}
+                holdToken={holdToken}
               />
             </motion.div>
           )}
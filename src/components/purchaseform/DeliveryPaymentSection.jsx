@@ -7,8 +7,12 @@ import React from 'react';
     import PickupDetailsSection from '@/components/purchaseform/PickupDetailsSection';
     import SelfDeliveryDetailsSection from '@/components/purchaseform/SelfDeliveryDetailsSection';
     import PaymentDetailsSection from '@/components/purchaseform/PaymentDetailsSection';
+    import { usePickupServiceAreas } from '@/hooks/usePickupServiceAreas';
+    import { getLowestPickupMinWeight, formatWeight } from '@/lib/pickupServiceAreas';
 
     const DeliveryPaymentSection = ({ formData, setFormData, handleSelectChange, totalWeight, handleNestedChange, handleChange }) => {
+      const { areas: pickupServiceAreas } = usePickupServiceAreas();
+      const minPickupWeight = getLowestPickupMinWeight(pickupServiceAreas) ?? 0;
       
       const showPaymentFields = formData.deliveryType === 'versand' || formData.deliveryType === 'abholung' || formData.deliveryType === 'selbstanlieferung';
 
@@ -24,7 +28,7 @@ import React from 'react';
             <SelectContent>
               <SelectItem value="selbstanlieferung">Selbstanlieferung</SelectItem>
               <SelectItem value="versand">Versand (kostenlos ab 10kg)</SelectItem>
-              <SelectItem value="abholung">Abholung (nur im 30km Umkreis, ab 15kg)</SelectItem>
+              <SelectItem value="abholung">Abholung (nur im Abholgebiet, ab {formatWeight(minPickupWeight)})</SelectItem>
             </SelectContent>
           </Select>
           {formData.deliveryType === 'versand' && totalWeight < 10 && (
@@ -37,14 +41,14 @@ import React from 'react';
                <span>Für kostenlosen Versand werden 10kg Gesamtgewicht benötigt. Aktuell: {totalWeight.toFixed(2)}kg. Versandkosten könnten anfallen.</span>
              </motion.div>
           )}
-           {formData.deliveryType === 'abholung' && totalWeight < 15 && (
+           {formData.deliveryType === 'abholung' && totalWeight < minPickupWeight && (
              <motion.div 
               initial={{ opacity: 0, y: 10 }}
               animate={{ opacity: 1, y: 0 }}
               className="mt-2 flex items-start p-3 bg-yellow-100 dark:bg-yellow-900/30 border border-yellow-300 dark:border-yellow-700 rounded-md text-yellow-700 dark:text-yellow-300 text-sm"
              >
                <AlertCircle className="h-5 w-5 mr-2 flex-shrink-0" />
-               <span>Für eine Abholung werden mindestens 15kg Gesamtgewicht benötigt. Aktuell: {totalWeight.toFixed(2)}kg.</span>
+               <span>Für eine Abholung werden mindestens {formatWeight(minPickupWeight)} Gesamtgewicht benötigt. Aktuell: {totalWeight.toFixed(2)}kg.</span>
              </motion.div>
           )}
         </div>
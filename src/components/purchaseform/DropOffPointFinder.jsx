@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { motion } from 'framer-motion';
+    import { MapPin, Loader2, Search, CheckCircle2, X } from 'lucide-react';
+    import { findDropOffPoints, formatOpeningHours, formatDropOffDistance, formatDropOffPointAddress, DROP_OFF_POINT_TYPES } from '@/lib/dropOffPoints';
+
+    // Optional: nächstgelegene Packstationen und Paketshops zur PLZ des Kunden. Die Auswahl landet
+    // in formData.dropOffPoint und wird im Begleitschein und auf der Bestätigungsseite abgedruckt.
+    const DropOffPointFinder = ({ zip, dropOffPoint, setFormData }) => {
+      const [points, setPoints] = useState([]);
+      const [searchedZip, setSearchedZip] = useState('');
+      const [isSearching, setIsSearching] = useState(false);
+      const [error, setError] = useState('');
+
+      const isZipValid = /^\d{5}$/.test(zip || '');
+
+      const handleSearch = async () => {
+        setIsSearching(true);
+        setError('');
+        try {
+          const result = await findDropOffPoints(zip);
+          setPoints(result);
+          setSearchedZip(zip);
+        } catch (searchError) {
+          console.error('Error finding drop-off points:', searchError);
+          setPoints([]);
+          setError(searchError.message || 'Die Annahmestellen konnten nicht geladen werden.');
+        } finally {
+          setIsSearching(false);
+        }
+      };
+
+      const handleSelect = (point) => {
+        setFormData(prev => ({ ...prev, dropOffPoint: prev.dropOffPoint?.id === point.id ? null : point }));
+      };
+
+      return (
+        <motion.fieldset
+          className="space-y-4 p-4 border rounded-lg shadow-sm"
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.4 }}
+        >
+          <legend className="text-xl font-semibold text-foreground px-2 flex items-center">
+            <MapPin className="mr-2 h-5 w-5 text-primary" /> Packstation oder Paketshop finden (optional)
+          </legend>
+          <p className="text-sm text-muted-foreground">
+            Du kannst deine Pakete bei jeder DHL-Annahmestelle abgeben. Wenn du möchtest, suchen wir dir die nächstgelegenen
+            zu deiner PLZ heraus – die gewählte Stelle steht dann mit Öffnungszeiten in deinem Begleitschein.
+          </p>
+
+          {dropOffPoint && (
+            <div className="flex items-start justify-between gap-2 p-3 rounded-md bg-green-50 border border-green-200 text-sm">
+              <div>
+                <p className="font-medium text-green-800 flex items-center">
+                  <CheckCircle2 className="h-4 w-4 mr-1" /> {DROP_OFF_POINT_TYPES[dropOffPoint.type]}: {dropOffPoint.name}
+                </p>
+                <p className="text-green-800">{formatDropOffPointAddress(dropOffPoint)}</p>
+              </div>
+              <Button type="button" variant="ghost" size="sm" onClick={() => setFormData(prev => ({ ...prev, dropOffPoint: null }))}>
+                <X className="h-4 w-4 mr-1" /> Entfernen
+              </Button>
+            </div>
+          )}
+
+          <Button type="button" variant="outline" onClick={handleSearch} disabled={!isZipValid || isSearching}>
+            {isSearching ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Search className="mr-2 h-4 w-4" />}
+            {isZipValid ? `Annahmestellen nahe ${zip} suchen` : 'Bitte zuerst eine gültige PLZ angeben'}
+          </Button>
+
+          {error && <p className="text-sm text-destructive">{error}</p>}
+
+          {!isSearching && searchedZip && !error && points.length === 0 && (
+            <p className="text-sm text-muted-foreground">Keine Annahmestellen nahe {searchedZip} gefunden.</p>
+          )}
+
+          {points.length > 0 && (
+            <ul className="space-y-2">
+              {points.map((point) => {
+                const isSelected = dropOffPoint?.id === point.id;
+                return (
+                  <li key={point.id}>
+                    <button
+                      type="button"
+                      onClick={() => handleSelect(point)}
+                      className={`w-full text-left p-3 rounded-md border text-sm transition-colors ${isSelected ? 'border-primary bg-primary/5' : 'hover:bg-muted/50'}`}
+                    >
+                      <div className="flex flex-wrap items-baseline justify-between gap-2">
+                        <span className="font-medium">
+                          <span className="text-xs uppercase tracking-wide text-muted-foreground mr-2">{DROP_OFF_POINT_TYPES[point.type]}</span>
+                          {point.name}
+                        </span>
+                        {point.distance != null && <span className="text-xs text-muted-foreground">{formatDropOffDistance(point.distance)}</span>}
+                      </div>
+                      <p className="text-muted-foreground">{formatDropOffPointAddress(point)}</p>
+                      <p className="text-xs text-muted-foreground mt-1">{formatOpeningHours(point.openingHours).join(' · ')}</p>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </motion.fieldset>
+      );
+    };
+
+    export default DropOffPointFinder;
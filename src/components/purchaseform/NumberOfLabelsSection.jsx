@@ -2,11 +2,18 @@ import React from 'react';
     import { Label } from '@/components/ui/label';
     import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
     import { motion } from 'framer-motion';
-    import { Package } from 'lucide-react';
+    import { Package, AlertTriangle } from 'lucide-react';
+    import { MAX_PARCEL_WEIGHT } from '@/lib/shippingCarrier';
+    import { suggestParcelCount, splitParcelWeights, formatParcelWeight, MAX_SELF_SERVICE_PARCELS } from '@/lib/parcels';
+
+    const NumberOfLabelsSection = ({ numberOfLabels, totalWeight, handleSelectChange }) => {
+      const suggestedCount = suggestParcelCount(totalWeight);
+      const selectedCount = parseInt(numberOfLabels, 10) || 0;
+      const parcelWeights = selectedCount > 0 ? splitParcelWeights(totalWeight, selectedCount) : [];
+      const isTooFewParcels = selectedCount > 0 && selectedCount < suggestedCount;
 
-    const NumberOfLabelsSection = ({ numberOfLabels, handleSelectChange }) => {
       return (
-        <motion.fieldset 
+        <motion.fieldset
           className="space-y-4 p-4 border rounded-lg shadow-sm bg-sky-50/50"
           initial={{ opacity: 0, y: 10 }}
           animate={{ opacity: 1, y: 0 }}
@@ -17,7 +24,7 @@ import React from 'react';
           </legend>
           <div className="space-y-2">
             <Label htmlFor="numberOfLabels" className="text-base font-medium text-gray-700">
-              Wie viele kostenlose DHL Versandlabels (bis 31,5 kg pro Paket) benötigen Sie?
+              Wie viele kostenlose DHL Versandlabels (bis {formatParcelWeight(MAX_PARCEL_WEIGHT)} pro Paket) benötigen Sie?
             </Label>
             <Select
               name="numberOfLabels"
@@ -28,19 +35,35 @@ import React from 'react';
                 <SelectValue placeholder="Anzahl auswählen..." />
               </SelectTrigger>
               <SelectContent>
-                <SelectItem value="1">1 Label</SelectItem>
-                <SelectItem value="2">2 Labels</SelectItem>
-                <SelectItem value="3">3 Labels</SelectItem>
-                <SelectItem value="4">4 Labels</SelectItem>
-                <SelectItem value="0">Mehr als 4? Bitte gesondert anfragen.</SelectItem>
+                {Array.from({ length: Math.min(suggestedCount, MAX_SELF_SERVICE_PARCELS) }, (_, index) => index + 1).map(count => (
+                  <SelectItem key={count} value={String(count)}>
+                    {count} {count === 1 ? 'Label' : 'Labels'}{count === suggestedCount ? ' (empfohlen)' : ''}
+                  </SelectItem>
+                ))}
+                <SelectItem value="0">Mehr als {MAX_SELF_SERVICE_PARCELS}? Bitte gesondert anfragen.</SelectItem>
               </SelectContent>
             </Select>
+            <p className="text-sm text-sky-800">
+              Bei ca. {formatParcelWeight(totalWeight || 0)} empfehlen wir {suggestedCount} {suggestedCount === 1 ? 'Paket' : 'Pakete'}
+              {suggestedCount > MAX_SELF_SERVICE_PARCELS ? ' – bitte frage dafür gesondert an.' : '.'}
+            </p>
+            {parcelWeights.length > 1 && (
+              <p className="text-xs text-muted-foreground">
+                Gewicht pro Label: {parcelWeights.map((weight, index) => `Paket ${index + 1}: ${formatParcelWeight(weight)}`).join(' · ')}
+              </p>
+            )}
+            {isTooFewParcels && (
+              <p className="text-sm text-amber-700 flex items-start">
+                <AlertTriangle className="h-4 w-4 mr-1 mt-0.5 flex-shrink-0" />
+                Mit {selectedCount} {selectedCount === 1 ? 'Paket' : 'Paketen'} wäre mindestens eines schwerer als {formatParcelWeight(MAX_PARCEL_WEIGHT)}.
+              </p>
+            )}
             <p className="text-xs text-muted-foreground">
-              Jedes Label ist für ein Paket bis max. 31,5 kg gültig. Wenn Sie mehr als 4 Labels benötigen, wählen Sie "Gesondert anfragen" und wir kontaktieren Sie.
+              Jedes Label ist für ein Paket bis max. {formatParcelWeight(MAX_PARCEL_WEIGHT)} gültig. Wenn Sie mehr als {MAX_SELF_SERVICE_PARCELS} Labels benötigen, wählen Sie "Gesondert anfragen" und wir kontaktieren Sie.
             </p>
           </div>
         </motion.fieldset>
       );
     };
 
-    export default NumberOfLabelsSection;
\ No newline at end of file
+    export default NumberOfLabelsSection;
@@ -2,8 +2,12 @@ import React from 'react';
     import { Input } from '@/components/ui/input';
     import { Label } from '@/components/ui/label';
     import { motion } from 'framer-motion';
+    import { Landmark, AlertTriangle } from 'lucide-react';
+    import { formatIbanInput, getIbanError, isIbanInputComplete, getBankForIban } from '@/lib/iban';
 
     const PaymentDetailsSection = ({ formData, handleChange, deliveryType }) => {
+      const ibanError = formData.iban && isIbanInputComplete(formData.iban) ? getIbanError(formData.iban) : null;
+      const bank = formData.iban && !ibanError ? getBankForIban(formData.iban) : null;
       const showPaymentOptions = deliveryType === 'versand' || deliveryType === 'abholung' || (deliveryType === 'selbstanlieferung' && (formData.paypal || formData.iban));
 
       if (deliveryType === 'selbstanlieferung' && !formData.paypal && !formData.iban) {
@@ -34,11 +38,24 @@ import React from 'react';
               id="iban" 
               name="iban" 
               value={formData.iban} 
-              onChange={(e) => handleChange('iban', e)} 
-              placeholder="DE12..." 
-              className="mt-1" 
+              onChange={(e) => handleChange('iban', formatIbanInput(e.target.value))} 
+              placeholder="DE12 3456 7890 1234 5678 90" 
+              className={`mt-1 font-mono ${ibanError ? 'border-red-500 focus-visible:ring-red-500' : ''}`}
+              autoComplete="off"
+              spellCheck={false}
+              aria-invalid={!!ibanError}
               disabled={!!formData.paypal && formData.paypal.trim() !== ''}
             />
+            {ibanError && (
+              <p className="text-xs text-red-600 dark:text-red-400 mt-1 flex items-center">
+                <AlertTriangle className="h-3 w-3 mr-1 flex-shrink-0" /> {ibanError}
+              </p>
+            )}
+            {bank && (
+              <p className="text-xs text-muted-foreground mt-1 flex items-center">
+                <Landmark className="h-3 w-3 mr-1 flex-shrink-0" /> {bank.name} · BIC {bank.bic}
+              </p>
+            )}
             {formData.paypal && formData.paypal.trim() !== '' && <p className="text-xs text-muted-foreground mt-1">IBAN ist deaktiviert, da PayPal ausgefüllt ist.</p>}
           </motion.div>
           <div className="flex items-center my-4">
@@ -1,59 +1,124 @@
-import React from 'react';
-    import { Input } from '@/components/ui/input';
+import React, { useState, useEffect } from 'react';
+    import { Button } from '@/components/ui/button';
     import { Label } from '@/components/ui/label';
     import { Textarea } from '@/components/ui/textarea';
     import { motion } from 'framer-motion';
+    import { Loader2, Truck, AlertCircle } from 'lucide-react';
+    import { fetchAvailablePickupDays, formatPickupWindow } from '@/lib/pickupPlanning';
+    import { formatPickupFee } from '@/lib/pickupServiceAreas';
+
+    const formatPickupDate = (value) =>
+      new Date(`${value}T12:00:00`).toLocaleDateString('de-DE', { weekday: 'short', day: '2-digit', month: '2-digit', year: 'numeric' });
+
+    const PickupDetailsSection = ({ pickupDetails, handleNestedChange, zip, totalWeight, serviceArea }) => {
+      const [availableDays, setAvailableDays] = useState([]);
+      const [isLoading, setIsLoading] = useState(true);
+      const [loadError, setLoadError] = useState(null);
+
+      useEffect(() => {
+        let isCancelled = false;
+        setIsLoading(true);
+        setLoadError(null);
+        fetchAvailablePickupDays(zip, totalWeight)
+          .then(days => {
+            if (!isCancelled) setAvailableDays(days);
+          })
+          .catch(error => {
+            if (!isCancelled) setLoadError(error.message);
+          })
+          .finally(() => {
+            if (!isCancelled) setIsLoading(false);
+          });
+        return () => { isCancelled = true; };
+      }, [zip, totalWeight]);
+
+      // Ein vorher gewählter Tag, der nicht mehr frei ist (z.B. nach Änderung des Warenkorbs), wird verworfen.
+      const selectedDayId = pickupDetails?.dayId;
+      useEffect(() => {
+        if (!isLoading && selectedDayId && !availableDays.some(day => day.pickup_day_id === selectedDayId)) {
+          handleNestedChange('pickupDetails', 'dayId', null);
+          handleNestedChange('pickupDetails', 'date', null);
+          handleNestedChange('pickupDetails', 'time', '');
+        }
+      }, [isLoading, selectedDayId, availableDays, handleNestedChange]);
+
+      const handleDaySelect = (day) => {
+        handleNestedChange('pickupDetails', 'dayId', day.pickup_day_id);
+        handleNestedChange('pickupDetails', 'date', day.pickup_date);
+        handleNestedChange('pickupDetails', 'time', formatPickupWindow(day));
+      };
+
+      return (
+        <motion.fieldset
+          initial={{ opacity: 0, height: 0 }}
+          animate={{ opacity: 1, height: 'auto' }}
+          exit={{ opacity: 0, height: 0 }}
+          className="space-y-6 p-4 border rounded-lg shadow-sm overflow-hidden"
+        >
+          <legend className="text-xl font-semibold text-foreground px-2">Details zur Abholung</legend>
+          <p className="text-sm text-muted-foreground px-2">
+            Wähle einen der freien Abholtage für deine PLZ. Wir kommen im angegebenen Zeitfenster vorbei
+            und melden uns am Vortag mit einer genaueren Uhrzeit.
+          </p>
+          {serviceArea?.pickup_fee > 0 && (
+            <p className="p-3 bg-blue-50 border border-blue-200 rounded-md text-blue-700 text-sm">
+              Für Abholungen im Gebiet {serviceArea.name} berechnen wir eine Abholgebühr von {formatPickupFee(serviceArea.pickup_fee)}.
+              Sie wird nach der Prüfung vom Ankaufswert abgezogen und auf Begleitschein und Gutschrift ausgewiesen.
+            </p>
+          )}
 
-    const PickupDetailsSection = ({ pickupDate, pickupTime, pickupNotes, handleChange }) => (
-      <motion.fieldset 
-        initial={{ opacity: 0, height: 0 }}
-        animate={{ opacity: 1, height: 'auto' }}
-        exit={{ opacity: 0, height: 0 }}
-        className="space-y-6 p-4 border rounded-lg shadow-sm overflow-hidden"
-      >
-        <legend className="text-xl font-semibold text-foreground px-2">Details zur Abholung</legend>
-        <p className="text-sm text-muted-foreground px-2">
-          Wir werden uns mit dir in Verbindung setzen, um den genauen Abholtermin zu bestätigen. 
-          Du kannst hier deine Wunschtermine und Anmerkungen hinterlassen.
-        </p>
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           <motion.div initial={{ opacity: 0, x: -20 }} animate={{ opacity: 1, x: 0 }} transition={{ delay: 0.1 }}>
-            <Label htmlFor="pickupDate" className="text-base">Wunschdatum für Abholung</Label>
-            <Input 
-              id="pickupDate" 
-              name="pickupDate" 
-              type="date" 
-              value={pickupDate} 
-              onChange={handleChange} 
-              className="mt-1" 
-              min={new Date().toISOString().split('T')[0]} 
-            />
+            <Label className="text-base mb-2 block">Abholtag*</Label>
+            {isLoading ? (
+              <div className="flex items-center text-sm text-muted-foreground">
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" /> Freie Abholtage werden geladen…
+              </div>
+            ) : loadError ? (
+              <p className="p-3 bg-red-50 border border-red-300 rounded-md text-red-700 text-sm flex items-start">
+                <AlertCircle className="h-5 w-5 mr-2 shrink-0 mt-0.5" /> {loadError}
+              </p>
+            ) : availableDays.length === 0 ? (
+              <p className="p-3 bg-yellow-50 border border-yellow-300 rounded-md text-yellow-700 text-sm flex items-start">
+                <AlertCircle className="h-5 w-5 mr-2 shrink-0 mt-0.5" />
+                In den nächsten Wochen ist für deine PLZ leider keine Abholtour mehr frei. Bitte wähle Versand oder Selbstanlieferung
+                oder versuche es in ein paar Tagen noch einmal.
+              </p>
+            ) : (
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {availableDays.map(day => (
+                  <Button
+                    key={day.pickup_day_id}
+                    type="button"
+                    variant={pickupDetails?.dayId === day.pickup_day_id ? "default" : "outline"}
+                    onClick={() => handleDaySelect(day)}
+                    className="flex items-center justify-start text-sm h-auto py-2"
+                  >
+                    <Truck className="mr-2 h-4 w-4 shrink-0" />
+                    <span className="text-left">
+                      <span className="block font-medium">{formatPickupDate(day.pickup_date)}</span>
+                      <span className="block text-xs opacity-80">{formatPickupWindow(day)} Uhr</span>
+                    </span>
+                  </Button>
+                ))}
+              </div>
+            )}
           </motion.div>
-          <motion.div initial={{ opacity: 0, x: -20 }} animate={{ opacity: 1, x: 0 }} transition={{ delay: 0.15 }}>
-            <Label htmlFor="pickupTime" className="text-base">Ungefähre Wunschuhrzeit</Label>
-            <Input 
-              id="pickupTime" 
-              name="pickupTime" 
-              type="time" 
-              value={pickupTime} 
-              onChange={handleChange} 
-              className="mt-1" 
+
+          <motion.div initial={{ opacity: 0, x: -20 }} animate={{ opacity: 1, x: 0 }} transition={{ delay: 0.2 }}>
+            <Label htmlFor="pickupNotes" className="text-base">Anmerkungen zur Abholung</Label>
+            <Textarea
+              id="pickupNotes"
+              name="pickupNotes"
+              value={pickupDetails?.notes || ''}
+              onChange={(e) => handleNestedChange('pickupDetails', 'notes', e.target.value)}
+              placeholder="z.B. Besonderheiten bei der Anfahrt, Etage, etc."
+              className="mt-1"
+              rows={3}
             />
           </motion.div>
-        </div>
-        <motion.div initial={{ opacity: 0, x: -20 }} animate={{ opacity: 1, x: 0 }} transition={{ delay: 0.2 }}>
-          <Label htmlFor="pickupNotes" className="text-base">Anmerkungen zur Abholung</Label>
-          <Textarea 
-            id="pickupNotes" 
-            name="pickupNotes" 
-            value={pickupNotes} 
-            onChange={handleChange} 
-            placeholder="z.B. Besonderheiten bei der Anfahrt, Etage, etc." 
-            className="mt-1"
-            rows={3}
-          />
-        </motion.div>
-      </motion.fieldset>
-    );
-
-    export default PickupDetailsSection;
\ No newline at end of file
+          <p className="text-xs text-muted-foreground">* Pflichtfeld</p>
+        </motion.fieldset>
+      );
+    };
+
+    export default PickupDetailsSection;
@@ -2,6 +2,7 @@ import React from 'react';
     import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
     import { ShoppingCart, Package, Euro } from 'lucide-react';
     import { motion } from 'framer-motion';
+    import { formatItemQuantity, isPerPieceItem } from '@/lib/cartItemUnits';
 
     const PurchaseFormSummary = ({ cartItems, totalWeight, totalPrice }) => {
       if (cartItems.length === 0) {
@@ -42,7 +43,7 @@ import React from 'react';
                 <ul className="list-disc list-inside space-y-1 text-sm text-gray-500 max-h-32 overflow-y-auto px-3">
                   {cartItems.map((item, index) => (
                     <li key={index} className="truncate">
-                      {item.category}: {item.weight.toFixed(2)} kg ({item.price.toFixed(2)} €)
+                      {item.category}: {formatItemQuantity(item)}{isPerPieceItem(item) && item.weight > 0 ? ` (ca. ${item.weight.toFixed(2)} kg)` : ''} ({item.price.toFixed(2)} €)
                     </li>
                   ))}
                 </ul>
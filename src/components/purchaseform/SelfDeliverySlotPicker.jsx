@@ -0,0 +1,135 @@
+import React, { useState, useEffect, useCallback } from 'react';
+    import { Label } from '@/components/ui/label';
+    import { Button } from '@/components/ui/button';
+    import { Calendar } from "@/components/ui/calendar";
+    import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+    import { Calendar as CalendarIcon, Clock, Loader2, AlertCircle } from 'lucide-react';
+    import { format, addDays, parseISO } from 'date-fns';
+    import { de } from 'date-fns/locale';
+    import { fetchAvailableSelfDeliverySlots, toShortTime } from '@/lib/selfDeliverySlots';
+
+    // Ausgebuchte Zeitfenster verschwinden ohne Neuladen der Seite.
+    const REFRESH_INTERVAL_MS = 60 * 1000;
+
+    /**
+     * Kalender und Zeitfenster für die Selbstanlieferung. Zeigt nur freie Termine.
+     * onSelect(slot) darf eine Promise liefern (z.B. die Reservierung); bei false werden die Termine neu geladen.
+     */
+    const SelfDeliverySlotPicker = ({ holdToken, selectedDate, selectedSlotStart, onSelect, disabled }) => {
+      const [slots, setSlots] = useState([]);
+      const [isLoading, setIsLoading] = useState(true);
+      const [loadError, setLoadError] = useState(null);
+      const [viewDate, setViewDate] = useState(selectedDate || null);
+      const [pendingSlotKey, setPendingSlotKey] = useState(null);
+
+      const loadSlots = useCallback(async () => {
+        const today = new Date();
+        try {
+          setSlots(await fetchAvailableSelfDeliverySlots(format(today, 'yyyy-MM-dd'), format(addDays(today, 60), 'yyyy-MM-dd'), holdToken));
+          setLoadError(null);
+        } catch (error) {
+          setLoadError(error.message);
+        } finally {
+          setIsLoading(false);
+        }
+      }, [holdToken]);
+
+      useEffect(() => {
+        loadSlots();
+        const intervalId = setInterval(loadSlots, REFRESH_INTERVAL_MS);
+        return () => clearInterval(intervalId);
+      }, [loadSlots]);
+
+      const availableDates = new Set(slots.map(slot => slot.delivery_date));
+      const slotsForViewDate = slots.filter(slot => slot.delivery_date === viewDate);
+
+      const handleSlotClick = async (slot) => {
+        const slotKey = `${slot.delivery_date} ${slot.slot_start}`;
+        setPendingSlotKey(slotKey);
+        const isSelected = await onSelect(slot);
+        setPendingSlotKey(null);
+        if (isSelected === false) loadSlots();
+      };
+
+      if (isLoading) {
+        return (
+          <div className="flex items-center text-sm text-muted-foreground">
+            <Loader2 className="mr-2 h-4 w-4 animate-spin" /> Freie Termine werden geladen…
+          </div>
+        );
+      }
+
+      if (loadError && slots.length === 0) {
+        return (
+          <p className="p-3 bg-red-50 border border-red-300 rounded-md text-red-700 text-sm flex items-start">
+            <AlertCircle className="h-5 w-5 mr-2 shrink-0 mt-0.5" /> {loadError}
+          </p>
+        );
+      }
+
+      return (
+        <div className="space-y-6">
+          <div>
+            <Label className="text-base mb-2 block">Datum für Anlieferung*</Label>
+            <Popover>
+              <PopoverTrigger asChild>
+                <Button
+                  variant={"outline"}
+                  disabled={disabled}
+                  className={`w-full justify-start text-left font-normal ${!viewDate && "text-muted-foreground"}`}
+                >
+                  <CalendarIcon className="mr-2 h-4 w-4" />
+                  {viewDate ? format(parseISO(viewDate), "PPP", { locale: de }) : <span>Wähle ein Datum</span>}
+                </Button>
+              </PopoverTrigger>
+              <PopoverContent className="w-auto p-0">
+                <Calendar
+                  mode="single"
+                  selected={viewDate ? parseISO(viewDate) : undefined}
+                  onSelect={(date) => date && setViewDate(format(date, 'yyyy-MM-dd'))}
+                  initialFocus
+                  locale={de}
+                  disabled={(date) => !availableDates.has(format(date, 'yyyy-MM-dd'))}
+                  fromDate={new Date()}
+                  toDate={addDays(new Date(), 60)}
+                />
+              </PopoverContent>
+            </Popover>
+            {slots.length === 0 && (
+              <p className="mt-2 text-sm text-yellow-700">In den nächsten Wochen sind leider alle Anlieferzeiten ausgebucht. Bitte wähle Versand oder versuche es später erneut.</p>
+            )}
+          </div>
+
+          {viewDate && (
+            <div>
+              <Label className="text-base mb-2 block">Verfügbare Zeitfenster für {format(parseISO(viewDate), "PPP", { locale: de })}*</Label>
+              {slotsForViewDate.length === 0 ? (
+                <p className="text-sm text-muted-foreground">An diesem Tag ist leider kein Zeitfenster mehr frei.</p>
+              ) : (
+                <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+                  {slotsForViewDate.map((slot) => {
+                    const slotKey = `${slot.delivery_date} ${slot.slot_start}`;
+                    const isSelected = selectedDate === slot.delivery_date && toShortTime(selectedSlotStart) === toShortTime(slot.slot_start);
+                    return (
+                      <Button
+                        key={slotKey}
+                        type="button"
+                        variant={isSelected ? "default" : "outline"}
+                        onClick={() => handleSlotClick(slot)}
+                        disabled={disabled || pendingSlotKey !== null}
+                        className="flex items-center justify-center text-sm"
+                      >
+                        {pendingSlotKey === slotKey ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Clock className="mr-2 h-4 w-4" />}
+                        {slot.time_slot}
+                      </Button>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      );
+    };
+
+    export default SelfDeliverySlotPicker;
@@ -0,0 +1,148 @@
+import React, { useEffect, useRef, useState } from 'react';
+    import { Loader2, CameraOff, Flashlight, FlashlightOff, RefreshCw } from 'lucide-react';
+    import { Button } from '@/components/ui/button';
+    import { createCanvasDecoder, getCameraErrorMessage, isCameraSupported, isTorchSupported, setTorchEnabled } from '@/lib/barcodeScanner';
+
+    const SCAN_INTERVAL_MS = 250;
+
+    /**
+     * Kamera-Scanner für QR- und Strichcodes. Mit duplicateWindowMs wird derselbe Code erst wieder gemeldet,
+     * wenn er so lange nicht mehr im Bild war – ein ruhig gehaltener Code löst also nur einmal aus.
+     */
+    const CameraScanner = ({ formats = ['qr'], onDetected, isActive = true, duplicateWindowMs = 0, showTorchToggle = false, className = '' }) => {
+      const videoRef = useRef(null);
+      const canvasRef = useRef(null);
+      const trackRef = useRef(null);
+      const onDetectedRef = useRef(onDetected);
+      const lastSeenRef = useRef({ text: null, time: 0 });
+      const [cameraError, setCameraError] = useState(null);
+      const [isStarting, setIsStarting] = useState(false);
+      const [isTorchAvailable, setIsTorchAvailable] = useState(false);
+      const [isTorchOn, setIsTorchOn] = useState(false);
+      const [startAttempt, setStartAttempt] = useState(0);
+      const formatsKey = formats.join(',');
+
+      useEffect(() => {
+        onDetectedRef.current = onDetected;
+      }, [onDetected]);
+
+      useEffect(() => {
+        if (!isActive) return undefined;
+        if (!isCameraSupported()) {
+          setCameraError('Dieser Browser unterstützt keinen Kamerazugriff. Bitte gib den Code manuell ein.');
+          return undefined;
+        }
+
+        let stream = null;
+        let intervalId = null;
+        let cancelled = false;
+        const decode = createCanvasDecoder(formatsKey.split(','));
+
+        const scanFrame = () => {
+          const video = videoRef.current;
+          const canvas = canvasRef.current;
+          if (!video || !canvas || video.readyState < video.HAVE_ENOUGH_DATA) return;
+          canvas.width = video.videoWidth;
+          canvas.height = video.videoHeight;
+          canvas.getContext('2d', { willReadFrequently: true }).drawImage(video, 0, 0, canvas.width, canvas.height);
+          const result = decode(canvas);
+          if (!result) return;
+          const now = Date.now();
+          const lastSeen = lastSeenRef.current;
+          lastSeenRef.current = { text: result.text, time: now };
+          if (duplicateWindowMs > 0 && lastSeen.text === result.text && now - lastSeen.time < duplicateWindowMs) return;
+          if (onDetectedRef.current) {
+            onDetectedRef.current(result);
+          }
+        };
+
+        const startCamera = async () => {
+          setIsStarting(true);
+          setCameraError(null);
+          try {
+            stream = await navigator.mediaDevices.getUserMedia({
+              video: { facingMode: { ideal: 'environment' } },
+              audio: false,
+            });
+            if (cancelled) {
+              stream.getTracks().forEach(track => track.stop());
+              return;
+            }
+            videoRef.current.srcObject = stream;
+            await videoRef.current.play();
+            trackRef.current = stream.getVideoTracks()[0] || null;
+            setIsTorchAvailable(isTorchSupported(trackRef.current));
+            intervalId = setInterval(scanFrame, SCAN_INTERVAL_MS);
+          } catch (error) {
+            console.error('CameraScanner: Kamera konnte nicht gestartet werden:', error);
+            if (!cancelled) setCameraError(getCameraErrorMessage(error));
+          } finally {
+            if (!cancelled) setIsStarting(false);
+          }
+        };
+
+        startCamera();
+
+        return () => {
+          cancelled = true;
+          if (intervalId) clearInterval(intervalId);
+          if (stream) stream.getTracks().forEach(track => track.stop());
+          trackRef.current = null;
+          setIsTorchAvailable(false);
+          setIsTorchOn(false);
+        };
+      }, [isActive, formatsKey, duplicateWindowMs, startAttempt]);
+
+      const handleTorchToggle = async () => {
+        if (!trackRef.current) return;
+        try {
+          await setTorchEnabled(trackRef.current, !isTorchOn);
+          setIsTorchOn(!isTorchOn);
+        } catch (error) {
+          console.error('CameraScanner: Taschenlampe konnte nicht geschaltet werden:', error);
+          setIsTorchAvailable(false);
+        }
+      };
+
+      if (cameraError) {
+        return (
+          <div className={`flex flex-col items-center justify-center p-6 border rounded-lg bg-slate-50 dark:bg-slate-800/50 text-center ${className}`}>
+            <CameraOff className="h-10 w-10 text-muted-foreground mb-3" />
+            <p className="text-sm text-muted-foreground">{cameraError}</p>
+            {isCameraSupported() && (
+              <Button type="button" variant="outline" size="sm" className="mt-3" onClick={() => setStartAttempt(attempt => attempt + 1)}>
+                <RefreshCw className="mr-2 h-4 w-4" /> Erneut versuchen
+              </Button>
+            )}
+          </div>
+        );
+      }
+
+      return (
+        <div className={`relative overflow-hidden rounded-lg bg-black ${className}`}>
+          <video ref={videoRef} className="w-full h-full object-cover" muted playsInline />
+          <canvas ref={canvasRef} className="hidden" />
+          <div className="pointer-events-none absolute inset-8 border-2 border-white/70 rounded-lg" aria-hidden="true" />
+          {showTorchToggle && isTorchAvailable && (
+            <Button
+              type="button"
+              size="icon"
+              variant="secondary"
+              className="absolute top-2 right-2 bg-white/80 hover:bg-white"
+              onClick={handleTorchToggle}
+              aria-label={isTorchOn ? 'Licht ausschalten' : 'Licht einschalten'}
+              aria-pressed={isTorchOn}
+            >
+              {isTorchOn ? <FlashlightOff className="h-5 w-5" /> : <Flashlight className="h-5 w-5" />}
+            </Button>
+          )}
+          {isStarting && (
+            <div className="absolute inset-0 flex items-center justify-center bg-black/50">
+              <Loader2 className="h-8 w-8 animate-spin text-white" />
+            </div>
+          )}
+        </div>
+      );
+    };
+
+    export default CameraScanner;
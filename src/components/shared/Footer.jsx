@@ -25,6 +25,7 @@ import React, { useState } from 'react';
           links: [
             { label: 'Startseite', path: '/' },
             { label: 'Ankaufsrechner', path: '/rechner' },
+            { label: 'Ankauf-Status', path: '/status' },
             { label: 'Was wir annehmen', path: '/was-wir-annehmen' },
             { label: 'Standort & Abholung', path: '/standort' },
             { label: 'Gewerbekunden', path: '/gewerbe' },
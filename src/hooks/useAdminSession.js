@@ -0,0 +1,41 @@
+import { useState, useEffect, useCallback } from 'react';
+    import { useNavigate } from 'react-router-dom';
+    import { supabase } from '@/lib/supabaseClient';
+    import { useToast } from '@/components/ui/use-toast';
+
+    export const useAdminSession = () => {
+      const navigate = useNavigate();
+      const { toast } = useToast();
+      const [currentUser, setCurrentUser] = useState(null);
+      const [isCheckingSession, setIsCheckingSession] = useState(true);
+      const [isLoggingOut, setIsLoggingOut] = useState(false);
+
+      useEffect(() => {
+        const checkUserSession = async () => {
+          const { data: { session } } = await supabase.auth.getSession();
+          if (!session) {
+            navigate('/admin/login');
+            toast({ title: "Nicht angemeldet", description: "Bitte zuerst anmelden.", variant: "destructive"});
+          } else {
+            setCurrentUser(session.user);
+          }
+          setIsCheckingSession(false);
+        };
+        checkUserSession();
+      }, [navigate, toast]);
+
+      const handleLogout = useCallback(async () => {
+        setIsLoggingOut(true);
+        const { error } = await supabase.auth.signOut();
+        setIsLoggingOut(false);
+        if (error) {
+          toast({ title: "Fehler beim Abmelden", description: error.message, variant: "destructive"});
+        } else {
+          setCurrentUser(null);
+          navigate('/admin/login');
+          toast({ title: "Abgemeldet", description: "Sie wurden erfolgreich abgemeldet.", variant: "info"});
+        }
+      }, [navigate, toast]);
+
+      return { currentUser, isCheckingSession, isLoggingOut, handleLogout };
+    };
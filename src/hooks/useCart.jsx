@@ -1,7 +1,13 @@
-import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
-    import { supabase } from '@/lib/supabaseClient';
+import React, { createContext, useState, useContext, useEffect, useCallback, useMemo, useRef } from 'react';
     import * as LucideIcons from 'lucide-react';
     import { Package } from 'lucide-react'; // Default icon
+    import { fetchEffectiveCategories, findCartPriceChanges, applyPriceChanges, getNextCartChangeAt } from '@/lib/productCategories';
+    import { findProductCodePriceChanges } from '@/lib/productCodes';
+    import { calculateItemAmounts, isPerPieceItem } from '@/lib/cartItemUnits';
+    import { loadStoredCart, saveStoredCart } from '@/lib/cartStorage';
+
+    // setTimeout verträgt maximal ~24,8 Tage Verzögerung.
+    const MAX_TIMER_DELAY_MS = 2147483647;
 
     const CartContext = createContext();
 
@@ -11,45 +17,64 @@ import React, { createContext, useState, useContext, useEffect, useCallback } fr
     };
 
     export const CartProvider = ({ children }) => {
-      const [cartItems, setCartItems] = useState([]);
+      const [cartItems, setCartItems] = useState(loadStoredCart);
       const [totalWeight, setTotalWeight] = useState(0);
       const [totalPrice, setTotalPrice] = useState(0);
       const [categories, setCategories] = useState([]);
       const [isLoadingCategories, setIsLoadingCategories] = useState(true);
+      const [priceChanges, setPriceChanges] = useState([]);
+      const [restoredPriceChanges, setRestoredPriceChanges] = useState([]);
+      // Gespeicherte oder geteilte Warenkörbe werden nach dem Laden der Kategorien auf aktuelle Preise gebracht.
+      const pendingRestoreRef = useRef(true);
 
       const fetchCategories = useCallback(async () => {
         setIsLoadingCategories(true);
-        const { data, error } = await supabase
-          .from('product_categories')
-          .select('*')
-          .eq('is_active', true)
-          .order('sort_order', { ascending: true })
-          .order('name', { ascending: true }); // Secondary sort by name
-
-        if (error) {
+        try {
+          const effectiveCategories = await fetchEffectiveCategories();
+          setCategories(effectiveCategories);
+        } catch (error) {
           console.error('Error fetching categories:', error);
           setCategories([]);
-        } else {
-          const formattedCategories = data.map(cat => ({
-            id: cat.id,
-            name: cat.name,
-            pricePerKg: parseFloat(cat.price_per_kg),
-            iconName: cat.icon_name || 'Package',
-            categoryType: cat.category_type,
-            requiresWeight: cat.requires_weight,
-            isActive: cat.is_active,
-            sortOrder: cat.sort_order,
-            requiresContact: cat.price_per_kg === 0 // Items with price 0 require contact
-          }));
-          setCategories(formattedCategories);
+        } finally {
+          setIsLoadingCategories(false);
         }
-        setIsLoadingCategories(false);
       }, []);
 
       useEffect(() => {
         fetchCategories();
       }, [fetchCategories]);
 
+      useEffect(() => {
+        saveStoredCart(cartItems);
+      }, [cartItems]);
+
+      const migrateRestoredCart = useCallback(async (items, currentCategories) => {
+        const codeChanges = await findProductCodePriceChanges(items);
+        const changes = [...findCartPriceChanges(items, currentCategories), ...codeChanges];
+        if (changes.length === 0) return;
+        setCartItems(prevItems => applyPriceChanges(prevItems, changes));
+        setRestoredPriceChanges(changes);
+      }, []);
+
+      useEffect(() => {
+        // Ohne Kategorien (Ladefehler) würde jede Position als "nicht mehr angekauft" gelten.
+        if (!pendingRestoreRef.current || isLoadingCategories || categories.length === 0) return;
+        pendingRestoreRef.current = false;
+        if (cartItems.length > 0) {
+          migrateRestoredCart(cartItems, categories);
+        }
+      }, [cartItems, categories, isLoadingCategories, migrateRestoredCart]);
+
+      // Ersetzt den Warenkorb, z.B. durch einen geteilten Warenkorb von einem anderen Gerät.
+      const restoreCart = (items) => {
+        pendingRestoreRef.current = true;
+        setPriceChanges([]);
+        setRestoredPriceChanges([]);
+        setCartItems(items);
+      };
+
+      const dismissRestoredPriceChanges = () => setRestoredPriceChanges([]);
+
       useEffect(() => {
         let newTotalWeight = 0;
         let newTotalPrice = 0;
@@ -63,15 +88,19 @@ import React, { createContext, useState, useContext, useEffect, useCallback } fr
 
       const addItemToCart = (item) => {
         setCartItems(prevItems => {
-          const existingItemIndex = prevItems.findIndex(i => i.category === item.category);
+          // Einzelartikel (ISBN/EAN) werden über ihren Code zusammengeführt, alles andere über die Kategorie.
+          const existingItemIndex = prevItems.findIndex(i => (
+            i.productCode || item.productCode ? i.productCode === item.productCode : i.category === item.category
+          ));
           if (existingItemIndex > -1) {
             const updatedItems = [...prevItems];
             const existingItem = updatedItems[existingItemIndex];
-            const newWeight = (parseFloat(existingItem.weight) || 0) + (parseFloat(item.weight) || 0);
+            const newAmount = isPerPieceItem(existingItem)
+              ? (parseInt(existingItem.quantity, 10) || 0) + (parseInt(item.quantity, 10) || 0)
+              : (parseFloat(existingItem.weight) || 0) + (parseFloat(item.weight) || 0);
             updatedItems[existingItemIndex] = {
               ...existingItem,
-              weight: newWeight,
-              price: newWeight * existingItem.pricePerKg,
+              ...calculateItemAmounts(existingItem, newAmount),
             };
             return updatedItems;
           } else {
@@ -88,7 +117,17 @@ import React, { createContext, useState, useContext, useEffect, useCallback } fr
         setCartItems(prevItems =>
           prevItems.map(item =>
             item.id === itemId
-              ? { ...item, weight: newWeight, price: newWeight * item.pricePerKg }
+              ? { ...item, ...calculateItemAmounts(item, newWeight) }
+              : item
+          )
+        );
+      };
+
+      const updateItemQuantityInCart = (itemId, newQuantity) => {
+        setCartItems(prevItems =>
+          prevItems.map(item =>
+            item.id === itemId && isPerPieceItem(item)
+              ? { ...item, ...calculateItemAmounts(item, newQuantity) }
               : item
           )
         );
@@ -98,20 +137,63 @@ import React, { createContext, useState, useContext, useEffect, useCallback } fr
         setCartItems([]);
         setTotalWeight(0);
         setTotalPrice(0);
+        setPriceChanges([]);
+        setRestoredPriceChanges([]);
+      };
+
+      // Lädt die aktuell gültigen Preise neu und merkt sich Abweichungen zum Warenkorb.
+      const checkCartPrices = useCallback(async () => {
+        let effectiveCategories;
+        try {
+          effectiveCategories = await fetchEffectiveCategories();
+        } catch (error) {
+          console.error('Error checking cart prices:', error);
+          return [];
+        }
+        setCategories(effectiveCategories);
+        const codeChanges = await findProductCodePriceChanges(cartItems);
+        const changes = [...findCartPriceChanges(cartItems, effectiveCategories), ...codeChanges];
+        setPriceChanges(changes);
+        return changes;
+      }, [cartItems]);
+
+      const applyCurrentPrices = () => {
+        setCartItems(prevItems => applyPriceChanges(prevItems, priceChanges));
+        setPriceChanges([]);
       };
 
+      const nextCartChangeAt = useMemo(() => getNextCartChangeAt(cartItems, categories), [cartItems, categories]);
+
+      useEffect(() => {
+        if (!nextCartChangeAt) return undefined;
+        const delay = nextCartChangeAt.getTime() - Date.now() + 1000;
+        if (delay > MAX_TIMER_DELAY_MS) return undefined;
+        const timeoutId = setTimeout(checkCartPrices, Math.max(delay, 0));
+        return () => clearTimeout(timeoutId);
+      }, [nextCartChangeAt, checkCartPrices]);
+
+      const openPriceChanges = priceChanges.filter(change => cartItems.some(item => item.id === change.itemId));
+
       return (
         <CartContext.Provider value={{ 
           cartItems, 
           addItemToCart, 
           removeItemFromCart, 
           updateItemWeightInCart, 
+          updateItemQuantityInCart,
           clearCart,
           totalWeight, 
           totalPrice,
           categories,
           isLoadingCategories,
-          fetchCategories // Expose fetchCategories to allow manual refresh if needed
+          fetchCategories, // Expose fetchCategories to allow manual refresh if needed
+          priceChanges: openPriceChanges,
+          nextCartChangeAt,
+          checkCartPrices,
+          applyCurrentPrices,
+          restoreCart,
+          restoredPriceChanges,
+          dismissRestoredPriceChanges
         }}>
           {children}
         </CartContext.Provider>
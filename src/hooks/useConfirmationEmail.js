@@ -1,6 +1,9 @@
 import { useState, useCallback } from 'react';
     import { supabase } from '@/lib/supabaseClient';
     import { generatePurchaseConfirmationHTML } from '@/lib/pdfGenerator';
+    import { getConfirmationCalendarFile } from '@/lib/calendarEvents';
+    import { toCalendarAttachment } from '@/lib/appointmentNotifications';
+    import { fetchShipmentLabelFiles } from '@/lib/shipmentTracking';
     import { useToast } from '@/components/ui/use-toast';
 
     export const useConfirmationEmail = () => {
@@ -11,7 +14,7 @@ import { useState, useCallback } from 'react';
         error: null,
       });
 
-      const sendFinalConfirmationEmail = useCallback(async (confirmationData, ankaufsNummer, qrCodeDataURL, labelUrls = [], pdfUrl = null) => {
+      const sendFinalConfirmationEmail = useCallback(async (confirmationData, ankaufsNummer, qrCodeDataURL, pdfUrl = null) => {
         if (!confirmationData || !ankaufsNummer || !qrCodeDataURL) {
           console.warn("Email Send: Missing required data", { confirmationData, ankaufsNummer, qrCodeDataURL });
           setEmailStatus(prev => ({ ...prev, error: "Fehlende Daten für E-Mail-Versand."}));
@@ -26,6 +29,18 @@ import { useState, useCallback } from 'react';
         setEmailStatus({ sending: true, sent: false, error: null });
 
         const purchaseConfirmationHtml = generatePurchaseConfirmationHTML({ ...confirmationData, qrCodeDataURL });
+        const calendarFile = getConfirmationCalendarFile(confirmationData, ankaufsNummer);
+
+        // Labels immer aus shipment_labels, damit die E-Mail genau die gespeicherten Dateien verlinkt.
+        let labelUrls = [];
+        if (confirmationData.deliveryType === 'versand' && confirmationData.ankaufRequestId) {
+          try {
+            const labels = await fetchShipmentLabelFiles(confirmationData.ankaufRequestId, ankaufsNummer);
+            labelUrls = labels.map(label => label.label_url);
+          } catch (labelError) {
+            console.warn('Email Send: Could not load shipment labels, sending without them.', labelError);
+          }
+        }
         
         const emailPayload = {
           customer_email: confirmationData.email,
@@ -39,6 +54,7 @@ import { useState, useCallback } from 'react';
           purchase_confirmation_html_content_raw: purchaseConfirmationHtml,
           label_urls_raw: labelUrls, 
           pdf_attachment_url_raw: pdfUrl,
+          calendar_attachment_raw: calendarFile ? toCalendarAttachment(calendarFile.fileName, calendarFile.content) : null,
         };
 
         try {
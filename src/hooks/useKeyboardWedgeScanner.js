@@ -0,0 +1,53 @@
+import { useEffect, useRef } from 'react';
+
+    const MAX_KEY_INTERVAL_MS = 50;
+    const MIN_CODE_LENGTH = 4;
+
+    /**
+     * USB-Handscanner arbeiten als Tastatur: sie "tippen" den Code in wenigen Millisekunden
+     * und schließen mit Enter ab. Der Hook sammelt solche schnellen Eingaben global,
+     * solange der Fokus nicht in einem Eingabefeld liegt (dort übernimmt das Feld selbst).
+     */
+    export const useKeyboardWedgeScanner = (onScan, { enabled = true } = {}) => {
+      const onScanRef = useRef(onScan);
+
+      useEffect(() => {
+        onScanRef.current = onScan;
+      }, [onScan]);
+
+      useEffect(() => {
+        if (!enabled) return undefined;
+
+        let buffer = '';
+        let lastKeyTime = 0;
+
+        const handleKeyDown = (event) => {
+          const target = event.target;
+          if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) {
+            return;
+          }
+
+          const now = Date.now();
+          if (now - lastKeyTime > MAX_KEY_INTERVAL_MS) {
+            buffer = '';
+          }
+          lastKeyTime = now;
+
+          if (event.key === 'Enter') {
+            if (buffer.length >= MIN_CODE_LENGTH) {
+              event.preventDefault();
+              onScanRef.current(buffer);
+            }
+            buffer = '';
+            return;
+          }
+
+          if (event.key.length === 1) {
+            buffer += event.key;
+          }
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+      }, [enabled]);
+    };
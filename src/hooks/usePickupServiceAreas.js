@@ -0,0 +1,27 @@
+import { useState, useEffect } from 'react';
+    import { fetchActivePickupServiceAreas } from '@/lib/pickupServiceAreas';
+
+    // Aktive Abholgebiete; bis sie geladen sind (oder wenn das Laden scheitert) ist die Liste leer.
+    export const usePickupServiceAreas = () => {
+      const [areas, setAreas] = useState([]);
+      const [isLoading, setIsLoading] = useState(true);
+
+      useEffect(() => {
+        let isMounted = true;
+        fetchActivePickupServiceAreas()
+          .then((loadedAreas) => {
+            if (isMounted) setAreas(loadedAreas);
+          })
+          .catch((error) => {
+            console.error(error.message);
+          })
+          .finally(() => {
+            if (isMounted) setIsLoading(false);
+          });
+        return () => {
+          isMounted = false;
+        };
+      }, []);
+
+      return { areas, isLoading };
+    };
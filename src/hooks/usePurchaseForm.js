@@ -1,6 +1,7 @@
 import { useState, useCallback } from 'react';
-
-    const ELIGIBLE_PICKUP_ZIPS_PREFIXES = ['16', '130', '131', '134'];
+    import { usePickupServiceAreas } from '@/hooks/usePickupServiceAreas';
+    import { findPickupServiceArea } from '@/lib/pickupServiceAreas';
+    import { suggestParcelCount, MAX_SELF_SERVICE_PARCELS } from '@/lib/parcels';
 
     export const usePurchaseForm = (initialFormData = {}) => {
       const [formData, setFormData] = useState({
@@ -16,28 +17,35 @@ import { useState, useCallback } from 'react';
         paypal: '',
         agbAccepted: false,
         ownItemsConfirmed: false,
-        pickupDetails: { date: null, time: '', notes: '' },
+        pickupDetails: { dayId: null, date: null, time: '', notes: '' },
         deliveryDetails: { notes: '' },
         selectedTimeSlot: '',
         deliveryDate: null,
-        numberOfLabels: 1,
+        selfDeliverySlotStart: null,
+        selfDeliveryHoldExpiresAt: null,
+        numberOfLabels: '1',
+        dropOffPoint: null,
         ...initialFormData,
       });
 
-      const [zipEligibility, setZipEligibility] = useState({ isEligible: false, message: '', type: '' });
+      const { areas: pickupServiceAreas, isLoading: isLoadingServiceAreas } = usePickupServiceAreas();
+      const [zipEligibility, setZipEligibility] = useState({ isEligible: false, message: '', type: '', area: null });
+      // Sobald Kunden die Paketanzahl selbst wählen, schlagen wir keine mehr vor.
+      const [isNumberOfLabelsAdjusted, setIsNumberOfLabelsAdjusted] = useState(false);
 
+      // Hängt an den geladenen Abholgebieten; PurchaseFormPage prüft deshalb nach dem Laden erneut.
       const checkZipEligibility = useCallback((zip) => {
-        if (zip.length === 5) {
-          const isEligible = ELIGIBLE_PICKUP_ZIPS_PREFIXES.some(prefix => zip.startsWith(prefix));
-          if (isEligible) {
-            setZipEligibility({ isEligible: true, message: 'Abholung für diese PLZ verfügbar.', type: 'success' });
+        if (zip.length === 5 && !isLoadingServiceAreas) {
+          const area = findPickupServiceArea(pickupServiceAreas, zip);
+          if (area) {
+            setZipEligibility({ isEligible: true, message: 'Abholung für diese PLZ verfügbar.', type: 'success', area });
           } else {
-            setZipEligibility({ isEligible: false, message: 'Abholung für diese PLZ leider nicht verfügbar.', type: 'error' });
+            setZipEligibility({ isEligible: false, message: 'Abholung für diese PLZ leider nicht verfügbar.', type: 'error', area: null });
           }
         } else {
-          setZipEligibility({ isEligible: false, message: '', type: '' });
+          setZipEligibility({ isEligible: false, message: '', type: '', area: null });
         }
-      }, []);
+      }, [pickupServiceAreas, isLoadingServiceAreas]);
 
       const handleChange = useCallback((field, eventOrValue) => {
         let value;
@@ -57,7 +65,16 @@ import { useState, useCallback } from 'react';
 
       const handleSelectChange = useCallback((field, value) => {
         setFormData((prev) => ({ ...prev, [field]: value }));
+        if (field === 'numberOfLabels') {
+          setIsNumberOfLabelsAdjusted(true);
+        }
       }, []);
+
+      const suggestNumberOfLabels = useCallback((totalWeight) => {
+        if (isNumberOfLabelsAdjusted) return;
+        const suggestion = suggestParcelCount(totalWeight);
+        setFormData((prev) => ({ ...prev, numberOfLabels: suggestion > MAX_SELF_SERVICE_PARCELS ? '0' : String(suggestion) }));
+      }, [isNumberOfLabelsAdjusted]);
       
       const handleNestedChange = useCallback((section, field, value) => {
         setFormData(prev => ({
@@ -73,9 +90,11 @@ import { useState, useCallback } from 'react';
         formData,
         setFormData,
         zipEligibility,
+        pickupServiceAreas,
         handleChange,
         handleSelectChange,
         handleNestedChange,
         checkZipEligibility,
+        suggestNumberOfLabels,
       };
     };
\ No newline at end of file
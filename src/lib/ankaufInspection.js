@@ -0,0 +1,176 @@
+import { supabase } from '@/lib/supabaseClient';
+
+    // Gründe orientieren sich an den Ausschlusskriterien auf der Seite "Was wir ankaufen".
+    export const REJECTION_REASONS = {
+      schimmel: 'Schimmel / Feuchtigkeit',
+      geruch: 'Raucherhaushalt / starker Geruch',
+      beschaedigt: 'Stark beschädigt / unvollständig',
+      verschmutzt: 'Stark verschmutzt',
+      bibliothek: 'Bibliotheks- oder Leseexemplar',
+      kopie: 'Kopie / keine Originalware',
+      nicht_angekauft: 'Nicht im Ankaufsprogramm',
+      sonstiges: 'Sonstiges',
+    };
+
+    export const getRejectionReasonLabel = (reason) => REJECTION_REASONS[reason] || reason || '';
+
+    const toNumber = (value) => {
+      const number = parseFloat(String(value ?? '').replace(',', '.'));
+      return Number.isFinite(number) ? number : 0;
+    };
+
+    const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+    /**
+     * Baut die Prüfzeilen aus den angemeldeten Artikeln. Bereits gespeicherte Ergebnisse werden
+     * übernommen, sonst wird das angemeldete Gewicht als tatsächliches Gewicht vorgeschlagen.
+     */
+    export const buildInspectionRows = (request, savedItems = []) => {
+      const items = Array.isArray(request?.items) ? request.items : [];
+      const savedByIndex = new Map(savedItems.map(saved => [saved.item_index, saved]));
+
+      return items.map((item, index) => {
+        const saved = savedByIndex.get(index);
+        // Gespeicherte Positionen tragen Preis und Einheit, mit denen save_ankauf_inspection gerechnet hat.
+        const isPiece = (saved?.unit ?? item.unit) === 'piece';
+        return {
+          itemIndex: index,
+          category: item.category,
+          unit: isPiece ? 'piece' : 'kg',
+          estimatedWeightPerPiece: toNumber(item.estimatedWeightPerPiece),
+          declaredQuantity: isPiece ? parseInt(item.quantity, 10) || 0 : null,
+          actualQuantity: isPiece ? String(saved?.actual_quantity ?? (parseInt(item.quantity, 10) || 0)) : '',
+          rejectedQuantity: isPiece ? String(saved?.rejected_quantity ?? 0) : '',
+          declaredWeight: toNumber(item.weight),
+          declaredPrice: toNumber(item.price),
+          pricePerKg: toNumber(saved?.price_per_kg ?? item.pricePerKg),
+          actualWeight: saved ? String(saved.actual_weight) : String(toNumber(item.weight)),
+          rejectedWeight: saved ? String(saved.rejected_weight) : '0',
+          rejectionReason: saved?.rejection_reason || '',
+          rejectionNote: saved?.rejection_note || '',
+        };
+      });
+    };
+
+    const toQuantity = (value) => {
+      const quantity = parseInt(value, 10);
+      return Number.isFinite(quantity) ? quantity : 0;
+    };
+
+    // Gleiche Rechnung wie save_ankauf_inspection in der Datenbank, hier nur für die Vorschau.
+    // Stückware wird gezählt, das Gewicht ergibt sich aus dem geschätzten Gewicht pro Stück.
+    export const calculateInspectionRow = (row) => {
+      if (row.unit === 'piece') {
+        const actualQuantity = toQuantity(row.actualQuantity);
+        const rejectedQuantity = toQuantity(row.rejectedQuantity);
+        const acceptedQuantity = Math.max(actualQuantity - rejectedQuantity, 0);
+        const actualWeight = roundCurrency(actualQuantity * row.estimatedWeightPerPiece);
+        const rejectedWeight = roundCurrency(rejectedQuantity * row.estimatedWeightPerPiece);
+        const acceptedWeight = Math.max(actualWeight - rejectedWeight, 0);
+        const finalPrice = roundCurrency(acceptedQuantity * row.pricePerKg);
+        return {
+          actualQuantity,
+          rejectedQuantity,
+          acceptedQuantity,
+          actualWeight,
+          rejectedWeight,
+          acceptedWeight,
+          finalPrice,
+          quantityDifference: acceptedQuantity - row.declaredQuantity,
+          weightDifference: roundCurrency(acceptedWeight - row.declaredWeight),
+          priceDifference: roundCurrency(finalPrice - row.declaredPrice),
+        };
+      }
+
+      const actualWeight = toNumber(row.actualWeight);
+      const rejectedWeight = toNumber(row.rejectedWeight);
+      const acceptedWeight = Math.max(actualWeight - rejectedWeight, 0);
+      const finalPrice = roundCurrency(acceptedWeight * row.pricePerKg);
+      return {
+        actualWeight,
+        rejectedWeight,
+        acceptedWeight,
+        finalPrice,
+        weightDifference: roundCurrency(acceptedWeight - row.declaredWeight),
+        priceDifference: roundCurrency(finalPrice - row.declaredPrice),
+      };
+    };
+
+    const hasRejection = (result) => result.rejectedWeight > 0 || result.rejectedQuantity > 0;
+
+    export const calculateInspectionTotals = (rows) => rows.reduce((totals, row) => {
+      const result = calculateInspectionRow(row);
+      return {
+        declaredWeight: totals.declaredWeight + row.declaredWeight,
+        declaredPrice: roundCurrency(totals.declaredPrice + row.declaredPrice),
+        actualWeight: totals.actualWeight + result.actualWeight,
+        rejectedWeight: totals.rejectedWeight + result.rejectedWeight,
+        acceptedWeight: totals.acceptedWeight + result.acceptedWeight,
+        finalPrice: roundCurrency(totals.finalPrice + result.finalPrice),
+      };
+    }, { declaredWeight: 0, declaredPrice: 0, actualWeight: 0, rejectedWeight: 0, acceptedWeight: 0, finalPrice: 0 });
+
+    export const validateInspectionRows = (rows) => {
+      for (const row of rows) {
+        const result = calculateInspectionRow(row);
+        const [actual, rejected] = row.unit === 'piece'
+          ? [result.actualQuantity, result.rejectedQuantity]
+          : [result.actualWeight, result.rejectedWeight];
+        if (actual < 0 || rejected < 0) {
+          return `${row.category}: Mengen dürfen nicht negativ sein.`;
+        }
+        if (rejected > actual) {
+          return `${row.category}: Die abgelehnte Menge ist größer als die tatsächliche Menge.`;
+        }
+        if (hasRejection(result) && !row.rejectionReason) {
+          return `${row.category}: Bitte einen Ablehnungsgrund auswählen.`;
+        }
+      }
+      return null;
+    };
+
+    export const rowHasRejection = (row) => hasRejection(calculateInspectionRow(row));
+
+    export const fetchInspectionItems = async (ankaufRequestId) => {
+      const { data, error } = await supabase
+        .from('ankauf_inspection_items')
+        .select('item_index, category, declared_weight, declared_price, price_per_kg, actual_weight, rejected_weight, rejection_reason, rejection_note, accepted_weight, unit, declared_quantity, actual_quantity, rejected_quantity, final_price, updated_at')
+        .eq('ankauf_request_id', ankaufRequestId)
+        .order('item_index', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching ankauf_inspection_items:', error);
+        throw new Error(`Prüfergebnisse konnten nicht geladen werden: ${error.message}`);
+      }
+      return data || [];
+    };
+
+    export const saveInspection = async (ankaufRequestId, rows, { complete = false } = {}) => {
+      const validationError = validateInspectionRows(rows);
+      if (validationError) {
+        throw new Error(validationError);
+      }
+
+      const { data, error } = await supabase.rpc('save_ankauf_inspection', {
+        p_ankauf_request_id: ankaufRequestId,
+        p_items: rows.map((row) => {
+          const result = calculateInspectionRow(row);
+          return {
+            item_index: row.itemIndex,
+            actual_weight: result.actualWeight,
+            rejected_weight: result.rejectedWeight,
+            actual_quantity: row.unit === 'piece' ? result.actualQuantity : null,
+            rejected_quantity: row.unit === 'piece' ? result.rejectedQuantity : null,
+            rejection_reason: hasRejection(result) ? row.rejectionReason : null,
+            rejection_note: row.rejectionNote,
+          };
+        }),
+        p_complete: complete,
+      });
+
+      if (error) {
+        console.error('Error saving ankauf inspection:', error);
+        throw new Error(`Prüfung konnte nicht gespeichert werden: ${error.message}`);
+      }
+      return data;
+    };
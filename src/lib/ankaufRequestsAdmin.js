@@ -0,0 +1,145 @@
+import { supabase } from '@/lib/supabaseClient';
+    import { canTransition, getStatusLabel } from '@/lib/ankaufStatus';
+    import { splitLabelReference } from '@/lib/ankaufsNummer';
+
+    const ANKAUF_REQUEST_LIST_COLUMNS = `
+      id,
+      ankaufs_nummer,
+      submission_date,
+      delivery_type,
+      total_weight,
+      total_price,
+      items,
+      iban,
+      paypal,
+      status,
+      status_changed_at,
+      number_of_labels,
+      pdf_url,
+      credit_note_url,
+      final_weight,
+      final_price,
+      pickup_fee,
+      inspected_at,
+      inspected_by_email,
+      customers ( id, name, email, phone, street, zip, city, company_name ),
+      shipment_labels ( label_index, tracking_number, tracking_status )
+    `;
+
+    export const getDeliveryTypeGerman = (type) => {
+      if (type === 'selbstanlieferung') return 'Selbstanlieferung';
+      if (type === 'versand') return 'Versand';
+      if (type === 'abholung') return 'Abholung';
+      return type;
+    };
+
+    export const ANKAUF_REQUESTS_PAGE_SIZE = 50;
+
+    /**
+     * Eine Seite der Admin-Ankaufsliste, neueste zuerst. Suche (Ankaufsnummer, Name, Firma, E-Mail,
+     * PLZ, Ort) und Filter laufen in der Datenbank, damit auch ältere Ankäufe gefunden werden.
+     *
+     * @returns {Promise<{requests: Array<Object>, totalCount: number}>}
+     */
+    export const fetchAnkaufRequests = async ({ searchTerm, status, deliveryType, dateFrom, dateTo, page = 0 } = {}) => {
+      const from = page * ANKAUF_REQUESTS_PAGE_SIZE;
+      let query = supabase
+        .rpc('search_ankauf_requests', { p_search: (searchTerm || '').trim() }, { count: 'exact' })
+        .select(ANKAUF_REQUEST_LIST_COLUMNS)
+        .order('submission_date', { ascending: false })
+        .range(from, from + ANKAUF_REQUESTS_PAGE_SIZE - 1);
+
+      if (status) query = query.eq('status', status);
+      if (deliveryType) query = query.eq('delivery_type', deliveryType);
+      if (dateFrom) query = query.gte('submission_date', new Date(`${dateFrom}T00:00:00`).toISOString());
+      if (dateTo) query = query.lte('submission_date', new Date(`${dateTo}T23:59:59.999`).toISOString());
+
+      const { data, error, count } = await query;
+      if (error) {
+        console.error('Error fetching ankauf_requests:', error);
+        throw new Error(`Ankaufsanfragen konnten nicht geladen werden: ${error.message}`);
+      }
+      return { requests: data || [], totalCount: count || 0 };
+    };
+
+    export const fetchAnkaufStatusHistory = async (ankaufRequestId) => {
+      const { data, error } = await supabase
+        .from('ankauf_status_history')
+        .select('id, from_status, to_status, note, changed_by_email, changed_at')
+        .eq('ankauf_request_id', ankaufRequestId)
+        .order('changed_at', { ascending: false });
+
+      if (error) {
+        console.error('Error fetching ankauf_status_history:', error);
+        throw new Error(`Statusverlauf konnte nicht geladen werden: ${error.message}`);
+      }
+      return data || [];
+    };
+
+    export const transitionAnkaufStatus = async (ankaufRequest, toStatus, note = null) => {
+      if (!canTransition(ankaufRequest.status, toStatus)) {
+        throw new Error(`Statuswechsel von "${getStatusLabel(ankaufRequest.status)}" nach "${getStatusLabel(toStatus)}" ist nicht erlaubt.`);
+      }
+
+      const { data, error } = await supabase.rpc('transition_ankauf_status', {
+        p_ankauf_request_id: ankaufRequest.id,
+        p_to_status: toStatus,
+        p_note: note,
+      });
+
+      if (error) {
+        console.error('Error transitioning ankauf status:', error);
+        throw new Error(`Status konnte nicht geändert werden: ${error.message}`);
+      }
+      return data;
+    };
+
+    /**
+     * Zerlegt einen gescannten Code (QR vom Begleitschein oder Label-Referenz) in
+     * Ankaufsnummer und optionalen Label-Index, z.B. "BR-2026-00042-5-L2" → { ankaufsNummer: "BR-2026-00042-5", labelIndex: 2 }.
+     */
+    export const parseScannedAnkaufCode = (rawCode) => splitLabelReference(rawCode);
+
+    export const getExpectedParcelCount = (request) => Math.max(parseInt(request?.number_of_labels, 10) || 0, 1);
+
+    export const fetchAnkaufRequestByNummer = async (ankaufsNummer) => {
+      const { data, error } = await supabase
+        .from('ankauf_requests')
+        .select(ANKAUF_REQUEST_LIST_COLUMNS)
+        .eq('ankaufs_nummer', ankaufsNummer)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching ankauf_request by number:', error);
+        throw new Error(`Ankaufsanfrage konnte nicht geladen werden: ${error.message}`);
+      }
+      return data;
+    };
+
+    export const fetchParcelReceipts = async (ankaufRequestId) => {
+      const { data, error } = await supabase
+        .from('ankauf_parcel_receipts')
+        .select('id, label_index, received_at, received_by_email, note')
+        .eq('ankauf_request_id', ankaufRequestId)
+        .order('label_index', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching ankauf_parcel_receipts:', error);
+        throw new Error(`Wareneingänge konnten nicht geladen werden: ${error.message}`);
+      }
+      return data || [];
+    };
+
+    export const registerParcelReceipt = async (ankaufRequestId, labelIndexes, note = null) => {
+      const { data, error } = await supabase.rpc('register_parcel_receipt', {
+        p_ankauf_request_id: ankaufRequestId,
+        p_label_indexes: labelIndexes,
+        p_note: note,
+      });
+
+      if (error) {
+        console.error('Error registering parcel receipt:', error);
+        throw new Error(`Wareneingang konnte nicht gebucht werden: ${error.message}`);
+      }
+      return data || [];
+    };
@@ -0,0 +1,51 @@
+export const ANKAUF_STATUSES = {
+      pending: {
+        label: 'Eingegangen',
+        badgeClass: 'bg-slate-100 text-slate-800 dark:bg-slate-700 dark:text-slate-100',
+      },
+      label_created: {
+        label: 'Label erstellt',
+        badgeClass: 'bg-sky-100 text-sky-800 dark:bg-sky-700 dark:text-sky-100',
+      },
+      received: {
+        label: 'Ware erhalten',
+        badgeClass: 'bg-blue-100 text-blue-800 dark:bg-blue-700 dark:text-blue-100',
+      },
+      checked: {
+        label: 'Geprüft',
+        badgeClass: 'bg-amber-100 text-amber-800 dark:bg-amber-700 dark:text-amber-100',
+      },
+      paid: {
+        label: 'Ausgezahlt',
+        badgeClass: 'bg-green-100 text-green-800 dark:bg-green-700 dark:text-green-100',
+      },
+      rejected: {
+        label: 'Abgelehnt',
+        badgeClass: 'bg-red-100 text-red-800 dark:bg-red-700 dark:text-red-100',
+      },
+      returned: {
+        label: 'Zurückgesendet',
+        badgeClass: 'bg-purple-100 text-purple-800 dark:bg-purple-700 dark:text-purple-100',
+      },
+    };
+
+    // Must stay in sync with public.ankauf_status_transitions, which the
+    // transition_ankauf_status RPC uses to enforce the same rules server-side.
+    export const ANKAUF_STATUS_TRANSITIONS = {
+      pending: ['label_created', 'received', 'rejected'],
+      label_created: ['received', 'rejected'],
+      received: ['checked', 'rejected', 'returned'],
+      checked: ['paid', 'rejected', 'returned'],
+      rejected: ['returned'],
+      paid: [],
+      returned: [],
+    };
+
+    export const getStatusLabel = (status) => ANKAUF_STATUSES[status]?.label || status;
+
+    export const getStatusBadgeClass = (status) =>
+      ANKAUF_STATUSES[status]?.badgeClass || 'bg-slate-100 text-slate-800 dark:bg-slate-700 dark:text-slate-100';
+
+    export const getAllowedTransitions = (status) => ANKAUF_STATUS_TRANSITIONS[status] || [];
+
+    export const canTransition = (fromStatus, toStatus) => getAllowedTransitions(fromStatus).includes(toStatus);
@@ -0,0 +1,112 @@
+import { supabase } from '@/lib/supabaseClient';
+    import { normalizeAnkaufsNummer } from '@/lib/ankaufsNummer';
+
+    export const fetchAnkaufStatus = async (ankaufsNummer, verification) => {
+      const { data, error } = await supabase.rpc('get_ankauf_status', {
+        p_ankaufs_nummer: normalizeAnkaufsNummer(ankaufsNummer),
+        p_verification: verification.trim(),
+      });
+      if (error) {
+        console.error('Error fetching ankauf status:', error);
+        // Rate-Limit und Eingabefehler kommen als verständliche Meldung aus der Datenbank.
+        throw new Error(error.code === '54000' || error.code === 'P0001' ? error.message : 'Der Status konnte nicht abgerufen werden. Bitte versuche es später erneut.');
+      }
+      return data;
+    };
+
+    const findEventDate = (events, status) => events.find(event => event.status === status)?.changed_at || null;
+
+    // Frühester Scan beim Paketdienst über alle Labels.
+    const findFirstScanDate = (shipments) => shipments
+      .map(shipment => shipment.first_scanned_at)
+      .filter(Boolean)
+      .sort()[0] || null;
+
+    /**
+     * Baut die Zeitleiste für die Statusseite. Schritte ohne eigenen Zeitstempel gelten als erledigt,
+     * wenn ein späterer Schritt schon erreicht ist (z.B. "Label erstellt" bei Selbstanlieferung).
+     */
+    export const buildTrackingTimeline = (ankauf) => {
+      const events = Array.isArray(ankauf.status_events) ? ankauf.status_events : [];
+      const hasLabels = ankauf.delivery_type === 'versand';
+      const shipments = Array.isArray(ankauf.shipments) ? ankauf.shipments : [];
+      const steps = [
+        { key: 'submitted', label: 'Ankauf abgeschickt', date: ankauf.submission_date, reached: true },
+        hasLabels && {
+          key: 'label_created',
+          label: 'Versandlabel erstellt',
+          date: findEventDate(events, 'label_created'),
+          reached: ankauf.status !== 'pending' || shipments.length > 0,
+        },
+        hasLabels && {
+          key: 'in_transit',
+          label: 'Paket beim Paketdienst',
+          date: findFirstScanDate(shipments),
+          reached: !!findFirstScanDate(shipments),
+        },
+        {
+          key: 'received',
+          label: hasLabels ? 'Paket bei uns eingegangen' : 'Ware bei uns eingegangen',
+          date: ankauf.first_parcel_received_at || findEventDate(events, 'received'),
+          reached: ['received', 'checked', 'paid'].includes(ankauf.status) || ankauf.parcels_received > 0,
+        },
+        {
+          key: 'checked',
+          label: 'Ware geprüft',
+          date: ankauf.inspected_at || findEventDate(events, 'checked'),
+          reached: ['checked', 'paid'].includes(ankauf.status),
+        },
+        {
+          key: 'paid',
+          label: 'Auszahlung veranlasst',
+          date: findEventDate(events, 'paid'),
+          reached: ankauf.status === 'paid',
+        },
+      ].filter(Boolean);
+
+      const lastReachedIndex = steps.reduce((last, step, index) => (step.reached ? index : last), 0);
+      const timeline = steps.map((step, index) => ({
+        ...step,
+        state: index < lastReachedIndex ? 'done' : index === lastReachedIndex ? 'current' : 'upcoming',
+      }));
+
+      if (ankauf.status === 'rejected' || ankauf.status === 'returned') {
+        timeline.push({
+          key: ankauf.status,
+          label: ankauf.status === 'rejected' ? 'Ankauf abgelehnt' : 'Ware zurückgesendet',
+          date: findEventDate(events, ankauf.status),
+          state: 'stopped',
+        });
+      }
+      return timeline;
+    };
+
+    // Zusätzliche Erklärung für den aktuellen Stand.
+    export const getTrackingHint = (ankauf) => {
+      switch (ankauf.status) {
+        case 'pending':
+        case 'label_created': {
+          if (ankauf.delivery_type !== 'versand') return 'Wir warten auf deine Ware.';
+          const shipmentStatuses = (ankauf.shipments || []).map(shipment => shipment.tracking_status);
+          if (shipmentStatuses.includes('returned') || shipmentStatuses.includes('exception')) {
+            return 'Bei der Zustellung eines Pakets gab es ein Problem. Bitte melde dich bei uns.';
+          }
+          if (shipmentStatuses.length > 0 && shipmentStatuses.every(status => status === 'delivered')) {
+            return 'Dein Paket wurde bei uns zugestellt und wird in Kürze im Wareneingang erfasst.';
+          }
+          return 'Wir warten auf dein Paket. Sobald es bei uns eingescannt ist, siehst du es hier.';
+        }
+        case 'received':
+          return 'Deine Ware ist da und wird in den nächsten Tagen geprüft.';
+        case 'checked':
+          return 'Die Prüfung ist abgeschlossen. Die Auszahlung folgt in Kürze.';
+        case 'paid':
+          return 'Der Betrag wurde an dich überwiesen. Je nach Bank kann die Gutschrift 1–2 Werktage dauern.';
+        case 'rejected':
+          return 'Dein Ankauf wurde abgelehnt. Bei Fragen melde dich gern bei uns.';
+        case 'returned':
+          return 'Die Ware wurde an dich zurückgesendet.';
+        default:
+          return null;
+      }
+    };
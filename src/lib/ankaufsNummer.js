@@ -0,0 +1,80 @@
+// Ankaufsnummern haben die Form BR-JJJJ-NNNNN-P: Jahr, laufende Nummer (vergibt next_ankaufs_nummer
+    // in der Datenbank) und eine Prüfziffer nach Damm über Jahr und laufende Nummer. Die Prüfziffer
+    // erkennt jeden einzelnen Tippfehler und jeden Zahlendreher benachbarter Ziffern.
+    // Mehrere Pakete eines Ankaufs tragen zusätzlich "-L1", "-L2", … auf dem Label.
+    // Ältere Nummern (BR-12345678) bleiben gültig, haben aber keine Prüfziffer.
+
+    const DAMM_TABLE = [
+      [0, 3, 1, 7, 5, 9, 8, 6, 4, 2],
+      [7, 0, 9, 2, 1, 5, 4, 8, 6, 3],
+      [4, 2, 0, 6, 8, 7, 1, 3, 5, 9],
+      [1, 7, 5, 0, 9, 8, 3, 4, 2, 6],
+      [6, 1, 2, 3, 0, 4, 5, 9, 7, 8],
+      [3, 6, 7, 4, 2, 0, 9, 5, 8, 1],
+      [5, 8, 6, 9, 7, 2, 0, 1, 3, 4],
+      [8, 9, 4, 5, 3, 6, 2, 0, 1, 7],
+      [9, 4, 3, 8, 6, 1, 7, 2, 0, 5],
+      [2, 5, 8, 1, 4, 3, 6, 7, 9, 0],
+    ];
+
+    const ANKAUFS_NUMMER_PATTERN = /^BR-?(\d{4})-?(\d{5,})-?(\d)$/;
+    const LEGACY_ANKAUFS_NUMMER_PATTERN = /^BR-?(\d{6,8})$/;
+    const LABEL_SUFFIX_PATTERN = /^(.+?)-L(\d+)$/;
+
+    export const getDammCheckDigit = (digits) => (
+      String(digits).split('').reduce((interim, digit) => DAMM_TABLE[interim][parseInt(digit, 10)], 0)
+    );
+
+    // Großschreibung, Leerzeichen raus, Gedankenstriche und "ß" (Handscanner mit US-Layout) werden zu "-".
+    const cleanInput = (input) => (input || '').replace(/[ß–—]/g, '-').trim().toUpperCase().replace(/\s+/g, '');
+
+    /**
+     * Bringt eine eingetippte oder gescannte Nummer in die gespeicherte Schreibweise
+     * (z.B. "br 2026 00042 5" → "BR-2026-00042-5"). Unbekannte Formate bleiben nur bereinigt.
+     */
+    export const normalizeAnkaufsNummer = (input) => {
+      const code = cleanInput(input);
+      const match = code.match(ANKAUFS_NUMMER_PATTERN);
+      if (match) return `BR-${match[1]}-${match[2]}-${match[3]}`;
+      const legacyMatch = code.match(LEGACY_ANKAUFS_NUMMER_PATTERN);
+      if (legacyMatch) return `BR-${legacyMatch[1]}`;
+      return code;
+    };
+
+    /**
+     * Trennt das Label-Suffix ab, z.B. "BR-2026-00042-5-L2" → { ankaufsNummer: "BR-2026-00042-5", labelIndex: 2 }.
+     */
+    export const splitLabelReference = (input) => {
+      const code = cleanInput(input);
+      if (!code) return null;
+      const match = code.match(LABEL_SUFFIX_PATTERN);
+      return {
+        ankaufsNummer: normalizeAnkaufsNummer(match ? match[1] : code),
+        labelIndex: match ? parseInt(match[2], 10) : null,
+      };
+    };
+
+    // Referenz auf dem Versandlabel; bei nur einem Paket ohne Suffix. labelIndex beginnt bei 1.
+    export const getLabelReference = (ankaufsNummer, labelIndex, labelCount) => (
+      labelCount === 1 ? ankaufsNummer : `${ankaufsNummer}-L${labelIndex}`
+    );
+
+    /**
+     * Prüft eine eingegebene Ankaufsnummer (mit oder ohne Label-Suffix).
+     * Liefert eine deutsche Fehlermeldung oder null.
+     */
+    export const getAnkaufsNummerError = (input) => {
+      const reference = splitLabelReference(input);
+      if (!reference) return 'Bitte gib deine Ankaufsnummer ein.';
+      const { ankaufsNummer } = reference;
+      if (LEGACY_ANKAUFS_NUMMER_PATTERN.test(ankaufsNummer)) return null;
+
+      const match = ankaufsNummer.match(ANKAUFS_NUMMER_PATTERN);
+      if (!match) return 'Die Ankaufsnummer hat das Format BR-JJJJ-NNNNN-P, z.B. BR-2026-00042-5.';
+      if (getDammCheckDigit(`${match[1]}${match[2]}${match[3]}`) !== 0) {
+        return 'Die Ankaufsnummer enthält einen Tippfehler (Prüfziffer stimmt nicht). Bitte vergleiche sie mit dem Begleitschein.';
+      }
+      return null;
+    };
+
+    export const isValidAnkaufsNummer = (input) => getAnkaufsNummerError(input) === null;
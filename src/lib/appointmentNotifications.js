@@ -0,0 +1,46 @@
+import { supabase } from '@/lib/supabaseClient';
+    import { buildSelfDeliveryCalendarEvent } from '@/lib/calendarEvents';
+
+    export const CALENDAR_CONTENT_TYPE = 'text/calendar';
+
+    // Anhang für send_email_with_attachments und send_appointment_email; METHOD steht zusätzlich im Content-Type, damit Mailprogramme
+    // die Datei als Kalendereintrag erkennen. Absagen tragen STATUS:CANCELLED mit gleicher UID und höherer SEQUENCE.
+    export const toCalendarAttachment = (fileName, content) => ({
+      file_name: fileName,
+      content_type: `${CALENDAR_CONTENT_TYPE}; charset=utf-8; method=PUBLISH`,
+      content,
+    });
+
+    export const getSelfDeliveryCalendarContent = (appointment, manageToken) => buildSelfDeliveryCalendarEvent({
+      ankaufsNummer: appointment.ankaufs_nummer,
+      deliveryDate: appointment.delivery_date,
+      timeSlot: appointment.time_slot,
+      sequence: appointment.calendar_sequence,
+      cancelled: appointment.status === 'cancelled',
+      manageToken,
+    });
+
+    /**
+     * Schickt nach Verschieben oder Absagen eine E-Mail mit dem geänderten Kalendereintrag (gleiche UID, höhere SEQUENCE).
+     *
+     * @param {Object} appointment Ergebnis von get_self_delivery_appointment
+     * @param {string} manageToken
+     */
+    export const sendSelfDeliveryAppointmentUpdate = async (appointment, manageToken) => {
+      const content = getSelfDeliveryCalendarContent(appointment, manageToken);
+      const isCancelled = appointment.status === 'cancelled';
+
+      const { data, error } = await supabase.functions.invoke('send_appointment_email', {
+        body: JSON.stringify({
+          email_type: isCancelled ? 'appointment_cancelled' : 'appointment_updated',
+          // Die Edge Function lädt Empfänger und Termin selbst über den Verwaltungslink.
+          manage_token: manageToken,
+          calendar_attachment_raw: content ? toCalendarAttachment(`Termin-${appointment.ankaufs_nummer}.ics`, content) : null,
+        }),
+      });
+
+      if (error || data?.success === false) {
+        console.error('Error sending appointment update email:', error || data);
+        throw new Error('Die Bestätigung per E-Mail konnte nicht verschickt werden. Bitte lade den Kalendereintrag hier herunter.');
+      }
+    };
@@ -0,0 +1,72 @@
+import {
+      BarcodeFormat,
+      BinaryBitmap,
+      DecodeHintType,
+      HTMLCanvasElementLuminanceSource,
+      HybridBinarizer,
+      MultiFormatReader,
+    } from '@zxing/library';
+
+    export const SCAN_FORMATS = {
+      qr: BarcodeFormat.QR_CODE,
+      code128: BarcodeFormat.CODE_128,
+      ean13: BarcodeFormat.EAN_13,
+      ean8: BarcodeFormat.EAN_8,
+      upcA: BarcodeFormat.UPC_A,
+    };
+
+    const FORMAT_NAMES = Object.fromEntries(Object.entries(SCAN_FORMATS).map(([name, format]) => [format, name]));
+
+    /**
+     * Erzeugt einen Decoder, der ein Canvas-Bild nach den gewünschten Codes durchsucht.
+     * Läuft komplett im Browser (ZXing), ohne native BarcodeDetector-API.
+     */
+    export const createCanvasDecoder = (formatNames = ['qr']) => {
+      const reader = new MultiFormatReader();
+      const hints = new Map();
+      hints.set(DecodeHintType.POSSIBLE_FORMATS, formatNames.map(name => SCAN_FORMATS[name]));
+      hints.set(DecodeHintType.TRY_HARDER, true);
+      reader.setHints(hints);
+
+      return (canvas) => {
+        try {
+          const luminanceSource = new HTMLCanvasElementLuminanceSource(canvas);
+          const result = reader.decodeWithState(new BinaryBitmap(new HybridBinarizer(luminanceSource)));
+          return { text: result.getText(), format: FORMAT_NAMES[result.getBarcodeFormat()] || 'unknown' };
+        } catch (error) {
+          // NotFound-, Checksum- und Formatfehler treten bei unscharfen Frames ständig auf und sind kein echter Fehler.
+          return null;
+        } finally {
+          reader.reset();
+        }
+      };
+    };
+
+    export const getCameraErrorMessage = (error) => {
+      if (!error) return null;
+      if (error.name === 'NotAllowedError' || error.name === 'SecurityError') {
+        return 'Der Kamerazugriff wurde verweigert. Bitte erlaube den Zugriff in den Browser-Einstellungen oder gib den Code manuell ein.';
+      }
+      if (error.name === 'NotFoundError' || error.name === 'OverconstrainedError') {
+        return 'Es wurde keine Kamera gefunden. Bitte gib den Code manuell ein.';
+      }
+      if (error.name === 'NotReadableError') {
+        return 'Die Kamera wird bereits von einer anderen Anwendung verwendet.';
+      }
+      return `Kamera konnte nicht gestartet werden: ${error.message || error.name}`;
+    };
+
+    export const isCameraSupported = () =>
+      typeof navigator !== 'undefined' && !!navigator.mediaDevices && typeof navigator.mediaDevices.getUserMedia === 'function';
+
+    // Taschenlampe: nur Chrome/Android meldet "torch" in den Capabilities, Safari und Firefox nicht.
+    export const isTorchSupported = (track) => {
+      if (!track || typeof track.getCapabilities !== 'function') return false;
+      try {
+        return !!track.getCapabilities().torch;
+      } catch (error) {
+        return false;
+      }
+    };
+
+    export const setTorchEnabled = (track, enabled) => track.applyConstraints({ advanced: [{ torch: enabled }] });
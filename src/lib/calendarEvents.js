@@ -0,0 +1,202 @@
+import { DEPOT_LOCATION } from '@/lib/depotLocation';
+    import { buildSelfDeliveryManageUrl } from '@/lib/selfDeliverySlots';
+
+    // Kalendereinträge (iCalendar, RFC 5545) für Abholungen und Selbstanlieferungen.
+    // Die UID hängt nur an Ankaufsnummer und Abgabeart; eine Änderung oder Absage mit höherer
+    // SEQUENCE ersetzt deshalb den bereits importierten Termin, statt einen zweiten anzulegen.
+
+    const UID_DOMAIN = 'die-buchretter.de';
+    const ORGANIZER = 'ORGANIZER;CN=Die Buchretter:mailto:info@die-buchretter.de';
+
+    // Alle Zeiten sind Ortszeit Klosterfelde; die Zeitzone wird mitgeliefert (Pflicht bei TZID).
+    const VTIMEZONE_EUROPE_BERLIN = [
+      'BEGIN:VTIMEZONE',
+      'TZID:Europe/Berlin',
+      'BEGIN:DAYLIGHT',
+      'TZOFFSETFROM:+0100',
+      'TZOFFSETTO:+0200',
+      'TZNAME:CEST',
+      'DTSTART:19700329T020000',
+      'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+      'END:DAYLIGHT',
+      'BEGIN:STANDARD',
+      'TZOFFSETFROM:+0200',
+      'TZOFFSETTO:+0100',
+      'TZNAME:CET',
+      'DTSTART:19701025T030000',
+      'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+      'END:STANDARD',
+      'END:VTIMEZONE',
+    ];
+
+    const escapeText = (value) => String(value ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+
+    // Zeilen länger als 75 Oktette werden umbrochen; Folgezeilen beginnen mit einem Leerzeichen.
+    // Gezählt wird in UTF-8, damit Umlaute nicht mitten im Zeichen getrennt werden.
+    const foldLine = (line) => {
+      const encoder = new TextEncoder();
+      const parts = [];
+      let current = '';
+      let currentLength = 0;
+      for (const char of line) {
+        const charLength = encoder.encode(char).length;
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentLength + charLength > limit) {
+          parts.push(current);
+          current = '';
+          currentLength = 0;
+        }
+        current += char;
+        currentLength += charLength;
+      }
+      parts.push(current);
+      return parts.join('\r\n ');
+    };
+
+    // "2026-10-20", "07:00" → "20261020T070000"
+    const toLocalDateTime = (date, time) => `${date.replace(/-/g, '')}T${time.replace(':', '').slice(0, 4)}00`;
+
+    // Date → "20261019T101500Z"
+    const toUtcStamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+    /**
+     * "07:00 - 08:00" oder "09:00 - 16:00 Uhr" → ["07:00", "08:00"]; null, wenn kein Zeitraum erkennbar ist.
+     */
+    export const parseTimeRange = (text) => {
+      const match = (text || '').match(/(\d{1,2}:\d{2})\s*[-–]\s*(\d{1,2}:\d{2})/);
+      return match ? [match[1].padStart(5, '0'), match[2].padStart(5, '0')] : null;
+    };
+
+    export const getCalendarEventUid = (ankaufsNummer, deliveryType) => `${deliveryType}-${ankaufsNummer}@${UID_DOMAIN}`;
+
+    /**
+     * Baut eine VCALENDAR-Datei mit genau einem VEVENT.
+     *
+     * @param {Object} event
+     * @param {string} event.uid stabile UID (siehe getCalendarEventUid)
+     * @param {number} [event.sequence] bei jeder Änderung hochzählen
+     * @param {string} event.date "JJJJ-MM-TT"
+     * @param {string} event.start "HH:MM" (Ortszeit Europe/Berlin)
+     * @param {string} event.end "HH:MM"
+     * @param {string} event.summary
+     * @param {string} [event.description]
+     * @param {string} [event.location]
+     * @param {{lat: number, lon: number}} [event.geo]
+     * @param {boolean} [event.cancelled] erzeugt STATUS:CANCELLED; METHOD bleibt PUBLISH, weil CANCEL nach RFC 5546
+     *   ATTENDEE-Zeilen verlangt und die Datei auch zum Herunterladen gedacht ist
+     * @returns {string}
+     */
+    export const buildCalendarEvent = ({ uid, sequence = 0, date, start, end, summary, description, location, geo, cancelled = false }) => {
+      const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Die Buchretter//Ankauf//DE',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        ...VTIMEZONE_EUROPE_BERLIN,
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `SEQUENCE:${sequence}`,
+        `DTSTAMP:${toUtcStamp(new Date())}`,
+        `DTSTART;TZID=Europe/Berlin:${toLocalDateTime(date, start)}`,
+        `DTEND;TZID=Europe/Berlin:${toLocalDateTime(date, end)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        description ? `DESCRIPTION:${escapeText(description)}` : null,
+        location ? `LOCATION:${escapeText(location)}` : null,
+        geo ? `GEO:${geo.lat};${geo.lon}` : null,
+        ORGANIZER,
+        `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+        'TRANSP:OPAQUE',
+        'END:VEVENT',
+        'END:VCALENDAR',
+      ].filter(Boolean);
+
+      return `${lines.map(foldLine).join('\r\n')}\r\n`;
+    };
+
+    /**
+     * Kalendereintrag für einen Anliefertermin in Klosterfelde.
+     *
+     * @param {Object} appointment
+     * @param {string} appointment.ankaufsNummer
+     * @param {string} appointment.deliveryDate "JJJJ-MM-TT"
+     * @param {string} appointment.timeSlot z.B. "07:00 - 08:00"
+     * @param {number} [appointment.sequence]
+     * @param {boolean} [appointment.cancelled]
+     * @param {string} [appointment.manageToken] für den Link zum Verschieben/Absagen
+     */
+    export const buildSelfDeliveryCalendarEvent = ({ ankaufsNummer, deliveryDate, timeSlot, sequence = 0, cancelled = false, manageToken }) => {
+      const timeRange = parseTimeRange(timeSlot);
+      if (!deliveryDate || !timeRange) return null;
+
+      const description = [
+        `Ankaufsnummer: ${ankaufsNummer}`,
+        'Bitte den Begleitschein (ausgedruckt oder digital) mitbringen.',
+        manageToken ? `Termin verschieben oder absagen: ${buildSelfDeliveryManageUrl(manageToken)}` : null,
+      ].filter(Boolean).join('\n');
+
+      return buildCalendarEvent({
+        uid: getCalendarEventUid(ankaufsNummer, 'selbstanlieferung'),
+        sequence,
+        date: deliveryDate,
+        start: timeRange[0],
+        end: timeRange[1],
+        summary: `Bücher anliefern bei ${DEPOT_LOCATION.name} (${ankaufsNummer})`,
+        description,
+        location: `${DEPOT_LOCATION.name}, ${DEPOT_LOCATION.address}`,
+        geo: DEPOT_LOCATION,
+        cancelled,
+      });
+    };
+
+    /**
+     * Kalendereintrag für eine Abholung an der Kundenadresse im gebuchten Zeitfenster.
+     */
+    export const buildPickupCalendarEvent = ({ ankaufsNummer, pickupDate, timeWindow, address }) => {
+      const timeRange = parseTimeRange(timeWindow);
+      if (!pickupDate || !timeRange) return null;
+
+      return buildCalendarEvent({
+        uid: getCalendarEventUid(ankaufsNummer, 'abholung'),
+        date: pickupDate,
+        start: timeRange[0],
+        end: timeRange[1],
+        summary: `Abholung durch ${DEPOT_LOCATION.name} (${ankaufsNummer})`,
+        description: [
+          `Ankaufsnummer: ${ankaufsNummer}`,
+          'Wir melden uns am Vortag mit einer genaueren Uhrzeit. Bitte halte die Ware und den Begleitschein bereit.',
+        ].join('\n'),
+        location: address,
+      });
+    };
+
+    /**
+     * Kalenderdatei zu den Daten der Bestätigungsseite (Abholung oder Selbstanlieferung), sonst null.
+     *
+     * @returns {{fileName: string, content: string} | null}
+     */
+    export const getConfirmationCalendarFile = (confirmationData, ankaufsNummer) => {
+      if (!confirmationData || !ankaufsNummer) return null;
+
+      let content = null;
+      if (confirmationData.deliveryType === 'selbstanlieferung') {
+        content = buildSelfDeliveryCalendarEvent({
+          ankaufsNummer,
+          deliveryDate: confirmationData.deliveryDate,
+          timeSlot: confirmationData.selectedTimeSlot,
+          manageToken: confirmationData.selfDeliveryToken,
+        });
+      } else if (confirmationData.deliveryType === 'abholung') {
+        content = buildPickupCalendarEvent({
+          ankaufsNummer,
+          pickupDate: confirmationData.pickupDetails?.date,
+          timeWindow: confirmationData.pickupDetails?.time,
+          address: [confirmationData.street, `${confirmationData.zip} ${confirmationData.city}`].join(', '),
+        });
+      }
+      return content ? { fileName: `Termin-${ankaufsNummer}.ics`, content } : null;
+    };
@@ -0,0 +1,64 @@
+// Mengeneinheiten für Warenkorb-Positionen. Stückkategorien ("stueck", "defekt_stueck") werden
+    // nach Anzahl berechnet; ihr geschätztes Gewicht zählt trotzdem für Versand- und Abholgrenzen.
+
+    export const isPerPieceCategoryType = (categoryType) => !!categoryType && categoryType.includes('stueck');
+
+    export const isPerPieceItem = (item) => item?.unit === 'piece';
+
+    export const getUnitLabel = (item) => (isPerPieceItem(item) ? 'Stk.' : 'kg');
+
+    export const formatUnitPrice = (item) => `${(parseFloat(item.pricePerKg) || 0).toFixed(2)} €/${getUnitLabel(item)}`;
+
+    export const formatItemQuantity = (item) => (
+      isPerPieceItem(item)
+        ? `${parseInt(item.quantity, 10) || 0} Stk.`
+        : `${(parseFloat(item.weight) || 0).toFixed(2)} kg`
+    );
+
+    // Gewicht einer Position; bei Stückware als "ca." gekennzeichnete Schätzung.
+    export const formatItemWeight = (item) => (
+      isPerPieceItem(item)
+        ? `ca. ${(parseFloat(item.weight) || 0).toFixed(2)} kg`
+        : `${(parseFloat(item.weight) || 0).toFixed(2)} kg`
+    );
+
+    export const getEstimatedWeight = (quantity, estimatedWeightPerPiece) => (
+      Math.round((parseInt(quantity, 10) || 0) * (parseFloat(estimatedWeightPerPiece) || 0) * 100) / 100
+    );
+
+    /**
+     * Berechnet Gewicht und Preis einer Position aus Menge (Stück) bzw. Gewicht (kg).
+     * Liefert die Felder, die im Warenkorb-Item aktualisiert werden müssen.
+     */
+    export const calculateItemAmounts = (item, amount) => {
+      const unitPrice = parseFloat(item.pricePerKg) || 0;
+      if (isPerPieceItem(item)) {
+        const quantity = parseInt(amount, 10) || 0;
+        return {
+          quantity,
+          weight: getEstimatedWeight(quantity, item.estimatedWeightPerPiece),
+          price: item.requiresContact ? 0 : quantity * unitPrice,
+        };
+      }
+      const weight = parseFloat(amount) || 0;
+      return {
+        weight,
+        price: item.requiresContact ? 0 : weight * unitPrice,
+      };
+    };
+
+    // Warenkorb-Position für eine Kategorie aus dem Rechner (Gewicht bzw. Stückzahl als amount).
+    export const buildCategoryCartItem = (category, amount) => {
+      const isPerPiece = category.isPerPiece;
+      const item = {
+        categoryId: category.id,
+        category: category.name,
+        unit: isPerPiece ? 'piece' : 'kg',
+        estimatedWeightPerPiece: isPerPiece ? category.estimatedWeightPerPiece : undefined,
+        pricePerKg: category.pricePerKg,
+        priceVersionId: category.priceVersionId,
+        requiresContact: category.requiresContact,
+        iconName: category.iconName,
+      };
+      return { ...item, ...calculateItemAmounts(item, amount) };
+    };
@@ -0,0 +1,104 @@
+import { supabase } from '@/lib/supabaseClient';
+    import { calculateItemAmounts } from '@/lib/cartItemUnits';
+
+    export const CART_STORAGE_KEY = 'buchretter_cart';
+
+    // Bei Änderungen am Aufbau der Warenkorb-Items hochzählen und unten eine Migration ergänzen.
+    export const CART_STORAGE_VERSION = 1;
+
+    // Migrationen von Version n auf n + 1. Ältere Stände ohne Migration werden verworfen.
+    const STORAGE_MIGRATIONS = {};
+
+    const migrateStoredItems = (items, version) => {
+      let migratedItems = items;
+      for (let v = version; v < CART_STORAGE_VERSION; v += 1) {
+        if (!STORAGE_MIGRATIONS[v]) return null;
+        migratedItems = STORAGE_MIGRATIONS[v](migratedItems);
+      }
+      return migratedItems;
+    };
+
+    const isNonNegativeNumber = (value) => Number.isFinite(parseFloat(value)) && parseFloat(value) >= 0;
+
+    /**
+     * Prüft Items aus dem Speicher oder einem geteilten Link und rechnet Gewicht und Preis neu.
+     * Gespeicherte Preise gelten danach nur noch als "alter Preis" für den Abgleich mit den aktuellen Kategorien.
+     */
+    export const sanitizeCartItems = (items) => {
+      if (!Array.isArray(items)) return [];
+      return items.reduce((validItems, raw, index) => {
+        if (!raw || typeof raw.category !== 'string' || !isNonNegativeNumber(raw.pricePerKg)) return validItems;
+        const unit = raw.unit === 'piece' ? 'piece' : 'kg';
+        const amount = unit === 'piece' ? raw.quantity : raw.weight;
+        if (!isNonNegativeNumber(amount)) return validItems;
+
+        const item = {
+          id: raw.id || Date.now() + index + Math.random(),
+          categoryId: raw.categoryId || undefined,
+          category: raw.category,
+          unit,
+          estimatedWeightPerPiece: unit === 'piece' ? parseFloat(raw.estimatedWeightPerPiece) || 0 : undefined,
+          pricePerKg: parseFloat(raw.pricePerKg),
+          priceVersionId: raw.priceVersionId || undefined,
+          requiresContact: !!raw.requiresContact,
+          iconName: typeof raw.iconName === 'string' ? raw.iconName : 'Package',
+          productCode: typeof raw.productCode === 'string' ? raw.productCode : undefined,
+        };
+        return [...validItems, { ...item, ...calculateItemAmounts(item, amount) }];
+      }, []);
+    };
+
+    export const loadStoredCart = () => {
+      try {
+        const stored = localStorage.getItem(CART_STORAGE_KEY);
+        if (!stored) return [];
+        const { version, items } = JSON.parse(stored);
+        const migratedItems = migrateStoredItems(items, parseInt(version, 10) || 0);
+        if (!migratedItems) {
+          localStorage.removeItem(CART_STORAGE_KEY);
+          return [];
+        }
+        return sanitizeCartItems(migratedItems);
+      } catch (error) {
+        console.error('Gespeicherter Warenkorb konnte nicht gelesen werden:', error);
+        return [];
+      }
+    };
+
+    export const saveStoredCart = (items) => {
+      try {
+        if (items.length === 0) {
+          localStorage.removeItem(CART_STORAGE_KEY);
+        } else {
+          localStorage.setItem(CART_STORAGE_KEY, JSON.stringify({ version: CART_STORAGE_VERSION, savedAt: new Date().toISOString(), items }));
+        }
+      } catch (error) {
+        // Privater Modus oder voller Speicher: Der Warenkorb funktioniert trotzdem, nur ohne Speichern.
+        console.error('Warenkorb konnte nicht gespeichert werden:', error);
+      }
+    };
+
+    export const buildSharedCartUrl = (token) => `${window.location.origin}/warenkorb/${token}`;
+
+    export const createSharedCart = async (items) => {
+      const { data, error } = await supabase.rpc('create_shared_cart', {
+        p_items: items,
+        p_storage_version: CART_STORAGE_VERSION,
+      });
+      if (error) {
+        console.error('Error creating shared cart:', error);
+        throw new Error(`Der Warenkorb-Link konnte nicht erstellt werden: ${error.message}`);
+      }
+      return data;
+    };
+
+    export const fetchSharedCart = async (token) => {
+      const { data, error } = await supabase.rpc('get_shared_cart', { p_token: token });
+      if (error) {
+        console.error('Error fetching shared cart:', error);
+        throw new Error(`Der Warenkorb konnte nicht geladen werden: ${error.message}`);
+      }
+      if (!data) return null;
+      const items = migrateStoredItems(data.items, parseInt(data.storage_version, 10) || 0);
+      return items ? sanitizeCartItems(items) : null;
+    };
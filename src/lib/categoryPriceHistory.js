@@ -0,0 +1,15 @@
+import { supabase } from '@/lib/supabaseClient';
+
+    export const fetchCategoryPriceHistory = async (categoryId) => {
+      const { data, error } = await supabase
+        .from('product_category_prices')
+        .select('id, category_name, category_type, price_per_kg, valid_from, valid_to, changed_by_email, reason')
+        .eq('category_id', categoryId)
+        .order('valid_from', { ascending: false });
+
+      if (error) {
+        console.error('Error fetching product_category_prices:', error);
+        throw new Error(`Preishistorie konnte nicht geladen werden: ${error.message}`);
+      }
+      return data || [];
+    };
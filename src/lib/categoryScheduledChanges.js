@@ -0,0 +1,83 @@
+import { supabase } from '@/lib/supabaseClient';
+
+    export const fetchUpcomingCategoryChanges = async () => {
+      const { data, error } = await supabase
+        .from('product_category_scheduled_changes')
+        .select('id, category_id, effective_at, new_price_per_kg, new_is_active, reason, created_by_email, created_at')
+        .is('applied_at', null)
+        .is('cancelled_at', null)
+        .order('effective_at', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching product_category_scheduled_changes:', error);
+        throw new Error(`Geplante Änderungen konnten nicht geladen werden: ${error.message}`);
+      }
+      return data || [];
+    };
+
+    export const groupChangesByCategory = (changes) => changes.reduce((grouped, change) => {
+      (grouped[change.category_id] = grouped[change.category_id] || []).push(change);
+      return grouped;
+    }, {});
+
+    export const scheduleCategoryChange = async ({ categoryId, effectiveAt, newPricePerKg, newIsActive, reason }) => {
+      const effectiveDate = new Date(effectiveAt);
+      if (Number.isNaN(effectiveDate.getTime()) || effectiveDate.getTime() <= Date.now()) {
+        throw new Error('Der Zeitpunkt muss in der Zukunft liegen.');
+      }
+      const price = newPricePerKg === '' || newPricePerKg === null || newPricePerKg === undefined ? null : parseFloat(newPricePerKg);
+      if (price !== null && (Number.isNaN(price) || price < 0)) {
+        throw new Error('Bitte einen gültigen Preis angeben.');
+      }
+      if (price === null && newIsActive === null) {
+        throw new Error('Bitte einen neuen Preis oder eine Aktivierung/Deaktivierung angeben.');
+      }
+
+      const { data, error } = await supabase
+        .from('product_category_scheduled_changes')
+        .insert({
+          category_id: categoryId,
+          effective_at: effectiveDate.toISOString(),
+          new_price_per_kg: price,
+          new_is_active: newIsActive,
+          reason: reason || null,
+        })
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error scheduling category change:', error);
+        throw new Error(`Änderung konnte nicht geplant werden: ${error.message}`);
+      }
+      return data;
+    };
+
+    export const cancelScheduledCategoryChange = async (changeId) => {
+      const { error } = await supabase
+        .from('product_category_scheduled_changes')
+        .update({ cancelled_at: new Date().toISOString() })
+        .eq('id', changeId);
+
+      if (error) {
+        console.error('Error cancelling category change:', error);
+        throw new Error(`Geplante Änderung konnte nicht storniert werden: ${error.message}`);
+      }
+    };
+
+    // Admins sehen product_categories direkt; fällige Änderungen vorher übernehmen.
+    export const applyDueCategoryChanges = async () => {
+      const { error } = await supabase.rpc('apply_due_category_changes');
+      if (error) {
+        console.error('Error applying due category changes:', error);
+      }
+    };
+
+    export const describeScheduledChange = (change, unit = 'kg') => {
+      const parts = [];
+      if (change.new_price_per_kg !== null && change.new_price_per_kg !== undefined) {
+        parts.push(`${parseFloat(change.new_price_per_kg).toFixed(2)} € / ${unit}`);
+      }
+      if (change.new_is_active === true) parts.push('aktivieren');
+      if (change.new_is_active === false) parts.push('deaktivieren');
+      return parts.join(', ');
+    };
@@ -0,0 +1,179 @@
+// src/lib/creditNoteGenerator.jsx
+
+import { formatIban } from '@/lib/iban';
+
+// Unsere Daten als Leistungsempfänger/Aussteller der Gutschrift (wie auf dem Begleitschein).
+const COMPANY = {
+  name: 'Die Buchretter GbR',
+  street: 'Triftstr. 21B',
+  city: '16348 Wandlitz OT Klosterfelde',
+  email: 'info@die-buchretter.de',
+  phone: '033396 748863',
+  taxNumber: import.meta.env.VITE_COMPANY_TAX_NUMBER || '',
+  vatId: import.meta.env.VITE_COMPANY_VAT_ID || '',
+};
+
+const formatEuro = (value) => `${(parseFloat(value) || 0).toFixed(2).replace('.', ',')} €`;
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit', year: 'numeric' });
+
+const formatCreditNoteQuantity = (item) =>
+  item.unit === 'piece'
+    ? `${parseInt(item.quantity, 10) || 0} Stk. (ca. ${(parseFloat(item.weight) || 0).toFixed(2)} kg)`
+    : `${(parseFloat(item.weight) || 0).toFixed(2)} kg`;
+
+const generateCreditNoteHeader = (creditNote) => `
+  <div class="header">
+    <h1>Gutschrift ${creditNote.credit_note_number}</h1>
+    <p class="slogan">Ankauf ${creditNote.ankaufs_nummer}</p>
+  </div>
+`;
+
+const generatePartiesSection = (seller) => `
+  <div class="info-grid">
+    <div class="info-block">
+      <span class="section-subheading">Verkäufer (Leistender)</span>
+      ${seller.company_name ? `<p><strong>${seller.company_name}</strong></p><p>${seller.name}</p>` : `<p><strong>${seller.name}</strong></p>`}
+      <p>${seller.street}</p>
+      <p>${seller.zip} ${seller.city}</p>
+      ${seller.vat_id ? `<p><strong>St.-Nr./USt-IdNr.:</strong> ${seller.vat_id}</p>` : ''}
+    </div>
+    <div class="info-block">
+      <span class="section-subheading">Aussteller der Gutschrift (Käufer)</span>
+      <p><strong>${COMPANY.name}</strong></p>
+      <p>${COMPANY.street}</p>
+      <p>${COMPANY.city}</p>
+      <p><strong>E-Mail:</strong> ${COMPANY.email}</p>
+      ${COMPANY.taxNumber ? `<p><strong>Steuernummer:</strong> ${COMPANY.taxNumber}</p>` : ''}
+      ${COMPANY.vatId ? `<p><strong>USt-IdNr.:</strong> ${COMPANY.vatId}</p>` : ''}
+    </div>
+  </div>
+`;
+
+const generateCreditNoteDetails = (creditNote) => `
+  <div class="ankauf-details">
+    <p><strong>Gutschriftsnummer: ${creditNote.credit_note_number}</strong></p>
+    <p>Gutschriftsdatum: ${formatDate(creditNote.issued_at)}</p>
+    <p>Leistungsdatum (Eingangsprüfung): ${formatDate(creditNote.service_date)}</p>
+    <p>Ankaufsnummer: ${creditNote.ankaufs_nummer}</p>
+  </div>
+`;
+
+const generateCreditNoteItemsTable = (creditNote) => {
+  // Nur angenommene Mengen; abgelehnte Ware ist nicht Teil der Gutschrift.
+  const itemsHtml = (creditNote.items || [])
+    .map(
+      (item) => `
+      <tr>
+        <td>${item.category}</td>
+        <td style="text-align: right;">${formatCreditNoteQuantity(item)}</td>
+        <td style="text-align: right;">${formatEuro(item.unit_price)}/${item.unit === 'piece' ? 'Stk.' : 'kg'}</td>
+        <td style="text-align: right;">${formatEuro(item.price)}</td>
+      </tr>
+    `
+    )
+    .join('');
+
+  const isRegular = creditNote.tax_treatment === 'regular';
+  const vatRate = parseFloat(creditNote.vat_rate) || 0;
+  const pickupFee = parseFloat(creditNote.pickup_fee) || 0;
+  const pickupFeeHtml = pickupFee > 0
+    ? `
+        <tr>
+          <td colspan="3">Summe angenommene Ware</td>
+          <td style="text-align: right;">${formatEuro((parseFloat(creditNote.gross_amount) || 0) + pickupFee)}</td>
+        </tr>
+        <tr>
+          <td colspan="3">abzüglich Abholgebühr</td>
+          <td style="text-align: right;">-${formatEuro(pickupFee)}</td>
+        </tr>
+      `
+    : '';
+  const totalsHtml = pickupFeeHtml + (isRegular
+    ? `
+        <tr>
+          <td colspan="3">Nettobetrag</td>
+          <td style="text-align: right;">${formatEuro(creditNote.net_amount)}</td>
+        </tr>
+        <tr>
+          <td colspan="3">zzgl. ${vatRate} % Umsatzsteuer</td>
+          <td style="text-align: right;">${formatEuro(creditNote.vat_amount)}</td>
+        </tr>
+        <tr class="total-row">
+          <td colspan="3">Gutschriftsbetrag (brutto)</td>
+          <td style="text-align: right;">${formatEuro(creditNote.gross_amount)}</td>
+        </tr>
+      `
+    : `
+        <tr class="total-row">
+          <td colspan="3">Gutschriftsbetrag</td>
+          <td style="text-align: right;">${formatEuro(creditNote.gross_amount)}</td>
+        </tr>
+      `);
+
+  return `
+    <table>
+      <thead>
+        <tr>
+          <th>Kategorie</th>
+          <th style="text-align: right;">Angenommene Menge</th>
+          <th style="text-align: right;">Einzelpreis</th>
+          <th style="text-align: right;">Betrag</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${itemsHtml}
+      </tbody>
+      <tfoot>
+        ${totalsHtml}
+      </tfoot>
+    </table>
+  `;
+};
+
+const generatePayoutSection = (seller) => {
+  let payoutHtml = '<span class="section-subheading">Auszahlung</span>';
+  if (seller.iban) {
+    payoutHtml += `<p>Der Betrag wird auf folgendes Konto überwiesen: <strong>${formatIban(seller.iban)}</strong></p>`;
+  } else if (seller.paypal) {
+    payoutHtml += `<p>Der Betrag wird per PayPal an <strong>${seller.paypal}</strong> ausgezahlt.</p>`;
+  } else {
+    payoutHtml += '<p>Der Betrag wurde bzw. wird bar ausgezahlt.</p>';
+  }
+  return payoutHtml;
+};
+
+const generateCreditNoteFooter = () => `
+  <div class="footer">
+    <p>${COMPANY.name} | ${COMPANY.street}, ${COMPANY.city} | ${COMPANY.email} | ${COMPANY.phone}</p>
+  </div>
+`;
+
+/**
+ * Baut den BODY-Inhalt einer Gutschrift aus dem gespeicherten Stand (Tabelle credit_notes).
+ *
+ * @param {Object} creditNote Zeile aus credit_notes (seller und items als Snapshot)
+ * @param {string} taxNote Steuerlicher Hinweis passend zu creditNote.tax_treatment
+ */
+export const generateCreditNoteHTML = (creditNote, taxNote) => `
+  <div class="pdf-container">
+    <div class="pdf-page">
+      <div class="page-content">
+        ${generateCreditNoteHeader(creditNote)}
+        ${generatePartiesSection(creditNote.seller || {})}
+        ${generateCreditNoteDetails(creditNote)}
+
+        <span class="main-section-heading">Angekaufte Artikel nach Prüfung</span>
+        ${generateCreditNoteItemsTable(creditNote)}
+
+        <div class="section-compact">
+          ${generatePayoutSection(creditNote.seller || {})}
+        </div>
+
+        ${taxNote ? `<div class="important-note-combined"><p>${taxNote}</p></div>` : ''}
+        ${generateCreditNoteFooter()}
+      </div>
+    </div>
+  </div>
+`;
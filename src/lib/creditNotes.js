@@ -0,0 +1,80 @@
+import { supabase } from '@/lib/supabaseClient';
+    import { generateCreditNoteHTML } from '@/lib/creditNoteGenerator';
+    import { renderHtmlToPdfBlob, uploadPdfToStorage, toPdfFileName } from '@/lib/pdfRenderer';
+
+    // Besteuerung des Verkäufers. Privatverkäufer sind fest "private"; bei gewerblichen Verkäufern
+    // (customers.company_name) wählt das Team beim Ausstellen. Muss zu issue_credit_note passen.
+    export const CREDIT_NOTE_TAX_TREATMENTS = {
+      private: {
+        label: 'Privatverkäufer',
+        note: 'Der Verkäufer ist Privatperson und nicht zum Ausweis von Umsatzsteuer berechtigt. Die angekaufte Ware wird beim Wiederverkauf nach § 25a UStG (Differenzbesteuerung) versteuert.',
+      },
+      margin_scheme: {
+        label: 'Differenzbesteuerung (§ 25a UStG)',
+        note: 'Gutschrift im Sinne des § 14 Abs. 2 Satz 2 UStG. Gebrauchtgegenstände/Sonderregelung: Die Lieferung unterliegt beim Verkäufer der Differenzbesteuerung nach § 25a UStG; die Umsatzsteuer wird nicht gesondert ausgewiesen.',
+      },
+      small_business: {
+        label: 'Kleinunternehmer (§ 19 UStG)',
+        note: 'Gutschrift im Sinne des § 14 Abs. 2 Satz 2 UStG. Der Verkäufer ist Kleinunternehmer nach § 19 UStG; es wird keine Umsatzsteuer ausgewiesen.',
+      },
+      regular: {
+        label: 'Regelbesteuerung (mit Umsatzsteuer)',
+        note: 'Gutschrift im Sinne des § 14 Abs. 2 Satz 2 UStG. Im Gesamtbetrag ist die ausgewiesene Umsatzsteuer enthalten.',
+      },
+    };
+
+    export const BUSINESS_TAX_TREATMENTS = ['margin_scheme', 'small_business', 'regular'];
+
+    export const CREDIT_NOTE_VAT_RATES = [7, 19];
+
+    export const getTaxTreatmentLabel = (taxTreatment) => CREDIT_NOTE_TAX_TREATMENTS[taxTreatment]?.label || taxTreatment;
+
+    export const fetchCreditNote = async (ankaufRequestId) => {
+      const { data, error } = await supabase
+        .from('credit_notes')
+        .select('*')
+        .eq('ankauf_request_id', ankaufRequestId)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching credit note:', error);
+        throw new Error(`Gutschrift konnte nicht geladen werden: ${error.message}`);
+      }
+      return data;
+    };
+
+    /**
+     * Vergibt die nächste Gutschriftsnummer und speichert den Stand der Prüfung. Mehrfache Aufrufe
+     * für denselben Ankauf liefern dieselbe Gutschrift.
+     */
+    export const issueCreditNote = async (ankaufRequestId, { taxTreatment = null, vatRate = null, sellerVatId = '' } = {}) => {
+      const { data, error } = await supabase.rpc('issue_credit_note', {
+        p_ankauf_request_id: ankaufRequestId,
+        p_tax_treatment: taxTreatment,
+        p_vat_rate: taxTreatment === 'regular' ? vatRate : null,
+        p_seller_vat_id: sellerVatId.trim() || null,
+      });
+
+      if (error) {
+        console.error('Error issuing credit note:', error);
+        throw new Error(`Gutschrift konnte nicht erstellt werden: ${error.message}`);
+      }
+      return data;
+    };
+
+    // Erzeugt das PDF aus dem gespeicherten Stand, legt es neben den Begleitschein und verknüpft es mit dem Ankauf.
+    export const createCreditNotePdf = async (creditNote) => {
+      const pdfBlob = await renderHtmlToPdfBlob(generateCreditNoteHTML(creditNote, CREDIT_NOTE_TAX_TREATMENTS[creditNote.tax_treatment]?.note));
+      const pdfUrl = await uploadPdfToStorage(toPdfFileName('gutschrift', creditNote.credit_note_number), pdfBlob);
+
+      const { data, error } = await supabase.rpc('set_credit_note_pdf_url', {
+        p_credit_note_id: creditNote.id,
+        p_pdf_url: pdfUrl,
+      });
+
+      if (error) {
+        console.error('Error saving credit note pdf url:', error);
+        throw new Error(`Gutschrift-PDF konnte nicht verknüpft werden: ${error.message}`);
+      }
+      return data;
+    };
@@ -0,0 +1,172 @@
+import { supabase } from '@/lib/supabaseClient';
+
+    // Kanzlei- und Kontendaten für den Buchungsstapel. Standardwerte nach SKR03:
+    // 3200 Wareneingang, 1200 Bank, 1360 Geldtransit (PayPal), 1000 Kasse.
+    export const getDatevSettings = () => ({
+      consultantNumber: import.meta.env.VITE_DATEV_CONSULTANT_NUMBER || '',
+      clientNumber: import.meta.env.VITE_DATEV_CLIENT_NUMBER || '',
+      accountLength: parseInt(import.meta.env.VITE_DATEV_ACCOUNT_LENGTH, 10) || 4,
+      chartOfAccounts: import.meta.env.VITE_DATEV_CHART_OF_ACCOUNTS || '03',
+      defaultAccount: import.meta.env.VITE_DATEV_DEFAULT_ACCOUNT || '3200',
+      paymentAccounts: {
+        sepa: import.meta.env.VITE_DATEV_ACCOUNT_BANK || '1200',
+        paypal: import.meta.env.VITE_DATEV_ACCOUNT_PAYPAL || '1360',
+        cash: import.meta.env.VITE_DATEV_ACCOUNT_CASH || '1000',
+      },
+    });
+
+    export const PAYMENT_METHOD_LABELS = {
+      sepa: 'Überweisung',
+      paypal: 'PayPal',
+      cash: 'Bar',
+    };
+
+    // Pflichtfelder der ersten 14 Spalten des DATEV-Buchungsstapels (Formatversion 13).
+    const BOOKING_COLUMNS = [
+      'Umsatz (ohne Soll/Haben-Kz)',
+      'Soll/Haben-Kennzeichen',
+      'WKZ Umsatz',
+      'Kurs',
+      'Basis-Umsatz',
+      'WKZ Basis-Umsatz',
+      'Konto',
+      'Gegenkonto (ohne BU-Schlüssel)',
+      'BU-Schlüssel',
+      'Belegdatum',
+      'Belegfeld 1',
+      'Belegfeld 2',
+      'Skonto',
+      'Buchungstext',
+    ];
+
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+    const toBerlinDateParts = (value) => {
+      const [year, month, day] = new Date(value).toLocaleDateString('sv-SE', { timeZone: 'Europe/Berlin' }).split('-');
+      return { year, month, day };
+    };
+
+    const quote = (value, maxLength) => `"${String(value ?? '').slice(0, maxLength).replace(/"/g, '""')}"`;
+
+    const formatAmount = (value) => (Math.round((parseFloat(value) || 0) * 100) / 100).toFixed(2).replace('.', ',');
+
+    const compactDate = (isoDate) => isoDate.replace(/-/g, '');
+
+    const formatTimestamp = (date) => (
+      `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`
+      + `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}${pad(date.getMilliseconds(), 3)}`
+    );
+
+    /**
+     * Prüft den Zeitraum: DATEV erwartet einen Buchungsstapel je Wirtschaftsjahr (hier Kalenderjahr).
+     * Liefert eine deutsche Fehlermeldung oder null.
+     */
+    export const getDatevPeriodError = (periodFrom, periodTo) => {
+      if (!periodFrom || !periodTo) return 'Bitte einen Zeitraum wählen.';
+      if (periodFrom > periodTo) return 'Das Startdatum liegt nach dem Enddatum.';
+      if (periodFrom.slice(0, 4) !== periodTo.slice(0, 4)) return 'Ein DATEV-Export darf nur ein Wirtschaftsjahr umfassen.';
+      return null;
+    };
+
+    /**
+     * Eine Buchung je Ankauf und Sachkonto: Soll auf das Wareneingangskonto der Kategorie,
+     * Haben auf das Geldkonto des Zahlungswegs. Belegfeld 1 ist die Gutschriftsnummer, sonst die Ankaufsnummer.
+     * Die Abholgebühr kommt als negativer Betrag und wird als Haben-Buchung ausgegeben.
+     */
+    export const buildDatevBookings = (rows, settings = getDatevSettings()) => rows.flatMap(row => {
+      const { day, month } = toBerlinDateParts(row.paid_at);
+      return (row.lines || []).map(line => ({
+        ankaufRequestId: row.ankauf_request_id,
+        amount: parseFloat(line.amount) || 0,
+        account: line.account || settings.defaultAccount,
+        contraAccount: settings.paymentAccounts[row.payment_method] || settings.paymentAccounts.sepa,
+        documentDate: `${day}${month}`,
+        documentNumber: row.credit_note_number || row.ankaufs_nummer,
+        documentNumber2: row.ankaufs_nummer,
+        text: `Ankauf ${row.ankaufs_nummer} ${row.customer_name || ''}`.trim(),
+      }));
+    });
+
+    export const buildDatevBookingCsv = ({ bookings, periodFrom, periodTo, settings = getDatevSettings(), createdAt = new Date() }) => {
+      const fiscalYearStart = `${periodFrom.slice(0, 4)}0101`;
+      const header = [
+        '"EXTF"', 700, 21, '"Buchungsstapel"', 13, formatTimestamp(createdAt), '', '"RE"', '""', '""',
+        settings.consultantNumber, settings.clientNumber, fiscalYearStart, settings.accountLength,
+        compactDate(periodFrom), compactDate(periodTo), quote(`Ankäufe ${compactDate(periodFrom)}-${compactDate(periodTo)}`, 30), '""',
+        1, 0, 0, '"EUR"', '', '""', '', '', quote(settings.chartOfAccounts), '', '', '""', '""',
+      ].join(';');
+
+      const lines = bookings.map(booking => [
+        formatAmount(Math.abs(booking.amount)),
+        booking.amount < 0 ? '"H"' : '"S"',
+        '"EUR"',
+        '',
+        '',
+        '',
+        booking.account,
+        booking.contraAccount,
+        '""',
+        booking.documentDate,
+        quote(booking.documentNumber, 36),
+        quote(booking.documentNumber2, 12),
+        '',
+        quote(booking.text, 60),
+      ].join(';'));
+
+      return [header, BOOKING_COLUMNS.join(';'), ...lines].join('\r\n');
+    };
+
+    // DATEV liest EXTF-Dateien als Windows-1252. Nicht darstellbare Zeichen werden zu "?".
+    const WINDOWS_1252_EXTRAS = { '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '–': 0x96, '—': 0x97 };
+
+    export const encodeWindows1252 = (text) => Uint8Array.from(Array.from(text), (char) => {
+      const code = char.charCodeAt(0);
+      if (code < 0x80 || (code >= 0xa0 && code <= 0xff)) return code;
+      return WINDOWS_1252_EXTRAS[char] || 0x3f;
+    });
+
+    export const getDatevFileName = (periodFrom, periodTo) => `EXTF_Buchungsstapel_${compactDate(periodFrom)}_${compactDate(periodTo)}.csv`;
+
+    export const fetchDatevExportRows = async (periodFrom, periodTo) => {
+      const { data, error } = await supabase.rpc('get_datev_export_rows', { p_from: periodFrom, p_to: periodTo });
+      if (error) {
+        console.error('Error fetching datev export rows:', error);
+        throw new Error(`Buchungsdaten konnten nicht geladen werden: ${error.message}`);
+      }
+      return data || [];
+    };
+
+    export const fetchDatevExports = async () => {
+      const { data, error } = await supabase
+        .from('datev_exports')
+        .select('id, period_from, period_to, file_name, booking_count, total_amount, exported_at, exported_by_email')
+        .order('exported_at', { ascending: false })
+        .limit(50);
+
+      if (error) {
+        console.error('Error fetching datev_exports:', error);
+        throw new Error(`Bisherige Exporte konnten nicht geladen werden: ${error.message}`);
+      }
+      return data || [];
+    };
+
+    export const findOverlappingExports = (exports, periodFrom, periodTo) => exports.filter(
+      exportRow => exportRow.period_from <= periodTo && exportRow.period_to >= periodFrom
+    );
+
+    export const recordDatevExport = async ({ periodFrom, periodTo, fileName, ankaufRequestIds, bookingCount, totalAmount }) => {
+      const { data, error } = await supabase.rpc('record_datev_export', {
+        p_period_from: periodFrom,
+        p_period_to: periodTo,
+        p_file_name: fileName,
+        p_ankauf_request_ids: ankaufRequestIds,
+        p_booking_count: bookingCount,
+        p_total_amount: totalAmount,
+      });
+
+      if (error) {
+        console.error('Error recording datev export:', error);
+        throw new Error(`Export konnte nicht protokolliert werden: ${error.message}`);
+      }
+      return data;
+    };
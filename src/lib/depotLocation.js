@@ -0,0 +1,7 @@
+// Ankaufstation in Klosterfelde: Anlieferadresse, Start- und Zielpunkt der Abholtouren.
+    export const DEPOT_LOCATION = {
+      name: 'Die Buchretter',
+      address: 'Triftstr. 21B, 16348 Wandlitz OT Klosterfelde',
+      lat: 52.79001,
+      lon: 13.46005,
+    };
@@ -0,0 +1,47 @@
+import { getShippingCarrier } from '@/lib/shippingCarrier';
+
+    export const DROP_OFF_POINT_TYPES = {
+      locker: 'Packstation',
+      shop: 'Paketshop',
+      post_office: 'Filiale',
+    };
+
+    const WEEKDAY_LABELS = ['Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa', 'So'];
+
+    export const findDropOffPoints = (zip, limit = 8) => getShippingCarrier().findDropOffPoints({ zip, limit });
+
+    export const formatDropOffDistance = (meters) => {
+      if (meters == null) return '';
+      return meters < 1000 ? `${meters} m` : `${(meters / 1000).toFixed(1).replace('.', ',')} km`;
+    };
+
+    /**
+     * Fasst aufeinanderfolgende Tage mit gleichen Zeiten zusammen, z.B.
+     * ["Mo–Fr 09:00–18:00", "Sa 09:00–13:00", "So geschlossen"] oder ["Mo–So rund um die Uhr"].
+     *
+     * @param {string[][]} openingHours Index 0 = Montag … 6 = Sonntag
+     * @returns {string[]}
+     */
+    export const formatOpeningHours = (openingHours) => {
+      const describeDay = (ranges) => {
+        if (!ranges || ranges.length === 0) return 'geschlossen';
+        if (ranges.length === 1 && /^00:00\s*-\s*(24:00|23:59)$/.test(ranges[0])) return 'rund um die Uhr';
+        return ranges.map(range => range.replace(/\s*-\s*/, '–')).join(', ');
+      };
+
+      const groups = [];
+      (openingHours || []).forEach((ranges, day) => {
+        const text = describeDay(ranges);
+        const last = groups[groups.length - 1];
+        if (last && last.text === text) {
+          last.to = day;
+        } else {
+          groups.push({ from: day, to: day, text });
+        }
+      });
+      return groups.map(({ from, to, text }) => (
+        `${WEEKDAY_LABELS[from]}${to > from ? `–${WEEKDAY_LABELS[to]}` : ''} ${text}`
+      ));
+    };
+
+    export const formatDropOffPointAddress = (point) => `${point.street}, ${point.zip} ${point.city}`;
@@ -0,0 +1,46 @@
+// Zuordnung von EAN-Präfixen zu Warenarten. GS1 reserviert eigene Bereiche nur für Bücher (ISBN 978/979),
+    // Noten (ISMN 979-0) und Zeitschriften (ISSN 977). CDs, DVDs und Spiele tragen normale Hersteller-EANs
+    // und lassen sich nur über die Einzelartikel-Preisliste (category_id) zuordnen.
+    export const EAN_PREFIX_RULES = [
+      { prefix: '9790', kind: 'sheetMusic' },
+      { prefix: '978', kind: 'book' },
+      { prefix: '979', kind: 'book' },
+      { prefix: '977', kind: 'magazine' },
+    ];
+
+    export const EAN_KIND_LABELS = {
+      book: 'Buch',
+      sheetMusic: 'Noten',
+      magazine: 'Zeitschrift',
+    };
+
+    // Kategorien werden über ihren Namen gefunden, weil die IDs je Umgebung verschieden sind.
+    const CATEGORY_NAME_PATTERNS = {
+      book: [/b(u|ü)ch/i],
+      sheetMusic: [/noten/i, /musik/i, /b(u|ü)ch/i],
+      magazine: [/zeitschrift/i, /magazin/i, /comic/i],
+    };
+
+    export const getEanProductKind = (code) => {
+      const rule = EAN_PREFIX_RULES.find(r => (code || '').startsWith(r.prefix));
+      return rule ? rule.kind : null;
+    };
+
+    /**
+     * Passende Kategorie für einen gescannten Code. Eine category_id aus der Preisliste hat Vorrang,
+     * sonst entscheidet der Präfix. Defekt-Kategorien werden nie automatisch gewählt.
+     */
+    export const findCategoryForEan = (code, categories, preferredCategoryId = null) => {
+      const candidates = categories.filter(cat => !/defekt/i.test(cat.categoryType || ''));
+      if (preferredCategoryId) {
+        const preferred = candidates.find(cat => cat.id === preferredCategoryId);
+        if (preferred) return preferred;
+      }
+      const kind = getEanProductKind(code);
+      if (!kind) return null;
+      for (const pattern of CATEGORY_NAME_PATTERNS[kind]) {
+        const match = candidates.find(cat => !cat.isPerPiece && pattern.test(cat.name));
+        if (match) return match;
+      }
+      return null;
+    };
@@ -0,0 +1,63 @@
+// Auszug aus der Bankleitzahlendatei der Deutschen Bundesbank (nur Hauptstellen, Spalten BLZ, BIC, Kurzbezeichnung).
+    // Bewusst offline mitgeliefert: Bankname und BIC erscheinen im Formular ohne externe Abfrage.
+    // Fehlt eine Bankleitzahl, bleibt die IBAN trotzdem gültig – es wird dann nur kein Bankname angezeigt.
+    // Bei Aktualisierung die Zeilen aus der aktuellen Bundesbank-Datei (Merkmal 1 = Hauptstelle) übernehmen.
+    const BANK_CODE_ROWS = [
+      ['10010010', 'PBNKDEFFXXX', 'Postbank Ndl der Deutsche Bank'],
+      ['10011001', 'NTSBDEB1XXX', 'N26 Bank'],
+      ['10020890', 'HYVEDEMM488', 'UniCredit Bank - HypoVereinsbank'],
+      ['10040000', 'COBADEBBXXX', 'Commerzbank Berlin'],
+      ['10050000', 'BELADEBEXXX', 'Berliner Sparkasse'],
+      ['10070000', 'DEUTDEBBXXX', 'Deutsche Bank Berlin'],
+      ['10070024', 'DEUTDEDBBER', 'Deutsche Bank Berlin'],
+      ['10077777', 'NORSDE51XXX', 'norisbank'],
+      ['10090000', 'BEVODEBBXXX', 'Berliner Volksbank'],
+      ['12030000', 'BYLADEM1001', 'Deutsche Kreditbank Berlin'],
+      ['13050000', 'NOLADE21ROS', 'Ostseesparkasse Rostock'],
+      ['16050000', 'WELADED1PMB', 'Mittelbrandenburgische Sparkasse'],
+      ['17054040', 'WELADED1MOL', 'Sparkasse Märkisch-Oderland'],
+      ['17055050', 'WELADED1LOS', 'Sparkasse Oder-Spree'],
+      ['17056060', 'WELADED1UMX', 'Sparkasse Uckermark'],
+      ['18050000', 'WELADED1CBN', 'Sparkasse Spree-Neiße'],
+      ['20010020', 'PBNKDEFFXXX', 'Postbank Ndl der Deutsche Bank'],
+      ['20040000', 'COBADEHHXXX', 'Commerzbank Hamburg'],
+      ['20041133', 'COBADEHD001', 'comdirect bank'],
+      ['20050550', 'HASPDEHHXXX', 'Hamburger Sparkasse'],
+      ['20070024', 'DEUTDEDBHAM', 'Deutsche Bank Hamburg'],
+      ['25050180', 'SPKHDE2HXXX', 'Sparkasse Hannover'],
+      ['29050101', 'SBREDE22XXX', 'Sparkasse Bremen'],
+      ['30020900', 'CMCIDEDDXXX', 'TARGOBANK'],
+      ['30050110', 'DUSSDEDDXXX', 'Stadtsparkasse Düsseldorf'],
+      ['36010043', 'PBNKDEFFXXX', 'Postbank Ndl der Deutsche Bank'],
+      ['36050105', 'SPESDE3EXXX', 'Sparkasse Essen'],
+      ['37010050', 'PBNKDEFFXXX', 'Postbank Ndl der Deutsche Bank'],
+      ['37040044', 'COBADEFFXXX', 'Commerzbank'],
+      ['37050198', 'COLSDE33XXX', 'Sparkasse KölnBonn'],
+      ['37070024', 'DEUTDEDBKOE', 'Deutsche Bank Köln'],
+      ['43060967', 'GENODEM1GLS', 'GLS Gemeinschaftsbank'],
+      ['44010046', 'PBNKDEFFXXX', 'Postbank Ndl der Deutsche Bank'],
+      ['44050199', 'DORTDE33XXX', 'Sparkasse Dortmund'],
+      ['50010060', 'PBNKDEFFXXX', 'Postbank Ndl der Deutsche Bank'],
+      ['50010517', 'INGDDEFFXXX', 'ING-DiBa'],
+      ['50031000', 'TRODDEF1XXX', 'Triodos Bank'],
+      ['50040000', 'COBADEFFXXX', 'Commerzbank Frankfurt'],
+      ['50050201', 'HELADEF1822', 'Frankfurter Sparkasse'],
+      ['50070010', 'DEUTDEFFXXX', 'Deutsche Bank Frankfurt'],
+      ['50070024', 'DEUTDEDBFRA', 'Deutsche Bank Frankfurt'],
+      ['60050101', 'SOLADEST600', 'Landesbank Baden-Württemberg'],
+      ['66050101', 'KARSDE66XXX', 'Sparkasse Karlsruhe'],
+      ['70010080', 'PBNKDEFFXXX', 'Postbank Ndl der Deutsche Bank'],
+      ['70020270', 'HYVEDEMMXXX', 'UniCredit Bank - HypoVereinsbank'],
+      ['70022200', 'FDDODEMMXXX', 'Fidor Bank'],
+      ['70070024', 'DEUTDEDBMUC', 'Deutsche Bank München'],
+      ['70150000', 'SSKMDEMMXXX', 'Stadtsparkasse München'],
+      ['76030080', 'CSDBDE71XXX', 'Consorsbank'],
+      ['76050101', 'SSKNDE77XXX', 'Sparkasse Nürnberg'],
+      ['83065408', 'GENODEF1SLR', 'Deutsche Skatbank'],
+      ['85050300', 'OSDDDE81XXX', 'Ostsächsische Sparkasse Dresden'],
+      ['86055592', 'WELADE8LXXX', 'Sparkasse Leipzig'],
+    ];
+
+    const BANKS_BY_CODE = new Map(BANK_CODE_ROWS.map(([code, bic, name]) => [code, { code, bic, name }]));
+
+    export const findGermanBank = (bankCode) => BANKS_BY_CODE.get(bankCode) || null;
@@ -0,0 +1,64 @@
+// Gesetzliche Feiertage in Brandenburg, lokal berechnet (keine externe API).
+    // Ostersonntag und Pfingstsonntag sind in Brandenburg ebenfalls gesetzliche Feiertage.
+
+    const toDateString = (date) => [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0'),
+    ].join('-');
+
+    // Ostersonntag nach der Gaußschen Osterformel (anonymer gregorianischer Algorithmus).
+    export const getEasterSunday = (year) => {
+      const a = year % 19;
+      const b = Math.floor(year / 100);
+      const c = year % 100;
+      const d = Math.floor(b / 4);
+      const e = b % 4;
+      const f = Math.floor((b + 8) / 25);
+      const g = Math.floor((b - f + 1) / 3);
+      const h = (19 * a + b - d - g + 15) % 30;
+      const i = Math.floor(c / 4);
+      const k = c % 4;
+      const l = (32 + 2 * e + 2 * i - h - k) % 7;
+      const m = Math.floor((a + 11 * h + 22 * l) / 451);
+      const month = Math.floor((h + l - 7 * m + 114) / 31);
+      const day = ((h + l - 7 * m + 114) % 31) + 1;
+      return new Date(year, month - 1, day);
+    };
+
+    const holidayCache = new Map();
+
+    /**
+     * Feiertage eines Jahres als Map "JJJJ-MM-TT" → Name.
+     */
+    export const getBrandenburgHolidays = (year) => {
+      if (holidayCache.has(year)) return holidayCache.get(year);
+
+      const easter = getEasterSunday(year);
+      const relativeToEaster = (days) => new Date(year, easter.getMonth(), easter.getDate() + days);
+      const holidays = new Map([
+        [new Date(year, 0, 1), 'Neujahr'],
+        [relativeToEaster(-2), 'Karfreitag'],
+        [relativeToEaster(0), 'Ostersonntag'],
+        [relativeToEaster(1), 'Ostermontag'],
+        [new Date(year, 4, 1), 'Tag der Arbeit'],
+        [relativeToEaster(39), 'Christi Himmelfahrt'],
+        [relativeToEaster(49), 'Pfingstsonntag'],
+        [relativeToEaster(50), 'Pfingstmontag'],
+        [new Date(year, 9, 3), 'Tag der Deutschen Einheit'],
+        [new Date(year, 9, 31), 'Reformationstag'],
+        [new Date(year, 11, 25), '1. Weihnachtstag'],
+        [new Date(year, 11, 26), '2. Weihnachtstag'],
+      ].map(([date, name]) => [toDateString(date), name]));
+
+      holidayCache.set(year, holidays);
+      return holidays;
+    };
+
+    /**
+     * Name des Feiertags an einem Datum ("JJJJ-MM-TT" oder Date) oder null.
+     */
+    export const getBrandenburgHoliday = (date) => {
+      const dateString = typeof date === 'string' ? date : toDateString(date);
+      return getBrandenburgHolidays(parseInt(dateString.slice(0, 4), 10)).get(dateString) || null;
+    };
@@ -0,0 +1,86 @@
+import { findGermanBank } from '@/lib/germanBankCodes';
+
+    // BBAN-Aufbau der SEPA-Länder laut SWIFT IBAN Registry (ISO 13616):
+    // n = Ziffern, a = Großbuchstaben, c = Ziffern oder Großbuchstaben. Andere Länder lehnen wir für Auszahlungen ab.
+    // Muss zu public.iban_bban_pattern() in den Supabase-Migrationen passen.
+    export const IBAN_BBAN_FORMATS = {
+      AD: '4n4n12c', AT: '5n11n', BE: '3n7n2n', BG: '4a4n2n8c', CH: '5n12c', CY: '3n5n16c',
+      CZ: '4n6n10n', DE: '8n10n', DK: '4n9n1n', EE: '2n2n11n1n', ES: '4n4n1n1n10n', FI: '3n11n',
+      FR: '5n5n11c2n', GB: '4a6n8n', GI: '4a15c', GR: '3n4n16c', HR: '7n10n', HU: '3n4n1n15n1n',
+      IE: '4a6n8n', IS: '4n2n6n10n', IT: '1a5n5n12c', LI: '5n12c', LT: '5n11n', LU: '3n13c',
+      LV: '4a13c', MC: '5n5n11c2n', MT: '4a5n18c', NL: '4a10n', NO: '4n6n1n', PL: '8n16n',
+      PT: '4n4n11n2n', RO: '4a16c', SE: '3n16n1n', SI: '5n8n2n', SK: '4n6n10n', SM: '1a5n5n12c',
+      VA: '3n15n',
+    };
+
+    const BBAN_CHAR_CLASSES = { n: '\\d', a: '[A-Z]', c: '[A-Z0-9]' };
+
+    const parseBbanFormat = (format) => Array.from(format.matchAll(/(\d+)([nac])/g), ([, count, type]) => ({
+      length: parseInt(count, 10),
+      pattern: `${BBAN_CHAR_CLASSES[type]}{${count}}`,
+    }));
+
+    const getBbanRegex = (countryCode) => new RegExp(`^${parseBbanFormat(IBAN_BBAN_FORMATS[countryCode]).map(part => part.pattern).join('')}$`);
+
+    export const getIbanLength = (countryCode) => {
+      const format = IBAN_BBAN_FORMATS[countryCode];
+      return format ? 4 + parseBbanFormat(format).reduce((sum, part) => sum + part.length, 0) : null;
+    };
+
+    export const SEPA_IBAN_LENGTHS = Object.fromEntries(
+      Object.keys(IBAN_BBAN_FORMATS).map(countryCode => [countryCode, getIbanLength(countryCode)])
+    );
+
+    export const normalizeIban = (iban) => (iban || '').replace(/\s/g, '').toUpperCase();
+
+    export const formatIban = (iban) => normalizeIban(iban).replace(/(.{4})/g, '$1 ').trim();
+
+    // Für das Eingabefeld: nur Buchstaben/Ziffern, höchstens so lang wie für das Land vorgesehen, in Vierergruppen.
+    export const formatIbanInput = (value) => {
+      const compact = (value || '').replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+      return formatIban(compact.slice(0, SEPA_IBAN_LENGTHS[compact.slice(0, 2)] || 34));
+    };
+
+    // Prüfziffer nach ISO 7064 mod 97-10, stückweise gerechnet, damit keine BigInts nötig sind.
+    const calculateIbanRemainder = (iban) => {
+      const rearranged = `${iban.slice(4)}${iban.slice(0, 4)}`;
+      return rearranged.split('').reduce((remainder, char) => {
+        const value = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+        return parseInt(`${remainder}${value}`, 10) % 97;
+      }, 0);
+    };
+
+    /**
+     * Prüft eine IBAN und liefert eine deutsche Fehlermeldung oder null.
+     */
+    export const getIbanError = (iban) => {
+      const normalized = normalizeIban(iban);
+      if (!normalized) return 'Keine IBAN angegeben.';
+      if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(normalized)) return 'Die IBAN enthält ungültige Zeichen.';
+      const countryCode = normalized.slice(0, 2);
+      const expectedLength = SEPA_IBAN_LENGTHS[countryCode];
+      if (!expectedLength) return `Das Land ${countryCode} gehört nicht zum SEPA-Raum.`;
+      if (normalized.length !== expectedLength) return `Eine IBAN aus ${countryCode} hat ${expectedLength} Stellen, nicht ${normalized.length}.`;
+      if (!getBbanRegex(countryCode).test(normalized.slice(4))) return `Der Aufbau passt nicht zu einer IBAN aus ${countryCode}.`;
+      if (calculateIbanRemainder(normalized) !== 1) return 'Die Prüfziffer der IBAN stimmt nicht. Bitte auf Tippfehler prüfen.';
+      return null;
+    };
+
+    export const isValidIban = (iban) => getIbanError(iban) === null;
+
+    // Erst meckern, wenn die erwartete Länge erreicht ist – sonst erscheint der Fehler schon beim Tippen.
+    export const isIbanInputComplete = (iban) => {
+      const normalized = normalizeIban(iban);
+      const expectedLength = SEPA_IBAN_LENGTHS[normalized.slice(0, 2)];
+      return !expectedLength || normalized.length >= expectedLength;
+    };
+
+    /**
+     * Bank und BIC zu einer gültigen deutschen IBAN aus der mitgelieferten Bankleitzahlen-Tabelle.
+     * Für andere Länder oder unbekannte Bankleitzahlen null.
+     */
+    export const getBankForIban = (iban) => {
+      const normalized = normalizeIban(iban);
+      if (!normalized.startsWith('DE') || !isValidIban(normalized)) return null;
+      return findGermanBank(normalized.slice(4, 12));
+    };
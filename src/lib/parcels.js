@@ -0,0 +1,26 @@
+import { MAX_PARCEL_WEIGHT } from '@/lib/shippingCarrier';
+
+    // Mehr Labels können Kunden nicht selbst wählen; darüber fragen sie gesondert an (numberOfLabels "0").
+    export const MAX_SELF_SERVICE_PARCELS = 4;
+
+    export const formatParcelWeight = (weight) => `${weight.toFixed(1).replace('.', ',')} kg`;
+
+    /**
+     * Mindestanzahl Pakete, damit keines über dem Höchstgewicht des Versanddienstleisters liegt.
+     */
+    export const suggestParcelCount = (totalWeight, maxWeight = MAX_PARCEL_WEIGHT) =>
+      Math.max(1, Math.ceil((parseFloat(totalWeight) || 0) / maxWeight));
+
+    /**
+     * Verteilt das Gesamtgewicht in 100-g-Schritten möglichst gleichmäßig auf die Pakete;
+     * die ersten Pakete bekommen den Rest. Die Summe entspricht dem (gerundeten) Gesamtgewicht.
+     *
+     * @returns {number[]} Gewicht pro Paket in kg, Index 0 = Paket 1
+     */
+    export const splitParcelWeights = (totalWeight, parcelCount) => {
+      const count = Math.max(parseInt(parcelCount, 10) || 1, 1);
+      const units = Math.round((parseFloat(totalWeight) || 0) * 10);
+      const base = Math.floor(units / count);
+      const remainder = units % count;
+      return Array.from({ length: count }, (_, index) => Math.max(base + (index < remainder ? 1 : 0), 1) / 10);
+    };
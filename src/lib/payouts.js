@@ -0,0 +1,106 @@
+import { supabase } from '@/lib/supabaseClient';
+    import { getIbanError } from '@/lib/iban';
+
+    // Unser Auftraggeberkonto für die SEPA-Datei; wird pro Umgebung über .env gesetzt.
+    export const getPayoutDebtorAccount = () => ({
+      name: import.meta.env.VITE_PAYOUT_DEBTOR_NAME || 'Die Buchretter',
+      iban: import.meta.env.VITE_PAYOUT_DEBTOR_IBAN || '',
+      bic: import.meta.env.VITE_PAYOUT_DEBTOR_BIC || '',
+    });
+
+    export const PAYOUT_BATCH_STATUSES = {
+      open: { label: 'Offen', badgeClass: 'bg-amber-100 text-amber-800 dark:bg-amber-700 dark:text-amber-100' },
+      confirmed: { label: 'Ausgezahlt', badgeClass: 'bg-green-100 text-green-800 dark:bg-green-700 dark:text-green-100' },
+      cancelled: { label: 'Verworfen', badgeClass: 'bg-slate-100 text-slate-800 dark:bg-slate-700 dark:text-slate-100' },
+    };
+
+    /**
+     * Bestimmt Zahlungsweg und Probleme eines geprüften Ankaufs. Ankäufe mit Problem können nicht in einen Lauf.
+     */
+    export const getPayoutInfo = (request) => {
+      const amount = parseFloat(request.final_price);
+      if (!(amount > 0)) return { method: null, amount: 0, error: 'Kein Endbetrag nach Prüfung.' };
+      if (request.iban) {
+        return { method: 'sepa', amount, error: getIbanError(request.iban) };
+      }
+      if (request.paypal && request.paypal.trim()) {
+        const isEmail = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(request.paypal.trim());
+        return { method: 'paypal', amount, error: isEmail ? null : 'Die PayPal-Adresse ist keine gültige E-Mail.' };
+      }
+      return { method: null, amount, error: 'Keine Bank- oder PayPal-Daten (Barauszahlung).' };
+    };
+
+    export const fetchPayoutCandidates = async () => {
+      const [{ data: requests, error }, { data: openItems, error: openItemsError }] = await Promise.all([
+        supabase
+          .from('ankauf_requests')
+          .select('id, ankaufs_nummer, submission_date, final_price, iban, paypal, inspected_at, customers ( name, company_name )')
+          .eq('status', 'checked')
+          .is('payout_batch_id', null)
+          .order('inspected_at', { ascending: true }),
+        supabase
+          .from('payout_batch_items')
+          .select('ankauf_request_id, payout_batches!inner ( status )')
+          .eq('payout_batches.status', 'open'),
+      ]);
+
+      if (error || openItemsError) {
+        console.error('Error fetching payout candidates:', error || openItemsError);
+        throw new Error(`Offene Auszahlungen konnten nicht geladen werden: ${(error || openItemsError).message}`);
+      }
+      const inOpenBatch = new Set((openItems || []).map(item => item.ankauf_request_id));
+      return (requests || []).filter(request => !inOpenBatch.has(request.id));
+    };
+
+    export const fetchPayoutBatches = async ({ limit = 20 } = {}) => {
+      const { data, error } = await supabase
+        .from('payout_batches')
+        .select('*, payout_batch_items ( id, ankauf_request_id, ankaufs_nummer, method, amount, creditor_name, iban, paypal )')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error('Error fetching payout_batches:', error);
+        throw new Error(`Auszahlungsläufe konnten nicht geladen werden: ${error.message}`);
+      }
+      return data || [];
+    };
+
+    export const createPayoutBatch = async (ankaufRequestIds) => {
+      const { data, error } = await supabase.rpc('create_payout_batch', { p_ankauf_request_ids: ankaufRequestIds });
+      if (error) {
+        console.error('Error creating payout batch:', error);
+        throw new Error(`Auszahlungslauf konnte nicht erstellt werden: ${error.message}`);
+      }
+      return data;
+    };
+
+    export const confirmPayoutBatch = async (batchId) => {
+      const { data, error } = await supabase.rpc('confirm_payout_batch', { p_batch_id: batchId });
+      if (error) {
+        console.error('Error confirming payout batch:', error);
+        throw new Error(`Auszahlungslauf konnte nicht bestätigt werden: ${error.message}`);
+      }
+      return data;
+    };
+
+    export const cancelPayoutBatch = async (batchId) => {
+      const { data, error } = await supabase.rpc('cancel_payout_batch', { p_batch_id: batchId });
+      if (error) {
+        console.error('Error cancelling payout batch:', error);
+        throw new Error(`Auszahlungslauf konnte nicht verworfen werden: ${error.message}`);
+      }
+      return data;
+    };
+
+    export const downloadTextFile = (content, fileName, mimeType, charset = 'utf-8') => {
+      const blob = new Blob([content], { type: `${mimeType};charset=${charset}` });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    };
@@ -0,0 +1,23 @@
+// CSV für den PayPal-Sammelzahlungs-Upload (Payouts): eine Zeile pro Empfänger, ohne Kopfzeile.
+    // Spalten: E-Mail, Betrag, Währung, Referenz-ID, Nachricht an den Empfänger.
+
+    const escapeCsvValue = (value) => {
+      const text = String(value ?? '');
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    export const buildPaypalPayoutCsv = (items) => {
+      const paypalItems = items.filter(item => item.method === 'paypal');
+      if (paypalItems.length === 0) {
+        throw new Error('Der Auszahlungslauf enthält keine PayPal-Zahlungen.');
+      }
+      return paypalItems
+        .map(item => [
+          item.paypal,
+          parseFloat(item.amount).toFixed(2),
+          'EUR',
+          item.ankaufs_nummer,
+          `Auszahlung für deinen Ankauf ${item.ankaufs_nummer} – Die Buchretter`,
+        ].map(escapeCsvValue).join(','))
+        .join('\r\n');
+    };
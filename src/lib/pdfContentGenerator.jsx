@@ -1,5 +1,10 @@
 // src/lib/pdfContentGenerator.jsx
 
+import { buildSelfDeliveryManageUrl } from '@/lib/selfDeliverySlots';
+import { getLabelReference } from '@/lib/ankaufsNummer';
+import { formatParcelWeight } from '@/lib/parcels';
+import { DROP_OFF_POINT_TYPES, formatDropOffPointAddress, formatOpeningHours } from '@/lib/dropOffPoints';
+
 const getDeliveryTypeGerman = (type) => {
   if (type === 'selbstanlieferung') return 'Selbstanlieferung';
   if (type === 'versand') return 'Versand';
@@ -7,15 +12,24 @@ const getDeliveryTypeGerman = (type) => {
   return type;
 };
 
-const generateItemsTable = (cartItems, totalWeight, totalPrice) => {
+const formatPdfQuantity = (item) =>
+  item.unit === 'piece' ? `${parseInt(item.quantity, 10) || 0} Stk.` : `${(parseFloat(item.weight) || 0).toFixed(2)} kg`;
+
+const formatPdfUnitPrice = (item) =>
+  item.requiresContact ? 'auf Anfrage' : `${(parseFloat(item.pricePerKg) || 0).toFixed(2)} €/${item.unit === 'piece' ? 'Stk.' : 'kg'}`;
+
+const generateItemsTable = (cartItems, totalWeight, totalPrice, pickupFee = 0) => {
   // Erwartet, dass cartItems ein Array ist; verwendet map().
+  // Bei Stückware ist das Gewicht eine Schätzung (Stückzahl × geschätztes Gewicht pro Stück).
   const itemsHtml = cartItems
     .map(
       (item) => `
       <tr>
-        <td>${item.category}</td>
-        <td style="text-align: right;">${item.weight.toFixed(2)} kg</td>
-        <td style="text-align: right;">${item.price.toFixed(2)} €</td>
+        <td>${item.category}${item.productCode ? `<br /><small>ISBN/EAN ${item.productCode}</small>` : ''}</td>
+        <td style="text-align: right;">${formatPdfQuantity(item)}</td>
+        <td style="text-align: right;">${formatPdfUnitPrice(item)}</td>
+        <td style="text-align: right;">${item.unit === 'piece' ? 'ca. ' : ''}${(parseFloat(item.weight) || 0).toFixed(2)} kg</td>
+        <td style="text-align: right;">${(parseFloat(item.price) || 0).toFixed(2)} €</td>
       </tr>
     `
     )
@@ -26,6 +40,8 @@ const generateItemsTable = (cartItems, totalWeight, totalPrice) => {
       <thead>
         <tr>
           <th>Kategorie</th>
+          <th style="text-align: right;">Menge</th>
+          <th style="text-align: right;">Einzelpreis</th>
           <th style="text-align: right;">Gewicht</th>
           <th style="text-align: right;">Preis (geschätzt)</th>
         </tr>
@@ -35,10 +51,19 @@ const generateItemsTable = (cartItems, totalWeight, totalPrice) => {
       </tbody>
       <tfoot>
         <tr class="total-row">
-          <td>Gesamtsumme (geschätzt)</td>
+          <td colspan="3">Gesamtsumme (geschätzt)</td>
           <td style="text-align: right;">${totalWeight.toFixed(2)} kg</td>
           <td style="text-align: right;">${totalPrice.toFixed(2)} €</td>
         </tr>
+        ${pickupFee > 0 ? `
+        <tr>
+          <td colspan="4">Abzüglich Abholgebühr</td>
+          <td style="text-align: right;">-${pickupFee.toFixed(2)} €</td>
+        </tr>
+        <tr class="total-row">
+          <td colspan="4">Voraussichtliche Auszahlung</td>
+          <td style="text-align: right;">${Math.max(totalPrice - pickupFee, 0).toFixed(2)} €</td>
+        </tr>` : ''}
       </tfoot>
     </table>
   `;
@@ -96,6 +121,8 @@ const generateSpecificDeliveryDetailsPage1 = (data) => {
       specificDetailsHtml += `<p><strong>Anmerkungen:</strong> ${selfDeliveryNotes}</p>`;
   } else if (deliveryType === 'versand') {
     specificDetailsHtml += `<p><strong>Versand an:</strong> Die Buchretter GbR, Triftstr. 21B, 16348 Wandlitz OT Klosterfelde</p>`;
+    if (data.dropOffPoint)
+      specificDetailsHtml += `<p><strong>Abgabe bei:</strong> ${DROP_OFF_POINT_TYPES[data.dropOffPoint.type]} ${data.dropOffPoint.name}, ${formatDropOffPointAddress(data.dropOffPoint)}</p>`;
   }
 
   return specificDetailsHtml;
@@ -179,7 +206,8 @@ const generatePage1Footer = () => `
 export const getPage1Content = (data, ankaufsNummer, formattedDate) => {
   const { cartItems, totalWeight, totalPrice, qrCodeDataURL } = data;
 
-  const itemsTableHtml = generateItemsTable(cartItems, totalWeight, totalPrice);
+  const pickupFee = data.deliveryType === 'abholung' ? parseFloat(data.pickupFee) || 0 : 0;
+  const itemsTableHtml = generateItemsTable(cartItems, totalWeight, totalPrice, pickupFee);
   const paymentInfoHtml = generatePaymentInfoPage1(data);
   const specificDeliveryDetailsHtml = generateSpecificDeliveryDetailsPage1(data);
 
@@ -212,8 +240,15 @@ export const getPage1Content = (data, ankaufsNummer, formattedDate) => {
   `;
 };
 
+// Vom Kunden im Formular gewählte Packstation bzw. Paketshop mit Öffnungszeiten.
+const generateDropOffPointStep = (dropOffPoint) => {
+  if (!dropOffPoint) return '';
+  return `<li><strong>Abgabe:</strong> Gib dein Paket hier ab: ${DROP_OFF_POINT_TYPES[dropOffPoint.type]} ${dropOffPoint.name}, ${formatDropOffPointAddress(dropOffPoint)}.<br/>
+            <strong>Öffnungszeiten:</strong> ${formatOpeningHours(dropOffPoint.openingHours).join(', ')}</li>`;
+};
+
 const generatePage2DeliverySection = (data) => {
-  const { deliveryType, pickupDetails, selectedTimeSlot, deliveryDate, selfDeliveryNotes } = data;
+  const { deliveryType, pickupDetails, selectedTimeSlot, deliveryDate, selfDeliveryNotes, selfDeliveryToken, dropOffPoint } = data;
   let content = '';
   if (deliveryType === 'versand') {
     content += `
@@ -223,6 +258,7 @@ const generatePage2DeliverySection = (data) => {
           <li><strong>Verpacken:</strong> Verpacke deine Artikel sicher in einem stabilen Karton. Polstere Hohlräume gut aus, um Transportschäden zu vermeiden. Lege den Ankaufsbeleg (Seite 1) gut sichtbar bei.</li>
           <li><strong>Versandetikett (ab 10 kg):</strong> Wenn deine Sendung 10 kg oder mehr wiegt und du ein kostenloses Label von uns erhalten hast (per E-Mail oder Download), klebe dieses gut sichtbar auf das Paket.</li>
           <li><strong>Versand (unter 10 kg oder ohne unser Label):</strong> Frankiere das Paket bitte ausreichend und sende es an: Die Buchretter GbR, Triftstr. 21B, 16348 Wandlitz OT Klosterfelde.</li>
+          ${generateDropOffPointStep(dropOffPoint)}
           <li><strong>Nach Eingang:</strong> Sobald deine Sendung bei uns eintrifft und geprüft wurde, veranlassen wir die Auszahlung gemäß deinen Angaben. Dies kann einige Werktage in Anspruch nehmen.</li>
         </ol>
         <p><strong>Verpackungstipps:</strong> Stabile Kartons verwenden, Leerräume füllen, sorgfältig verkleben, alte Etiketten entfernen.</p>
@@ -248,7 +284,9 @@ const generatePage2DeliverySection = (data) => {
           <li><strong>Vor Ort:</strong> Wiegung und Auszahlung (Bar oder digital nach Prüfung).</li>
           ${selfDeliveryNotes ? `<li><strong>Deine Anmerkungen:</strong> ${selfDeliveryNotes}</li>` : ''}
         </ol>
-        <p>Bei Terminänderung bitte frühzeitig Bescheid geben.</p>
+        ${selfDeliveryToken
+          ? `<p>Termin verschieben oder absagen: <a href="${buildSelfDeliveryManageUrl(selfDeliveryToken)}">${buildSelfDeliveryManageUrl(selfDeliveryToken)}</a></p>`
+          : '<p>Bei Terminänderung bitte frühzeitig Bescheid geben.</p>'}
       </div>
     `;
   }
@@ -291,4 +329,32 @@ export const getPage2Content = (data) => {
     </div>
   `;
   return content;
-};
\ No newline at end of file
+};
+
+/**
+ * Gibt den HTML-Code für die Paketseite "Paket x von n" zurück. Sie kommt obenauf in das
+ * jeweilige Paket, damit der Wareneingang die Kartons eines Ankaufs zuordnen kann.
+ */
+export const getParcelPageContent = (data, ankaufsNummer, parcelIndex, parcelCount, parcelWeight) => {
+  const reference = getLabelReference(ankaufsNummer, parcelIndex, parcelCount);
+  return `
+    <div class="page-content parcel-page-content">
+      <div class="header">
+        <h1>Die Buchretter - Paketbeilage</h1>
+        <p class="slogan">${data.companyName ? data.companyName : data.name} · ${data.zip} ${data.city}</p>
+      </div>
+      <p class="parcel-count">Paket ${parcelIndex} von ${parcelCount}</p>
+      <p class="parcel-reference">${reference}</p>
+      <p class="parcel-weight">Geplantes Gewicht: ca. ${formatParcelWeight(parcelWeight)}</p>
+      <div class="qr-code-container">
+        ${data.qrCodeDataURL ? `<img src="${data.qrCodeDataURL}" alt="QR Code für Ankaufsnummer ${ankaufsNummer}"/>` : ''}
+        <p class="qr-id">Ankaufs-ID: ${ankaufsNummer}</p>
+      </div>
+      <div class="parcel-hint">
+        <p>Bitte diese Seite obenauf in <strong>Paket ${parcelIndex}</strong> legen und das Versandlabel <strong>${reference}</strong> auf genau dieses Paket kleben.</p>
+        <p>Den Begleitschein (Seite 1) bitte nur einmal beilegen, am besten in Paket 1.</p>
+      </div>
+      ${generatePage1Footer()}
+    </div>
+  `;
+};
@@ -1,7 +1,25 @@
 // src/lib/pdfGenerator.jsx
 
-import { getPage1Content, getPage2Content } from '@/lib/pdfContentGenerator';
+import { getPage1Content, getPage2Content, getParcelPageContent } from '@/lib/pdfContentGenerator';
 import { getPdfStyles } from '@/lib/pdfStyles';
+import { splitParcelWeights } from '@/lib/parcels';
+
+/**
+ * Bei Versand mit mehreren Labels: je Paket eine Seite "Paket x von n" mit dessen Gewichtsanteil.
+ */
+const getParcelPages = (data, ankaufsNummer) => {
+  const parcelCount = parseInt(data.numberOfLabels, 10) || 0;
+  if (data.deliveryType !== 'versand' || parcelCount < 2) return '';
+
+  return splitParcelWeights(data.totalWeight, parcelCount)
+    .map((weight, index) => `
+      <div class="page-break"></div>
+      <div class="pdf-page pdf-page-parcel">
+        ${getParcelPageContent(data, ankaufsNummer, index + 1, parcelCount, weight)}
+      </div>
+    `)
+    .join('');
+};
 
 /**
  * Baut das vollständige HTML-Dokument (mit <head><style>…) oder nur den Body-Block
@@ -9,14 +27,15 @@ import { getPdfStyles } from '@/lib/pdfStyles';
  *
  * @param {Object} data
  *   - submissionDate: ISO-String (z. B. "2025-06-01T12:34:56.789Z")
- *   - ankaufsNummer: String (z. B. "BR-12345678")
+ *   - ankaufsNummer: String (z. B. "BR-2026-00042-5")
  *   - name: String
  *   - email: String
  *   - address: String
  *   - totalWeight: Number
- *   - cartItems: Array<{ category, weight, price }>
+ *   - cartItems: Array<{ category, weight, price, pricePerKg, unit?, quantity? }> (unit "piece" = Stückpreis)
  *   - totalPrice: Number
  *   - deliveryType: String (z. B. "versand")
+ *   - numberOfLabels: String|Number (bei Versand; ab 2 folgt je Paket eine Seite "Paket x von n")
  *   - iban: String (optional)
  *   - paypal: String (optional)
  *   - pickupDetails: { date, time, notes } (optional)
@@ -29,10 +48,7 @@ import { getPdfStyles } from '@/lib/pdfStyles';
  *   - 'fullDocument': vollständiges `<!DOCTYPE html>…</html>`
  */
 export const generatePurchaseConfirmationHTML = (data, outputType = 'fullDocument') => {
-  const { submissionDate, ankaufsNummer: providedAnkaufsNummer } = data;
-  const ankaufsNummer =
-    providedAnkaufsNummer ||
-    `BR-${new Date(submissionDate).getTime().toString().slice(-8)}`;
+  const { submissionDate, ankaufsNummer } = data;
 
   const formattedDate = new Date(submissionDate).toLocaleDateString('de-DE', {
     day: '2-digit',
@@ -51,6 +67,7 @@ export const generatePurchaseConfirmationHTML = (data, outputType = 'fullDocumen
       <div class="pdf-page pdf-page-2">
         ${getPage2Content(data)}
       </div>
+      ${getParcelPages(data, ankaufsNummer)}
     </div>
   `;
 
@@ -0,0 +1,150 @@
+// src/lib/pdfRenderer.js
+
+import { supabase } from '@/lib/supabaseClient';
+import { getPdfStyles } from '@/lib/pdfStyles.jsx';
+import { jsPDF } from 'jspdf';
+
+export const PDF_STORAGE_BUCKET = 'lieferschein';
+
+/**
+ * Entfernt alle "@import url(...);" aus einem CSS-String,
+ * damit keine externen Fonts geladen werden müssen.
+ */
+const stripCssImports = (cssString) => {
+  return cssString.replace(/@import\s+url\([^)]*\)\s*;/g, '');
+};
+
+/**
+ * Wartet, bis alle <img>-Elemente im Container fertig geladen sind,
+ * bevor jsPDF das Rendering anstößt.
+ */
+const waitForAllImagesInContainer = (containerElement) => {
+  return new Promise((resolve) => {
+    const images = Array.from(containerElement.querySelectorAll('img'));
+    let loadedCount = 0;
+    const total = images.length;
+
+    if (total === 0) {
+      resolve();
+      return;
+    }
+
+    images.forEach((img) => {
+      if (img.complete && img.naturalWidth !== 0 && img.naturalHeight !== 0) {
+        loadedCount++;
+        if (loadedCount === total) resolve();
+      } else {
+        const markLoaded = () => {
+          loadedCount++;
+          if (loadedCount === total) resolve();
+          img.removeEventListener('load', markLoaded);
+          img.removeEventListener('error', markLoaded);
+        };
+        img.addEventListener('load', markLoaded);
+        img.addEventListener('error', markLoaded);
+      }
+    });
+  });
+};
+
+/**
+ * Rendert BODY-Inhalt (ohne <html>/<head>) mit den PDF-Styles per jsPDF (html-Methode) zu einem PDF-Blob.
+ * Der Inhalt wird dafür kurz in einen Off-Screen-Container im DOM gehängt.
+ *
+ * @param {string} bodyContent z. B. "<div class='pdf-container'>…</div>"
+ * @param {string} [extraCss] zusätzliche Styles für dieses Dokument
+ * @returns {Promise<Blob>}
+ */
+export const renderHtmlToPdfBlob = async (bodyContent, extraCss = '') => {
+  // Off-Screen-Container anlegen
+  const tempContainer = document.createElement('div');
+  tempContainer.id = 'pdf_temp_container';
+  Object.assign(tempContainer.style, {
+    position: 'absolute',
+    top: '-10000px',
+    left: '0px',
+    width: '794px',   // A4-Breite in px ≈ 794 (bei 96dpi)
+    height: '1123px', // A4-Höhe in px  ≈ 1123 (bei 96dpi)
+    backgroundColor: '#FFFFFF',
+    overflow: 'visible',
+  });
+
+  // Vollständiges CSS holen und "@import"-Zeilen entfernen
+  const cleanedCss = stripCssImports(`${getPdfStyles()}${extraCss}`);
+
+  tempContainer.innerHTML = `
+    <style>
+      ${cleanedCss}
+    </style>
+    ${bodyContent}
+  `;
+
+  try {
+    // Container ins DOM hängen, damit CSS greift; kurzes Timeout, damit CSS angewendet wird
+    document.body.appendChild(tempContainer);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    // Auf alle Bilder (QR-Code, Logos etc.) warten
+    await waitForAllImagesInContainer(tempContainer);
+
+    // jsPDF-Instanz erzeugen (A4-Porträt, Standard 72dpi → passt zu 794×1123 px)
+    const doc = new jsPDF({
+      unit: 'px',
+      format: [794, 1123],
+      orientation: 'portrait',
+    });
+
+    // Body-HTML rendern lassen (Seiten werden automatisch umgebrochen)
+    const pdfBlob = await new Promise((resolve, reject) => {
+      doc.html(tempContainer, {
+        x: 0,
+        y: 0,
+        html2canvas: { scale: 1, useCORS: true, backgroundColor: '#FFFFFF' },
+        callback: (renderedDoc) => {
+          try {
+            resolve(renderedDoc.output('blob'));
+          } catch (e) {
+            reject(e);
+          }
+        },
+      });
+    });
+
+    // Minimaler Größen-Check
+    if (!pdfBlob || pdfBlob.size < 2000) {
+      console.warn('pdfRenderer: PDF-Blob ist sehr klein oder leer:', pdfBlob?.size);
+    }
+    return pdfBlob;
+  } finally {
+    if (document.body.contains(tempContainer)) {
+      document.body.removeChild(tempContainer);
+    }
+  }
+};
+
+/**
+ * Lädt einen PDF-Blob in Supabase Storage (Bucket "lieferschein") und liefert die Public-URL.
+ */
+export const uploadPdfToStorage = async (fileName, pdfBlob) => {
+  const { error: uploadError } = await supabase.storage
+    .from(PDF_STORAGE_BUCKET)
+    .upload(fileName, pdfBlob, {
+      contentType: 'application/pdf',
+      upsert: true,
+    });
+
+  if (uploadError) {
+    throw new Error(uploadError.message);
+  }
+
+  const { data: publicUrlData } = supabase.storage
+    .from(PDF_STORAGE_BUCKET)
+    .getPublicUrl(fileName);
+  const publicPdfUrl = publicUrlData?.publicUrl;
+  if (!publicPdfUrl) {
+    throw new Error('Konnte keine öffentliche URL für das PDF erhalten.');
+  }
+  return publicPdfUrl;
+};
+
+export const toPdfFileName = (prefix, number) => `${prefix}_${number.replace(/[^a-zA-Z0-9-_]/g, '_')}.pdf`;
@@ -230,6 +230,23 @@ export const getBaseStyles = () => `
       .combined-hints-section a:hover { text-decoration: underline; }
     `;
 
+    export const getParcelPageStyles = () => `
+      .parcel-page-content { align-items: center; text-align: center; justify-content: center; }
+      .parcel-count { font-size: 48pt; font-weight: 700; color: #0f172a; margin: 12mm 0 4mm; }
+      .parcel-reference { font-size: 20pt; font-weight: 600; letter-spacing: 0.5mm; margin-bottom: 4mm; }
+      .parcel-weight { font-size: 12pt; color: #334155; margin-bottom: 8mm; }
+      .parcel-page-content .qr-code-container { text-align: center; }
+      .parcel-page-content .qr-code-container img { width: 45mm; height: 45mm; margin: 0 auto; }
+      .parcel-hint {
+        margin-top: 8mm;
+        padding: 2.5mm 4mm;
+        border: 0.35px dashed #94a3b8;
+        border-radius: 0.8mm;
+        font-size: 9pt;
+        max-width: 140mm;
+      }
+    `;
+
     export const getFooterStyles = () => `
       .footer { 
         margin-top: auto; 
@@ -269,6 +286,7 @@ export const getBaseStyles = () => `
         ${getSectionAndGridStyles()}
         ${getQrCodeAndSignatureStyles()}
         ${getPage2SpecificStyles()}
+        ${getParcelPageStyles()}
         ${getFooterStyles()}
         ${getPrintSpecificStyles()}
     `;
\ No newline at end of file
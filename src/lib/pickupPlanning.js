@@ -0,0 +1,158 @@
+import { supabase } from '@/lib/supabaseClient';
+    import { PICKUP_DEPOT, getZipCentroid, getDistanceKm } from '@/lib/zipCentroids';
+
+    // "09:00:00" → "09:00"
+    const toShortTime = (time) => (time || '').slice(0, 5);
+
+    // "09:00 - 16:00" ohne "Uhr": der Wert landet auch in pickupDetails.time und pickup_requests.pickup_time.
+    export const formatPickupWindow = (day) => `${toShortTime(day.window_start)} - ${toShortTime(day.window_end)}`;
+
+    export const fetchAvailablePickupDays = async (zip, totalWeight) => {
+      const { data, error } = await supabase.rpc('get_available_pickup_days', {
+        p_zip: zip,
+        p_weight: totalWeight,
+      });
+      if (error) {
+        console.error('Error fetching available pickup days:', error);
+        throw new Error('Freie Abholtage konnten nicht geladen werden. Bitte versuche es später erneut.');
+      }
+      return data || [];
+    };
+
+    export const fetchPickupDrivers = async () => {
+      const { data, error } = await supabase
+        .from('pickup_drivers')
+        .select('id, name, phone, is_active')
+        .order('name', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching pickup_drivers:', error);
+        throw new Error(`Fahrer konnten nicht geladen werden: ${error.message}`);
+      }
+      return data || [];
+    };
+
+    export const savePickupDriver = async (driver, id = null) => {
+      const payload = {
+        name: driver.name.trim(),
+        phone: driver.phone?.trim() || null,
+        is_active: driver.is_active,
+      };
+      if (!payload.name) {
+        throw new Error('Bitte einen Namen angeben.');
+      }
+
+      const query = id
+        ? supabase.from('pickup_drivers').update(payload).eq('id', id)
+        : supabase.from('pickup_drivers').insert(payload);
+      const { data, error } = await query.select().single();
+
+      if (error) {
+        console.error('Error saving pickup_driver:', error);
+        throw new Error(`Fahrer konnte nicht gespeichert werden: ${error.message}`);
+      }
+      return data;
+    };
+
+    export const fetchPickupDays = async (periodFrom, periodTo) => {
+      const { data, error } = await supabase.rpc('get_pickup_days', { p_from: periodFrom, p_to: periodTo });
+      if (error) {
+        console.error('Error fetching pickup days:', error);
+        throw new Error(`Abholtage konnten nicht geladen werden: ${error.message}`);
+      }
+      return data || [];
+    };
+
+    // "163, 134" → ['163', '134']
+    export const parseZipPrefixes = (input) => (
+      [...new Set((input || '').split(/[\s,;]+/).map(prefix => prefix.trim()).filter(Boolean))]
+    );
+
+    export const savePickupDay = async (day, id = null) => {
+      const zipPrefixes = parseZipPrefixes(day.zip_prefixes);
+      if (zipPrefixes.some(prefix => !/^\d{1,5}$/.test(prefix))) {
+        throw new Error('PLZ-Gebiete bitte als Ziffern angeben, z.B. "163, 134".');
+      }
+      const maxWeight = parseFloat(day.max_weight);
+      const maxStops = parseInt(day.max_stops, 10);
+      if (!(maxWeight > 0) || !(maxStops > 0)) {
+        throw new Error('Bitte Höchstgewicht und Anzahl Stopps größer 0 angeben.');
+      }
+      if (day.window_start >= day.window_end) {
+        throw new Error('Das Zeitfenster muss vor seinem Ende beginnen.');
+      }
+
+      const payload = {
+        pickup_date: day.pickup_date,
+        driver_id: day.driver_id || null,
+        zip_prefixes: zipPrefixes,
+        max_weight: maxWeight,
+        max_stops: maxStops,
+        window_start: day.window_start,
+        window_end: day.window_end,
+        is_active: day.is_active,
+        note: day.note?.trim() || null,
+      };
+
+      const query = id
+        ? supabase.from('pickup_days').update(payload).eq('id', id)
+        : supabase.from('pickup_days').insert(payload);
+      const { data, error } = await query.select().single();
+
+      if (error) {
+        console.error('Error saving pickup_day:', error);
+        throw new Error(`Abholtag konnte nicht gespeichert werden: ${error.message}`);
+      }
+      return data;
+    };
+
+    export const deletePickupDay = async (id) => {
+      const { error } = await supabase.from('pickup_days').delete().eq('id', id);
+      if (error) {
+        console.error('Error deleting pickup_day:', error);
+        throw new Error(`Abholtag konnte nicht gelöscht werden: ${error.message}`);
+      }
+    };
+
+    export const fetchPickupDayStops = async (pickupDayId) => {
+      const { data, error } = await supabase.rpc('get_pickup_day_stops', { p_pickup_day_id: pickupDayId });
+      if (error) {
+        console.error('Error fetching pickup day stops:', error);
+        throw new Error(`Stopps konnten nicht geladen werden: ${error.message}`);
+      }
+      return data || [];
+    };
+
+    /**
+     * Reihenfolge der Stopps nach dem Nächster-Nachbar-Verfahren ab dem Lager in Klosterfelde, zurück zum Lager.
+     * Entfernungen sind Luftlinie zwischen PLZ-Mittelpunkten; Stopps in derselben PLZ folgen direkt aufeinander.
+     */
+    export const planPickupRoute = (stops) => {
+      const remaining = stops.map(stop => ({ ...stop, location: getZipCentroid(stop.zip) }));
+      const route = [];
+      let position = PICKUP_DEPOT;
+      let totalDistanceKm = 0;
+
+      while (remaining.length > 0) {
+        let nearestIndex = 0;
+        let nearestDistance = Infinity;
+        for (let index = 0; index < remaining.length; index++) {
+          const distance = getDistanceKm(position, remaining[index].location);
+          if (distance < nearestDistance) {
+            nearestIndex = index;
+            nearestDistance = distance;
+          }
+        }
+        const [next] = remaining.splice(nearestIndex, 1);
+        totalDistanceKm += nearestDistance;
+        route.push({ ...next, legDistanceKm: nearestDistance });
+        position = next.location;
+      }
+
+      const returnDistanceKm = route.length > 0 ? getDistanceKm(position, PICKUP_DEPOT) : 0;
+      return {
+        stops: route,
+        returnDistanceKm,
+        totalDistanceKm: totalDistanceKm + returnDistanceKm,
+      };
+    };
@@ -0,0 +1,112 @@
+// src/lib/pickupRunSheetGenerator.jsx
+
+import { PICKUP_DEPOT } from '@/lib/zipCentroids';
+import { formatPickupWindow } from '@/lib/pickupPlanning';
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const formatKm = (value) => `${(value || 0).toFixed(1).replace('.', ',')} km`;
+
+const formatDate = (value) =>
+  new Date(`${value}T12:00:00`).toLocaleDateString('de-DE', { weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric' });
+
+// Zusätzliche Styles: Kästchen zum Abhaken und mehr Platz für Notizen des Fahrers.
+export const RUN_SHEET_CSS = `
+  .run-sheet td { vertical-align: top; }
+  .run-sheet .check-box { display: inline-block; width: 4mm; height: 4mm; border: 0.75px solid #2d3748; }
+  .run-sheet .stop-notes { color: #4a5568; font-style: italic; }
+  .run-sheet .signature-cell { height: 10mm; }
+`;
+
+const generateStopRows = (route) =>
+  route.stops
+    .map(
+      (stop, index) => `
+      <tr>
+        <td style="text-align: center;"><strong>${index + 1}</strong></td>
+        <td>
+          ${stop.company_name ? `<strong>${escapeHtml(stop.company_name)}</strong><br/>` : ''}
+          <strong>${escapeHtml(stop.name)}</strong><br/>
+          ${escapeHtml(stop.street)}<br/>
+          ${escapeHtml(stop.zip)} ${escapeHtml(stop.city)}
+          ${stop.location?.approximate ? '<br/><span class="stop-notes">Lage nur geschätzt</span>' : ''}
+        </td>
+        <td>${escapeHtml(stop.phone || '–')}</td>
+        <td>
+          ${escapeHtml(stop.ankaufs_nummer)}<br/>
+          ca. ${(parseFloat(stop.total_weight) || 0).toFixed(1).replace('.', ',')} kg
+          ${stop.notes ? `<br/><span class="stop-notes">${escapeHtml(stop.notes)}</span>` : ''}
+        </td>
+        <td style="text-align: right;">${formatKm(stop.legDistanceKm)}</td>
+        <td style="text-align: center;"><span class="check-box"></span></td>
+        <td class="signature-cell"></td>
+      </tr>
+    `
+    )
+    .join('');
+
+/**
+ * Baut den BODY-Inhalt der Fahrerliste für einen Abholtag.
+ *
+ * @param {Object} day Abholtag aus get_pickup_days (mit driver_name)
+ * @param {Object} route Ergebnis von planPickupRoute
+ */
+export const generatePickupRunSheetHTML = (day, route) => {
+  const totalWeight = route.stops.reduce((sum, stop) => sum + (parseFloat(stop.total_weight) || 0), 0);
+  return `
+  <div class="pdf-container run-sheet">
+    <div class="pdf-page">
+      <div class="page-content">
+        <div class="header">
+          <h1>Fahrerliste Abholung</h1>
+          <p class="slogan">${formatDate(day.pickup_date)} · ${formatPickupWindow(day)} Uhr</p>
+        </div>
+
+        <div class="info-grid">
+          <div class="info-block">
+            <span class="section-subheading">Tour</span>
+            <p><strong>Fahrer:</strong> ${escapeHtml(day.driver_name || 'nicht zugeteilt')}</p>
+            <p><strong>Start und Ziel:</strong> ${escapeHtml(PICKUP_DEPOT.name)}</p>
+            ${day.note ? `<p><strong>Hinweis:</strong> ${escapeHtml(day.note)}</p>` : ''}
+          </div>
+          <div class="info-block">
+            <span class="section-subheading">Umfang</span>
+            <p><strong>Stopps:</strong> ${route.stops.length}</p>
+            <p><strong>Gewicht laut Anmeldung:</strong> ca. ${totalWeight.toFixed(1).replace('.', ',')} kg</p>
+            <p><strong>Strecke (Luftlinie):</strong> ${formatKm(route.totalDistanceKm)}</p>
+          </div>
+        </div>
+
+        <table>
+          <thead>
+            <tr>
+              <th style="text-align: center;">#</th>
+              <th>Kunde und Anschrift</th>
+              <th>Telefon</th>
+              <th>Ankauf</th>
+              <th style="text-align: right;">Anfahrt</th>
+              <th style="text-align: center;">Abgeholt</th>
+              <th>Unterschrift Kunde</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${generateStopRows(route)}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td colspan="4">Rückfahrt zum Lager</td>
+              <td style="text-align: right;">${formatKm(route.returnDistanceKm)}</td>
+              <td colspan="2"></td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    </div>
+  </div>
+`;
+};
@@ -0,0 +1,142 @@
+import { supabase } from '@/lib/supabaseClient';
+
+    // Abholgebiete (Tabelle pickup_service_areas): PLZ-Bereich oder einzelne PLZ mit Mindestgewicht und Gebühr.
+    // Überschneiden sich Gebiete, gilt das engste – wie in find_pickup_service_area auf dem Server.
+
+    const AREA_COLUMNS = 'id, name, zip_from, zip_to, min_weight, pickup_fee, is_active';
+
+    let activeAreasPromise = null;
+
+    const toArea = (row) => ({
+      ...row,
+      min_weight: parseFloat(row.min_weight) || 0,
+      pickup_fee: parseFloat(row.pickup_fee) || 0,
+    });
+
+    /**
+     * Aktive Abholgebiete für Formular und Infoseiten. Einmal pro Seitenaufruf geladen;
+     * nach Änderungen im Adminbereich wird der Zwischenspeicher verworfen.
+     */
+    export const fetchActivePickupServiceAreas = () => {
+      if (!activeAreasPromise) {
+        activeAreasPromise = supabase
+          .from('pickup_service_areas')
+          .select(AREA_COLUMNS)
+          .eq('is_active', true)
+          .order('zip_from', { ascending: true })
+          .then(({ data, error }) => {
+            if (error) {
+              console.error('Error fetching pickup_service_areas:', error);
+              activeAreasPromise = null;
+              throw new Error('Abholgebiete konnten nicht geladen werden.');
+            }
+            return (data || []).map(toArea);
+          });
+      }
+      return activeAreasPromise;
+    };
+
+    export const findPickupServiceArea = (areas, zip) => {
+      if (!/^\d{5}$/.test(zip || '')) return null;
+      const matches = areas.filter(area => area.is_active && zip >= area.zip_from && zip <= area.zip_to);
+      matches.sort((a, b) => (a.zip_to - a.zip_from) - (b.zip_to - b.zip_from) || a.zip_from.localeCompare(b.zip_from));
+      return matches[0] || null;
+    };
+
+    // 16000–16999 → "16xxx", 13000–13199 → "130xx–131xx", 16348–16348 → "16348"
+    export const formatZipRange = ({ zip_from: zipFrom, zip_to: zipTo }) => {
+      if (zipFrom === zipTo) return zipFrom;
+      let wildcardDigits = 0;
+      while (wildcardDigits < 5 && zipFrom[4 - wildcardDigits] === '0' && zipTo[4 - wildcardDigits] === '9') {
+        wildcardDigits += 1;
+      }
+      if (wildcardDigits === 0) return `${zipFrom}–${zipTo}`;
+      const wildcard = 'x'.repeat(wildcardDigits);
+      const fromPrefix = zipFrom.slice(0, 5 - wildcardDigits);
+      const toPrefix = zipTo.slice(0, 5 - wildcardDigits);
+      return fromPrefix === toPrefix ? `${fromPrefix}${wildcard}` : `${fromPrefix}${wildcard}–${toPrefix}${wildcard}`;
+    };
+
+    // "PLZ 16xxx, 130xx–131xx, 134xx"
+    export const describePickupServiceAreas = (areas) => {
+      const activeAreas = areas.filter(area => area.is_active);
+      return activeAreas.length === 0 ? '' : `PLZ ${activeAreas.map(formatZipRange).join(', ')}`;
+    };
+
+    export const formatWeight = (weight) => `${weight.toLocaleString('de-DE', { maximumFractionDigits: 1 })} kg`;
+
+    // Kleinstes Mindestgewicht aller aktiven Gebiete, für Texte ohne bekannte PLZ.
+    export const getLowestPickupMinWeight = (areas) => {
+      const weights = areas.filter(area => area.is_active).map(area => area.min_weight);
+      return weights.length > 0 ? Math.min(...weights) : null;
+    };
+
+    // "15 kg" bzw. "15 bis 25 kg je nach Gebiet"; null ohne aktive Gebiete.
+    export const describePickupMinWeight = (areas) => {
+      const weights = areas.filter(area => area.is_active).map(area => area.min_weight);
+      if (weights.length === 0) return null;
+      const lowest = Math.min(...weights);
+      const highest = Math.max(...weights);
+      return lowest === highest ? formatWeight(lowest) : `${lowest.toLocaleString('de-DE', { maximumFractionDigits: 1 })} bis ${formatWeight(highest)} je nach Gebiet`;
+    };
+
+    export const hasPickupFees = (areas) => areas.some(area => area.is_active && area.pickup_fee > 0);
+
+    export const formatPickupFee = (fee) => (
+      fee > 0 ? `${fee.toLocaleString('de-DE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} €` : 'kostenlos'
+    );
+
+    export const fetchPickupServiceAreas = async () => {
+      const { data, error } = await supabase
+        .from('pickup_service_areas')
+        .select(AREA_COLUMNS)
+        .order('zip_from', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching pickup_service_areas:', error);
+        throw new Error(`Abholgebiete konnten nicht geladen werden: ${error.message}`);
+      }
+      return (data || []).map(toArea);
+    };
+
+    export const savePickupServiceArea = async (area, id = null) => {
+      const zipFrom = area.zip_from.trim();
+      const zipTo = area.zip_to.trim() || zipFrom;
+      if (!/^\d{5}$/.test(zipFrom) || !/^\d{5}$/.test(zipTo) || zipFrom > zipTo) {
+        throw new Error('Bitte eine gültige PLZ bzw. einen PLZ-Bereich angeben, z.B. 16000 bis 16999.');
+      }
+      const minWeight = parseFloat(area.min_weight);
+      const pickupFee = parseFloat(area.pickup_fee || 0);
+      if (!(minWeight >= 0) || !(pickupFee >= 0)) {
+        throw new Error('Mindestgewicht und Gebühr dürfen nicht negativ sein.');
+      }
+
+      const payload = {
+        name: area.name.trim() || (zipFrom === zipTo ? zipFrom : `${zipFrom}–${zipTo}`),
+        zip_from: zipFrom,
+        zip_to: zipTo,
+        min_weight: minWeight,
+        pickup_fee: pickupFee,
+        is_active: area.is_active,
+      };
+
+      const query = id
+        ? supabase.from('pickup_service_areas').update(payload).eq('id', id)
+        : supabase.from('pickup_service_areas').insert(payload);
+      const { error } = await query;
+
+      if (error) {
+        console.error('Error saving pickup_service_area:', error);
+        throw new Error(`Abholgebiet konnte nicht gespeichert werden: ${error.message}`);
+      }
+      activeAreasPromise = null;
+    };
+
+    export const deletePickupServiceArea = async (id) => {
+      const { error } = await supabase.from('pickup_service_areas').delete().eq('id', id);
+      if (error) {
+        console.error('Error deleting pickup_service_area:', error);
+        throw new Error(`Abholgebiet konnte nicht gelöscht werden: ${error.message}`);
+      }
+      activeAreasPromise = null;
+    };
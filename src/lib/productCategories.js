@@ -0,0 +1,92 @@
+import { supabase } from '@/lib/supabaseClient';
+    import { isPerPieceCategoryType, isPerPieceItem, calculateItemAmounts } from '@/lib/cartItemUnits';
+
+    const formatCategory = (cat) => ({
+      id: cat.id,
+      name: cat.name,
+      pricePerKg: parseFloat(cat.price_per_kg),
+      priceVersionId: cat.current_price_version_id,
+      iconName: cat.icon_name || 'Package',
+      categoryType: cat.category_type,
+      isPerPiece: isPerPieceCategoryType(cat.category_type),
+      estimatedWeightPerPiece: parseFloat(cat.estimated_weight_per_piece) || 0,
+      requiresWeight: cat.requires_weight,
+      isActive: cat.is_active,
+      sortOrder: cat.sort_order,
+      nextChangeAt: cat.next_change_at || null,
+      requiresContact: parseFloat(cat.price_per_kg) === 0 // Items with price 0 require contact
+    });
+
+    /**
+     * Lädt die aktiven Kategorien mit dem aktuell gültigen Preis.
+     * Die Datenbank übernimmt dabei fällige geplante Änderungen, bevor sie die Liste ausliefert.
+     */
+    export const fetchEffectiveCategories = async () => {
+      const { data, error } = await supabase.rpc('get_effective_product_categories');
+      if (error) {
+        console.error('Error fetching effective categories:', error);
+        throw new Error(`Kategorien konnten nicht geladen werden: ${error.message}`);
+      }
+      return (data || []).map(formatCategory);
+    };
+
+    const findCategoryForItem = (item, categories) => (
+      categories.find(cat => (item.categoryId ? cat.id === item.categoryId : cat.name === item.category))
+    );
+
+    /**
+     * Vergleicht den Warenkorb mit den aktuell gültigen Kategorien und liefert alle Positionen,
+     * deren Preis sich seit der Berechnung geändert hat oder deren Kategorie nicht mehr angekauft wird.
+     */
+    export const findCartPriceChanges = (cartItems, categories) => cartItems.reduce((changes, item) => {
+      // Einzelartikel aus der ISBN/EAN-Preisliste hängen nicht an Kategoriepreisen.
+      if (item.productCode) return changes;
+      const category = findCategoryForItem(item, categories);
+      if (!category) {
+        changes.push({ itemId: item.id, category: item.category, unit: item.unit, oldPricePerKg: item.pricePerKg, newPricePerKg: null, deactivated: true });
+      } else if (category.pricePerKg !== item.pricePerKg || (item.priceVersionId && category.priceVersionId !== item.priceVersionId)) {
+        changes.push({ itemId: item.id, category: item.category, unit: item.unit, oldPricePerKg: item.pricePerKg, newPricePerKg: category.pricePerKg, newPriceVersionId: category.priceVersionId, deactivated: false });
+      }
+      return changes;
+    }, []);
+
+    // Übernimmt die gefundenen Änderungen in den Warenkorb; nicht mehr angekaufte Positionen fallen heraus.
+    export const applyPriceChanges = (cartItems, changes) => cartItems.reduce((items, item) => {
+      const change = changes.find(c => c.itemId === item.id);
+      if (!change) return [...items, item];
+      if (change.deactivated) return items;
+      const repricedItem = {
+        ...item,
+        pricePerKg: change.newPricePerKg,
+        priceVersionId: change.newPriceVersionId,
+        requiresContact: item.productCode ? false : change.newPricePerKg === 0,
+      };
+      const amount = isPerPieceItem(item) ? item.quantity : item.weight;
+      return [...items, { ...repricedItem, ...calculateItemAmounts(repricedItem, amount) }];
+    }, []);
+
+    // Nächste geplante Änderung einer Kategorie im Warenkorb, die noch in der Zukunft liegt.
+    export const getNextCartChangeAt = (cartItems, categories, now = Date.now()) => {
+      const times = cartItems
+        .filter(item => !item.productCode)
+        .map(item => findCategoryForItem(item, categories)?.nextChangeAt)
+        .filter(Boolean)
+        .map(value => new Date(value).getTime())
+        .filter(time => time > now);
+      return times.length > 0 ? new Date(Math.min(...times)) : null;
+    };
+
+    // Alle Kategorien (auch inaktive) für Auswahllisten im Adminbereich.
+    export const fetchCategoryOptions = async () => {
+      const { data, error } = await supabase
+        .from('product_categories')
+        .select('id, name, category_type, is_active')
+        .order('sort_order', { ascending: true })
+        .order('name', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching category options:', error);
+        throw new Error(`Kategorien konnten nicht geladen werden: ${error.message}`);
+      }
+      return data || [];
+    };
@@ -0,0 +1,158 @@
+import { supabase } from '@/lib/supabaseClient';
+    import { calculateItemAmounts } from '@/lib/cartItemUnits';
+    import { findCategoryForEan } from '@/lib/eanCategories';
+
+    // Prüfziffer nach EAN/GTIN: von rechts abwechselnd Gewicht 3 und 1 (ohne die Prüfziffer selbst).
+    const calculateEanCheckDigit = (digitsWithoutCheck) => {
+      const sum = digitsWithoutCheck
+        .split('')
+        .reverse()
+        .reduce((acc, digit, index) => acc + parseInt(digit, 10) * (index % 2 === 0 ? 3 : 1), 0);
+      return (10 - (sum % 10)) % 10;
+    };
+
+    export const isValidEan = (digits) => (
+      /^(\d{8}|\d{12}|\d{13})$/.test(digits) && calculateEanCheckDigit(digits.slice(0, -1)) === parseInt(digits.slice(-1), 10)
+    );
+
+    const isValidIsbn10 = (isbn) => {
+      if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+      const sum = isbn.split('').reduce((acc, char, index) => acc + (char === 'X' ? 10 : parseInt(char, 10)) * (10 - index), 0);
+      return sum % 11 === 0;
+    };
+
+    const isbn10ToIsbn13 = (isbn10) => {
+      const body = `978${isbn10.slice(0, 9)}`;
+      return `${body}${calculateEanCheckDigit(body)}`;
+    };
+
+    export const isIsbnCode = (code) => /^97[89]\d{10}$/.test(code || '');
+
+    /**
+     * Bringt eine eingetippte oder gescannte ISBN/EAN in die gespeicherte Form (nur Ziffern).
+     * ISBN-10 wird in ISBN-13 umgerechnet. Liefert null bei ungültiger Länge oder Prüfziffer.
+     */
+    export const normalizeProductCode = (rawCode) => {
+      const cleaned = (rawCode || '').toUpperCase().replace(/[\s-]/g, '');
+      if (isValidIsbn10(cleaned)) return isbn10ToIsbn13(cleaned);
+      if (isValidEan(cleaned)) return cleaned;
+      return null;
+    };
+
+    export const formatProductCode = (code) => (isIsbnCode(code) ? `ISBN ${code}` : `EAN ${code}`);
+
+    export const lookupProductCode = async (code) => {
+      const { data, error } = await supabase.rpc('lookup_product_code', { p_code: code });
+      if (error) {
+        console.error('Error looking up product code:', error);
+        throw new Error(`Artikel konnte nicht gesucht werden: ${error.message}`);
+      }
+      const match = Array.isArray(data) ? data[0] : data;
+      if (!match) return null;
+      return {
+        code: match.code,
+        title: match.title,
+        price: parseFloat(match.price) || 0,
+        estimatedWeight: parseFloat(match.estimated_weight) || 0,
+        categoryId: match.category_id,
+      };
+    };
+
+    /**
+     * Gleicht Einzelartikel im Warenkorb mit der aktuellen Preisliste ab (gleiches Format wie findCartPriceChanges).
+     * Ist die Preisliste nicht erreichbar, bleibt die Position unverändert.
+     */
+    export const findProductCodePriceChanges = async (cartItems) => {
+      const codeItems = cartItems.filter(item => item.productCode);
+      const results = await Promise.all(codeItems.map(async (item) => {
+        try {
+          return { item, match: await lookupProductCode(item.productCode) };
+        } catch (error) {
+          return null;
+        }
+      }));
+      return results.filter(Boolean).reduce((changes, { item, match }) => {
+        if (!match) {
+          changes.push({ itemId: item.id, category: item.category, unit: item.unit, oldPricePerKg: item.pricePerKg, newPricePerKg: null, deactivated: true });
+        } else if (match.price !== item.pricePerKg) {
+          changes.push({ itemId: item.id, category: item.category, unit: item.unit, oldPricePerKg: item.pricePerKg, newPricePerKg: match.price, deactivated: false });
+        }
+        return changes;
+      }, []);
+    };
+
+    /**
+     * Kategorie für die Gewichtsberechnung, wenn ein Code nicht in der Preisliste steht.
+     * Bücher, Noten und Zeitschriften werden über den EAN-Präfix erkannt, sonst entscheidet der Kunde selbst.
+     */
+    export const findFallbackCategory = (code, categories) => findCategoryForEan(code, categories);
+
+    // Warenkorb-Position für einen Treffer aus der Einzelartikel-Preisliste.
+    export const buildProductCodeCartItem = (match, quantity = 1) => {
+      const item = {
+        productCode: match.code,
+        category: match.title,
+        unit: 'piece',
+        estimatedWeightPerPiece: match.estimatedWeight,
+        pricePerKg: match.price,
+        requiresContact: false,
+        iconName: isIsbnCode(match.code) ? 'BookOpen' : 'Barcode',
+      };
+      return { ...item, ...calculateItemAmounts(item, quantity) };
+    };
+
+    export const fetchProductCodePrices = async () => {
+      const { data, error } = await supabase
+        .from('product_code_prices')
+        .select('id, code, title, category_id, price, estimated_weight, is_active, notes, updated_at, updated_by_email, product_categories ( name )')
+        .order('title', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching product_code_prices:', error);
+        throw new Error(`Preisliste konnte nicht geladen werden: ${error.message}`);
+      }
+      return data || [];
+    };
+
+    export const saveProductCodePrice = async (entry, id = null) => {
+      const code = normalizeProductCode(entry.code);
+      if (!code) {
+        throw new Error('Ungültige ISBN/EAN. Bitte Länge und Prüfziffer kontrollieren.');
+      }
+      const price = parseFloat(entry.price);
+      if (Number.isNaN(price) || price < 0) {
+        throw new Error('Bitte einen gültigen Preis angeben.');
+      }
+
+      const payload = {
+        code,
+        title: entry.title.trim(),
+        category_id: entry.category_id || null,
+        price,
+        estimated_weight: parseFloat(entry.estimated_weight) || 0,
+        is_active: entry.is_active,
+        notes: entry.notes || null,
+      };
+
+      const query = id
+        ? supabase.from('product_code_prices').update(payload).eq('id', id)
+        : supabase.from('product_code_prices').insert(payload);
+      const { data, error } = await query.select().single();
+
+      if (error) {
+        console.error('Error saving product_code_price:', error);
+        if (error.code === '23505') {
+          throw new Error(`Für ${formatProductCode(code)} gibt es bereits einen Eintrag.`);
+        }
+        throw new Error(`Eintrag konnte nicht gespeichert werden: ${error.message}`);
+      }
+      return data;
+    };
+
+    export const deleteProductCodePrice = async (id) => {
+      const { error } = await supabase.from('product_code_prices').delete().eq('id', id);
+      if (error) {
+        console.error('Error deleting product_code_price:', error);
+        throw new Error(`Eintrag konnte nicht gelöscht werden: ${error.message}`);
+      }
+    };
@@ -1,143 +1,108 @@
 import { supabase } from '@/lib/supabaseClient';
+    import { normalizeIban } from '@/lib/iban';
 
-    const upsertCustomer = async (formData) => {
-      const { data: existingCustomer, error: customerError } = await supabase
-        .from('customers')
-        .select('id')
-        .eq('email', formData.email)
-        .single();
+    // Feste Fehlercodes aus submit_ankauf_request (HINT) bzw. der Verbindung, für die Meldungen im Formular.
+    export const SUBMISSION_ERROR_MESSAGES = {
+      invalid_customer: 'Bitte prüfe Name, E-Mail und Anschrift.',
+      empty_cart: 'Dein Warenkorb ist leer. Bitte füge zuerst Artikel hinzu.',
+      price_changed: 'Die Ankaufspreise haben sich geändert. Bitte prüfe die aktualisierten Preise in der Übersicht und übernimm sie, bevor du absendest.',
+      invalid_delivery_type: 'Bitte wähle eine gültige Abgabeart.',
+      missing_consent: 'Bitte bestätige die AGB und dass die Artikel dein Eigentum sind.',
+      missing_payout: 'Für die Auszahlung wird eine IBAN oder PayPal-E-Mail benötigt.',
+      pickup_area_unavailable: 'Für deine PLZ bieten wir leider keine Abholung an. Bitte wähle Versand oder Selbstanlieferung.',
+      pickup_min_weight: 'Für eine Abholung in deinem Gebiet ist das Gesamtgewicht zu gering. Bitte wähle eine andere Abgabeart.',
+      pickup_day_required: 'Bitte wähle einen freien Abholtag.',
+      pickup_day_full: 'Der gewählte Abholtag ist inzwischen ausgebucht. Bitte wähle einen anderen Tag.',
+      self_delivery_slot_required: 'Bitte wähle ein freies Zeitfenster für die Anlieferung.',
+      self_delivery_slot_full: 'Das gewählte Zeitfenster ist inzwischen ausgebucht. Bitte wähle ein anderes.',
+      self_delivery_holiday: 'An gesetzlichen Feiertagen ist keine Anlieferung möglich. Bitte wähle einen anderen Tag.',
+      invalid_input: 'Bitte prüfe deine Angaben.',
+      idempotency_key_reused: 'Diese Anfrage wurde bereits mit anderen Daten abgeschickt. Bitte lade die Seite neu.',
+      missing_idempotency_key: 'Die Anfrage ist unvollständig. Bitte lade die Seite neu.',
+      network: 'Keine Verbindung zum Server. Bitte prüfe deine Internetverbindung und sende die Anfrage erneut. Sie wird dabei nicht doppelt angelegt.',
+      unknown: 'Deine Anfrage konnte nicht verarbeitet werden. Bitte versuche es später erneut oder kontaktiere uns.',
+    };
 
-      if (customerError && customerError.code !== 'PGRST116') {
-        console.error('Error fetching customer:', customerError);
-        throw new Error(`Fehler beim Überprüfen der Kundendaten: ${customerError.message}`);
-      }
+    // Diese Fehler sind vorübergehend; dank Idempotenzschlüssel ist ein erneuter Versuch gefahrlos.
+    const RETRYABLE_ERROR_CODES = ['network'];
+    const MAX_SUBMIT_ATTEMPTS = 3;
 
-      if (existingCustomer) {
-        const { error: updateCustomerError } = await supabase
-          .from('customers')
-          .update({
-            name: formData.name,
-            phone: formData.phone,
-            street: formData.street,
-            zip: formData.zip,
-            city: formData.city,
-            company_name: formData.companyName || null,
-          })
-          .eq('id', existingCustomer.id);
-        if (updateCustomerError) {
-          console.error('Error updating customer:', updateCustomerError);
-          throw new Error(`Fehler beim Aktualisieren der Kundendaten: ${updateCustomerError.message}`);
-        }
-        return existingCustomer.id;
-      } else {
-        const { data: newCustomer, error: newCustomerError } = await supabase
-          .from('customers')
-          .insert({
-            name: formData.name,
-            email: formData.email,
-            phone: formData.phone,
-            street: formData.street,
-            zip: formData.zip,
-            city: formData.city,
-            company_name: formData.companyName || null,
-          })
-          .select('id')
-          .single();
-        if (newCustomerError) {
-          console.error('Error creating customer:', newCustomerError);
-          throw new Error(`Fehler beim Erstellen des Kundenprofils: ${newCustomerError.message}`);
-        }
-        return newCustomer.id;
-      }
+    const getSubmissionErrorCode = (error) => {
+      if (error.hint && SUBMISSION_ERROR_MESSAGES[error.hint]) return error.hint;
+      if (error.code === '22023') return 'invalid_input';
+      if (!error.code) return 'network';
+      return 'unknown';
     };
 
-    const createAnkaufRequest = async (customerId, formData, cartItems, totalWeight, totalPrice, ankaufsNummer) => {
-      const ankaufRequestData = {
-        customer_id: customerId,
-        submission_date: new Date().toISOString(),
+    const toSubmissionPayload = (formData, cartItems, totalWeight, totalPrice) => ({
+      p_customer: {
+        name: formData.name,
+        email: formData.email,
+        phone: formData.phone,
+        street: formData.street,
+        zip: formData.zip,
+        city: formData.city,
+        company_name: formData.companyName || null,
+      },
+      p_request: {
         delivery_type: formData.deliveryType,
         total_weight: totalWeight,
         total_price: totalPrice,
         items: cartItems,
-        iban: formData.iban ? formData.iban.replace(/\s/g, '').toUpperCase() : null,
+        iban: formData.iban ? normalizeIban(formData.iban) : null,
         paypal: formData.paypal,
         agb_accepted: formData.agbAccepted,
         own_items_confirmed: formData.ownItemsConfirmed,
-        status: 'pending',
-        ankaufs_nummer: ankaufsNummer,
         number_of_labels: parseInt(formData.numberOfLabels, 10) || 0,
-      };
+      },
+      p_delivery: formData.deliveryType === 'abholung' ? {
+        pickup_day_id: formData.pickupDetails?.dayId || null,
+        notes: formData.pickupDetails?.notes || formData.pickupNotes || null,
+      } : formData.deliveryType === 'selbstanlieferung' ? {
+        delivery_date: formData.deliveryDate || null,
+        slot_start: formData.selfDeliverySlotStart || null,
+        notes: formData.deliveryDetails?.notes || formData.selfDeliveryNotes || null,
+      } : {},
+    });
 
-      const { data: ankaufRequest, error: ankaufRequestError } = await supabase
-        .from('ankauf_requests')
-        .insert(ankaufRequestData)
-        .select('id, ankaufs_nummer')
-        .single();
+    const submitAnkaufRequest = async (payload) => {
+      let lastError;
+      for (let attempt = 1; attempt <= MAX_SUBMIT_ATTEMPTS; attempt++) {
+        const { data, error } = await supabase.rpc('submit_ankauf_request', payload);
+        if (!error) return data;
 
-      if (ankaufRequestError) {
-        console.error('Error inserting ankauf_request:', ankaufRequestError);
-        if (ankaufRequestError.code === '23505' && ankaufRequestError.message.includes('ankauf_requests_ankaufs_nummer_key')) {
-          throw new Error('Ein interner Fehler ist aufgetreten (Ankaufsnummer-Konflikt). Bitte versuchen Sie es in Kürze erneut.');
-        }
-        throw new Error(`Fehler beim Speichern der Ankaufsanfrage: ${ankaufRequestError.message}`);
-      }
-      return ankaufRequest;
-    };
-
-    const createDeliverySpecificRecord = async (deliveryType, ankaufRequestId, customerId, formData) => {
-      if (deliveryType === 'abholung') {
-        const { error: pickupError } = await supabase
-          .from('pickup_requests')
-          .insert({
-            ankauf_request_id: ankaufRequestId,
-            customer_id: customerId,
-            pickup_date: formData.pickupDetails?.date || formData.pickupDate || null,
-            pickup_time: formData.pickupDetails?.time || formData.pickupTime || null,
-            notes: formData.pickupDetails?.notes || formData.pickupNotes || null,
-          });
-        if (pickupError) {
-          console.warn('Error inserting pickup_request (non-critical):', pickupError);
-        }
-      } else if (deliveryType === 'selbstanlieferung') {
-        const { error: selfDeliveryError } = await supabase
-          .from('self_delivery_appointments')
-          .insert({
-            ankauf_request_id: ankaufRequestId,
-            customer_id: customerId,
-            delivery_date: formData.deliveryDate || null,
-            time_slot: formData.selectedTimeSlot || null,
-            notes: formData.deliveryDetails?.notes || formData.selfDeliveryNotes || null,
-          });
-        if (selfDeliveryError) {
-          console.warn('Error inserting self_delivery_appointment (non-critical):', selfDeliveryError);
-        }
+        const errorCode = getSubmissionErrorCode(error);
+        console.error(`Error submitting ankauf_request (Versuch ${attempt}):`, error);
+        lastError = { errorCode, message: errorCode === 'invalid_input' ? error.message : SUBMISSION_ERROR_MESSAGES[errorCode] };
+        if (!RETRYABLE_ERROR_CODES.includes(errorCode)) break;
+        await new Promise(resolve => setTimeout(resolve, attempt * 500));
       }
+      throw Object.assign(new Error(lastError.message), { errorCode: lastError.errorCode });
     };
     
-    export const handleSubmitPurchaseToSupabase = async (formData, cartItems, totalWeight, totalPrice) => {
-      const submissionDate = new Date().toISOString();
-      const ankaufsNummer = `BR-${new Date(submissionDate).getTime().toString().slice(-8)}`;
-      let customerId;
-      let ankaufRequestId;
-      let returnedAnkaufsNummer;
-
+    /**
+     * Legt Kunde, Ankaufsanfrage und Termin in einem Schritt über submit_ankauf_request an.
+     * Mit demselben idempotencyKey erneut aufgerufen, liefert es die bereits angelegte Anfrage zurück.
+     * Im Fehlerfall enthält das Ergebnis errorCode (siehe SUBMISSION_ERROR_MESSAGES) und eine Meldung.
+     */
+    export const handleSubmitPurchaseToSupabase = async (formData, cartItems, totalWeight, totalPrice, idempotencyKey) => {
       try {
-        customerId = await upsertCustomer(formData);
-        const ankaufRequest = await createAnkaufRequest(customerId, formData, cartItems, totalWeight, totalPrice, ankaufsNummer);
-        ankaufRequestId = ankaufRequest.id;
-        returnedAnkaufsNummer = ankaufRequest.ankaufs_nummer;
-
-        await createDeliverySpecificRecord(formData.deliveryType, ankaufRequestId, customerId, formData);
+        const result = await submitAnkaufRequest({
+          p_idempotency_key: idempotencyKey,
+          ...toSubmissionPayload(formData, cartItems, totalWeight, totalPrice),
+        });
         
         const submissionDataForLocalStorage = {
           ...formData,
           cartItems,
           totalWeight,
           totalPrice,
-          submissionDate,
-          ankaufsNummer: returnedAnkaufsNummer,
-          ankaufRequestId: ankaufRequestId,
-          numberOfLabels: formData.numberOfLabels,
+          submissionDate: result.submission_date,
+          ankaufsNummer: result.ankaufs_nummer,
+          ankaufRequestId: result.ankauf_request_id,
+          selfDeliveryToken: result.self_delivery_token || null,
+          numberOfLabels: String(result.number_of_labels ?? formData.numberOfLabels),
+          dropOffPoint: formData.deliveryType === 'versand' ? formData.dropOffPoint || null : null,
           pickupDetails: formData.deliveryType === 'abholung' ? {
             date: formData.pickupDetails?.date || formData.pickupDate,
             time: formData.pickupDetails?.time || formData.pickupTime,
@@ -154,17 +119,26 @@ import { supabase } from '@/lib/supabaseClient';
         return { 
           success: true, 
           error: null, 
-          ankaufsNummer: returnedAnkaufsNummer, 
-          ankaufRequestId: ankaufRequestId,
+          errorCode: null,
+          isDuplicate: !!result.duplicate,
+          ankaufsNummer: result.ankaufs_nummer, 
+          ankaufRequestId: result.ankauf_request_id,
+          selfDeliveryToken: result.self_delivery_token || null,
+          submissionDate: result.submission_date,
+          numberOfLabels: String(result.number_of_labels ?? formData.numberOfLabels),
         };
 
       } catch (error) {
         console.error('handleSubmitPurchaseToSupabase error:', error);
         return { 
           success: false, 
-          error: error.message || 'Ein unbekannter Fehler ist aufgetreten.', 
-          ankaufsNummer: returnedAnkaufsNummer || null, 
-          ankaufRequestId: ankaufRequestId || null,
+          error: error.message || SUBMISSION_ERROR_MESSAGES.unknown, 
+          errorCode: error.errorCode || 'unknown',
+          isDuplicate: false,
+          ankaufsNummer: null, 
+          ankaufRequestId: null,
+          selfDeliveryToken: null,
+          submissionDate: null,
         };
       }
-    };
\ No newline at end of file
+    };
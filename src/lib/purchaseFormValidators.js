@@ -1,4 +1,9 @@
-const isValidEmail = (email) => {
+import { getIbanError } from '@/lib/iban';
+    import { formatWeight } from '@/lib/pickupServiceAreas';
+    import { suggestParcelCount, formatParcelWeight } from '@/lib/parcels';
+    import { MAX_PARCEL_WEIGHT } from '@/lib/shippingCarrier';
+
+    const isValidEmail = (email) => {
       const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
       return emailRegex.test(email);
     };
@@ -41,19 +46,31 @@ const isValidEmail = (email) => {
           if (formData.paypal.trim() && !isValidEmail(formData.paypal)) {
               return "Bitte gib eine gültige PayPal E-Mail-Adresse ein.";
           }
-          if (formData.iban && (formData.iban.replace(/\s/g, '').length < 15 || formData.iban.replace(/\s/g, '').length > 34 || !/^[A-Z0-9]+$/.test(formData.iban.replace(/\s/g, '')))) {
-            return "Bitte geben Sie eine gültige IBAN ein.";
+          if (formData.iban.trim()) {
+            const ibanError = getIbanError(formData.iban);
+            if (ibanError) return ibanError;
           }
       }
 
       if (formData.deliveryType === 'abholung') {
-          if (!zipEligibility.isEligible && formData.zip.length === 5) return "Abholung für diese PLZ nicht verfügbar.";
-          if (totalWeight < 15) return `Für eine Abholung sind 15kg erforderlich (aktuell ${totalWeight.toFixed(2)}kg).`;
-          if (!formData.pickupDetails.date) return "Abholdatum ist ein Pflichtfeld für Abholung.";
+          if (!zipEligibility.isEligible || !zipEligibility.area) return "Abholung für diese PLZ nicht verfügbar.";
+          const minWeight = zipEligibility.area.min_weight;
+          if (totalWeight < minWeight) return `Für eine Abholung sind in deinem Gebiet ${formatWeight(minWeight)} erforderlich (aktuell ${totalWeight.toFixed(2)}kg).`;
+          if (!formData.pickupDetails.dayId) return "Bitte wähle einen freien Abholtag.";
+      }
+      if (formData.deliveryType === 'versand') {
+          const numberOfLabels = parseInt(formData.numberOfLabels, 10);
+          const minParcels = suggestParcelCount(totalWeight);
+          if (numberOfLabels > 0 && numberOfLabels < minParcels) {
+            return `Bei ${totalWeight.toFixed(2)} kg brauchst du mindestens ${minParcels} Pakete (max. ${formatParcelWeight(MAX_PARCEL_WEIGHT)} pro Paket).`;
+          }
+          // submit_ankauf_request vergibt nicht mehr Labels, als das Gewicht braucht.
+          if (numberOfLabels > minParcels) {
+            return `Bei ${totalWeight.toFixed(2)} kg kannst du höchstens ${minParcels} ${minParcels === 1 ? 'Label' : 'Labels'} anfordern.`;
+          }
       }
       if (formData.deliveryType === 'selbstanlieferung') {
-          if (!formData.deliveryDate) return "Anlieferdatum ist ein Pflichtfeld für Selbstanlieferung.";
-          if (!formData.selectedTimeSlot) return "Zeitfenster ist ein Pflichtfeld für Selbstanlieferung.";
+          if (!formData.deliveryDate || !formData.selfDeliverySlotStart) return "Bitte wähle ein freies Zeitfenster für die Anlieferung.";
       }
       if (!formData.agbAccepted) return "Bitte akzeptiere die AGB.";
       if (!formData.ownItemsConfirmed) return "Bitte bestätige, dass es sich um dein Eigentum handelt.";
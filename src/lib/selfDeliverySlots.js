@@ -0,0 +1,166 @@
+import { supabase } from '@/lib/supabaseClient';
+
+    export const SELF_DELIVERY_WEEKDAYS = [
+      { value: 1, label: 'Mo' },
+      { value: 2, label: 'Di' },
+      { value: 3, label: 'Mi' },
+      { value: 4, label: 'Do' },
+      { value: 5, label: 'Fr' },
+      { value: 6, label: 'Sa' },
+    ];
+
+    // Reservierungen aus dem Formular laufen nach dieser Zeit ab (siehe hold_self_delivery_slot).
+    export const SLOT_HOLD_MINUTES = 20;
+
+    const SLOT_ERROR_MESSAGES = {
+      self_delivery_slot_full: 'Das Zeitfenster ist inzwischen ausgebucht. Bitte wähle ein anderes.',
+      self_delivery_slot_required: 'Bitte wähle einen Termin für die Anlieferung.',
+      self_delivery_holiday: 'An gesetzlichen Feiertagen ist keine Anlieferung möglich. Bitte wähle einen anderen Tag.',
+      too_many_holds: 'Zu viele Reservierungen. Bitte versuche es in 20 Minuten erneut.',
+      appointment_locked: 'Dieser Termin kann nicht mehr geändert werden. Bitte kontaktiere uns.',
+    };
+
+    const toSlotError = (error, fallbackMessage) => (
+      Object.assign(new Error(SLOT_ERROR_MESSAGES[error.hint] || fallbackMessage), { errorCode: error.hint || null })
+    );
+
+    // "07:00:00" → "07:00"
+    export const toShortTime = (time) => (time || '').slice(0, 5);
+
+    export const buildSelfDeliveryManageUrl = (token) => `${window.location.origin}/anlieferung/${token}`;
+
+    /**
+     * Freie Zeitfenster im Zeitraum; gesetzliche Feiertage in Brandenburg sperrt die Datenbank (is_brandenburg_holiday).
+     * Die eigene Reservierung (holdToken) gilt dabei als frei.
+     */
+    export const fetchAvailableSelfDeliverySlots = async (periodFrom, periodTo, holdToken = null) => {
+      const { data, error } = await supabase.rpc('get_available_self_delivery_slots', {
+        p_from: periodFrom,
+        p_to: periodTo,
+        p_hold_token: holdToken,
+      });
+      if (error) {
+        console.error('Error fetching self delivery slots:', error);
+        throw new Error('Freie Termine konnten nicht geladen werden. Bitte versuche es später erneut.');
+      }
+      return data || [];
+    };
+
+    export const holdSelfDeliverySlot = async (holdToken, deliveryDate, slotStart) => {
+      const { data, error } = await supabase.rpc('hold_self_delivery_slot', {
+        p_hold_token: holdToken,
+        p_date: deliveryDate,
+        p_slot_start: slotStart,
+      });
+      if (error) {
+        console.error('Error holding self delivery slot:', error);
+        throw toSlotError(error, 'Das Zeitfenster konnte nicht reserviert werden. Bitte versuche es erneut.');
+      }
+      return data;
+    };
+
+    export const fetchSelfDeliveryAppointment = async (manageToken) => {
+      const { data, error } = await supabase.rpc('get_self_delivery_appointment', { p_manage_token: manageToken });
+      if (error) {
+        console.error('Error fetching self delivery appointment:', error);
+        throw new Error('Der Termin konnte nicht geladen werden. Bitte versuche es später erneut.');
+      }
+      return data;
+    };
+
+    export const rescheduleSelfDeliveryAppointment = async (manageToken, deliveryDate, slotStart) => {
+      const { data, error } = await supabase.rpc('reschedule_self_delivery_appointment', {
+        p_manage_token: manageToken,
+        p_date: deliveryDate,
+        p_slot_start: slotStart,
+      });
+      if (error) {
+        console.error('Error rescheduling self delivery appointment:', error);
+        throw toSlotError(error, 'Der Termin konnte nicht verschoben werden. Bitte versuche es später erneut.');
+      }
+      return data;
+    };
+
+    export const cancelSelfDeliveryAppointment = async (manageToken) => {
+      const { data, error } = await supabase.rpc('cancel_self_delivery_appointment', { p_manage_token: manageToken });
+      if (error) {
+        console.error('Error cancelling self delivery appointment:', error);
+        throw toSlotError(error, 'Der Termin konnte nicht abgesagt werden. Bitte versuche es später erneut.');
+      }
+      return data;
+    };
+
+    export const fetchSlotCapacities = async () => {
+      const { data, error } = await supabase
+        .from('self_delivery_slot_capacities')
+        .select('weekday, slot_start, capacity')
+        .order('slot_start', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching self_delivery_slot_capacities:', error);
+        throw new Error(`Anlieferzeiten konnten nicht geladen werden: ${error.message}`);
+      }
+      return data || [];
+    };
+
+    export const saveSlotCapacity = async (weekday, slotStart, capacity) => {
+      const parsedCapacity = parseInt(capacity, 10);
+      if (!(parsedCapacity >= 0)) {
+        throw new Error('Bitte eine Kapazität von 0 oder mehr angeben.');
+      }
+      const { error } = await supabase
+        .from('self_delivery_slot_capacities')
+        .upsert({ weekday, slot_start: slotStart, capacity: parsedCapacity }, { onConflict: 'weekday,slot_start' });
+
+      if (error) {
+        console.error('Error saving self_delivery_slot_capacity:', error);
+        throw new Error(`Kapazität konnte nicht gespeichert werden: ${error.message}`);
+      }
+    };
+
+    export const fetchClosures = async () => {
+      const { data, error } = await supabase
+        .from('self_delivery_closures')
+        .select('id, date_from, date_to, reason')
+        .gte('date_to', new Date().toLocaleDateString('sv-SE'))
+        .order('date_from', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching self_delivery_closures:', error);
+        throw new Error(`Schließtage konnten nicht geladen werden: ${error.message}`);
+      }
+      return data || [];
+    };
+
+    export const createClosure = async (closure) => {
+      if (!closure.date_from || !closure.date_to || closure.date_from > closure.date_to) {
+        throw new Error('Bitte einen gültigen Zeitraum angeben.');
+      }
+      const { error } = await supabase.from('self_delivery_closures').insert({
+        date_from: closure.date_from,
+        date_to: closure.date_to,
+        reason: closure.reason?.trim() || null,
+      });
+
+      if (error) {
+        console.error('Error creating self_delivery_closure:', error);
+        throw new Error(`Schließtag konnte nicht gespeichert werden: ${error.message}`);
+      }
+    };
+
+    export const deleteClosure = async (id) => {
+      const { error } = await supabase.from('self_delivery_closures').delete().eq('id', id);
+      if (error) {
+        console.error('Error deleting self_delivery_closure:', error);
+        throw new Error(`Schließtag konnte nicht gelöscht werden: ${error.message}`);
+      }
+    };
+
+    export const fetchSelfDeliveryAppointments = async (periodFrom, periodTo) => {
+      const { data, error } = await supabase.rpc('get_self_delivery_appointments', { p_from: periodFrom, p_to: periodTo });
+      if (error) {
+        console.error('Error fetching self delivery appointments:', error);
+        throw new Error(`Anlieferungen konnten nicht geladen werden: ${error.message}`);
+      }
+      return data || [];
+    };
@@ -0,0 +1,137 @@
+// Sendcloud-Anbindung (API v2) hinter der Versanddienstleister-Schnittstelle aus shippingCarrier.js.
+    // Alle Aufrufe gehen über den Proxy supabase/functions/sendcloud-api, der die Zugangsdaten hält und
+    // Rücksendelabels selbst anlegt. Lokal leitet der Proxy an scripts/fake-sendcloud-server.js weiter.
+
+    import { normalizeSendcloudStatus } from '../../supabase/functions/_shared/sendcloudStatus.js';
+
+    const ERROR_CODES_BY_HTTP_STATUS = {
+      400: 'invalid_request',
+      401: 'unauthorized',
+      403: 'unauthorized',
+      404: 'not_found',
+      429: 'rate_limited',
+    };
+
+    const ERROR_MESSAGES = {
+      invalid_request: 'Der Versanddienstleister hat die Sendungsdaten abgelehnt',
+      unauthorized: 'Zugang zum Versanddienstleister verweigert. Bitte kontaktiere uns.',
+      not_found: 'Die Sendung ist beim Versanddienstleister nicht bekannt.',
+      rate_limited: 'Der Versanddienstleister ist gerade überlastet. Bitte versuche es in einer Minute erneut.',
+      unavailable: 'Der Versanddienstleister ist vorübergehend nicht erreichbar. Bitte versuche es später erneut.',
+      network: 'Keine Verbindung zum Versanddienstleister. Bitte prüfe deine Internetverbindung.',
+    };
+
+    const toCarrierError = (errorCode, detail) => Object.assign(
+      new Error(errorCode === 'invalid_request' && detail ? `${ERROR_MESSAGES.invalid_request}: ${detail}` : ERROR_MESSAGES[errorCode]),
+      { errorCode, detail },
+    );
+
+    // Sendcloud-Annahmestellentyp (extra_data.shop_type) → locker | post_office | shop
+    const toDropOffPointType = (shopType) => {
+      if (/pack(station)?|locker/i.test(shopType || '')) return 'locker';
+      if (/post/i.test(shopType || '')) return 'post_office';
+      return 'shop';
+    };
+
+    /**
+     * @param {Object} options
+     * @param {string} options.apiUrl Basis-URL der API v2, z.B. "https://…/functions/v1/sendcloud-api"
+     * @param {Object} [options.headers] z.B. Authorization für den Proxy
+     * @param {string} [options.name] Kennung für Protokolle und gespeicherte Labels
+     * @returns {import('@/lib/shippingCarrier').ShippingCarrier}
+     */
+    export const createSendcloudCarrier = ({ apiUrl, headers = {}, name = 'sendcloud' }) => {
+      const request = async (method, path, { body } = {}) => {
+        let response;
+        try {
+          response = await fetch(`${apiUrl}${path}`, {
+            method,
+            headers: {
+              ...headers,
+              ...(body ? { 'Content-Type': 'application/json' } : {}),
+            },
+            body: body ? JSON.stringify(body) : undefined,
+          });
+        } catch (networkError) {
+          console.error(`Error calling ${name} ${method} ${path}:`, networkError);
+          throw toCarrierError('network');
+        }
+
+        if (!response.ok) {
+          const errorBody = await response.json().catch(() => null);
+          const detail = errorBody?.error?.message || errorBody?.message || null;
+          console.error(`Error from ${name} ${method} ${path} (${response.status}):`, errorBody);
+          throw toCarrierError(ERROR_CODES_BY_HTTP_STATUS[response.status] || 'unavailable', detail);
+        }
+        return response.json();
+      };
+
+      const toTrackingStatus = (parcel) => ({
+        parcelId: String(parcel.id),
+        trackingNumber: parcel.tracking_number || null,
+        trackingUrl: parcel.tracking_url || null,
+        status: normalizeSendcloudStatus(parcel.status),
+        statusText: parcel.status?.message || '',
+      });
+
+      return {
+        name,
+
+        // Das Paket baut der Proxy aus dem gespeicherten Ankauf (Absender, Gewicht, Empfänger) und
+        // speichert das Label-PDF; hier gehen nur Ankauf und Labelnummer mit.
+        createLabel: async (shipment) => {
+          const { parcel, label_url: labelUrl, file_path: filePath } = await request('POST', '/return-labels', {
+            body: {
+              ankauf_request_id: shipment.ankaufRequestId,
+              ankaufs_nummer: shipment.ankaufsNummer,
+              label_index: shipment.labelIndex,
+            },
+          });
+          return { ...toTrackingStatus(parcel), carrier: name, labelUrl, filePath };
+        },
+
+        listReturnLabels: async ({ ankaufRequestId, ankaufsNummer }) => {
+          const query = new URLSearchParams({ ankauf_request_id: ankaufRequestId, ankaufs_nummer: ankaufsNummer });
+          const { labels } = await request('GET', `/return-labels?${query}`);
+          return labels || [];
+        },
+
+        cancelLabel: async (parcelId) => {
+          const result = await request('POST', `/parcels/${parcelId}/cancel`);
+          return { cancelled: result.status === 'cancelled' || result.status === 'queued', message: result.message || '' };
+        },
+
+        getTrackingStatus: async (parcelId) => {
+          const { parcel } = await request('GET', `/parcels/${parcelId}`);
+          return toTrackingStatus(parcel);
+        },
+
+        findDropOffPoints: async ({ zip, limit = 10 }) => {
+          const query = new URLSearchParams({ country: 'DE', address: zip, carrier: 'dhl', limit: String(limit) });
+          const points = await request('GET', `/service-points?${query}`);
+          return (points || []).slice(0, limit).map(point => ({
+            id: String(point.id),
+            code: point.code || '',
+            type: toDropOffPointType(point.extra_data?.shop_type || point.shop_type),
+            name: point.name,
+            street: [point.street, point.house_number].filter(Boolean).join(' '),
+            zip: point.postal_code,
+            city: point.city,
+            distance: parseInt(point.distance, 10) || null,
+            // Sendcloud: "0" = Montag … "6" = Sonntag, leere Liste = geschlossen
+            openingHours: [0, 1, 2, 3, 4, 5, 6].map(day => point.formatted_opening_times?.[day] || []),
+          }));
+        },
+
+        listShippingMethods: async () => {
+          const { shipping_methods: shippingMethods } = await request('GET', '/shipping_methods');
+          return (shippingMethods || []).map(method => ({
+            id: method.id,
+            name: method.name,
+            carrier: method.carrier,
+            minWeight: parseFloat(method.min_weight) || 0,
+            maxWeight: parseFloat(method.max_weight) || null,
+          }));
+        },
+      };
+    };
@@ -0,0 +1,96 @@
+import { normalizeIban } from '@/lib/iban';
+
+    // SEPA-Überweisungsdatei nach ISO 20022 pain.001.001.03, wie sie deutsche Banken für Sammelüberweisungen annehmen.
+    const PAIN_NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:pain.001.001.03';
+
+    const TRANSLITERATIONS = { ä: 'ae', ö: 'oe', ü: 'ue', Ä: 'Ae', Ö: 'Oe', Ü: 'Ue', ß: 'ss', '&': '+' };
+
+    /**
+     * Reduziert Text auf den SEPA-Zeichensatz (a-z, A-Z, 0-9, / - ? : ( ) . , ' + Leerzeichen).
+     * Umlaute werden umschrieben, andere Akzente entfernt, der Rest fällt weg.
+     */
+    export const toSepaText = (value, maxLength) => {
+      const text = String(value || '')
+        .replace(/[äöüÄÖÜß&]/g, char => TRANSLITERATIONS[char])
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9/\-?:().,'+ ]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+      return text.slice(0, maxLength);
+    };
+
+    const escapeXml = (value) => String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+
+    // Beträge in Cent rechnen, damit die Kontrollsumme exakt zur Summe der Einzelbeträge passt.
+    const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+    const formatCents = (cents) => (cents / 100).toFixed(2);
+
+    const formatLocalDateTime = (date) => {
+      const pad = (n) => String(n).padStart(2, '0');
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    };
+
+    export const getRemittanceInfo = (ankaufsNummer) => toSepaText(`Ankauf ${ankaufsNummer} Die Buchretter`, 140);
+
+    /**
+     * Erzeugt die pain.001-XML für die SEPA-Positionen eines Auszahlungslaufs.
+     * @param {object} params
+     * @param {string} params.messageId - Eindeutige Kennung der Datei (Nummer des Auszahlungslaufs)
+     * @param {Array} params.items - payout_batch_items mit method 'sepa'
+     * @param {{ name: string, iban: string, bic?: string }} params.debtor - Unser Auftraggeberkonto
+     * @param {string} params.executionDate - Gewünschtes Ausführungsdatum (YYYY-MM-DD)
+     */
+    export const buildSepaCreditTransferXml = ({ messageId, items, debtor, executionDate, createdAt = new Date() }) => {
+      const sepaItems = items.filter(item => item.method === 'sepa');
+      if (sepaItems.length === 0) {
+        throw new Error('Der Auszahlungslauf enthält keine SEPA-Überweisungen.');
+      }
+      const totalCents = sepaItems.reduce((sum, item) => sum + toCents(item.amount), 0);
+      const msgId = toSepaText(messageId, 35);
+      const debtorName = toSepaText(debtor.name, 70);
+      const debtorAgent = debtor.bic
+        ? `<FinInstnId><BIC>${escapeXml(debtor.bic.replace(/\s/g, '').toUpperCase())}</BIC></FinInstnId>`
+        : '<FinInstnId><Othr><Id>NOTPROVIDED</Id></Othr></FinInstnId>';
+
+      const transactions = sepaItems.map(item => `
+          <CdtTrfTxInf>
+            <PmtId><EndToEndId>${escapeXml(toSepaText(item.ankaufs_nummer, 35))}</EndToEndId></PmtId>
+            <Amt><InstdAmt Ccy="EUR">${formatCents(toCents(item.amount))}</InstdAmt></Amt>
+            <Cdtr><Nm>${escapeXml(toSepaText(item.creditor_name, 70))}</Nm></Cdtr>
+            <CdtrAcct><Id><IBAN>${escapeXml(normalizeIban(item.iban))}</IBAN></Id></CdtrAcct>
+            <RmtInf><Ustrd>${escapeXml(getRemittanceInfo(item.ankaufs_nummer))}</Ustrd></RmtInf>
+          </CdtTrfTxInf>`).join('');
+
+      return `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="${PAIN_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <CstmrCdtTrfInitn>
+    <GrpHdr>
+      <MsgId>${escapeXml(msgId)}</MsgId>
+      <CreDtTm>${formatLocalDateTime(createdAt)}</CreDtTm>
+      <NbOfTxs>${sepaItems.length}</NbOfTxs>
+      <CtrlSum>${formatCents(totalCents)}</CtrlSum>
+      <InitgPty><Nm>${escapeXml(debtorName)}</Nm></InitgPty>
+    </GrpHdr>
+    <PmtInf>
+      <PmtInfId>${escapeXml(msgId)}</PmtInfId>
+      <PmtMtd>TRF</PmtMtd>
+      <BtchBookg>true</BtchBookg>
+      <NbOfTxs>${sepaItems.length}</NbOfTxs>
+      <CtrlSum>${formatCents(totalCents)}</CtrlSum>
+      <PmtTpInf><SvcLvl><Cd>SEPA</Cd></SvcLvl></PmtTpInf>
+      <ReqdExctnDt>${escapeXml(executionDate)}</ReqdExctnDt>
+      <Dbtr><Nm>${escapeXml(debtorName)}</Nm></Dbtr>
+      <DbtrAcct><Id><IBAN>${escapeXml(normalizeIban(debtor.iban))}</IBAN></Id></DbtrAcct>
+      <DbtrAgt>${debtorAgent}</DbtrAgt>
+      <ChrgBr>SLEV</ChrgBr>${transactions}
+    </PmtInf>
+  </CstmrCdtTrfInitn>
+</Document>
+`;
+    };
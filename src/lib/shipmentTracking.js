@@ -0,0 +1,112 @@
+import { supabase } from '@/lib/supabaseClient';
+    import { getShippingCarrier } from '@/lib/shippingCarrier';
+
+    // Ab so vielen Tagen ohne Scan beim Paketdienst erscheint ein Label in der Warnliste.
+    export const UNSCANNED_LABEL_ALERT_DAYS = parseInt(import.meta.env.VITE_UNSCANNED_LABEL_ALERT_DAYS, 10) || 7;
+
+    // Nach diesen Status ändert sich beim Dienstleister nichts mehr; sie werden nicht mehr abgefragt.
+    export const FINAL_TRACKING_STATUSES = ['delivered', 'returned', 'cancelled'];
+
+    export const TRACKING_STATUS_BADGE_CLASSES = {
+      label_created: 'bg-slate-100 text-slate-800 dark:bg-slate-700 dark:text-slate-100',
+      announced: 'bg-sky-100 text-sky-800 dark:bg-sky-700 dark:text-sky-100',
+      in_transit: 'bg-blue-100 text-blue-800 dark:bg-blue-700 dark:text-blue-100',
+      delivered: 'bg-green-100 text-green-800 dark:bg-green-700 dark:text-green-100',
+      returned: 'bg-amber-100 text-amber-800 dark:bg-amber-700 dark:text-amber-100',
+      cancelled: 'bg-slate-100 text-slate-500 dark:bg-slate-700 dark:text-slate-300',
+      exception: 'bg-red-100 text-red-800 dark:bg-red-700 dark:text-red-100',
+      unknown: 'bg-slate-100 text-slate-800 dark:bg-slate-700 dark:text-slate-100',
+    };
+
+    /**
+     * Die bereits erstellten Labels eines Ankaufs für Kunden (Bestätigungsseite und -E-Mail).
+     * Ankaufsnummer und ID zusammen dienen als Nachweis, dass der Aufrufer den Ankauf abgeschickt hat.
+     * Gespeichert werden Labels nur vom Versand-Proxy beim Erstellen.
+     *
+     * @returns {Promise<Array<{label_index: number, reference: string, label_url: string, tracking_number: string|null}>>}
+     */
+    export const fetchShipmentLabelFiles = async (ankaufRequestId, ankaufsNummer) => {
+      try {
+        return await getShippingCarrier().listReturnLabels({ ankaufRequestId, ankaufsNummer });
+      } catch (error) {
+        console.error('Error fetching shipment label files:', error);
+        throw new Error('Die Versandlabels konnten nicht geladen werden.');
+      }
+    };
+
+    export const fetchShipmentLabels = async (ankaufRequestId) => {
+      const { data, error } = await supabase
+        .from('shipment_labels')
+        .select('*')
+        .eq('ankauf_request_id', ankaufRequestId)
+        .order('label_index', { ascending: true });
+      if (error) {
+        console.error('Error fetching shipment labels:', error);
+        throw new Error('Die Sendungen konnten nicht geladen werden.');
+      }
+      return data || [];
+    };
+
+    export const fetchUnscannedShipmentLabels = async (minAgeDays = UNSCANNED_LABEL_ALERT_DAYS) => {
+      const { data, error } = await supabase.rpc('get_unscanned_shipment_labels', { p_min_age_days: minAgeDays });
+      if (error) {
+        console.error('Error fetching unscanned shipment labels:', error);
+        throw new Error('Nicht eingelieferte Labels konnten nicht geladen werden.');
+      }
+      return data || [];
+    };
+
+    /**
+     * Fragt den Status aller offenen Sendungen beim Versanddienstleister ab und speichert Änderungen.
+     * Ergänzt den Sendcloud-Webhook, falls dieser eine Meldung verpasst hat oder lokal gar nicht läuft.
+     *
+     * @param {Object} [options]
+     * @param {string} [options.ankaufRequestId] nur die Sendungen dieses Ankaufs
+     * @returns {Promise<{checked: number, changed: number, failed: number}>}
+     */
+    export const syncShipmentTrackingStatuses = async ({ ankaufRequestId } = {}) => {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) {
+        throw new Error('Nicht angemeldet.');
+      }
+
+      let query = supabase
+        .from('shipment_labels')
+        .select('id, carrier, parcel_id, tracking_status')
+        .not('parcel_id', 'is', null)
+        .not('tracking_status', 'in', `(${FINAL_TRACKING_STATUSES.join(',')})`)
+        .order('created_at', { ascending: true });
+      if (ankaufRequestId) {
+        query = query.eq('ankauf_request_id', ankaufRequestId);
+      }
+      const { data: labels, error } = await query;
+      if (error) {
+        console.error('Error fetching open shipment labels:', error);
+        throw new Error('Offene Sendungen konnten nicht geladen werden.');
+      }
+
+      const carrier = getShippingCarrier(session.access_token);
+      const result = { checked: 0, changed: 0, failed: 0 };
+      // Nacheinander statt parallel, um das Rate-Limit des Dienstleisters nicht zu reißen.
+      for (const label of labels || []) {
+        if (label.carrier !== carrier.name) continue;
+        try {
+          const tracking = await carrier.getTrackingStatus(label.parcel_id);
+          const { data: changed, error: updateError } = await supabase.rpc('apply_shipment_tracking_update', {
+            p_carrier: label.carrier,
+            p_parcel_id: label.parcel_id,
+            p_tracking_status: tracking.status,
+            p_status_text: tracking.statusText || null,
+            p_tracking_number: tracking.trackingNumber,
+          });
+          if (updateError) throw updateError;
+          result.checked++;
+          if (changed) result.changed++;
+        } catch (syncError) {
+          console.error(`Error syncing shipment ${label.parcel_id}:`, syncError);
+          result.failed++;
+          if (syncError.errorCode === 'rate_limited' || syncError.errorCode === 'unauthorized') break;
+        }
+      }
+      return result;
+    };
@@ -0,0 +1,102 @@
+import { createSendcloudCarrier } from '@/lib/sendcloudCarrier';
+    import { supabaseUrl, supabaseAnonKey } from '@/lib/supabaseClient';
+
+    /**
+     * Schnittstelle zum Versanddienstleister. Die Seiten kennen nur diese Funktionen;
+     * welcher Dienst dahinter steht, entscheidet VITE_SHIPPING_CARRIER:
+     *   - "sendcloud" (Standard): Sendcloud über den Proxy supabase/functions/sendcloud-api
+     *   - "fake": lokal bereitgestellter Proxy vor dem Ersatzserver (npm run sendcloud:fake), ohne Zugangsdaten
+     *     und ohne echte Sendungen
+     *
+     * @typedef {Object} ShippingCarrier
+     * @property {string} name
+     * @property {(shipment: Shipment) => Promise<CreatedLabel>} createLabel
+     * @property {(query: {ankaufRequestId: string, ankaufsNummer: string}) => Promise<Array<{label_index: number, reference: string, label_url: string, tracking_number: string|null}>>} listReturnLabels
+     * @property {(parcelId: string) => Promise<{cancelled: boolean, message: string}>} cancelLabel
+     * @property {(parcelId: string) => Promise<TrackingStatus>} getTrackingStatus
+     * @property {(query: {zip: string, limit?: number}) => Promise<DropOffPoint[]>} findDropOffPoints
+     * @property {() => Promise<Array<{id: number, name: string, carrier: string, minWeight: number, maxWeight: number|null}>>} listShippingMethods
+     *
+     * @typedef {Object} Shipment Absender, Gewicht und Referenz ergänzt der Proxy aus dem Ankauf.
+     * @property {string} ankaufRequestId
+     * @property {string} ankaufsNummer
+     * @property {number} labelIndex 1 bis number_of_labels
+     *
+     * @typedef {Object} TrackingStatus
+     * @property {string} parcelId
+     * @property {string|null} trackingNumber
+     * @property {string|null} trackingUrl
+     * @property {string} status einer der Schlüssel von TRACKING_STATUSES
+     * @property {string} statusText Originaltext des Dienstleisters
+     *
+     * @typedef {TrackingStatus & {carrier: string, labelUrl: string, filePath: string}} CreatedLabel Label-PDF liegt bereits im Storage
+     *
+     * @typedef {Object} DropOffPoint Annahmestelle (Packstation, Paketshop, Filiale)
+     * @property {string} id
+     * @property {string} code
+     * @property {'locker'|'shop'|'post_office'} type
+     * @property {string} name
+     * @property {string} street inkl. Hausnummer
+     * @property {string} zip
+     * @property {string} city
+     * @property {number|null} distance in Metern
+     * @property {string[][]} openingHours Index 0 = Montag … 6 = Sonntag, z.B. ["09:00 - 12:30", "14:00 - 18:00"]
+     */
+
+    export const TRACKING_STATUSES = {
+      label_created: 'Label erstellt',
+      announced: 'Angekündigt',
+      in_transit: 'Unterwegs',
+      delivered: 'Zugestellt',
+      returned: 'Zurück an Absender',
+      cancelled: 'Storniert',
+      exception: 'Problem bei der Zustellung',
+      unknown: 'Unbekannt',
+    };
+
+    export const getTrackingStatusLabel = (status) => TRACKING_STATUSES[status] || TRACKING_STATUSES.unknown;
+
+    // Höchstgewicht pro Paket beim Versanddienstleister (DHL: 31,5 kg), per VITE_MAX_PARCEL_WEIGHT_KG änderbar.
+    export const MAX_PARCEL_WEIGHT = parseFloat(import.meta.env.VITE_MAX_PARCEL_WEIGHT_KG) || 31.5;
+
+    const CARRIER_CONFIGS = {
+      sendcloud: {
+        apiUrl: import.meta.env.VITE_SENDCLOUD_API_URL || `${supabaseUrl}/functions/v1/sendcloud-api`,
+        headers: { Authorization: `Bearer ${supabaseAnonKey}`, apikey: supabaseAnonKey },
+      },
+      // Proxy aus `supabase functions serve` mit SENDCLOUD_API_URL und SENDCLOUD_SERVICE_POINTS_URL auf den Ersatzserver (siehe scripts/fake-sendcloud-server.js).
+      fake: {
+        apiUrl: import.meta.env.VITE_FAKE_SENDCLOUD_URL || 'http://localhost:54321/functions/v1/sendcloud-api',
+        headers: { Authorization: `Bearer ${supabaseAnonKey}`, apikey: supabaseAnonKey },
+      },
+    };
+
+    let carrier = null;
+
+    /**
+     * Der konfigurierte Versanddienstleister. Für angemeldete Admins wird das Session-Token
+     * mitgeschickt (Stornieren und Sendungsstatus sind nur für sie freigegeben).
+     *
+     * @param {string} [accessToken]
+     * @returns {ShippingCarrier}
+     */
+    export const getShippingCarrier = (accessToken = null) => {
+      const carrierName = import.meta.env.VITE_SHIPPING_CARRIER || 'sendcloud';
+      const config = CARRIER_CONFIGS[carrierName];
+      if (!config) {
+        throw new Error(`Unbekannter Versanddienstleister "${carrierName}" (VITE_SHIPPING_CARRIER).`);
+      }
+
+      const options = {
+        name: carrierName,
+        apiUrl: config.apiUrl,
+        headers: accessToken ? { ...config.headers, Authorization: `Bearer ${accessToken}` } : config.headers,
+      };
+      if (accessToken) {
+        return createSendcloudCarrier(options);
+      }
+      if (!carrier) {
+        carrier = createSendcloudCarrier(options);
+      }
+      return carrier;
+    };
@@ -0,0 +1,117 @@
+import { DEPOT_LOCATION } from '@/lib/depotLocation';
+
+    // Gerundete Mittelpunkte (Breite/Länge) der PLZ-Gebiete im Abholgebiet, offline für die Tourenplanung.
+    // Auszug für Barnim, Oberhavel, Uckermark und die nördlichen Berliner Bezirke; genauer als
+    // auf etwa einen Kilometer muss es für die Reihenfolge der Stopps nicht sein.
+    // Fehlt eine PLZ, wird der Mittelwert der Nachbar-PLZ mit gleichem Anfang verwendet.
+
+    export const PICKUP_DEPOT = {
+      name: `${DEPOT_LOCATION.name}, ${DEPOT_LOCATION.address}`,
+      lat: DEPOT_LOCATION.lat,
+      lon: DEPOT_LOCATION.lon,
+    };
+
+    const ZIP_CENTROIDS = {
+      // Berlin-Lichtenberg, -Weißensee, -Pankow
+      13051: [52.5700, 13.4990],
+      13053: [52.5480, 13.4990],
+      13055: [52.5430, 13.4870],
+      13057: [52.5710, 13.5480],
+      13059: [52.5780, 13.5180],
+      13086: [52.5530, 13.4600],
+      13088: [52.5640, 13.4750],
+      13089: [52.5740, 13.4380],
+      13125: [52.6300, 13.4900],
+      13127: [52.6080, 13.4300],
+      13129: [52.5900, 13.4500],
+      13156: [52.5860, 13.4000],
+      13158: [52.5980, 13.3780],
+      13159: [52.6230, 13.3880],
+      13187: [52.5700, 13.4090],
+      13189: [52.5610, 13.4250],
+      // Berlin-Reinickendorf
+      13403: [52.5750, 13.3270],
+      13405: [52.5600, 13.3050],
+      13407: [52.5700, 13.3500],
+      13409: [52.5700, 13.3710],
+      13435: [52.5990, 13.3590],
+      13437: [52.5880, 13.3300],
+      13439: [52.5990, 13.3480],
+      13465: [52.6350, 13.2900],
+      13467: [52.6180, 13.3080],
+      13469: [52.6130, 13.3400],
+      // Barnim
+      16225: [52.8340, 13.8200],
+      16227: [52.8290, 13.7450],
+      16230: [52.8850, 13.8650],
+      16244: [52.9000, 13.6200],
+      16247: [52.9790, 13.7450],
+      16248: [52.8660, 14.0400],
+      16259: [52.7860, 14.0300],
+      16269: [52.7150, 14.1350],
+      16321: [52.6790, 13.5870],
+      16341: [52.6450, 13.5300],
+      16348: [52.7420, 13.4570],
+      16356: [52.6100, 13.6600],
+      16359: [52.7660, 13.6450],
+      // Uckermark
+      16278: [53.0160, 13.9950],
+      16303: [53.0600, 14.2800],
+      // Oberhavel und Ostprignitz-Ruppin
+      16515: [52.7550, 13.2370],
+      16540: [52.6760, 13.2790],
+      16547: [52.6970, 13.2830],
+      16548: [52.6340, 13.3210],
+      16552: [52.6600, 13.3800],
+      16556: [52.7100, 13.2700],
+      16559: [52.8700, 13.4000],
+      16562: [52.6700, 13.3200],
+      16565: [52.7300, 13.2700],
+      16567: [52.6500, 13.3900],
+      16727: [52.6900, 13.1750],
+      16761: [52.6370, 13.2040],
+      16766: [52.7600, 13.0300],
+      16767: [52.7200, 13.1900],
+      16775: [53.0060, 13.1580],
+      16792: [52.9800, 13.3300],
+      16798: [53.1800, 13.1400],
+      16816: [52.9250, 12.8000],
+      16833: [52.8100, 12.7700],
+    };
+
+    const EARTH_RADIUS_KM = 6371;
+
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+    // Luftlinie zwischen zwei Punkten in Kilometern (Haversine).
+    export const getDistanceKm = (from, to) => {
+      const dLat = toRadians(to.lat - from.lat);
+      const dLon = toRadians(to.lon - from.lon);
+      const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+      return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+    };
+
+    const averageOf = (entries) => ({
+      lat: entries.reduce((sum, [, [lat]]) => sum + lat, 0) / entries.length,
+      lon: entries.reduce((sum, [, [, lon]]) => sum + lon, 0) / entries.length,
+    });
+
+    /**
+     * Mittelpunkt einer PLZ. Unbekannte PLZ werden über die Nachbarn mit gleichem Anfang (4, 3, 2 Stellen)
+     * geschätzt und mit approximate: true markiert; ohne jeden Treffer gilt das Lager als Standort.
+     */
+    export const getZipCentroid = (zip) => {
+      const normalizedZip = String(zip || '').trim();
+      const exact = ZIP_CENTROIDS[normalizedZip];
+      if (exact) return { lat: exact[0], lon: exact[1], approximate: false };
+
+      for (let length = 4; length >= 2; length--) {
+        const prefix = normalizedZip.slice(0, length);
+        const neighbours = Object.entries(ZIP_CENTROIDS).filter(([key]) => key.startsWith(prefix));
+        if (prefix.length === length && neighbours.length > 0) {
+          return { ...averageOf(neighbours), approximate: true };
+        }
+      }
+      return { lat: PICKUP_DEPOT.lat, lon: PICKUP_DEPOT.lon, approximate: true };
+    };
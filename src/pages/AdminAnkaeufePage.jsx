@@ -0,0 +1,158 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Loader2, LogOut, RefreshCw } from 'lucide-react';
+    import { motion } from 'framer-motion';
+    import { useToast } from '@/components/ui/use-toast';
+    import { useAdminSession } from '@/hooks/useAdminSession';
+    import AdminNavigation from '@/components/admin/AdminNavigation';
+    import AnkaufRequestFilters, { EMPTY_ANKAUF_FILTERS } from '@/components/admin/AnkaufRequestFilters';
+    import AnkaufRequestTable from '@/components/admin/AnkaufRequestTable';
+    import AnkaufRequestDetailDialog from '@/components/admin/AnkaufRequestDetailDialog';
+    import UnscannedLabelsCard from '@/components/admin/UnscannedLabelsCard';
+    import { fetchAnkaufRequests, transitionAnkaufStatus, ANKAUF_REQUESTS_PAGE_SIZE } from '@/lib/ankaufRequestsAdmin';
+    import { getStatusLabel } from '@/lib/ankaufStatus';
+
+    const AdminAnkaeufePage = () => {
+      const { toast } = useToast();
+      const { currentUser, isCheckingSession, isLoggingOut, handleLogout } = useAdminSession();
+      const [requests, setRequests] = useState([]);
+      const [totalCount, setTotalCount] = useState(0);
+      const [page, setPage] = useState(0);
+      const [isLoading, setIsLoading] = useState(true);
+      const [filters, setFilters] = useState(EMPTY_ANKAUF_FILTERS);
+      const [selectedRequestId, setSelectedRequestId] = useState(null);
+      const [isTransitioning, setIsTransitioning] = useState(false);
+
+      const [searchTerm, setSearchTerm] = useState('');
+
+      const { status, deliveryType, dateFrom, dateTo } = filters;
+
+      // Die Suche läuft in der Datenbank; erst nach einer kurzen Tipppause abfragen.
+      useEffect(() => {
+        const timeout = setTimeout(() => setSearchTerm(filters.searchTerm.trim()), 300);
+        return () => clearTimeout(timeout);
+      }, [filters.searchTerm]);
+
+      const loadRequests = useCallback(async () => {
+        setIsLoading(true);
+        try {
+          const result = await fetchAnkaufRequests({ searchTerm, status, deliveryType, dateFrom, dateTo, page });
+          setRequests(result.requests);
+          setTotalCount(result.totalCount);
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setIsLoading(false);
+        }
+      }, [toast, searchTerm, status, deliveryType, dateFrom, dateTo, page]);
+
+      useEffect(() => {
+        if (currentUser) {
+          loadRequests();
+        }
+      }, [currentUser, loadRequests]);
+
+      const selectedRequest = useMemo(
+        () => requests.find(request => request.id === selectedRequestId) || null,
+        [requests, selectedRequestId]
+      );
+
+      const handleFilterChange = (name, value) => {
+        setFilters(prev => ({ ...prev, [name]: value }));
+        setPage(0);
+      };
+
+      const handleResetFilters = () => {
+        setFilters(EMPTY_ANKAUF_FILTERS);
+        setPage(0);
+      };
+
+      // Aus der Warnliste: Filter so setzen, dass der Ankauf sicher in der Liste ist, dann Details öffnen.
+      const handleOpenUnscannedLabel = (label) => {
+        setFilters({ ...EMPTY_ANKAUF_FILTERS, searchTerm: label.ankaufs_nummer });
+        setPage(0);
+        setSelectedRequestId(label.ankauf_request_id);
+      };
+
+      const handleInspectionSaved = (updated) => {
+        setRequests(prev => prev.map(r => (r.id === updated.id ? { ...r, ...updated } : r)));
+      };
+
+      const handleTransition = async (request, toStatus, note) => {
+        setIsTransitioning(true);
+        try {
+          const updated = await transitionAnkaufStatus(request, toStatus, note);
+          setRequests(prev => prev.map(r => (r.id === updated.id ? { ...r, ...updated } : r)));
+          toast({ title: "Status geändert", description: `${request.ankaufs_nummer} ist jetzt "${getStatusLabel(toStatus)}".`, variant: "success" });
+          return true;
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+          return false;
+        } finally {
+          setIsTransitioning(false);
+        }
+      };
+
+      if (isCheckingSession) {
+        return (
+          <div className="flex justify-center items-center h-screen">
+            <Loader2 className="h-12 w-12 animate-spin text-primary" />
+          </div>
+        );
+      }
+
+      return (
+        <div className="container mx-auto px-4 py-12">
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+          >
+            <div className="flex flex-col sm:flex-row justify-between items-center mb-8 gap-4">
+              <h1 className="text-3xl font-bold text-primary">Ankäufe</h1>
+              <Button variant="destructive" onClick={handleLogout} disabled={isLoggingOut} className="w-full sm:w-auto">
+                {isLoggingOut && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                <LogOut className="mr-2 h-4 w-4" /> Abmelden
+              </Button>
+            </div>
+
+            <AdminNavigation />
+
+            <UnscannedLabelsCard onOpenRequest={handleOpenUnscannedLabel} />
+
+            <div className="mb-4 flex justify-end">
+              <Button variant="outline" onClick={loadRequests} disabled={isLoading}>
+                <RefreshCw className={`mr-2 h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} /> Aktualisieren
+              </Button>
+            </div>
+
+            <AnkaufRequestFilters
+              filters={filters}
+              onFilterChange={handleFilterChange}
+              onReset={handleResetFilters}
+            />
+
+            <AnkaufRequestTable
+              requests={requests}
+              isLoading={isLoading}
+              totalCount={totalCount}
+              page={page}
+              pageCount={Math.max(Math.ceil(totalCount / ANKAUF_REQUESTS_PAGE_SIZE), 1)}
+              onPageChange={setPage}
+              onOpenDetails={(request) => setSelectedRequestId(request.id)}
+            />
+
+            <AnkaufRequestDetailDialog
+              request={selectedRequest}
+              open={!!selectedRequest}
+              onOpenChange={(open) => { if (!open) setSelectedRequestId(null); }}
+              onTransition={handleTransition}
+              isTransitioning={isTransitioning}
+              onInspectionSaved={handleInspectionSaved}
+            />
+          </motion.div>
+        </div>
+      );
+    };
+
+    export default AdminAnkaeufePage;
@@ -5,10 +5,11 @@ import React, { useState, useEffect, useCallback } from 'react';
     import { Input } from '@/components/ui/input';
     import { Label } from '@/components/ui/label';
     import { Textarea } from '@/components/ui/textarea';
-    import { PlusCircle, Edit3, ArrowLeft, Trash2, Eye, Loader2, LogOut, Settings, Tag, BookOpen } from 'lucide-react';
+    import { PlusCircle, Edit3, Trash2, Eye, Loader2, LogOut } from 'lucide-react';
     import { motion, AnimatePresence } from 'framer-motion';
     import { supabase } from '@/lib/supabaseClient';
     import { useToast } from '@/components/ui/use-toast';
+    import AdminNavigation from '@/components/admin/AdminNavigation';
     import {
       AlertDialog,
       AlertDialogAction,
@@ -21,33 +22,6 @@ import React, { useState, useEffect, useCallback } from 'react';
       AlertDialogTrigger,
     } from "@/components/ui/alert-dialog";
 
-    const AdminNavigation = () => (
-      <div className="mb-6 flex flex-wrap gap-2">
-        <Button asChild variant="outline">
-          <Link to="/admin/blog">
-            <Edit3 className="mr-2 h-4 w-4" /> Blog Verwalten
-          </Link>
-        </Button>
-        <Button asChild variant="outline">
-          <Link to="/admin/preise">
-            <Tag className="mr-2 h-4 w-4" /> Preise Verwalten
-          </Link>
-        </Button>
-        {/* Placeholder for Admin Logs Link, will be implemented if AdminLogsPage is created */}
-        {/* <Button asChild variant="outline">
-          <Link to="/admin/logs"> 
-            <BookOpen className="mr-2 h-4 w-4" /> Logs Ansehen
-          </Link>
-        </Button> */}
-         <Button asChild variant="outline" className="sm:ml-auto">
-            <Link to="/">
-                <ArrowLeft className="mr-2 h-4 w-4" /> Zur Webseite
-            </Link>
-        </Button>
-      </div>
-    );
-
-
     const AdminBlogDashboardPage = () => {
       const navigate = useNavigate();
       const { toast } = useToast();
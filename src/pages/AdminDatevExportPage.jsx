@@ -0,0 +1,317 @@
+import React, { useState, useEffect, useCallback } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Input } from '@/components/ui/input';
+    import { Label } from '@/components/ui/label';
+    import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/card';
+    import {
+      AlertDialog,
+      AlertDialogAction,
+      AlertDialogCancel,
+      AlertDialogContent,
+      AlertDialogDescription,
+      AlertDialogFooter,
+      AlertDialogHeader,
+      AlertDialogTitle,
+    } from '@/components/ui/alert-dialog';
+    import { Loader2, LogOut, Search, Download, AlertTriangle } from 'lucide-react';
+    import { motion } from 'framer-motion';
+    import { useToast } from '@/components/ui/use-toast';
+    import { useAdminSession } from '@/hooks/useAdminSession';
+    import AdminNavigation from '@/components/admin/AdminNavigation';
+    import {
+      PAYMENT_METHOD_LABELS,
+      getDatevSettings,
+      getDatevPeriodError,
+      buildDatevBookings,
+      buildDatevBookingCsv,
+      encodeWindows1252,
+      getDatevFileName,
+      fetchDatevExportRows,
+      fetchDatevExports,
+      findOverlappingExports,
+      recordDatevExport,
+    } from '@/lib/datevExport';
+    import { downloadTextFile } from '@/lib/payouts';
+
+    const formatDate = (value) => new Date(value).toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit', year: 'numeric' });
+
+    const formatDateTime = (value) => new Date(value).toLocaleString('de-DE', {
+      day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+
+    const getPreviousMonth = () => {
+      const today = new Date();
+      const from = new Date(today.getFullYear(), today.getMonth() - 1, 1);
+      const to = new Date(today.getFullYear(), today.getMonth(), 0);
+      return { from: from.toLocaleDateString('sv-SE'), to: to.toLocaleDateString('sv-SE') };
+    };
+
+    const AdminDatevExportPage = () => {
+      const { toast } = useToast();
+      const { currentUser, isCheckingSession, isLoggingOut, handleLogout } = useAdminSession();
+      const [period, setPeriod] = useState(getPreviousMonth);
+      const [rows, setRows] = useState(null);
+      const [loadedPeriod, setLoadedPeriod] = useState(null);
+      const [pastExports, setPastExports] = useState([]);
+      const [isLoading, setIsLoading] = useState(false);
+      const [isExporting, setIsExporting] = useState(false);
+      const [showReexportDialog, setShowReexportDialog] = useState(false);
+      const settings = getDatevSettings();
+
+      const loadPastExports = useCallback(async () => {
+        try {
+          setPastExports(await fetchDatevExports());
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        }
+      }, [toast]);
+
+      useEffect(() => {
+        if (currentUser) {
+          loadPastExports();
+        }
+      }, [currentUser, loadPastExports]);
+
+      const handleLoadPreview = async (e) => {
+        e.preventDefault();
+        const periodError = getDatevPeriodError(period.from, period.to);
+        if (periodError) {
+          toast({ title: "Ungültiger Zeitraum", description: periodError, variant: "destructive" });
+          return;
+        }
+        setIsLoading(true);
+        try {
+          setRows(await fetchDatevExportRows(period.from, period.to));
+          setLoadedPeriod({ ...period });
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setIsLoading(false);
+        }
+      };
+
+      const bookings = rows ? buildDatevBookings(rows, settings) : [];
+      const totalAmount = Math.round(bookings.reduce((sum, booking) => sum + booking.amount, 0) * 100) / 100;
+      const alreadyExportedRows = (rows || []).filter(row => row.last_exported_at);
+      const overlappingExports = loadedPeriod ? findOverlappingExports(pastExports, loadedPeriod.from, loadedPeriod.to) : [];
+      const isReexport = alreadyExportedRows.length > 0 || overlappingExports.length > 0;
+      const missingSettings = !settings.consultantNumber || !settings.clientNumber;
+
+      const runExport = async () => {
+        setShowReexportDialog(false);
+        setIsExporting(true);
+        try {
+          const fileName = getDatevFileName(loadedPeriod.from, loadedPeriod.to);
+          const csv = buildDatevBookingCsv({ bookings, periodFrom: loadedPeriod.from, periodTo: loadedPeriod.to, settings });
+          downloadTextFile(encodeWindows1252(csv), fileName, 'text/csv', 'windows-1252');
+          await recordDatevExport({
+            periodFrom: loadedPeriod.from,
+            periodTo: loadedPeriod.to,
+            fileName,
+            ankaufRequestIds: rows.map(row => row.ankauf_request_id),
+            bookingCount: bookings.length,
+            totalAmount,
+          });
+          toast({ title: "Export erstellt", description: `${bookings.length} Buchungen über ${totalAmount.toFixed(2)} € exportiert.`, variant: "success" });
+          loadPastExports();
+          setRows(await fetchDatevExportRows(loadedPeriod.from, loadedPeriod.to));
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setIsExporting(false);
+        }
+      };
+
+      const handleExportClick = () => {
+        if (isReexport) {
+          setShowReexportDialog(true);
+        } else {
+          runExport();
+        }
+      };
+
+      if (isCheckingSession) {
+        return (
+          <div className="flex justify-center items-center h-screen">
+            <Loader2 className="h-12 w-12 animate-spin text-primary" />
+          </div>
+        );
+      }
+
+      return (
+        <div className="container mx-auto px-4 py-12">
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+          >
+            <div className="flex flex-col sm:flex-row justify-between items-center mb-8 gap-4">
+              <h1 className="text-3xl font-bold text-primary">Buchhaltung</h1>
+              <Button variant="destructive" onClick={handleLogout} disabled={isLoggingOut} className="w-full sm:w-auto">
+                {isLoggingOut && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                <LogOut className="mr-2 h-4 w-4" /> Abmelden
+              </Button>
+            </div>
+
+            <AdminNavigation />
+
+            <Card className="shadow-lg mb-8">
+              <CardHeader>
+                <CardTitle className="text-2xl">DATEV-Export</CardTitle>
+                <CardDescription>
+                  Buchungsstapel (EXTF) aller ausgezahlten Ankäufe nach Auszahlungsdatum. Sachkonten werden je Kategorie unter "Preise Verwalten" gepflegt,
+                  ohne Zuordnung wird auf Konto {settings.defaultAccount} gebucht.
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-6">
+                {missingSettings && (
+                  <div className="flex items-start p-3 bg-amber-50 dark:bg-amber-900/30 border border-amber-300 dark:border-amber-700 rounded-md text-amber-700 dark:text-amber-300 text-sm">
+                    <AlertTriangle className="h-5 w-5 mr-2 mt-0.5 flex-shrink-0" />
+                    <p>Berater- oder Mandantennummer fehlt (VITE_DATEV_CONSULTANT_NUMBER / VITE_DATEV_CLIENT_NUMBER). DATEV lehnt den Import ohne diese Angaben ab.</p>
+                  </div>
+                )}
+
+                <form onSubmit={handleLoadPreview} className="flex flex-wrap items-end gap-4">
+                  <div>
+                    <Label htmlFor="datevFrom">Von</Label>
+                    <Input id="datevFrom" type="date" value={period.from} onChange={(e) => setPeriod(prev => ({ ...prev, from: e.target.value }))} className="mt-1" required />
+                  </div>
+                  <div>
+                    <Label htmlFor="datevTo">Bis</Label>
+                    <Input id="datevTo" type="date" value={period.to} onChange={(e) => setPeriod(prev => ({ ...prev, to: e.target.value }))} className="mt-1" required />
+                  </div>
+                  <Button type="submit" variant="outline" disabled={isLoading}>
+                    {isLoading ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Search className="mr-2 h-4 w-4" />}
+                    Vorschau laden
+                  </Button>
+                </form>
+
+                {rows && (
+                  <>
+                    {isReexport && (
+                      <div className="flex items-start p-3 bg-amber-50 dark:bg-amber-900/30 border border-amber-300 dark:border-amber-700 rounded-md text-amber-700 dark:text-amber-300 text-sm">
+                        <AlertTriangle className="h-5 w-5 mr-2 mt-0.5 flex-shrink-0" />
+                        <div>
+                          <p className="font-semibold">Dieser Zeitraum wurde bereits exportiert.</p>
+                          {overlappingExports.map(exportRow => (
+                            <p key={exportRow.id}>
+                              {formatDate(exportRow.period_from)} – {formatDate(exportRow.period_to)} am {formatDateTime(exportRow.exported_at)}
+                              {exportRow.exported_by_email ? ` von ${exportRow.exported_by_email}` : ''}
+                            </p>
+                          ))}
+                          {alreadyExportedRows.length > 0 && (
+                            <p>{alreadyExportedRows.length} von {rows.length} Ankäufen sind bereits in einem Export enthalten. Ein erneuter Import führt beim Steuerberater zu Doppelbuchungen.</p>
+                          )}
+                        </div>
+                      </div>
+                    )}
+
+                    {rows.length === 0 ? (
+                      <p className="text-muted-foreground text-center py-4">Keine ausgezahlten Ankäufe in diesem Zeitraum.</p>
+                    ) : (
+                      <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-border text-sm">
+                          <thead className="bg-slate-50 dark:bg-slate-800">
+                            <tr>
+                              <th scope="col" className="px-3 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Ausgezahlt</th>
+                              <th scope="col" className="px-3 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Ankauf</th>
+                              <th scope="col" className="px-3 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Gutschrift</th>
+                              <th scope="col" className="px-3 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Zahlungsweg</th>
+                              <th scope="col" className="px-3 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Konten</th>
+                              <th scope="col" className="px-3 py-3 text-right text-xs font-medium text-muted-foreground uppercase tracking-wider">Betrag</th>
+                            </tr>
+                          </thead>
+                          <tbody className="bg-background divide-y divide-border">
+                            {rows.map(row => (
+                              <tr key={row.ankauf_request_id} className={row.last_exported_at ? 'bg-amber-50/50 dark:bg-amber-900/10' : ''}>
+                                <td className="px-3 py-3 align-top whitespace-nowrap">{formatDate(row.paid_at)}</td>
+                                <td className="px-3 py-3 align-top">
+                                  <div className="font-mono">{row.ankaufs_nummer}</div>
+                                  <div className="text-xs text-muted-foreground">{row.customer_name}</div>
+                                  {row.last_exported_at && <div className="text-xs text-amber-700 dark:text-amber-300">Exportiert am {formatDateTime(row.last_exported_at)}</div>}
+                                </td>
+                                <td className="px-3 py-3 align-top font-mono">
+                                  {row.credit_note_number || <span className="font-sans text-xs text-amber-700 dark:text-amber-300">fehlt</span>}
+                                </td>
+                                <td className="px-3 py-3 align-top">{PAYMENT_METHOD_LABELS[row.payment_method] || row.payment_method} → {settings.paymentAccounts[row.payment_method]}</td>
+                                <td className="px-3 py-3 align-top text-xs">
+                                  {(row.lines || []).map((line, index) => (
+                                    <div key={index}>
+                                      <span className="font-mono">{line.account || settings.defaultAccount}</span>
+                                      {!line.account && <span className="text-muted-foreground"> (Standard)</span>}
+                                      {line.categories && <span className="text-muted-foreground"> · {line.categories}</span>}
+                                      {' · '}{parseFloat(line.amount).toFixed(2)} €
+                                    </div>
+                                  ))}
+                                </td>
+                                <td className="px-3 py-3 align-top text-right whitespace-nowrap">{parseFloat(row.amount).toFixed(2)} €</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    )}
+
+                    {rows.length > 0 && (
+                      <div className="flex justify-between items-center gap-4 pt-4 border-t flex-wrap">
+                        <span>{bookings.length} Buchungen · <strong>{totalAmount.toFixed(2)} €</strong></span>
+                        <Button onClick={handleExportClick} disabled={isExporting} className="bg-emerald-500 hover:bg-emerald-600">
+                          {isExporting ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Download className="mr-2 h-4 w-4" />}
+                          {isReexport ? 'Erneut exportieren' : 'DATEV-Datei exportieren'}
+                        </Button>
+                      </div>
+                    )}
+                  </>
+                )}
+              </CardContent>
+            </Card>
+
+            <Card className="shadow-lg">
+              <CardHeader>
+                <CardTitle className="text-2xl">Bisherige Exporte</CardTitle>
+              </CardHeader>
+              <CardContent>
+                {pastExports.length === 0 ? (
+                  <p className="text-muted-foreground text-center py-4">Noch keine Exporte.</p>
+                ) : (
+                  <ul className="divide-y text-sm">
+                    {pastExports.map(exportRow => (
+                      <li key={exportRow.id} className="py-2 flex justify-between gap-4 flex-wrap">
+                        <span>
+                          <span className="font-medium">{formatDate(exportRow.period_from)} – {formatDate(exportRow.period_to)}</span>
+                          <span className="block text-xs text-muted-foreground">{exportRow.file_name}</span>
+                        </span>
+                        <span className="text-right">
+                          {exportRow.booking_count} Buchungen · {parseFloat(exportRow.total_amount).toFixed(2)} €
+                          <span className="block text-xs text-muted-foreground">
+                            {formatDateTime(exportRow.exported_at)}{exportRow.exported_by_email ? ` · ${exportRow.exported_by_email}` : ''}
+                          </span>
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </CardContent>
+            </Card>
+          </motion.div>
+
+          <AlertDialog open={showReexportDialog} onOpenChange={setShowReexportDialog}>
+            <AlertDialogContent>
+              <AlertDialogHeader>
+                <AlertDialogTitle>Zeitraum erneut exportieren?</AlertDialogTitle>
+                <AlertDialogDescription>
+                  Für diesen Zeitraum gibt es bereits einen Export. Gib die neue Datei nur weiter, wenn der Steuerberater den alten Stapel verworfen hat,
+                  sonst werden Ankäufe doppelt gebucht.
+                </AlertDialogDescription>
+              </AlertDialogHeader>
+              <AlertDialogFooter>
+                <AlertDialogCancel>Abbrechen</AlertDialogCancel>
+                <AlertDialogAction onClick={runExport} className="bg-amber-500 hover:bg-amber-600">Trotzdem exportieren</AlertDialogAction>
+              </AlertDialogFooter>
+            </AlertDialogContent>
+          </AlertDialog>
+        </div>
+      );
+    };
+
+    export default AdminDatevExportPage;
@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useCallback } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/card';
+    import { Loader2, LogOut, Banknote, RefreshCw } from 'lucide-react';
+    import { motion } from 'framer-motion';
+    import { useToast } from '@/components/ui/use-toast';
+    import { useAdminSession } from '@/hooks/useAdminSession';
+    import AdminNavigation from '@/components/admin/AdminNavigation';
+    import PayoutBatchCard from '@/components/admin/PayoutBatchCard';
+    import {
+      fetchPayoutCandidates,
+      fetchPayoutBatches,
+      createPayoutBatch,
+      confirmPayoutBatch,
+      cancelPayoutBatch,
+      getPayoutInfo,
+    } from '@/lib/payouts';
+    import { formatIban } from '@/lib/iban';
+
+    const METHOD_LABELS = { sepa: 'SEPA', paypal: 'PayPal' };
+
+    const AdminPayoutsPage = () => {
+      const { toast } = useToast();
+      const { currentUser, isCheckingSession, isLoggingOut, handleLogout } = useAdminSession();
+      const [candidates, setCandidates] = useState([]);
+      const [batches, setBatches] = useState([]);
+      const [selectedIds, setSelectedIds] = useState([]);
+      const [isLoading, setIsLoading] = useState(true);
+      const [isCreating, setIsCreating] = useState(false);
+      const [busyBatchId, setBusyBatchId] = useState(null);
+
+      const loadPayouts = useCallback(async () => {
+        setIsLoading(true);
+        try {
+          const [loadedCandidates, loadedBatches] = await Promise.all([fetchPayoutCandidates(), fetchPayoutBatches()]);
+          setCandidates(loadedCandidates);
+          setBatches(loadedBatches);
+          setSelectedIds([]);
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setIsLoading(false);
+        }
+      }, [toast]);
+
+      useEffect(() => {
+        if (currentUser) {
+          loadPayouts();
+        }
+      }, [currentUser, loadPayouts]);
+
+      const payableIds = candidates.filter(request => !getPayoutInfo(request).error).map(request => request.id);
+      const selectedTotal = candidates
+        .filter(request => selectedIds.includes(request.id))
+        .reduce((sum, request) => sum + getPayoutInfo(request).amount, 0);
+
+      const toggleSelection = (id) => {
+        setSelectedIds(prev => (prev.includes(id) ? prev.filter(selectedId => selectedId !== id) : [...prev, id]));
+      };
+
+      const toggleAll = () => {
+        setSelectedIds(prev => (prev.length === payableIds.length ? [] : payableIds));
+      };
+
+      const handleCreateBatch = async () => {
+        setIsCreating(true);
+        try {
+          const batch = await createPayoutBatch(selectedIds);
+          toast({ title: "Auszahlungslauf erstellt", description: `${batch.batch_number}: Dateien jetzt herunterladen und bei Bank bzw. PayPal hochladen.`, variant: "success" });
+          loadPayouts();
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setIsCreating(false);
+        }
+      };
+
+      const runBatchAction = async (batch, action, successMessage) => {
+        setBusyBatchId(batch.id);
+        try {
+          await action(batch.id);
+          toast({ title: "Erfolg!", description: successMessage, variant: "success" });
+          loadPayouts();
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setBusyBatchId(null);
+        }
+      };
+
+      const handleConfirm = (batch) => runBatchAction(batch, confirmPayoutBatch, `${batch.batch_number} wurde als ausgezahlt verbucht.`);
+      const handleCancel = (batch) => runBatchAction(batch, cancelPayoutBatch, `${batch.batch_number} wurde verworfen. Die Ankäufe sind wieder offen.`);
+
+      if (isCheckingSession) {
+        return (
+          <div className="flex justify-center items-center h-screen">
+            <Loader2 className="h-12 w-12 animate-spin text-primary" />
+          </div>
+        );
+      }
+
+      return (
+        <div className="container mx-auto px-4 py-12">
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+          >
+            <div className="flex flex-col sm:flex-row justify-between items-center mb-8 gap-4">
+              <h1 className="text-3xl font-bold text-primary">Auszahlungen</h1>
+              <Button variant="destructive" onClick={handleLogout} disabled={isLoggingOut} className="w-full sm:w-auto">
+                {isLoggingOut && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                <LogOut className="mr-2 h-4 w-4" /> Abmelden
+              </Button>
+            </div>
+
+            <AdminNavigation />
+
+            <div className="grid lg:grid-cols-5 gap-8">
+              <Card className="shadow-lg lg:col-span-3">
+                <CardHeader>
+                  <div className="flex justify-between items-start gap-2">
+                    <div>
+                      <CardTitle className="text-2xl">Geprüft, noch nicht ausgezahlt</CardTitle>
+                      <CardDescription>Ausgezahlt wird immer der Endbetrag nach der Eingangsprüfung.</CardDescription>
+                    </div>
+                    <Button variant="outline" size="icon" onClick={loadPayouts} disabled={isLoading} aria-label="Neu laden">
+                      <RefreshCw className={`h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
+                    </Button>
+                  </div>
+                </CardHeader>
+                <CardContent>
+                  {isLoading ? (
+                    <div className="flex justify-center items-center h-32"><Loader2 className="h-8 w-8 animate-spin text-primary" /></div>
+                  ) : candidates.length === 0 ? (
+                    <p className="text-muted-foreground text-center py-4">Keine offenen Auszahlungen.</p>
+                  ) : (
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full divide-y divide-border text-sm">
+                        <thead className="bg-slate-50 dark:bg-slate-800">
+                          <tr>
+                            <th scope="col" className="px-3 py-3 text-left">
+                              <input
+                                type="checkbox"
+                                checked={payableIds.length > 0 && selectedIds.length === payableIds.length}
+                                onChange={toggleAll}
+                                aria-label="Alle auswählen"
+                              />
+                            </th>
+                            <th scope="col" className="px-3 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Ankauf</th>
+                            <th scope="col" className="px-3 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Empfänger</th>
+                            <th scope="col" className="px-3 py-3 text-right text-xs font-medium text-muted-foreground uppercase tracking-wider">Betrag</th>
+                          </tr>
+                        </thead>
+                        <tbody className="bg-background divide-y divide-border">
+                          {candidates.map(request => {
+                            const payout = getPayoutInfo(request);
+                            const creditorName = request.customers?.company_name || request.customers?.name || '–';
+                            return (
+                              <tr key={request.id} className={payout.error ? 'bg-red-50/50 dark:bg-red-900/10' : ''}>
+                                <td className="px-3 py-3 align-top">
+                                  <input
+                                    type="checkbox"
+                                    checked={selectedIds.includes(request.id)}
+                                    onChange={() => toggleSelection(request.id)}
+                                    disabled={!!payout.error}
+                                    aria-label={`${request.ankaufs_nummer} auswählen`}
+                                  />
+                                </td>
+                                <td className="px-3 py-3 align-top whitespace-nowrap font-mono">{request.ankaufs_nummer}</td>
+                                <td className="px-3 py-3 align-top">
+                                  <div className="font-medium">{creditorName}</div>
+                                  <div className="text-xs text-muted-foreground">
+                                    {payout.method && `${METHOD_LABELS[payout.method]}: `}
+                                    {payout.method === 'sepa' ? formatIban(request.iban) : request.paypal}
+                                  </div>
+                                  {payout.error && <div className="text-xs text-red-600">{payout.error}</div>}
+                                </td>
+                                <td className="px-3 py-3 align-top text-right whitespace-nowrap">{payout.amount.toFixed(2)} €</td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                  {selectedIds.length > 0 && (
+                    <div className="flex justify-between items-center gap-4 mt-4 pt-4 border-t">
+                      <span>{selectedIds.length} ausgewählt · <strong>{selectedTotal.toFixed(2)} €</strong></span>
+                      <Button onClick={handleCreateBatch} disabled={isCreating} className="bg-emerald-500 hover:bg-emerald-600">
+                        {isCreating ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Banknote className="mr-2 h-4 w-4" />}
+                        Auszahlungslauf erstellen
+                      </Button>
+                    </div>
+                  )}
+                </CardContent>
+              </Card>
+
+              <Card className="shadow-lg lg:col-span-2">
+                <CardHeader>
+                  <CardTitle className="text-2xl">Auszahlungsläufe</CardTitle>
+                  <CardDescription>SEPA-Datei und PayPal-CSV herunterladen, ausführen und danach bestätigen.</CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  {!isLoading && batches.length === 0 && (
+                    <p className="text-muted-foreground text-center py-4">Noch keine Auszahlungsläufe.</p>
+                  )}
+                  {batches.map(batch => (
+                    <PayoutBatchCard
+                      key={batch.id}
+                      batch={batch}
+                      onConfirm={handleConfirm}
+                      onCancel={handleCancel}
+                      isBusy={busyBatchId === batch.id}
+                    />
+                  ))}
+                </CardContent>
+              </Card>
+            </div>
+          </motion.div>
+        </div>
+      );
+    };
+
+    export default AdminPayoutsPage;
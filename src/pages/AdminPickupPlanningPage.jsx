@@ -0,0 +1,268 @@
+import React, { useState, useEffect, useCallback } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Input } from '@/components/ui/input';
+    import { Label } from '@/components/ui/label';
+    import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/card';
+    import {
+      AlertDialog,
+      AlertDialogAction,
+      AlertDialogCancel,
+      AlertDialogContent,
+      AlertDialogDescription,
+      AlertDialogFooter,
+      AlertDialogHeader,
+      AlertDialogTitle,
+    } from '@/components/ui/alert-dialog';
+    import { Loader2, LogOut, CalendarPlus, Edit, Trash2, Route } from 'lucide-react';
+    import { motion } from 'framer-motion';
+    import { useToast } from '@/components/ui/use-toast';
+    import { useAdminSession } from '@/hooks/useAdminSession';
+    import AdminNavigation from '@/components/admin/AdminNavigation';
+    import PickupDayDialog from '@/components/admin/PickupDayDialog';
+    import PickupDriversCard from '@/components/admin/PickupDriversCard';
+    import PickupDayRouteCard from '@/components/admin/PickupDayRouteCard';
+    import PickupServiceAreasCard from '@/components/admin/PickupServiceAreasCard';
+    import {
+      fetchPickupDrivers,
+      fetchPickupDays,
+      savePickupDay,
+      deletePickupDay,
+      formatPickupWindow,
+    } from '@/lib/pickupPlanning';
+
+    const formatDate = (value) =>
+      new Date(`${value}T12:00:00`).toLocaleDateString('de-DE', { weekday: 'short', day: '2-digit', month: '2-digit', year: 'numeric' });
+
+    const getDefaultPeriod = () => {
+      const today = new Date();
+      const to = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 28);
+      return { from: today.toLocaleDateString('sv-SE'), to: to.toLocaleDateString('sv-SE') };
+    };
+
+    const getLoadClassName = (booked, max) => {
+      if (booked >= max) return 'text-red-600 dark:text-red-400 font-semibold';
+      if (booked >= max * 0.8) return 'text-amber-600 dark:text-amber-400';
+      return '';
+    };
+
+    const AdminPickupPlanningPage = () => {
+      const { toast } = useToast();
+      const { currentUser, isCheckingSession, isLoggingOut, handleLogout } = useAdminSession();
+      const [period, setPeriod] = useState(getDefaultPeriod);
+      const [days, setDays] = useState([]);
+      const [drivers, setDrivers] = useState([]);
+      const [isLoading, setIsLoading] = useState(false);
+      const [selectedDayId, setSelectedDayId] = useState(null);
+      const [editingDay, setEditingDay] = useState(null);
+      const [isDialogOpen, setIsDialogOpen] = useState(false);
+      const [isSubmitting, setIsSubmitting] = useState(false);
+      const [dayToDelete, setDayToDelete] = useState(null);
+
+      const loadDrivers = useCallback(async () => {
+        try {
+          setDrivers(await fetchPickupDrivers());
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        }
+      }, [toast]);
+
+      const loadDays = useCallback(async () => {
+        setIsLoading(true);
+        try {
+          setDays(await fetchPickupDays(period.from, period.to));
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setIsLoading(false);
+        }
+      }, [period, toast]);
+
+      useEffect(() => {
+        if (currentUser) {
+          loadDrivers();
+        }
+      }, [currentUser, loadDrivers]);
+
+      useEffect(() => {
+        if (currentUser) {
+          loadDays();
+        }
+      }, [currentUser, loadDays]);
+
+      const openDialog = (day = null) => {
+        setEditingDay(day);
+        setIsDialogOpen(true);
+      };
+
+      const handleSubmitDay = async (form) => {
+        setIsSubmitting(true);
+        try {
+          await savePickupDay(form, editingDay?.id);
+          toast({ title: "Gespeichert", description: `Abholtag ${formatDate(form.pickup_date)} wurde gespeichert.`, variant: "success" });
+          setIsDialogOpen(false);
+          loadDays();
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setIsSubmitting(false);
+        }
+      };
+
+      const handleDeleteDay = async () => {
+        const day = dayToDelete;
+        setDayToDelete(null);
+        try {
+          await deletePickupDay(day.id);
+          toast({ title: "Gelöscht", description: `Abholtag ${formatDate(day.pickup_date)} wurde gelöscht.`, variant: "success" });
+          if (selectedDayId === day.id) setSelectedDayId(null);
+          loadDays();
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        }
+      };
+
+      const selectedDay = days.find(day => day.id === selectedDayId);
+
+      if (isCheckingSession) {
+        return (
+          <div className="flex justify-center items-center h-screen">
+            <Loader2 className="h-12 w-12 animate-spin text-primary" />
+          </div>
+        );
+      }
+
+      return (
+        <div className="container mx-auto px-4 py-12">
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+          >
+            <div className="flex flex-col sm:flex-row justify-between items-center mb-8 gap-4">
+              <h1 className="text-3xl font-bold text-primary">Abholtouren</h1>
+              <Button variant="destructive" onClick={handleLogout} disabled={isLoggingOut} className="w-full sm:w-auto">
+                {isLoggingOut && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                <LogOut className="mr-2 h-4 w-4" /> Abmelden
+              </Button>
+            </div>
+
+            <AdminNavigation />
+
+            <Card className="shadow-lg mb-8">
+              <CardHeader className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4 space-y-0">
+                <div>
+                  <CardTitle className="text-2xl">Abholtage</CardTitle>
+                  <CardDescription>
+                    Auslastung nach Gewicht laut Ankaufsformular und Anzahl Stopps. Volle oder deaktivierte Tage werden Kunden nicht mehr angeboten.
+                  </CardDescription>
+                </div>
+                <Button onClick={() => openDialog()} className="bg-emerald-500 hover:bg-emerald-600">
+                  <CalendarPlus className="mr-2 h-4 w-4" /> Neuer Abholtag
+                </Button>
+              </CardHeader>
+              <CardContent className="space-y-6">
+                <div className="flex flex-wrap items-end gap-4">
+                  <div>
+                    <Label htmlFor="pickupFrom">Von</Label>
+                    <Input id="pickupFrom" type="date" value={period.from} onChange={(e) => setPeriod(prev => ({ ...prev, from: e.target.value }))} className="mt-1" />
+                  </div>
+                  <div>
+                    <Label htmlFor="pickupTo">Bis</Label>
+                    <Input id="pickupTo" type="date" value={period.to} onChange={(e) => setPeriod(prev => ({ ...prev, to: e.target.value }))} className="mt-1" />
+                  </div>
+                </div>
+
+                {isLoading ? (
+                  <div className="flex justify-center py-4">
+                    <Loader2 className="h-6 w-6 animate-spin text-primary" />
+                  </div>
+                ) : days.length === 0 ? (
+                  <p className="text-muted-foreground text-center py-4">Keine Abholtage in diesem Zeitraum.</p>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-border text-sm">
+                      <thead className="bg-slate-50 dark:bg-slate-800">
+                        <tr>
+                          <th scope="col" className="px-3 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Datum</th>
+                          <th scope="col" className="px-3 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Fahrer</th>
+                          <th scope="col" className="px-3 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">PLZ-Gebiete</th>
+                          <th scope="col" className="px-3 py-3 text-right text-xs font-medium text-muted-foreground uppercase tracking-wider">Gewicht</th>
+                          <th scope="col" className="px-3 py-3 text-right text-xs font-medium text-muted-foreground uppercase tracking-wider">Stopps</th>
+                          <th scope="col" className="px-3 py-3 text-right text-xs font-medium text-muted-foreground uppercase tracking-wider">Aktionen</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-background divide-y divide-border">
+                        {days.map(day => (
+                          <tr key={day.id} className={day.id === selectedDayId ? 'bg-primary/5' : !day.is_active ? 'opacity-60' : ''}>
+                            <td className="px-3 py-3 align-top whitespace-nowrap">
+                              <div className="font-medium">{formatDate(day.pickup_date)}</div>
+                              <div className="text-xs text-muted-foreground">{formatPickupWindow(day)} Uhr{!day.is_active ? ' · nicht buchbar' : ''}</div>
+                            </td>
+                            <td className="px-3 py-3 align-top">{day.driver_name || <span className="text-amber-700 dark:text-amber-300">noch offen</span>}</td>
+                            <td className="px-3 py-3 align-top font-mono">{(day.zip_prefixes || []).length > 0 ? day.zip_prefixes.join(', ') : <span className="font-sans text-muted-foreground">alle</span>}</td>
+                            <td className={`px-3 py-3 align-top text-right whitespace-nowrap ${getLoadClassName(parseFloat(day.booked_weight), parseFloat(day.max_weight))}`}>
+                              {parseFloat(day.booked_weight).toFixed(1)} / {parseFloat(day.max_weight).toFixed(0)} kg
+                            </td>
+                            <td className={`px-3 py-3 align-top text-right whitespace-nowrap ${getLoadClassName(day.booked_stops, day.max_stops)}`}>
+                              {day.booked_stops} / {day.max_stops}
+                            </td>
+                            <td className="px-3 py-3 align-top text-right whitespace-nowrap space-x-1">
+                              <Button size="sm" variant="outline" onClick={() => setSelectedDayId(day.id)} title="Tour planen">
+                                <Route className="h-4 w-4" />
+                              </Button>
+                              <Button size="sm" variant="outline" onClick={() => openDialog(day)} title="Bearbeiten">
+                                <Edit className="h-4 w-4" />
+                              </Button>
+                              <Button size="sm" variant="outline" onClick={() => setDayToDelete(day)} disabled={day.booked_stops > 0} title={day.booked_stops > 0 ? 'Tag hat bereits Buchungen' : 'Löschen'}>
+                                <Trash2 className="h-4 w-4" />
+                              </Button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+
+            {selectedDay && (
+              <div className="mb-8">
+                <PickupDayRouteCard key={`${selectedDay.id}-${selectedDay.booked_stops}`} day={selectedDay} />
+              </div>
+            )}
+
+            <div className="grid gap-8 lg:grid-cols-2">
+              <PickupDriversCard drivers={drivers} onChanged={loadDrivers} />
+              <PickupServiceAreasCard />
+            </div>
+          </motion.div>
+
+          <PickupDayDialog
+            day={editingDay}
+            drivers={drivers}
+            open={isDialogOpen}
+            onOpenChange={setIsDialogOpen}
+            onSubmit={handleSubmitDay}
+            isSubmitting={isSubmitting}
+          />
+
+          <AlertDialog open={!!dayToDelete} onOpenChange={(open) => !open && setDayToDelete(null)}>
+            <AlertDialogContent>
+              <AlertDialogHeader>
+                <AlertDialogTitle>Abholtag löschen?</AlertDialogTitle>
+                <AlertDialogDescription>
+                  {dayToDelete && `Der Abholtag am ${formatDate(dayToDelete.pickup_date)} wird entfernt und Kunden nicht mehr angeboten.`}
+                </AlertDialogDescription>
+              </AlertDialogHeader>
+              <AlertDialogFooter>
+                <AlertDialogCancel>Abbrechen</AlertDialogCancel>
+                <AlertDialogAction onClick={handleDeleteDay} className="bg-red-500 hover:bg-red-600">Löschen</AlertDialogAction>
+              </AlertDialogFooter>
+            </AlertDialogContent>
+          </AlertDialog>
+        </div>
+      );
+    };
+
+    export default AdminPickupPlanningPage;
@@ -8,6 +8,7 @@ import React, { useState, useEffect, useCallback } from 'react';
     import AdminNavigation from '@/components/admin/AdminNavigation';
     import CategoryForm from '@/components/admin/CategoryForm';
     import CategoryTable from '@/components/admin/CategoryTable';
+    import { applyDueCategoryChanges, fetchUpcomingCategoryChanges, groupChangesByCategory } from '@/lib/categoryScheduledChanges';
 
     const AdminPriceManagementPage = () => {
       const navigate = useNavigate();
@@ -23,14 +24,26 @@ import React, { useState, useEffect, useCallback } from 'react';
         category_type: 'kg', 
         requires_weight: true, 
         is_active: true,
-        sort_order: 100 
+        sort_order: 100,
+        estimated_weight_per_piece: '',
+        datev_account: ''
       });
       const [editingCategoryId, setEditingCategoryId] = useState(null);
       const [currentUser, setCurrentUser] = useState(null);
       const [sortConfig, setSortConfig] = useState({ key: 'sort_order', direction: 'ascending' });
+      const [scheduledChanges, setScheduledChanges] = useState({});
+
+      const fetchScheduledChanges = useCallback(async () => {
+        try {
+          setScheduledChanges(groupChangesByCategory(await fetchUpcomingCategoryChanges()));
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        }
+      }, [toast]);
 
       const fetchCategories = useCallback(async () => {
         setIsLoading(true);
+        await applyDueCategoryChanges();
         const { data, error } = await supabase
           .from('product_categories')
           .select('*')
@@ -63,15 +76,16 @@ import React, { useState, useEffect, useCallback } from 'react';
       useEffect(() => {
         if(currentUser) { // Fetch categories only if user is logged in and sortConfig is set
             fetchCategories();
+            fetchScheduledChanges();
         }
-      }, [currentUser, fetchCategories, sortConfig]);
+      }, [currentUser, fetchCategories, fetchScheduledChanges, sortConfig]);
 
 
       const handleInputChange = (e) => {
         const { name, value, type, checked } = e.target;
         setCurrentCategory(prev => ({ 
           ...prev, 
-          [name]: type === 'checkbox' ? checked : (name === 'sort_order' || name === 'price_per_kg' ? (value === '' ? '' : parseFloat(value)) : value)
+          [name]: type === 'checkbox' ? checked : (['sort_order', 'price_per_kg', 'estimated_weight_per_piece'].includes(name) ? (value === '' ? '' : parseFloat(value)) : value)
         }));
       };
       
@@ -82,7 +96,7 @@ import React, { useState, useEffect, useCallback } from 'react';
       const resetForm = () => {
         setShowForm(false);
         setEditingCategoryId(null);
-        setCurrentCategory({ name: '', price_per_kg: '', icon_name: 'Package', category_type: 'kg', requires_weight: true, is_active: true, sort_order: 100 });
+        setCurrentCategory({ name: '', price_per_kg: '', icon_name: 'Package', category_type: 'kg', requires_weight: true, is_active: true, sort_order: 100, estimated_weight_per_piece: '', datev_account: '' });
       };
 
       const handleSubmit = async (e) => {
@@ -102,7 +116,13 @@ import React, { useState, useEffect, useCallback } from 'react';
           requires_weight: currentCategory.requires_weight,
           is_active: currentCategory.is_active,
           sort_order: parseInt(currentCategory.sort_order, 10) || 100,
+          estimated_weight_per_piece: parseFloat(currentCategory.estimated_weight_per_piece) || 0,
+          datev_account: currentCategory.datev_account?.trim() || null,
         };
+        if (editingCategoryId) {
+          // Der Trigger übernimmt den Grund in die neue Preisversion und leert das Feld wieder.
+          categoryData.price_change_reason = currentCategory.price_change_reason || null;
+        }
 
         let result;
         if (editingCategoryId) {
@@ -144,6 +164,9 @@ import React, { useState, useEffect, useCallback } from 'react';
           requires_weight: category.requires_weight === null ? true : category.requires_weight,
           is_active: category.is_active === null ? true : category.is_active,
           sort_order: category.sort_order === null ? 100 : category.sort_order,
+          price_change_reason: '',
+          estimated_weight_per_piece: category.estimated_weight_per_piece ? category.estimated_weight_per_piece.toString() : '',
+          datev_account: category.datev_account || '',
         });
         setShowForm(true);
         window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -244,6 +267,8 @@ import React, { useState, useEffect, useCallback } from 'react';
               onEdit={handleEdit}
               onDelete={handleDelete}
               onSort={handleSort}
+              scheduledChanges={scheduledChanges}
+              onScheduleChanged={fetchScheduledChanges}
             />
           </motion.div>
         </div>
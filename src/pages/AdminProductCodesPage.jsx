@@ -0,0 +1,215 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Input } from '@/components/ui/input';
+    import { Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from '@/components/ui/card';
+    import {
+      AlertDialog,
+      AlertDialogAction,
+      AlertDialogCancel,
+      AlertDialogContent,
+      AlertDialogDescription,
+      AlertDialogFooter,
+      AlertDialogHeader,
+      AlertDialogTitle,
+      AlertDialogTrigger,
+    } from '@/components/ui/alert-dialog';
+    import { Loader2, LogOut, PlusCircle, Edit3, Trash2, Search } from 'lucide-react';
+    import { motion } from 'framer-motion';
+    import { useToast } from '@/components/ui/use-toast';
+    import { useAdminSession } from '@/hooks/useAdminSession';
+    import AdminNavigation from '@/components/admin/AdminNavigation';
+    import ProductCodePriceDialog from '@/components/admin/ProductCodePriceDialog';
+    import { fetchProductCodePrices, saveProductCodePrice, deleteProductCodePrice, formatProductCode } from '@/lib/productCodes';
+    import { fetchCategoryOptions } from '@/lib/productCategories';
+
+    const AdminProductCodesPage = () => {
+      const { toast } = useToast();
+      const { currentUser, isCheckingSession, isLoggingOut, handleLogout } = useAdminSession();
+      const [entries, setEntries] = useState([]);
+      const [categories, setCategories] = useState([]);
+      const [isLoading, setIsLoading] = useState(true);
+      const [searchTerm, setSearchTerm] = useState('');
+      const [editingEntry, setEditingEntry] = useState(null);
+      const [isDialogOpen, setIsDialogOpen] = useState(false);
+      const [isSubmitting, setIsSubmitting] = useState(false);
+
+      const loadEntries = useCallback(async () => {
+        setIsLoading(true);
+        try {
+          const [loadedEntries, loadedCategories] = await Promise.all([fetchProductCodePrices(), fetchCategoryOptions()]);
+          setEntries(loadedEntries);
+          setCategories(loadedCategories);
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setIsLoading(false);
+        }
+      }, [toast]);
+
+      useEffect(() => {
+        if (currentUser) {
+          loadEntries();
+        }
+      }, [currentUser, loadEntries]);
+
+      const visibleEntries = useMemo(() => {
+        const term = searchTerm.trim().toLowerCase();
+        if (!term) return entries;
+        const digits = term.replace(/[\s-]/g, '');
+        return entries.filter(entry => entry.title.toLowerCase().includes(term) || (digits && entry.code.includes(digits)));
+      }, [entries, searchTerm]);
+
+      const openDialog = (entry = null) => {
+        setEditingEntry(entry);
+        setIsDialogOpen(true);
+      };
+
+      const handleSubmit = async (form) => {
+        setIsSubmitting(true);
+        try {
+          await saveProductCodePrice(form, editingEntry ? editingEntry.id : null);
+          toast({ title: "Erfolg!", description: `Einzelartikel ${editingEntry ? 'aktualisiert' : 'angelegt'}.`, variant: "success" });
+          setIsDialogOpen(false);
+          loadEntries();
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setIsSubmitting(false);
+        }
+      };
+
+      const handleDelete = async (entry) => {
+        try {
+          await deleteProductCodePrice(entry.id);
+          toast({ title: "Erfolg!", description: `${entry.title} wurde gelöscht.`, variant: "success" });
+          loadEntries();
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        }
+      };
+
+      if (isCheckingSession) {
+        return (
+          <div className="flex justify-center items-center h-screen">
+            <Loader2 className="h-12 w-12 animate-spin text-primary" />
+          </div>
+        );
+      }
+
+      return (
+        <div className="container mx-auto px-4 py-12">
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+          >
+            <div className="flex flex-col sm:flex-row justify-between items-center mb-8 gap-4">
+              <h1 className="text-3xl font-bold text-primary">Einzelartikel (ISBN/EAN)</h1>
+              <Button variant="destructive" onClick={handleLogout} disabled={isLoggingOut} className="w-full sm:w-auto">
+                {isLoggingOut && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                <LogOut className="mr-2 h-4 w-4" /> Abmelden
+              </Button>
+            </div>
+
+            <AdminNavigation />
+
+            <div className="mb-6 flex flex-col sm:flex-row gap-4 justify-between">
+              <Button onClick={() => openDialog()} className="bg-emerald-500 hover:bg-emerald-600">
+                <PlusCircle className="mr-2 h-5 w-5" /> Neuer Einzelartikel
+              </Button>
+              <div className="relative sm:w-80">
+                <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+                <Input value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} placeholder="Titel oder ISBN/EAN suchen" className="pl-9" />
+              </div>
+            </div>
+
+            <Card className="shadow-lg">
+              <CardHeader>
+                <CardTitle className="text-2xl">Preisliste Einzelartikel</CardTitle>
+                <CardDescription>Artikel, die im Rechner per ISBN/EAN gefunden und einzeln angekauft werden.</CardDescription>
+              </CardHeader>
+              <CardContent>
+                {isLoading ? (
+                  <div className="flex justify-center items-center h-32"><Loader2 className="h-8 w-8 animate-spin text-primary" /></div>
+                ) : visibleEntries.length === 0 ? (
+                  <p className="text-muted-foreground text-center py-4">Keine Einzelartikel gefunden.</p>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-border">
+                      <thead className="bg-slate-50 dark:bg-slate-800">
+                        <tr>
+                          <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Code</th>
+                          <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Titel</th>
+                          <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Kategorie</th>
+                          <th scope="col" className="px-4 py-3 text-right text-xs font-medium text-muted-foreground uppercase tracking-wider">Preis</th>
+                          <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-muted-foreground uppercase tracking-wider">Aktiv</th>
+                          <th scope="col" className="px-4 py-3 text-right text-xs font-medium text-muted-foreground uppercase tracking-wider">Aktionen</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-background divide-y divide-border">
+                        {visibleEntries.map(entry => (
+                          <tr key={entry.id} className="hover:bg-slate-50/50 dark:hover:bg-slate-800/50 transition-colors">
+                            <td className="px-4 py-3 whitespace-nowrap text-sm font-mono text-muted-foreground">{formatProductCode(entry.code)}</td>
+                            <td className="px-4 py-3 text-sm">
+                              <div className="font-medium text-foreground">{entry.title}</div>
+                              {entry.notes && <div className="text-xs text-muted-foreground">{entry.notes}</div>}
+                            </td>
+                            <td className="px-4 py-3 whitespace-nowrap text-sm text-muted-foreground">{entry.product_categories?.name || '–'}</td>
+                            <td className="px-4 py-3 whitespace-nowrap text-sm text-right">{parseFloat(entry.price).toFixed(2)} €</td>
+                            <td className="px-4 py-3 whitespace-nowrap">
+                              <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${entry.is_active ? 'bg-green-100 text-green-800 dark:bg-green-700 dark:text-green-100' : 'bg-red-100 text-red-800 dark:bg-red-700 dark:text-red-100'}`}>
+                                {entry.is_active ? 'Aktiv' : 'Inaktiv'}
+                              </span>
+                            </td>
+                            <td className="px-4 py-3 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                              <Button variant="outline" size="sm" onClick={() => openDialog(entry)} aria-label="Einzelartikel bearbeiten">
+                                <Edit3 className="h-4 w-4" />
+                              </Button>
+                              <AlertDialog>
+                                <AlertDialogTrigger asChild>
+                                  <Button variant="destructive" size="sm" aria-label="Einzelartikel löschen">
+                                    <Trash2 className="h-4 w-4" />
+                                  </Button>
+                                </AlertDialogTrigger>
+                                <AlertDialogContent>
+                                  <AlertDialogHeader>
+                                    <AlertDialogTitle>Sind Sie sicher?</AlertDialogTitle>
+                                    <AlertDialogDescription>
+                                      "{entry.title}" wird aus der Preisliste gelöscht. Bereits abgeschickte Ankäufe behalten ihren Preis.
+                                    </AlertDialogDescription>
+                                  </AlertDialogHeader>
+                                  <AlertDialogFooter>
+                                    <AlertDialogCancel>Abbrechen</AlertDialogCancel>
+                                    <AlertDialogAction onClick={() => handleDelete(entry)} className="bg-destructive hover:bg-destructive/90">
+                                      Löschen
+                                    </AlertDialogAction>
+                                  </AlertDialogFooter>
+                                </AlertDialogContent>
+                              </AlertDialog>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </CardContent>
+              <CardFooter>
+                <p className="text-xs text-muted-foreground">Insgesamt {entries.length} Einzelartikel.</p>
+              </CardFooter>
+            </Card>
+
+            <ProductCodePriceDialog
+              entry={editingEntry}
+              categories={categories}
+              open={isDialogOpen}
+              onOpenChange={setIsDialogOpen}
+              onSubmit={handleSubmit}
+              isSubmitting={isSubmitting}
+            />
+          </motion.div>
+        </div>
+      );
+    };
+
+    export default AdminProductCodesPage;
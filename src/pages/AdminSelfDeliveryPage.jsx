@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useCallback } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Input } from '@/components/ui/input';
+    import { Label } from '@/components/ui/label';
+    import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/card';
+    import { Loader2, LogOut } from 'lucide-react';
+    import { motion } from 'framer-motion';
+    import { useToast } from '@/components/ui/use-toast';
+    import { useAdminSession } from '@/hooks/useAdminSession';
+    import AdminNavigation from '@/components/admin/AdminNavigation';
+    import SelfDeliveryCapacityCard from '@/components/admin/SelfDeliveryCapacityCard';
+    import SelfDeliveryClosuresCard from '@/components/admin/SelfDeliveryClosuresCard';
+    import { fetchSelfDeliveryAppointments } from '@/lib/selfDeliverySlots';
+    import { getStatusLabel } from '@/lib/ankaufStatus';
+
+    const formatDate = (value) =>
+      new Date(`${value}T12:00:00`).toLocaleDateString('de-DE', { weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric' });
+
+    const getDefaultPeriod = () => {
+      const today = new Date();
+      const to = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 14);
+      return { from: today.toLocaleDateString('sv-SE'), to: to.toLocaleDateString('sv-SE') };
+    };
+
+    const groupByDate = (appointments) => appointments.reduce((groups, appointment) => {
+      (groups[appointment.delivery_date] = groups[appointment.delivery_date] || []).push(appointment);
+      return groups;
+    }, {});
+
+    const AdminSelfDeliveryPage = () => {
+      const { toast } = useToast();
+      const { currentUser, isCheckingSession, isLoggingOut, handleLogout } = useAdminSession();
+      const [period, setPeriod] = useState(getDefaultPeriod);
+      const [appointments, setAppointments] = useState([]);
+      const [isLoading, setIsLoading] = useState(false);
+
+      const loadAppointments = useCallback(async () => {
+        setIsLoading(true);
+        try {
+          setAppointments(await fetchSelfDeliveryAppointments(period.from, period.to));
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setIsLoading(false);
+        }
+      }, [period, toast]);
+
+      useEffect(() => {
+        if (currentUser) {
+          loadAppointments();
+        }
+      }, [currentUser, loadAppointments]);
+
+      if (isCheckingSession) {
+        return (
+          <div className="flex justify-center items-center h-screen">
+            <Loader2 className="h-12 w-12 animate-spin text-primary" />
+          </div>
+        );
+      }
+
+      const appointmentsByDate = groupByDate(appointments);
+
+      return (
+        <div className="container mx-auto px-4 py-12">
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+          >
+            <div className="flex flex-col sm:flex-row justify-between items-center mb-8 gap-4">
+              <h1 className="text-3xl font-bold text-primary">Anlieferungen</h1>
+              <Button variant="destructive" onClick={handleLogout} disabled={isLoggingOut} className="w-full sm:w-auto">
+                {isLoggingOut && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                <LogOut className="mr-2 h-4 w-4" /> Abmelden
+              </Button>
+            </div>
+
+            <AdminNavigation />
+
+            <Card className="shadow-lg mb-8">
+              <CardHeader>
+                <CardTitle className="text-2xl">Termine</CardTitle>
+                <CardDescription>Gebuchte und abgesagte Selbstanlieferungen im Zeitraum.</CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-6">
+                <div className="flex flex-wrap items-end gap-4">
+                  <div>
+                    <Label htmlFor="appointmentsFrom">Von</Label>
+                    <Input id="appointmentsFrom" type="date" value={period.from} onChange={(e) => setPeriod(prev => ({ ...prev, from: e.target.value }))} className="mt-1" />
+                  </div>
+                  <div>
+                    <Label htmlFor="appointmentsTo">Bis</Label>
+                    <Input id="appointmentsTo" type="date" value={period.to} onChange={(e) => setPeriod(prev => ({ ...prev, to: e.target.value }))} className="mt-1" />
+                  </div>
+                </div>
+
+                {isLoading ? (
+                  <div className="flex justify-center py-4">
+                    <Loader2 className="h-6 w-6 animate-spin text-primary" />
+                  </div>
+                ) : appointments.length === 0 ? (
+                  <p className="text-muted-foreground text-center py-4">Keine Anlieferungen in diesem Zeitraum.</p>
+                ) : (
+                  Object.entries(appointmentsByDate).map(([date, dayAppointments]) => (
+                    <div key={date}>
+                      <h3 className="font-semibold mb-2">{formatDate(date)}</h3>
+                      <ul className="divide-y text-sm border rounded-md">
+                        {dayAppointments.map(appointment => (
+                          <li key={appointment.id} className={`px-3 py-2 flex justify-between gap-4 flex-wrap ${appointment.status === 'cancelled' ? 'opacity-60 line-through' : ''}`}>
+                            <span>
+                              <span className="font-medium">{appointment.time_slot}</span>
+                              {' · '}{appointment.name}
+                              {appointment.phone ? ` · ${appointment.phone}` : ''}
+                              {appointment.notes && <span className="block text-xs italic text-muted-foreground">{appointment.notes}</span>}
+                            </span>
+                            <span className="text-right">
+                              <span className="font-mono">{appointment.ankaufs_nummer}</span>
+                              <span className="block text-xs text-muted-foreground">
+                                {appointment.status === 'cancelled' ? 'abgesagt' : getStatusLabel(appointment.ankauf_status)} · ca. {(parseFloat(appointment.total_weight) || 0).toFixed(1)} kg
+                              </span>
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  ))
+                )}
+              </CardContent>
+            </Card>
+
+            <div className="grid gap-8 lg:grid-cols-2">
+              <SelfDeliveryCapacityCard />
+              <SelfDeliveryClosuresCard />
+            </div>
+          </motion.div>
+        </div>
+      );
+    };
+
+    export default AdminSelfDeliveryPage;
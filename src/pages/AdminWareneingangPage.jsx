@@ -0,0 +1,204 @@
+import React, { useState, useRef, useCallback } from 'react';
+    import { Button } from '@/components/ui/button';
+    import { Input } from '@/components/ui/input';
+    import { Label } from '@/components/ui/label';
+    import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/card';
+    import { Loader2, LogOut, ScanLine, Camera, CameraOff } from 'lucide-react';
+    import { motion } from 'framer-motion';
+    import { useToast } from '@/components/ui/use-toast';
+    import { useAdminSession } from '@/hooks/useAdminSession';
+    import { useKeyboardWedgeScanner } from '@/hooks/useKeyboardWedgeScanner';
+    import AdminNavigation from '@/components/admin/AdminNavigation';
+    import ParcelReceiptCard from '@/components/admin/ParcelReceiptCard';
+    import CameraScanner from '@/components/shared/CameraScanner';
+    import {
+      parseScannedAnkaufCode,
+      fetchAnkaufRequestByNummer,
+      fetchParcelReceipts,
+      registerParcelReceipt,
+      getExpectedParcelCount,
+    } from '@/lib/ankaufRequestsAdmin';
+    import { getAnkaufsNummerError } from '@/lib/ankaufsNummer';
+
+    const CAMERA_DUPLICATE_WINDOW_MS = 3000;
+
+    const AdminWareneingangPage = () => {
+      const { toast } = useToast();
+      const { currentUser, isCheckingSession, isLoggingOut, handleLogout } = useAdminSession();
+      const [scanInput, setScanInput] = useState('');
+      const [isCameraOn, setIsCameraOn] = useState(false);
+      const [isLookingUp, setIsLookingUp] = useState(false);
+      const [request, setRequest] = useState(null);
+      const [receipts, setReceipts] = useState([]);
+      const [selectedIndexes, setSelectedIndexes] = useState([]);
+      const [note, setNote] = useState('');
+      const [isSubmitting, setIsSubmitting] = useState(false);
+      const scanInputRef = useRef(null);
+
+      const handleScan = useCallback(async (rawCode) => {
+        const parsed = parseScannedAnkaufCode(rawCode);
+        if (!parsed) return;
+        setScanInput('');
+
+        // Prüfziffer vor der Suche: Tippfehler beim manuellen Eintippen fallen sofort auf.
+        const nummerError = getAnkaufsNummerError(parsed.ankaufsNummer);
+        if (nummerError) {
+          toast({ title: "Ungültige Ankaufsnummer", description: nummerError, variant: "destructive" });
+          return;
+        }
+
+        // Weitere Labels desselben Ankaufs werden nur zur Auswahl hinzugefügt.
+        if (request && request.ankaufs_nummer === parsed.ankaufsNummer) {
+          const alreadyReceived = receipts.some(receipt => receipt.label_index === parsed.labelIndex);
+          if (parsed.labelIndex && !alreadyReceived && !selectedIndexes.includes(parsed.labelIndex)) {
+            setSelectedIndexes(prev => [...prev, parsed.labelIndex]);
+          }
+          return;
+        }
+
+        setIsLookingUp(true);
+        try {
+          const found = await fetchAnkaufRequestByNummer(parsed.ankaufsNummer);
+          if (!found) {
+            toast({ title: "Nicht gefunden", description: `Keine Ankaufsanfrage mit der Nummer ${parsed.ankaufsNummer}.`, variant: "destructive" });
+            return;
+          }
+          const existingReceipts = await fetchParcelReceipts(found.id);
+          const receivedIndexes = existingReceipts.map(receipt => receipt.label_index);
+          const preselected = parsed.labelIndex
+            ? [parsed.labelIndex]
+            : (getExpectedParcelCount(found) === 1 ? [1] : []);
+
+          setRequest(found);
+          setReceipts(existingReceipts);
+          setSelectedIndexes(preselected.filter(index => !receivedIndexes.includes(index)));
+          setNote('');
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setIsLookingUp(false);
+          if (scanInputRef.current) scanInputRef.current.focus();
+        }
+      }, [request, receipts, selectedIndexes, toast]);
+
+      useKeyboardWedgeScanner(handleScan, { enabled: !!currentUser });
+
+      const handleCameraDetected = useCallback(({ text }) => {
+        handleScan(text);
+      }, [handleScan]);
+
+      const handleManualSubmit = (e) => {
+        e.preventDefault();
+        handleScan(scanInput);
+      };
+
+      const handleToggleIndex = (index) => {
+        setSelectedIndexes(prev => (prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]));
+      };
+
+      const handleRegisterReceipt = async () => {
+        if (!request || selectedIndexes.length === 0) return;
+        setIsSubmitting(true);
+        try {
+          const updatedReceipts = await registerParcelReceipt(request.id, [...selectedIndexes].sort((a, b) => a - b), note);
+          setReceipts(updatedReceipts);
+          setSelectedIndexes([]);
+          setNote('');
+          const refreshed = await fetchAnkaufRequestByNummer(request.ankaufs_nummer);
+          if (refreshed) setRequest(refreshed);
+          toast({ title: "Wareneingang gebucht", description: `${request.ankaufs_nummer}: ${updatedReceipts.length} von ${getExpectedParcelCount(request)} Paket(en) eingegangen.`, variant: "success" });
+        } catch (error) {
+          toast({ title: "Fehler", description: error.message, variant: "destructive" });
+        } finally {
+          setIsSubmitting(false);
+          if (scanInputRef.current) scanInputRef.current.focus();
+        }
+      };
+
+      if (isCheckingSession) {
+        return (
+          <div className="flex justify-center items-center h-screen">
+            <Loader2 className="h-12 w-12 animate-spin text-primary" />
+          </div>
+        );
+      }
+
+      return (
+        <div className="container mx-auto px-4 py-12">
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+          >
+            <div className="flex flex-col sm:flex-row justify-between items-center mb-8 gap-4">
+              <h1 className="text-3xl font-bold text-primary">Wareneingang</h1>
+              <Button variant="destructive" onClick={handleLogout} disabled={isLoggingOut} className="w-full sm:w-auto">
+                {isLoggingOut && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                <LogOut className="mr-2 h-4 w-4" /> Abmelden
+              </Button>
+            </div>
+
+            <AdminNavigation />
+
+            <div className="grid lg:grid-cols-2 gap-8 items-start">
+              <Card className="shadow-lg">
+                <CardHeader>
+                  <CardTitle className="text-2xl flex items-center"><ScanLine className="mr-3 h-6 w-6" /> Begleitschein scannen</CardTitle>
+                  <CardDescription>
+                    QR-Code vom Begleitschein oder Label mit dem Handscanner einlesen, per Kamera scannen oder die Ankaufsnummer eintippen.
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  <form onSubmit={handleManualSubmit} className="flex gap-2">
+                    <div className="flex-grow">
+                      <Label htmlFor="scanInput" className="sr-only">Ankaufsnummer</Label>
+                      <Input
+                        ref={scanInputRef}
+                        id="scanInput"
+                        value={scanInput}
+                        onChange={(e) => setScanInput(e.target.value)}
+                        placeholder="z.B. BR-12345678 oder BR-12345678-L2"
+                        autoFocus
+                        autoComplete="off"
+                        className="font-mono"
+                      />
+                    </div>
+                    <Button type="submit" disabled={isLookingUp || !scanInput.trim()}>
+                      {isLookingUp ? <Loader2 className="h-4 w-4 animate-spin" /> : 'Öffnen'}
+                    </Button>
+                  </form>
+                  <Button type="button" variant="outline" onClick={() => setIsCameraOn(prev => !prev)} className="w-full">
+                    {isCameraOn ? <CameraOff className="mr-2 h-4 w-4" /> : <Camera className="mr-2 h-4 w-4" />}
+                    {isCameraOn ? 'Kamera ausschalten' : 'Mit Kamera scannen'}
+                  </Button>
+                  {isCameraOn && (
+                    <CameraScanner formats={['qr', 'code128']} onDetected={handleCameraDetected} duplicateWindowMs={CAMERA_DUPLICATE_WINDOW_MS} showTorchToggle className="aspect-video" />
+                  )}
+                </CardContent>
+              </Card>
+
+              <div>
+                {request ? (
+                  <ParcelReceiptCard
+                    request={request}
+                    receipts={receipts}
+                    selectedIndexes={selectedIndexes}
+                    onToggleIndex={handleToggleIndex}
+                    note={note}
+                    onNoteChange={setNote}
+                    onSubmit={handleRegisterReceipt}
+                    isSubmitting={isSubmitting}
+                  />
+                ) : (
+                  <p className="text-muted-foreground text-center py-12 border rounded-lg border-dashed">
+                    Noch kein Ankauf geöffnet. Scanne einen Begleitschein, um zu starten.
+                  </p>
+                )}
+              </div>
+            </div>
+          </motion.div>
+        </div>
+      );
+    };
+
+    export default AdminWareneingangPage;
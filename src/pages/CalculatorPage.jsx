@@ -3,7 +3,7 @@ import React, { useState, useEffect, useRef } from 'react';
     import { Input } from '@/components/ui/input';
     import { Label } from '@/components/ui/label';
     import { Card, CardContent, CardHeader, CardTitle, CardDescription, CardFooter } from '@/components/ui/card';
-    import { PlusCircle, ShoppingCart, AlertTriangle, Weight } from 'lucide-react';
+    import { PlusCircle, ShoppingCart, AlertTriangle, Weight, Hash, Barcode, Camera } from 'lucide-react';
     import { useToast } from '@/components/ui/use-toast';
     import { useCart, getIconComponent } from '@/hooks/useCart'; // Corrected import
     import { motion } from 'framer-motion';
@@ -11,6 +11,10 @@ import React, { useState, useEffect, useRef } from 'react';
     import CalculatorInfoBox from '@/components/calculator/CalculatorInfoBox';
     import CartDisplay from '@/components/calculator/CartDisplay';
     import CategoryGrid from '@/components/calculator/CategoryGrid';
+    import ProductCodeLookup from '@/components/calculator/ProductCodeLookup';
+    import BarcodeScanPanel from '@/components/calculator/BarcodeScanPanel';
+    import { buildCategoryCartItem, getEstimatedWeight } from '@/lib/cartItemUnits';
+    import { findFallbackCategory, formatProductCode } from '@/lib/productCodes';
 
     const CalculatorPage = () => {
       const { toast } = useToast();
@@ -19,39 +23,43 @@ import React, { useState, useEffect, useRef } from 'react';
         addItemToCart, 
         removeItemFromCart, 
         updateItemWeightInCart, 
+        updateItemQuantityInCart,
         totalWeight, 
         totalPrice, 
         categories,
         isLoadingCategories 
       } = useCart();
       
+      const [calculatorMode, setCalculatorMode] = useState('weight');
       const [selectedCategory, setSelectedCategory] = useState(null);
-      const [currentWeight, setCurrentWeight] = useState('');
+      const [currentAmount, setCurrentAmount] = useState('');
       const [calculatedPrice, setCalculatedPrice] = useState(0);
-      const weightInputRef = useRef(null);
+      const amountInputRef = useRef(null);
 
       useEffect(() => {
-        if (selectedCategory && currentWeight) {
-          const weightNum = parseFloat(currentWeight) || 0;
-          setCalculatedPrice(weightNum * selectedCategory.pricePerKg);
+        if (selectedCategory && currentAmount) {
+          const amountNum = selectedCategory.isPerPiece ? parseInt(currentAmount, 10) || 0 : parseFloat(currentAmount) || 0;
+          setCalculatedPrice(amountNum * selectedCategory.pricePerKg);
         } else {
           setCalculatedPrice(0);
         }
-      }, [selectedCategory, currentWeight]);
+      }, [selectedCategory, currentAmount]);
 
       const handleCategorySelect = (category) => {
         setSelectedCategory(category);
-        setCurrentWeight('');
+        setCurrentAmount('');
         setCalculatedPrice(0);
-        if (weightInputRef.current) {
-          setTimeout(() => weightInputRef.current.focus(), 0);
+        if (amountInputRef.current) {
+          setTimeout(() => amountInputRef.current.focus(), 0);
         }
       };
 
-      const handleWeightChange = (e) => {
-        const weightValue = e.target.value;
-        if (/^\d*\.?\d*$/.test(weightValue)) { // Allow empty string, numbers, and one decimal point
-          setCurrentWeight(weightValue);
+      const handleAmountChange = (e) => {
+        const amountValue = e.target.value;
+        // Stückzahlen nur ganzzahlig, Gewichte mit einem Dezimalpunkt
+        const pattern = selectedCategory && selectedCategory.isPerPiece ? /^\d*$/ : /^\d*\.?\d*$/;
+        if (pattern.test(amountValue)) {
+          setCurrentAmount(amountValue);
         }
       };
 
@@ -64,42 +72,37 @@ import React, { useState, useEffect, useRef } from 'react';
           });
           return;
         }
-        if (!currentWeight && !selectedCategory.requiresContact) {
+        const isPerPiece = selectedCategory.isPerPiece;
+        if (!currentAmount && !selectedCategory.requiresContact) {
            toast({
-            title: 'Fehlendes Gewicht',
-            description: 'Bitte gib ein Gewicht für die ausgewählte Kategorie ein.',
+            title: isPerPiece ? 'Fehlende Anzahl' : 'Fehlendes Gewicht',
+            description: isPerPiece ? 'Bitte gib eine Stückzahl für die ausgewählte Kategorie ein.' : 'Bitte gib ein Gewicht für die ausgewählte Kategorie ein.',
             variant: 'destructive',
           });
           return;
         }
 
-        const weightNum = parseFloat(currentWeight) || 0; // Default to 0 if empty or invalid for contact items
+        const amountNum = (isPerPiece ? parseInt(currentAmount, 10) : parseFloat(currentAmount)) || 0; // Default to 0 if empty or invalid for contact items
 
-        if (weightNum <= 0 && !selectedCategory.requiresContact) {
+        if (amountNum <= 0 && !selectedCategory.requiresContact) {
           toast({
-            title: 'Ungültiges Gewicht',
-            description: 'Das Gewicht muss eine positive Zahl sein.',
+            title: isPerPiece ? 'Ungültige Anzahl' : 'Ungültiges Gewicht',
+            description: isPerPiece ? 'Die Anzahl muss eine positive ganze Zahl sein.' : 'Das Gewicht muss eine positive Zahl sein.',
             variant: 'destructive',
           });
           return;
         }
-        
-        addItemToCart({
-          category: selectedCategory.name,
-          weight: weightNum,
-          pricePerKg: selectedCategory.pricePerKg,
-          price: selectedCategory.requiresContact ? 0 : weightNum * selectedCategory.pricePerKg,
-          requiresContact: selectedCategory.requiresContact,
-          iconName: selectedCategory.iconName 
-        });
 
+        addItemToCart(buildCategoryCartItem(selectedCategory, amountNum));
+
+        const amountLabel = isPerPiece ? `${amountNum} Stk.` : `${amountNum} kg`;
         toast({
           title: 'Artikel hinzugefügt',
-          description: `${selectedCategory.name} (${weightNum > 0 ? `${weightNum} kg` : 'Auf Anfrage'}) wurde zum Warenkorb hinzugefügt.`,
+          description: `${selectedCategory.name} (${amountNum > 0 ? amountLabel : 'Auf Anfrage'}) wurde zum Warenkorb hinzugefügt.`,
           variant: 'success'
         });
         setSelectedCategory(null); 
-        setCurrentWeight('');
+        setCurrentAmount('');
         setCalculatedPrice(0);
       };
       
@@ -118,6 +121,50 @@ import React, { useState, useEffect, useRef } from 'react';
         }
       };
 
+      const handleAddProductCodeItem = (item) => {
+        addItemToCart(item);
+        toast({
+          title: 'Artikel hinzugefügt',
+          description: `${item.category} (${item.pricePerKg.toFixed(2)} €) wurde zum Warenkorb hinzugefügt.`,
+          variant: 'success'
+        });
+      };
+
+      const handleAddScannedItems = (items) => {
+        items.forEach(item => addItemToCart(item));
+        toast({
+          title: 'Artikel hinzugefügt',
+          description: `${items.length} ${items.length === 1 ? 'Position wurde' : 'Positionen wurden'} aus dem Scan zum Warenkorb hinzugefügt.`,
+          variant: 'success'
+        });
+      };
+
+      // Nicht gelistete Codes werden ganz normal nach Gewicht berechnet.
+      const handleProductCodeFallback = (code) => {
+        setCalculatorMode('weight');
+        const fallbackCategory = findFallbackCategory(code, categories);
+        if (fallbackCategory) {
+          handleCategorySelect(fallbackCategory);
+        } else {
+          setSelectedCategory(null);
+        }
+        toast({
+          title: 'Berechnung nach Gewicht',
+          description: fallbackCategory
+            ? `${formatProductCode(code)} wird in der Kategorie "${fallbackCategory.name}" nach Gewicht berechnet.`
+            : `Bitte wähle die passende Kategorie für ${formatProductCode(code)}.`,
+          variant: 'info'
+        });
+      };
+
+      const handleCartItemQuantityChange = (id, newQuantityString) => {
+        if (/^\d*$/.test(newQuantityString)) {
+          updateItemQuantityInCart(id, newQuantityString === '' ? 0 : parseInt(newQuantityString, 10));
+        } else {
+          toast({ title: "Ungültige Eingabe", description: "Bitte geben Sie eine ganze Zahl für die Anzahl ein.", variant: "destructive" });
+        }
+      };
+
       if (isLoadingCategories) {
         return (
           <div className="container mx-auto px-4 py-12 flex justify-center items-center min-h-[calc(100vh-10rem)]">
@@ -141,8 +188,38 @@ import React, { useState, useEffect, useRef } from 'react';
             <CalculatorInfoBox totalWeight={totalWeight} />
             
             <div className="grid lg:grid-cols-3 gap-8">
-              <div className="lg:col-span-2">
-                {!selectedCategory ? (
+              <div className="lg:col-span-2 space-y-6">
+                <div className="flex flex-wrap gap-2" role="tablist" aria-label="Berechnungsart">
+                  <Button
+                    variant={calculatorMode === 'weight' ? 'default' : 'outline'}
+                    onClick={() => setCalculatorMode('weight')}
+                    role="tab"
+                    aria-selected={calculatorMode === 'weight'}
+                  >
+                    <Weight className="mr-2 h-4 w-4" /> Nach Kategorie & Gewicht
+                  </Button>
+                  <Button
+                    variant={calculatorMode === 'code' ? 'default' : 'outline'}
+                    onClick={() => setCalculatorMode('code')}
+                    role="tab"
+                    aria-selected={calculatorMode === 'code'}
+                  >
+                    <Barcode className="mr-2 h-4 w-4" /> Einzelartikel (ISBN/EAN)
+                  </Button>
+                  <Button
+                    variant={calculatorMode === 'scan' ? 'default' : 'outline'}
+                    onClick={() => setCalculatorMode('scan')}
+                    role="tab"
+                    aria-selected={calculatorMode === 'scan'}
+                  >
+                    <Camera className="mr-2 h-4 w-4" /> Mit Kamera scannen
+                  </Button>
+                </div>
+                {calculatorMode === 'code' ? (
+                  <ProductCodeLookup onAddItem={handleAddProductCodeItem} onFallback={handleProductCodeFallback} />
+                ) : calculatorMode === 'scan' ? (
+                  <BarcodeScanPanel categories={categories} onAddItems={handleAddScannedItems} />
+                ) : !selectedCategory ? (
                   <CategoryGrid categories={categories} onCategorySelect={handleCategorySelect} />
                 ) : (
                   <motion.div
@@ -164,26 +241,34 @@ import React, { useState, useEffect, useRef } from 'react';
                           </Button>
                         </div>
                         <CardDescription>
-                          {selectedCategory.pricePerKg > 0 ? `Preis: ${selectedCategory.pricePerKg.toFixed(2)} €/kg` : 'Preis auf Anfrage'}
+                          {selectedCategory.pricePerKg > 0 ? `Preis: ${selectedCategory.pricePerKg.toFixed(2)} €/${selectedCategory.isPerPiece ? 'Stk.' : 'kg'}` : 'Preis auf Anfrage'}
                         </CardDescription>
                       </CardHeader>
                       <CardContent className="space-y-6">
                         {!selectedCategory.requiresContact && (
                           <div>
-                            <Label htmlFor="weight" className="font-semibold text-lg flex items-center">
-                              <Weight className="mr-2 h-5 w-5 text-muted-foreground" />
-                              Gewicht in kg* (z.B. 2.5)
+                            <Label htmlFor="amount" className="font-semibold text-lg flex items-center">
+                              {selectedCategory.isPerPiece ? (
+                                <><Hash className="mr-2 h-5 w-5 text-muted-foreground" />Anzahl in Stück* (z.B. 12)</>
+                              ) : (
+                                <><Weight className="mr-2 h-5 w-5 text-muted-foreground" />Gewicht in kg* (z.B. 2.5)</>
+                              )}
                             </Label>
                             <Input
-                              ref={weightInputRef}
-                              id="weight"
+                              ref={amountInputRef}
+                              id="amount"
                               type="text"
-                              inputMode="decimal"
-                              value={currentWeight}
-                              onChange={handleWeightChange}
-                              placeholder="z.B. 2.5"
+                              inputMode={selectedCategory.isPerPiece ? 'numeric' : 'decimal'}
+                              value={currentAmount}
+                              onChange={handleAmountChange}
+                              placeholder={selectedCategory.isPerPiece ? 'z.B. 12' : 'z.B. 2.5'}
                               className="text-xl py-6 mt-2"
                             />
+                            {selectedCategory.isPerPiece && selectedCategory.estimatedWeightPerPiece > 0 && currentAmount && (
+                              <p className="text-sm text-muted-foreground mt-2">
+                                Geschätztes Gewicht: ca. {getEstimatedWeight(currentAmount, selectedCategory.estimatedWeightPerPiece).toFixed(2)} kg (zählt für Versand und Abholung)
+                              </p>
+                            )}
                           </div>
                         )}
                         {selectedCategory.requiresContact && (
@@ -219,6 +304,7 @@ import React, { useState, useEffect, useRef } from 'react';
                   totalPrice={totalPrice}
                   onRemoveItem={removeItemFromCart}
                   onUpdateItemWeight={handleCartItemWeightChange}
+                  onUpdateItemQuantity={handleCartItemQuantityChange}
                 />
               </div>
             </div>
@@ -2,7 +2,7 @@ import React, { useEffect, useState, useCallback } from 'react';
     import { useLocation, Link } from 'react-router-dom';
     import { Button } from '@/components/ui/button';
     import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
-    import { CheckCircle, AlertTriangle, Home, Loader2 } from 'lucide-react';
+    import { CheckCircle, AlertTriangle, Home, Loader2, CalendarPlus } from 'lucide-react';
     import { motion } from 'framer-motion';
     import BegleitscheinSection from '@/components/confirmation/BegleitscheinSection';
     import ReturnLabelSection from '@/components/confirmation/ReturnLabelSection';
@@ -10,6 +10,14 @@ import React, { useEffect, useState, useCallback } from 'react';
     import { QRCodeCanvas } from 'qrcode.react';
     import { usePdfUpload } from '@/hooks/usePdfUpload.js'; // Explicitly use .jsx
     import { logAdminEvent } from '@/lib/utils';
+    import { getConfirmationCalendarFile } from '@/lib/calendarEvents';
+    import { downloadTextFile } from '@/lib/payouts';
+
+    // Aus dem Formular kommt die Anzahl als String ("0" = gesondert angefragt), aus alten Daten evtl. gar nicht.
+    const getNumberOfLabels = (confirmationData) => {
+      const numberOfLabels = parseInt(confirmationData.numberOfLabels, 10);
+      return Number.isNaN(numberOfLabels) ? 1 : numberOfLabels;
+    };
 
     const ConfirmationPage = () => {
       const location = useLocation();
@@ -162,6 +170,7 @@ import React, { useEffect, useState, useCallback } from 'react';
         );
       }
 
+      const calendarFile = getConfirmationCalendarFile(confirmationData, ankaufsNummer);
 
       return (
         <div className="container mx-auto px-4 py-12">
@@ -187,6 +196,14 @@ import React, { useEffect, useState, useCallback } from 'react';
                   hasExistingLabel={hasExistingLabel}
                 />
 
+                {calendarFile && (
+                  <div className="text-center">
+                    <Button variant="outline" onClick={() => downloadTextFile(calendarFile.content, calendarFile.fileName, 'text/calendar')}>
+                      <CalendarPlus className="mr-2 h-4 w-4" /> Termin in den Kalender eintragen (.ics)
+                    </Button>
+                  </div>
+                )}
+
                 <BegleitscheinSection 
                   submissionData={{...confirmationData, ankaufsNummer: ankaufsNummer}}
                   autoOpenPdf={true} 
@@ -197,7 +214,7 @@ import React, { useEffect, useState, useCallback } from 'react';
                   <ReturnLabelSection 
                     submissionData={{...confirmationData, ankaufsNummer: ankaufsNummer, ankaufRequestId: ankaufRequestId}}
                     onLabelStatusChange={handleLabelStatusChange}
-                    numberOfLabelsToCreate={confirmationData.numberOfLabels || 1}
+                    numberOfLabelsToCreate={getNumberOfLabels(confirmationData)}
                   />
                 )}
 
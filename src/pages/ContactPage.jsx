@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-    import { useLocation } from 'react-router-dom';
+    import { useLocation, Link } from 'react-router-dom';
     import { Card, CardContent, CardHeader, CardTitle, CardDescription, CardFooter } from '@/components/ui/card';
     import { Button } from '@/components/ui/button';
     import { Input } from '@/components/ui/input';
@@ -8,19 +8,24 @@ import React, { useState, useEffect } from 'react';
     import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
     import { useToast } from '@/components/ui/use-toast';
     import { motion } from 'framer-motion';
-    import { Mail, User, Building, Briefcase as BriefcaseIcon, MessageSquare, Send, Phone, HelpCircle, ShoppingBag, Settings, MessageCircle as MessageCircleQuestion } from 'lucide-react';
+    import { Mail, User, Building, Briefcase as BriefcaseIcon, MessageSquare, Send, Phone, HelpCircle, ShoppingBag, Settings, MessageCircle as MessageCircleQuestion, AlertTriangle } from 'lucide-react';
+    import { getAnkaufsNummerError, normalizeAnkaufsNummer } from '@/lib/ankaufsNummer';
 
-    const GeneralContactForm = ({ onSubmit, initialSubject }) => {
+    const EXISTING_ANKAUF_SUBJECT = "Frage zu einer bestehenden Ankaufsnummer";
+
+    const GeneralContactForm = ({ onSubmit, initialSubject, initialAnkaufsNummer }) => {
       const [formData, setFormData] = useState({
         name: '',
         email: '',
         subject: initialSubject || '',
+        ankaufsNummer: initialAnkaufsNummer || '',
         message: '',
       });
+      const [ankaufsNummerError, setAnkaufsNummerError] = useState(null);
 
       useEffect(() => {
-        setFormData(prev => ({ ...prev, subject: initialSubject || '' }));
-      }, [initialSubject]);
+        setFormData(prev => ({ ...prev, subject: initialSubject || '', ankaufsNummer: initialAnkaufsNummer || prev.ankaufsNummer }));
+      }, [initialSubject, initialAnkaufsNummer]);
 
       const handleChange = (e) => {
         setFormData({ ...formData, [e.target.name]: e.target.value });
@@ -32,13 +37,21 @@ import React, { useState, useEffect } from 'react';
 
       const handleSubmit = (e) => {
         e.preventDefault();
-        onSubmit(formData, 'general');
+        if (formData.subject === EXISTING_ANKAUF_SUBJECT) {
+          const error = getAnkaufsNummerError(formData.ankaufsNummer);
+          setAnkaufsNummerError(error);
+          if (error) return;
+          onSubmit({ ...formData, ankaufsNummer: normalizeAnkaufsNummer(formData.ankaufsNummer) }, 'general');
+          return;
+        }
+        const { ankaufsNummer, ...generalData } = formData;
+        onSubmit(generalData, 'general');
       };
 
       const subjectOptions = [
         { value: "Allgemeine Anfrage", label: "Allgemeine Anfrage", icon: <HelpCircle className="mr-2 h-4 w-4" /> },
         { value: "Frage zum Ankaufsprozess", label: "Frage zum Ankaufsprozess", icon: <ShoppingBag className="mr-2 h-4 w-4" /> },
-        { value: "Frage zu einer bestehenden Ankaufsnummer", label: "Frage zu einer bestehenden Ankaufsnummer", icon: <MessageCircleQuestion className="mr-2 h-4 w-4" /> },
+        { value: EXISTING_ANKAUF_SUBJECT, label: EXISTING_ANKAUF_SUBJECT, icon: <MessageCircleQuestion className="mr-2 h-4 w-4" /> },
         { value: "Problem mit der Webseite", label: "Problem mit der Webseite", icon: <Settings className="mr-2 h-4 w-4" /> },
         { value: "Feedback & Verbesserungsvorschläge", label: "Feedback & Verbesserungsvorschläge", icon: <MessageSquare className="mr-2 h-4 w-4" /> },
         { value: "Sonstiges", label: "Sonstiges", icon: <MessageSquare className="mr-2 h-4 w-4" /> },
@@ -72,6 +85,32 @@ import React, { useState, useEffect } from 'react';
               </SelectContent>
             </Select>
           </div>
+          {formData.subject === EXISTING_ANKAUF_SUBJECT && (
+            <div>
+              <Label htmlFor="ankaufsNummer" className="text-base">Ankaufsnummer*</Label>
+              <Input
+                id="ankaufsNummer"
+                name="ankaufsNummer"
+                value={formData.ankaufsNummer}
+                onChange={(e) => { handleChange(e); setAnkaufsNummerError(null); }}
+                onBlur={() => formData.ankaufsNummer.trim() && setAnkaufsNummerError(getAnkaufsNummerError(formData.ankaufsNummer))}
+                placeholder="z.B. BR-2026-00042-5"
+                autoComplete="off"
+                required
+                className="mt-1 font-mono"
+              />
+              {ankaufsNummerError && (
+                <p className="mt-1 text-sm text-destructive flex items-center">
+                  <AlertTriangle className="mr-1 h-4 w-4 flex-shrink-0" /> {ankaufsNummerError}
+                </p>
+              )}
+            </div>
+          )}
+          {formData.subject === EXISTING_ANKAUF_SUBJECT && (
+            <p className="text-sm text-muted-foreground p-3 bg-sky-50 dark:bg-sky-900/30 border border-sky-200 dark:border-sky-800 rounded-md">
+              Tipp: Den aktuellen Stand Ihres Ankaufs, den Endbetrag und Ihre Dokumente sehen Sie jederzeit auf der <Link to="/status" className="text-primary font-medium hover:underline">Statusseite</Link>.
+            </p>
+          )}
           {formData.subject === "Sonstiges" && (
              <div>
                 <Label htmlFor="subjectCustom" className="text-base">Eigener Betreff*</Label>
@@ -157,6 +196,7 @@ import React, { useState, useEffect } from 'react';
       const location = useLocation();
       const [showBusinessForm, setShowBusinessForm] = useState(false);
       const [initialSubject, setInitialSubject] = useState('');
+      const [initialAnkaufsNummer, setInitialAnkaufsNummer] = useState('');
 
       useEffect(() => {
         const params = new URLSearchParams(location.search);
@@ -166,6 +206,7 @@ import React, { useState, useEffect } from 'react';
           setShowBusinessForm(false);
         }
         setInitialSubject(params.get('subject') || '');
+        setInitialAnkaufsNummer(params.get('nummer') || '');
         window.scrollTo(0, 0);
       }, [location.search]);
 
@@ -209,7 +250,7 @@ import React, { useState, useEffect } from 'react';
               {showBusinessForm ? (
                 <BusinessContactForm onSubmit={handleSubmit} />
               ) : (
-                <GeneralContactForm onSubmit={handleSubmit} initialSubject={initialSubject} />
+                <GeneralContactForm onSubmit={handleSubmit} initialSubject={initialSubject} initialAnkaufsNummer={initialAnkaufsNummer} />
               )}
             </CardContent>
             <CardFooter className="flex flex-col items-center p-6 bg-slate-50 dark:bg-slate-800/60 rounded-b-lg">
@@ -3,12 +3,15 @@ import React from 'react';
     import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
     import { motion } from 'framer-motion';
     import { Link } from 'react-router-dom';
+    import { DEPOT_LOCATION } from '@/lib/depotLocation';
+    import { usePickupServiceAreas } from '@/hooks/usePickupServiceAreas';
+    import { describePickupServiceAreas, describePickupMinWeight } from '@/lib/pickupServiceAreas';
 
     const LocationPage = () => {
-      const address = "Triftstr. 21B, 16348 Wandlitz OT Klosterfelde";
-      // Korrekte Koordinaten für Triftstr. 21B, 16348 Wandlitz OT Klosterfelde
-      const lat = 52.79001; 
-      const lon = 13.46005; 
+      const { address, lat, lon } = DEPOT_LOCATION;
+      const { areas: pickupAreas } = usePickupServiceAreas();
+      const pickupMinWeight = describePickupMinWeight(pickupAreas);
+      const pickupAreasText = describePickupServiceAreas(pickupAreas);
       const zoomLevel = 17; 
       
       const mapUrl = `https://www.openstreetmap.org/export/embed.html?bbox=${lon-0.002},${lat-0.001},${lon+0.002},${lat+0.001}&layer=mapnik&marker=${lat},${lon}`;
@@ -134,7 +137,8 @@ import React from 'react';
                   </CardHeader>
                   <CardContent>
                     <p className="text-muted-foreground">
-                      Im Umkreis von ca. <strong>30 km um Klosterfelde</strong> (z.B. Bernau, Oranienburg, Teile von Berlin-Nord) holen wir größere Mengen (ab 15kg) nach Absprache gerne persönlich bei dir ab.
+                      Im Umkreis von ca. <strong>30 km um Klosterfelde</strong> (z.B. Bernau, Oranienburg, Teile von Berlin-Nord) holen wir größere Mengen{pickupMinWeight ? ` (ab ${pickupMinWeight})` : ''} nach Absprache gerne persönlich bei dir ab.
+                      {pickupAreasText && <span className="block mt-2 text-sm">Abholgebiet: {pickupAreasText}</span>}
                     </p>
                     <div className="mt-4 p-3 bg-blue-50 dark:bg-blue-900/30 border border-blue-200 dark:border-blue-700 rounded-md">
                       <p className="text-sm text-blue-700 dark:text-blue-300">
@@ -0,0 +1,224 @@
+import React, { useState } from 'react';
+    import { useLocation, Link } from 'react-router-dom';
+    import { Button } from '@/components/ui/button';
+    import { Input } from '@/components/ui/input';
+    import { Label } from '@/components/ui/label';
+    import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+    import { PackageSearch, Loader2, CheckCircle2, Circle, CircleDot, XCircle, FileText, Download, AlertTriangle } from 'lucide-react';
+    import { motion } from 'framer-motion';
+    import { fetchAnkaufStatus, buildTrackingTimeline, getTrackingHint } from '@/lib/ankaufTracking';
+    import { getStatusLabel, getStatusBadgeClass } from '@/lib/ankaufStatus';
+    import { getDeliveryTypeGerman } from '@/lib/ankaufRequestsAdmin';
+    import { getAnkaufsNummerError } from '@/lib/ankaufsNummer';
+    import { getTrackingStatusLabel } from '@/lib/shippingCarrier';
+
+    const formatDateTime = (value) => new Date(value).toLocaleString('de-DE', {
+      day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+
+    const TIMELINE_ICONS = {
+      done: <CheckCircle2 className="h-6 w-6 text-emerald-500" />,
+      current: <CircleDot className="h-6 w-6 text-primary" />,
+      upcoming: <Circle className="h-6 w-6 text-slate-300 dark:text-slate-600" />,
+      stopped: <XCircle className="h-6 w-6 text-red-500" />,
+    };
+
+    const OrderStatusPage = () => {
+      const location = useLocation();
+      const [ankaufsNummer, setAnkaufsNummer] = useState(() => new URLSearchParams(location.search).get('nummer') || '');
+      const [verification, setVerification] = useState('');
+      const [isLoading, setIsLoading] = useState(false);
+      const [ankauf, setAnkauf] = useState(null);
+      const [lookupError, setLookupError] = useState(null);
+
+      const handleSubmit = async (e) => {
+        e.preventDefault();
+        setAnkauf(null);
+        // Tippfehler gar nicht erst abfragen, sie zählen sonst gegen das Abfragelimit.
+        const nummerError = getAnkaufsNummerError(ankaufsNummer);
+        if (nummerError) {
+          setLookupError(nummerError);
+          return;
+        }
+        setIsLoading(true);
+        setLookupError(null);
+        try {
+          const result = await fetchAnkaufStatus(ankaufsNummer, verification);
+          if (result) {
+            setAnkauf(result);
+          } else {
+            setLookupError('Wir konnten keinen Ankauf zu diesen Angaben finden. Bitte prüfe die Ankaufsnummer und die E-Mail-Adresse bzw. PLZ aus deinem Ankaufsformular.');
+          }
+        } catch (error) {
+          setLookupError(error.message);
+        } finally {
+          setIsLoading(false);
+        }
+      };
+
+      const timeline = ankauf ? buildTrackingTimeline(ankauf) : [];
+      const hint = ankauf ? getTrackingHint(ankauf) : null;
+      const hasFinalPrice = ankauf && ankauf.final_price !== null && ankauf.final_price !== undefined;
+      const labelUrls = (ankauf?.shipments || []).map(shipment => shipment.label_url).filter(Boolean);
+
+      return (
+        <div className="container mx-auto px-4 py-12">
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+            className="max-w-2xl mx-auto space-y-8"
+          >
+            <Card className="shadow-xl">
+              <CardHeader>
+                <CardTitle className="text-3xl text-primary flex items-center">
+                  <PackageSearch className="mr-3 h-8 w-8" /> Status deines Ankaufs
+                </CardTitle>
+                <CardDescription>
+                  Gib deine Ankaufsnummer (steht auf dem Begleitschein und in der Bestätigungs-E-Mail) und die E-Mail-Adresse oder PLZ aus dem Ankaufsformular ein.
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                  <div>
+                    <Label htmlFor="ankaufsNummer">Ankaufsnummer*</Label>
+                    <Input
+                      id="ankaufsNummer"
+                      value={ankaufsNummer}
+                      onChange={(e) => setAnkaufsNummer(e.target.value)}
+                      placeholder="z.B. BR-2026-00042-5"
+                      autoComplete="off"
+                      required
+                      className="mt-1 font-mono"
+                    />
+                  </div>
+                  <div>
+                    <Label htmlFor="verification">E-Mail-Adresse oder PLZ*</Label>
+                    <Input
+                      id="verification"
+                      value={verification}
+                      onChange={(e) => setVerification(e.target.value)}
+                      placeholder="z.B. max@beispiel.de oder 16348"
+                      autoComplete="email"
+                      required
+                      className="mt-1"
+                    />
+                  </div>
+                  <Button type="submit" disabled={isLoading || !ankaufsNummer.trim() || !verification.trim()} className="w-full text-lg py-6">
+                    {isLoading ? <Loader2 className="mr-2 h-5 w-5 animate-spin" /> : <PackageSearch className="mr-2 h-5 w-5" />}
+                    Status abrufen
+                  </Button>
+                </form>
+                {lookupError && (
+                  <div className="mt-4 flex items-start p-3 bg-amber-50 dark:bg-amber-900/30 border border-amber-300 dark:border-amber-700 rounded-md text-amber-700 dark:text-amber-300 text-sm">
+                    <AlertTriangle className="h-5 w-5 mr-2 mt-0.5 flex-shrink-0" />
+                    <p>{lookupError}</p>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+
+            {ankauf && (
+              <Card className="shadow-xl">
+                <CardHeader>
+                  <div className="flex justify-between items-start gap-4 flex-wrap">
+                    <div>
+                      <CardTitle className="text-2xl font-mono">{ankauf.ankaufs_nummer}</CardTitle>
+                      <CardDescription>
+                        {getDeliveryTypeGerman(ankauf.delivery_type)} · abgeschickt am {formatDateTime(ankauf.submission_date)}
+                      </CardDescription>
+                    </div>
+                    <span className={`px-3 py-1 inline-flex text-sm font-semibold rounded-full ${getStatusBadgeClass(ankauf.status)}`}>
+                      {getStatusLabel(ankauf.status)}
+                    </span>
+                  </div>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                  <ol className="space-y-4">
+                    {timeline.map(step => (
+                      <li key={step.key} className="flex items-start gap-3">
+                        <span className="flex-shrink-0">{TIMELINE_ICONS[step.state]}</span>
+                        <div>
+                          <p className={step.state === 'upcoming' ? 'text-muted-foreground' : 'font-medium text-foreground'}>{step.label}</p>
+                          {step.date && step.state !== 'upcoming' && (
+                            <p className="text-xs text-muted-foreground">{formatDateTime(step.date)}</p>
+                          )}
+                        </div>
+                      </li>
+                    ))}
+                  </ol>
+                  {hint && <p className="text-sm text-muted-foreground border-l-4 border-primary/40 pl-3">{hint}</p>}
+                  {ankauf.delivery_type === 'versand' && ankauf.number_of_labels > 1 && (
+                    <p className="text-sm text-muted-foreground">
+                      Eingegangene Pakete: {ankauf.parcels_received} von {ankauf.number_of_labels}
+                    </p>
+                  )}
+                  {(ankauf.shipments || []).length > 0 && (
+                    <div className="space-y-1 text-sm">
+                      <h4 className="font-semibold">Sendungsverfolgung</h4>
+                      <ul className="space-y-1">
+                        {ankauf.shipments.map(shipment => (
+                          <li key={shipment.label_index} className="flex flex-wrap justify-between gap-2">
+                            <span className="font-mono">{shipment.tracking_number || shipment.reference}</span>
+                            <span className="text-muted-foreground">
+                              {getTrackingStatusLabel(shipment.tracking_status)} · {formatDateTime(shipment.status_changed_at)}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  <div className="grid grid-cols-2 gap-2 text-sm border-t pt-4">
+                    <span className="text-muted-foreground">Geschätzter Betrag</span>
+                    <span className={`text-right ${hasFinalPrice ? 'line-through text-muted-foreground' : 'font-semibold'}`}>
+                      {parseFloat(ankauf.total_price || 0).toFixed(2)} € ({parseFloat(ankauf.total_weight || 0).toFixed(2)} kg)
+                    </span>
+                    {hasFinalPrice && (
+                      <>
+                        <span className="font-medium">Endbetrag nach Prüfung</span>
+                        <span className="text-right font-semibold text-primary">
+                          {parseFloat(ankauf.final_price).toFixed(2)} € ({parseFloat(ankauf.final_weight || 0).toFixed(2)} kg)
+                        </span>
+                      </>
+                    )}
+                  </div>
+
+                  {(ankauf.pdf_url || labelUrls.length > 0) && (
+                    <div className="space-y-2 border-t pt-4">
+                      <h4 className="font-semibold">Dokumente</h4>
+                      <div className="flex flex-wrap gap-2">
+                        {ankauf.pdf_url && (
+                          <Button asChild variant="outline" size="sm">
+                            <a href={ankauf.pdf_url} target="_blank" rel="noopener noreferrer"><FileText className="mr-2 h-4 w-4" /> Begleitschein</a>
+                          </Button>
+                        )}
+                        {labelUrls.map((url, index) => (
+                          <Button key={url} asChild variant="outline" size="sm">
+                            <a href={url} target="_blank" rel="noopener noreferrer">
+                              <Download className="mr-2 h-4 w-4" /> Versandlabel{labelUrls.length > 1 ? ` ${index + 1}` : ''}
+                            </a>
+                          </Button>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {!ankauf.documents_available && (
+                    <p className="text-sm text-muted-foreground border-t pt-4">
+                      Begleitschein und Versandlabels zeigen wir nur, wenn du den Status mit deiner E-Mail-Adresse abfragst.
+                    </p>
+                  )}
+
+                  <p className="text-sm text-muted-foreground">
+                    Noch Fragen? <Link to={`/kontakt?subject=Frage zu einer bestehenden Ankaufsnummer&nummer=${encodeURIComponent(ankauf.ankaufs_nummer)}`} className="text-primary hover:underline">Schreib uns</Link>, deine Ankaufsnummer ist dann schon eingetragen.
+                  </p>
+                </CardContent>
+              </Card>
+            )}
+          </motion.div>
+        </div>
+      );
+    };
+
+    export default OrderStatusPage;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
     import { useNavigate } from 'react-router-dom';
     import { Button } from '@/components/ui/button';
     import { useToast } from '@/components/ui/use-toast';
@@ -10,6 +10,8 @@ import React, { useState, useEffect, useCallback } from 'react';
     import DeliveryPaymentConfirmationSection from '@/components/purchaseform/DeliveryPaymentConfirmationSection';
     import FormSteps from '@/components/purchaseform/FormSteps';
     import PurchaseFormSummary from '@/components/purchaseform/PurchaseFormSummary';
+    import CartPriceChangeNotice from '@/components/calculator/CartPriceChangeNotice';
+    import CartRestoreNotice from '@/components/calculator/CartRestoreNotice';
     
     import { usePurchaseForm } from '@/hooks/usePurchaseForm';
     import { validateStep1Logic, validateStep2Logic } from '@/lib/purchaseFormValidators';
@@ -17,12 +19,33 @@ import React, { useState, useEffect, useCallback } from 'react';
 
     const TOTAL_STEPS = 3;
 
+    const SUBMISSION_ERROR_TITLES = {
+      invalid_customer: 'Validierungsfehler',
+      empty_cart: 'Warenkorb ist leer',
+      price_changed: 'Preise haben sich geändert',
+      invalid_delivery_type: 'Validierungsfehler',
+      missing_consent: 'Validierungsfehler',
+      missing_payout: 'Validierungsfehler',
+      invalid_input: 'Validierungsfehler',
+      pickup_area_unavailable: 'Keine Abholung möglich',
+      pickup_min_weight: 'Keine Abholung möglich',
+      pickup_day_required: 'Validierungsfehler',
+      pickup_day_full: 'Abholtag ausgebucht',
+      self_delivery_slot_required: 'Validierungsfehler',
+      self_delivery_slot_full: 'Zeitfenster ausgebucht',
+      self_delivery_holiday: 'Feiertag',
+      network: 'Keine Verbindung',
+    };
+
     const PurchaseFormPage = () => {
-      const { cartItems, totalWeight, totalPrice, clearCart } = useCart();
+      const { cartItems, totalWeight, totalPrice, clearCart, checkCartPrices } = useCart();
       const navigate = useNavigate();
       const { toast } = useToast();
       const [currentStep, setCurrentStep] = useState(1);
       const [isLoading, setIsLoading] = useState(false);
+      // Ein Schlüssel pro Formular: Doppelklicks und Wiederholungen legen keinen zweiten Ankauf an.
+      const idempotencyKeyRef = useRef(crypto.randomUUID());
+      const isSubmittingRef = useRef(false);
 
       const {
         formData,
@@ -32,6 +55,7 @@ import React, { useState, useEffect, useCallback } from 'react';
         handleSelectChange,
         handleNestedChange,
         checkZipEligibility,
+        suggestNumberOfLabels,
       } = usePurchaseForm();
 
       useEffect(() => {
@@ -55,6 +79,10 @@ import React, { useState, useEffect, useCallback } from 'react';
         }
       }, [formData.zip, checkZipEligibility]);
 
+      useEffect(() => {
+        suggestNumberOfLabels(totalWeight);
+      }, [totalWeight, suggestNumberOfLabels]);
+
       const validateStep1 = useCallback(() => {
         return validateStep1Logic(formData);
       }, [formData]);
@@ -80,25 +108,50 @@ import React, { useState, useEffect, useCallback } from 'react';
       };
 
       const onFinalSubmit = async () => {
+        if (isSubmittingRef.current) return;
         const errorStep2 = validateStep2();
         if (errorStep2) {
           toast({ title: 'Validierungsfehler', description: errorStep2, variant: 'destructive' });
           return;
         }
         
+        isSubmittingRef.current = true;
         setIsLoading(true);
         try {
+          // Eine geplante Preisänderung kann zwischen Berechnung und Absenden wirksam geworden sein.
+          const priceChanges = await checkCartPrices();
+          if (priceChanges.length > 0) {
+            toast({
+              title: 'Preise haben sich geändert',
+              description: 'Bitte prüfe die aktualisierten Ankaufspreise in der Übersicht und übernimm sie, bevor du absendest.',
+              variant: 'warning',
+              duration: 9000,
+            });
+            return;
+          }
+
           const submissionData = {
             ...formData,
             cartItems,
             totalWeight,
             totalPrice,
+            // Dieselbe Zone wie in insert_ankauf_delivery_record; die Gebühr wird bei der Prüfung abgezogen.
+            pickupFee: formData.deliveryType === 'abholung' ? zipEligibility.area?.pickup_fee || 0 : 0,
           };
           
-          const { success, error, ankaufsNummer, ankaufRequestId } = await handleSubmitPurchaseToSupabase(submissionData, cartItems, totalWeight, totalPrice);
+          const { success, error, errorCode, ankaufsNummer, ankaufRequestId, selfDeliveryToken, submissionDate, numberOfLabels } = await handleSubmitPurchaseToSupabase(
+            submissionData, cartItems, totalWeight, totalPrice, idempotencyKeyRef.current
+          );
 
           if (!success) {
-            throw new Error(error || 'Ein unbekannter Fehler ist aufgetreten.');
+            if (errorCode === 'price_changed') await checkCartPrices();
+            toast({
+              title: SUBMISSION_ERROR_TITLES[errorCode] || 'Fehler beim Absenden',
+              description: error,
+              variant: 'destructive',
+              duration: 9000,
+            });
+            return;
           }
           
           const toastMessage = `Deine Ankaufsnummer lautet: ${ankaufsNummer}. Du wirst nun zur Bestätigungsseite weitergeleitet, wo du deinen Begleitschein und ggf. Versandlabels herunterladen kannst.`;
@@ -116,7 +169,9 @@ import React, { useState, useEffect, useCallback } from 'react';
               ...submissionData, 
               ankaufsNummer, 
               ankaufRequestId, 
-              submissionDate: new Date().toISOString() 
+              selfDeliveryToken,
+              submissionDate,
+              numberOfLabels,
             }
           };
           
@@ -131,6 +186,7 @@ import React, { useState, useEffect, useCallback } from 'react';
             variant: 'destructive',
           });
         } finally {
+          isSubmittingRef.current = false;
           setIsLoading(false);
         }
       };
@@ -192,6 +248,7 @@ import React, { useState, useEffect, useCallback } from 'react';
                         handleNestedChange={handleNestedChange}
                         totalWeight={totalWeight}
                         zipEligibility={zipEligibility}
+                        holdToken={idempotencyKeyRef.current}
                       />
                     )}
                   </motion.div>
@@ -214,7 +271,9 @@ import React, { useState, useEffect, useCallback } from 'react';
                 </div>
               </div>
 
-              <div className="lg:col-span-1 sticky top-24">
+              <div className="lg:col-span-1 sticky top-24 space-y-4">
+                <CartRestoreNotice />
+                <CartPriceChangeNotice />
                 <PurchaseFormSummary
                   cartItems={cartItems}
                   totalWeight={totalWeight}
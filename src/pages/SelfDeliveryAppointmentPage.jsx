@@ -0,0 +1,207 @@
+import React, { useEffect, useState } from 'react';
+    import { useParams, Link } from 'react-router-dom';
+    import { Button } from '@/components/ui/button';
+    import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+    import {
+      AlertDialog,
+      AlertDialogAction,
+      AlertDialogCancel,
+      AlertDialogContent,
+      AlertDialogDescription,
+      AlertDialogFooter,
+      AlertDialogHeader,
+      AlertDialogTitle,
+    } from '@/components/ui/alert-dialog';
+    import { AlertTriangle, Loader2, CalendarX, CalendarClock, CalendarPlus } from 'lucide-react';
+    import { motion } from 'framer-motion';
+    import { useToast } from '@/components/ui/use-toast';
+    import SelfDeliverySlotPicker from '@/components/purchaseform/SelfDeliverySlotPicker';
+    import {
+      fetchSelfDeliveryAppointment,
+      rescheduleSelfDeliveryAppointment,
+      cancelSelfDeliveryAppointment,
+    } from '@/lib/selfDeliverySlots';
+    import { getSelfDeliveryCalendarContent, sendSelfDeliveryAppointmentUpdate } from '@/lib/appointmentNotifications';
+    import { downloadTextFile } from '@/lib/payouts';
+    import { DEPOT_LOCATION } from '@/lib/depotLocation';
+
+    const formatDate = (value) =>
+      new Date(`${value}T12:00:00`).toLocaleDateString('de-DE', { weekday: 'long', day: '2-digit', month: 'long', year: 'numeric' });
+
+    const SelfDeliveryAppointmentPage = () => {
+      const { token } = useParams();
+      const { toast } = useToast();
+      const [appointment, setAppointment] = useState(null);
+      const [isLoading, setIsLoading] = useState(true);
+      const [error, setError] = useState(null);
+      const [isCancelling, setIsCancelling] = useState(false);
+      const [showCancelDialog, setShowCancelDialog] = useState(false);
+
+      useEffect(() => {
+        const loadAppointment = async () => {
+          setIsLoading(true);
+          setError(null);
+          try {
+            const data = await fetchSelfDeliveryAppointment(token);
+            if (!data) {
+              setError('Dieser Link ist ungültig. Bitte nutze den Link aus deiner Bestätigungs-E-Mail.');
+            } else {
+              setAppointment(data);
+            }
+          } catch (loadError) {
+            setError(loadError.message);
+          } finally {
+            setIsLoading(false);
+          }
+        };
+        loadAppointment();
+      }, [token]);
+
+      // Geänderter Kalendereintrag per E-Mail; schlägt das fehl, bleibt der Download auf dieser Seite.
+      const notifyCustomer = async (updatedAppointment) => {
+        try {
+          await sendSelfDeliveryAppointmentUpdate(updatedAppointment, token);
+        } catch (notifyError) {
+          toast({ title: 'Keine E-Mail versandt', description: notifyError.message, variant: 'warning', duration: 9000 });
+        }
+      };
+
+      const handleDownloadCalendar = () => {
+        downloadTextFile(getSelfDeliveryCalendarContent(appointment, token), `Termin-${appointment.ankaufs_nummer}.ics`, 'text/calendar');
+      };
+
+      const handleReschedule = async (slot) => {
+        try {
+          const updatedAppointment = await rescheduleSelfDeliveryAppointment(token, slot.delivery_date, slot.slot_start);
+          setAppointment(updatedAppointment);
+          toast({
+            title: 'Termin geändert',
+            description: `Wir erwarten dich am ${formatDate(slot.delivery_date)}, ${slot.time_slot} Uhr.`,
+            variant: 'success',
+          });
+          notifyCustomer(updatedAppointment);
+          return true;
+        } catch (rescheduleError) {
+          toast({ title: 'Termin nicht geändert', description: rescheduleError.message, variant: 'destructive' });
+          return false;
+        }
+      };
+
+      const handleCancel = async () => {
+        setShowCancelDialog(false);
+        setIsCancelling(true);
+        try {
+          const updatedAppointment = await cancelSelfDeliveryAppointment(token);
+          setAppointment(updatedAppointment);
+          toast({ title: 'Termin abgesagt', description: 'Du kannst hier jederzeit einen neuen Termin wählen.', variant: 'success' });
+          notifyCustomer(updatedAppointment);
+        } catch (cancelError) {
+          toast({ title: 'Fehler', description: cancelError.message, variant: 'destructive' });
+        } finally {
+          setIsCancelling(false);
+        }
+      };
+
+      if (isLoading) {
+        return (
+          <div className="container mx-auto px-4 py-12 flex justify-center items-center min-h-[calc(100vh-10rem)]">
+            <Loader2 className="h-12 w-12 animate-spin text-primary" />
+          </div>
+        );
+      }
+
+      if (error) {
+        return (
+          <div className="container mx-auto px-4 py-12 text-center">
+            <AlertTriangle className="mx-auto h-16 w-16 text-destructive mb-6" />
+            <h1 className="text-3xl font-bold text-destructive mb-4">Termin nicht gefunden</h1>
+            <p className="text-muted-foreground text-lg mb-8">{error}</p>
+            <Button asChild size="lg" className="bg-primary hover:bg-primary/90 text-lg py-3 px-6">
+              <Link to="/kontakt">Kontakt aufnehmen</Link>
+            </Button>
+          </div>
+        );
+      }
+
+      const isCancelled = appointment.status === 'cancelled';
+
+      return (
+        <div className="container mx-auto px-4 py-12">
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+          >
+            <Card className="max-w-2xl mx-auto shadow-xl">
+              <CardHeader>
+                <CardTitle className="text-2xl text-primary flex items-center">
+                  <CalendarClock className="mr-3 h-6 w-6" /> Dein Anliefertermin
+                </CardTitle>
+                <CardDescription>
+                  Ankauf <span className="font-mono">{appointment.ankaufs_nummer}</span> · {DEPOT_LOCATION.address}
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-6">
+                <div className={`p-4 rounded-lg border ${isCancelled ? 'bg-slate-50 border-slate-200' : 'bg-emerald-50 border-emerald-200'}`}>
+                  {isCancelled ? (
+                    <p className="text-slate-700">Dein Termin ist abgesagt. Wähle unten einen neuen Termin, wenn du die Ware doch vorbeibringen möchtest.</p>
+                  ) : (
+                    <p className="text-emerald-800">
+                      <strong>{formatDate(appointment.delivery_date)}</strong>, {appointment.time_slot} Uhr
+                    </p>
+                  )}
+                  <Button variant="outline" size="sm" onClick={handleDownloadCalendar} className="mt-3">
+                    <CalendarPlus className="mr-2 h-4 w-4" /> {isCancelled ? 'Absage für den Kalender (.ics)' : 'Kalendereintrag (.ics)'}
+                  </Button>
+                </div>
+
+                {appointment.can_change ? (
+                  <>
+                    <div>
+                      <h2 className="text-lg font-semibold mb-3">{isCancelled ? 'Neuen Termin wählen' : 'Termin verschieben'}</h2>
+                      <SelfDeliverySlotPicker
+                        holdToken={token}
+                        selectedDate={isCancelled ? null : appointment.delivery_date}
+                        selectedSlotStart={isCancelled ? null : appointment.slot_start}
+                        onSelect={handleReschedule}
+                        disabled={isCancelling}
+                      />
+                    </div>
+                    {!isCancelled && (
+                      <div className="pt-4 border-t">
+                        <Button variant="outline" onClick={() => setShowCancelDialog(true)} disabled={isCancelling} className="text-destructive">
+                          {isCancelling ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <CalendarX className="mr-2 h-4 w-4" />}
+                          Termin absagen
+                        </Button>
+                      </div>
+                    )}
+                  </>
+                ) : (
+                  <p className="text-muted-foreground">
+                    Dieser Termin kann online nicht mehr geändert werden, weil er bereits begonnen hat oder dein Ankauf schon bearbeitet wird.
+                    Bitte <Link to="/kontakt" className="text-primary underline">kontaktiere uns</Link>.
+                  </p>
+                )}
+              </CardContent>
+            </Card>
+          </motion.div>
+
+          <AlertDialog open={showCancelDialog} onOpenChange={setShowCancelDialog}>
+            <AlertDialogContent>
+              <AlertDialogHeader>
+                <AlertDialogTitle>Termin absagen?</AlertDialogTitle>
+                <AlertDialogDescription>
+                  Das Zeitfenster wird für andere freigegeben. Deine Ankaufsanfrage bleibt bestehen; du kannst über diesen Link später einen neuen Termin wählen.
+                </AlertDialogDescription>
+              </AlertDialogHeader>
+              <AlertDialogFooter>
+                <AlertDialogCancel>Behalten</AlertDialogCancel>
+                <AlertDialogAction onClick={handleCancel} className="bg-red-500 hover:bg-red-600">Termin absagen</AlertDialogAction>
+              </AlertDialogFooter>
+            </AlertDialogContent>
+          </AlertDialog>
+        </div>
+      );
+    };
+
+    export default SelfDeliveryAppointmentPage;
@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from 'react';
+    import { useParams, useNavigate, Link } from 'react-router-dom';
+    import { Button } from '@/components/ui/button';
+    import { Card, CardContent, CardHeader, CardTitle, CardDescription, CardFooter } from '@/components/ui/card';
+    import { AlertTriangle, Loader2, ShoppingCart } from 'lucide-react';
+    import { motion } from 'framer-motion';
+    import { useToast } from '@/components/ui/use-toast';
+    import { useCart } from '@/hooks/useCart';
+    import { fetchSharedCart } from '@/lib/cartStorage';
+    import { formatItemQuantity } from '@/lib/cartItemUnits';
+
+    const SharedCartPage = () => {
+      const { token } = useParams();
+      const navigate = useNavigate();
+      const { toast } = useToast();
+      const { cartItems, restoreCart } = useCart();
+      const [sharedItems, setSharedItems] = useState(null);
+      const [isLoading, setIsLoading] = useState(true);
+      const [error, setError] = useState(null);
+
+      useEffect(() => {
+        const loadSharedCart = async () => {
+          setIsLoading(true);
+          setError(null);
+          try {
+            const items = await fetchSharedCart(token);
+            if (!items || items.length === 0) {
+              setError('Dieser Warenkorb-Link ist abgelaufen oder ungültig.');
+            } else {
+              setSharedItems(items);
+            }
+          } catch (loadError) {
+            setError(loadError.message);
+          } finally {
+            setIsLoading(false);
+          }
+        };
+        loadSharedCart();
+      }, [token]);
+
+      const handleRestore = () => {
+        restoreCart(sharedItems);
+        toast({
+          title: 'Warenkorb übernommen',
+          description: `${sharedItems.length} ${sharedItems.length === 1 ? 'Position wurde' : 'Positionen wurden'} wiederhergestellt. Die Preise werden mit den aktuellen Ankaufspreisen abgeglichen.`,
+          variant: 'success',
+        });
+        navigate('/rechner', { replace: true });
+      };
+
+      if (isLoading) {
+        return (
+          <div className="container mx-auto px-4 py-12 flex justify-center items-center min-h-[calc(100vh-10rem)]">
+            <Loader2 className="h-12 w-12 animate-spin text-primary" />
+          </div>
+        );
+      }
+
+      if (error) {
+        return (
+          <div className="container mx-auto px-4 py-12 text-center">
+            <AlertTriangle className="mx-auto h-16 w-16 text-destructive mb-6" />
+            <h1 className="text-3xl font-bold text-destructive mb-4">Warenkorb nicht gefunden</h1>
+            <p className="text-muted-foreground text-lg mb-8">{error}</p>
+            <Button asChild size="lg" className="bg-primary hover:bg-primary/90 text-lg py-3 px-6">
+              <Link to="/rechner">Zum Rechner</Link>
+            </Button>
+          </div>
+        );
+      }
+
+      return (
+        <div className="container mx-auto px-4 py-12">
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+          >
+            <Card className="max-w-xl mx-auto shadow-xl">
+              <CardHeader>
+                <CardTitle className="text-2xl text-primary flex items-center">
+                  <ShoppingCart className="mr-3 h-7 w-7" /> Gespeicherter Warenkorb
+                </CardTitle>
+                <CardDescription>
+                  {cartItems.length > 0
+                    ? `Dein aktueller Warenkorb mit ${cartItems.length} ${cartItems.length === 1 ? 'Position' : 'Positionen'} wird dabei ersetzt.`
+                    : 'Übernimm den Warenkorb, um die Berechnung auf diesem Gerät fortzusetzen.'}
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                <ul className="divide-y border rounded-lg text-sm">
+                  {sharedItems.map(item => (
+                    <li key={item.id} className="flex justify-between gap-2 p-3">
+                      <span className="truncate">{item.category}</span>
+                      <span className="text-muted-foreground whitespace-nowrap">{formatItemQuantity(item)}</span>
+                    </li>
+                  ))}
+                </ul>
+                <p className="text-xs text-muted-foreground mt-3">Es gelten die aktuellen Ankaufspreise. Geänderte Preise zeigen wir dir nach der Übernahme an.</p>
+              </CardContent>
+              <CardFooter className="flex flex-col sm:flex-row gap-2">
+                <Button onClick={handleRestore} className="w-full sm:flex-1 bg-gradient-to-r from-emerald-500 to-sky-500 hover:from-emerald-600 hover:to-sky-600 text-white">
+                  Warenkorb übernehmen
+                </Button>
+                <Button asChild variant="outline" className="w-full sm:flex-1">
+                  <Link to="/rechner">{cartItems.length > 0 ? 'Aktuellen behalten' : 'Abbrechen'}</Link>
+                </Button>
+              </CardFooter>
+            </Card>
+          </motion.div>
+        </div>
+      );
+    };
+
+    export default SharedCartPage;
@@ -0,0 +1,34 @@
+// Sendcloud-Statuscodes → einheitlicher Sendungsstatus (siehe TRACKING_STATUSES in src/lib/shippingCarrier.js).
+// Liegt unter _shared, damit die Edge Function sendcloud-webhook ohne den Vite-Quellbaum deployt werden kann;
+// src/lib/sendcloudCarrier.js importiert dieselbe Tabelle.
+const SENDCLOUD_STATUS_MAP = {
+  1000: 'label_created', // Ready to send
+  1001: 'label_created', // Being announced
+  1: 'announced', // Announced
+  13: 'announced', // Announced: not collected
+  3: 'in_transit', // En route to sorting center
+  4: 'in_transit', // Delivery delayed
+  5: 'in_transit', // Sorted
+  7: 'in_transit', // Being sorted
+  22: 'in_transit', // Shipment picked up by driver
+  91: 'in_transit', // Parcel en route
+  92: 'in_transit', // Driver en route
+  11: 'delivered', // Delivered
+  93: 'delivered', // Shipment collected by customer
+  62996: 'returned', // Returned to sender
+  1999: 'cancelled', // Cancellation requested
+  2000: 'cancelled', // Cancelled
+  2001: 'cancelled', // Submitting cancellation request
+  6: 'exception', // Not sorted
+  8: 'exception', // Delivery attempt failed
+  15: 'exception', // Error collecting
+  62: 'exception', // Unable to deliver
+  80: 'exception', // Exception
+  1002: 'exception', // Announcement failed
+};
+
+export const normalizeSendcloudStatus = (status) => {
+  if (!status) return 'unknown';
+  if (SENDCLOUD_STATUS_MAP[status.id]) return SENDCLOUD_STATUS_MAP[status.id];
+  return /return/i.test(status.message || '') ? 'returned' : 'unknown';
+};
@@ -0,0 +1,121 @@
+// Verschickt nach Verschieben oder Absagen eines Anliefertermins die E-Mail mit dem geänderten
+// Kalendereintrag über Resend (Secrets RESEND_API_KEY, EMAIL_FROM). Aufruf aus
+// src/lib/appointmentNotifications.js mit Verwaltungslink-Token und Kalendereintrag.
+//
+// Empfänger, Ankaufsnummer und Termin kommen aus get_self_delivery_appointment, der Text steht hier.
+// Vom Aufrufer wird nur der Kalendereintrag übernommen, und nur für die UID dieses Termins.
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+
+const RESEND_API_URL = 'https://api.resend.com/emails';
+const EMAIL_TYPES = ['appointment_updated', 'appointment_cancelled'];
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'authorization, apikey, content-type, x-client-info',
+};
+
+const jsonResponse = (status: number, body: Record<string, unknown>) => new Response(
+  JSON.stringify(body),
+  { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } },
+);
+
+type CalendarAttachment = { file_name: string; content_type: string; content: string };
+
+const escapeHtml = (value: unknown) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// "2026-10-21" → "Mittwoch, 21. Oktober 2026"
+const formatDate = (date: string) => new Date(`${date}T12:00:00`).toLocaleDateString('de-DE', {
+  weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Europe/Berlin',
+});
+
+const toBase64 = (text: string) => btoa(String.fromCharCode(...new TextEncoder().encode(text)));
+
+// Gleiche UID wie getCalendarEventUid in src/lib/calendarEvents.js.
+const toCalendarAttachment = (calendar: CalendarAttachment | null | undefined, ankaufsNummer: string) => {
+  if (!calendar?.content || !/^BEGIN:VCALENDAR\r?\n/.test(calendar.content)) return null;
+  if (!calendar.content.includes(`\nUID:selbstanlieferung-${ankaufsNummer}@die-buchretter.de\r`)) return null;
+  return {
+    filename: `Termin-${ankaufsNummer}.ics`,
+    content: toBase64(calendar.content),
+    content_type: 'text/calendar; charset=utf-8; method=PUBLISH',
+  };
+};
+
+const buildAppointmentEmail = (emailType: string, appointment: Record<string, any>, calendar: CalendarAttachment | null) => {
+  const isCancelled = emailType === 'appointment_cancelled';
+  const greeting = `<p>Hallo ${escapeHtml(appointment.customer_name)},</p>`;
+  const body = isCancelled
+    ? `<p>dein Anliefertermin für den Ankauf ${escapeHtml(appointment.ankaufs_nummer)} am ${escapeHtml(formatDate(appointment.delivery_date))} (${escapeHtml(appointment.time_slot)} Uhr) ist abgesagt.</p>
+       <p>Mit dem angehängten Kalendereintrag wird der Termin auch in deinem Kalender als abgesagt markiert.</p>`
+    : `<p>dein Anliefertermin für den Ankauf ${escapeHtml(appointment.ankaufs_nummer)} ist jetzt am ${escapeHtml(formatDate(appointment.delivery_date))} (${escapeHtml(appointment.time_slot)} Uhr).</p>
+       <p>Der angehängte Kalendereintrag ersetzt den bisherigen Termin in deinem Kalender.</p>`;
+  const attachment = toCalendarAttachment(calendar, appointment.ankaufs_nummer);
+
+  return {
+    to: appointment.customer_email,
+    subject: isCancelled
+      ? `Anliefertermin abgesagt (${appointment.ankaufs_nummer}) – Die Buchretter`
+      : `Anliefertermin geändert (${appointment.ankaufs_nummer}) – Die Buchretter`,
+    html: `${greeting}${body}<p>Viele Grüße<br>Die Buchretter</p>`,
+    attachments: attachment ? [attachment] : [],
+  };
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+  if (req.method !== 'POST') {
+    return jsonResponse(405, { success: false, error: 'Nicht erlaubt.' });
+  }
+
+  let payload: Record<string, any>;
+  try {
+    payload = await req.json();
+  } catch {
+    return jsonResponse(400, { success: false, error: 'Ungültige Anfrage.' });
+  }
+
+  if (!EMAIL_TYPES.includes(payload.email_type) || !payload.manage_token) {
+    return jsonResponse(400, { success: false, error: 'Termin fehlt.' });
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL') ?? '', Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '');
+  const { data: appointment, error } = await supabase.rpc('get_self_delivery_appointment', {
+    p_manage_token: payload.manage_token,
+  });
+  if (error || !appointment?.customer_email) {
+    console.error('Error loading appointment:', error);
+    return jsonResponse(404, { success: false, error: 'Termin nicht gefunden.' });
+  }
+
+  // Die Art der E-Mail muss zum gespeicherten Stand passen, sonst ginge z.B. eine Absage für einen gültigen Termin raus.
+  const emailType = appointment.status === 'cancelled' ? 'appointment_cancelled' : 'appointment_updated';
+  if (emailType !== payload.email_type) {
+    return jsonResponse(409, { success: false, error: 'Der Termin wurde inzwischen geändert.' });
+  }
+
+  const response = await fetch(RESEND_API_URL, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${Deno.env.get('RESEND_API_KEY') ?? ''}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      from: Deno.env.get('EMAIL_FROM') ?? 'Die Buchretter <info@die-buchretter.de>',
+      ...buildAppointmentEmail(emailType, appointment, payload.calendar_attachment_raw),
+    }),
+  });
+
+  if (!response.ok) {
+    console.error('Error sending email:', response.status, await response.text());
+    return jsonResponse(502, { success: false, error: 'Die E-Mail konnte nicht verschickt werden.' });
+  }
+  return jsonResponse(200, { success: true });
+});
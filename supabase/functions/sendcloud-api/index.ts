@@ -0,0 +1,246 @@
+// Proxy zur Sendcloud-API v2 für src/lib/sendcloudCarrier.js. Die Zugangsdaten liegen nur hier
+// (Secrets SENDCLOUD_PUBLIC_KEY / SENDCLOUD_SECRET_KEY); Pfade werden unverändert weitergereicht.
+// Lokal zeigen SENDCLOUD_API_URL und SENDCLOUD_SERVICE_POINTS_URL auf scripts/fake-sendcloud-server.js
+// (z.B. http://host.docker.internal:8787/api/v2).
+//
+// Anonyme Besucher dürfen Versandarten und Annahmestellen lesen und über POST /return-labels das
+// Rücksendelabel zu ihrem Ankauf anlegen: Absender und Gewicht kommen aus der Datenbank, der Empfänger
+// steht hier, mehr als number_of_labels Pakete gibt es nicht (siehe prepare_return_label). Das Label-PDF
+// legt der Proxy selbst im Storage ab und trägt es in shipment_labels ein (register_shipment_label ist
+// nur für service_role freigegeben). GET /return-labels liefert die gespeicherten Labels eines Ankaufs.
+// Beides nur mit Ankaufs-ID und Ankaufsnummer. Alles andere (Stornieren, Sendungsstatus, Label-PDFs,
+// eigene Pakete) nur für angemeldete Admins.
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+
+const SENDCLOUD_API_URL = Deno.env.get('SENDCLOUD_API_URL') ?? 'https://panel.sendcloud.sc/api/v2';
+// Annahmestellen liegen bei Sendcloud auf einem eigenen Host mit gleichem Pfadschema.
+const SERVICE_POINTS_API_URL = Deno.env.get('SENDCLOUD_SERVICE_POINTS_URL') ?? 'https://servicepoints.sendcloud.sc/api/v2';
+const SHIPPING_METHOD_ID = parseInt(Deno.env.get('SENDCLOUD_SHIPPING_METHOD_ID') ?? '', 10) || 8;
+// Gleicher Name wie im Webhook, damit Statusmeldungen das gespeicherte Label finden.
+const CARRIER_NAME = Deno.env.get('SHIPPING_CARRIER_NAME') ?? 'sendcloud';
+// Bucket der Begleitscheine und Labels (PDF_STORAGE_BUCKET in src/lib/pdfRenderer.js).
+const LABEL_BUCKET = 'lieferschein';
+
+// Empfänger aller Rücksendelabels.
+const RETURN_RECIPIENT = {
+  name: 'Die Buchretter',
+  street: 'Triftstr.',
+  houseNumber: '21B',
+  zip: '16348',
+  city: 'Wandlitz OT Klosterfelde',
+  email: 'info@die-buchretter.de',
+};
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'authorization, apikey, content-type, x-client-info',
+};
+
+const sendcloudAuthorization = `Basic ${btoa(`${Deno.env.get('SENDCLOUD_PUBLIC_KEY')}:${Deno.env.get('SENDCLOUD_SECRET_KEY')}`)}`;
+
+const serviceClient = createClient(Deno.env.get('SUPABASE_URL') ?? '', Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '');
+
+const jsonResponse = (status: number, body: unknown) => new Response(
+  JSON.stringify(body),
+  { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } },
+);
+
+const jsonError = (status: number, message: string) => jsonResponse(status, { error: { code: status, message } });
+
+const passThrough = (response: Response) => new Response(response.body, {
+  status: response.status,
+  headers: { ...corsHeaders, 'Content-Type': response.headers.get('Content-Type') ?? 'application/json' },
+});
+
+const sendcloudFetch = (path: string, init: RequestInit = {}) => fetch(`${SENDCLOUD_API_URL}${path}`, {
+  ...init,
+  headers: { Authorization: sendcloudAuthorization, 'Content-Type': 'application/json' },
+});
+
+const isAdmin = async (req: Request) => {
+  const supabase = createClient(Deno.env.get('SUPABASE_URL') ?? '', Deno.env.get('SUPABASE_ANON_KEY') ?? '', {
+    global: { headers: { Authorization: req.headers.get('Authorization') ?? '' } },
+  });
+  const { data } = await supabase.auth.getUser();
+  return !!data?.user;
+};
+
+// "Hauptstr. 12a" → ["Hauptstr.", "12a"]
+const splitStreetAndHouseNumber = (street: string | null) => {
+  const match = (street || '').trim().match(/^(.+?)\s+(\d{1,5}\s?[a-zA-Z]?(?:[-/]\d{1,5}[a-zA-Z]?)?)$/);
+  return match ? [match[1].trim(), match[2].replace(/\s/g, '')] : [(street || '').trim(), ''];
+};
+
+// Wie toPdfFileName in src/lib/pdfRenderer.js.
+const toLabelFileName = (reference: string) => `Versandlabel_${reference.replace(/[^a-zA-Z0-9-_]/g, '_')}.pdf`;
+
+const PREPARE_ERRORS: Record<string, [number, string]> = {
+  P0002: [404, 'Ankauf nicht gefunden.'],
+  '22P02': [404, 'Ankauf nicht gefunden.'],
+  '22023': [400, 'Für diesen Ankauf können keine weiteren Versandlabels erstellt werden.'],
+  '55P03': [409, 'Das Label wird gerade erstellt. Bitte versuche es gleich noch einmal.'],
+};
+
+const createParcel = (label: Record<string, any>) => {
+  const [street, houseNumber] = splitStreetAndHouseNumber(label.sender.street);
+  return sendcloudFetch('/parcels', {
+    method: 'POST',
+    body: JSON.stringify({
+      parcel: {
+        // Rücksendung: Absender ist der Kunde, Empfänger die Ankaufstation.
+        is_return: true,
+        name: RETURN_RECIPIENT.name,
+        company_name: '',
+        address: RETURN_RECIPIENT.street,
+        house_number: RETURN_RECIPIENT.houseNumber,
+        postal_code: RETURN_RECIPIENT.zip,
+        city: RETURN_RECIPIENT.city,
+        country: 'DE',
+        email: RETURN_RECIPIENT.email,
+        from_name: label.sender.name ?? '',
+        from_company_name: label.sender.company_name ?? '',
+        from_address_1: street,
+        from_house_number: houseNumber,
+        from_postal_code: label.sender.zip ?? '',
+        from_city: label.sender.city ?? '',
+        from_country: 'DE',
+        from_email: label.sender.email ?? '',
+        from_telephone: label.sender.phone ?? '',
+        order_number: label.reference,
+        weight: Number(label.weight).toFixed(3),
+        shipment: { id: SHIPPING_METHOD_ID },
+        request_label: true,
+      },
+    }),
+  });
+};
+
+// Label-PDF ablegen und in shipment_labels eintragen; erst danach gilt das Label als erstellt.
+const storeReturnLabel = async (input: Record<string, any>, parcel: Record<string, any>) => {
+  const response = await sendcloudFetch(`/labels/normal_printer/${parcel.id}`);
+  if (!response.ok) {
+    console.error('Error downloading return label:', response.status, await response.text());
+    return null;
+  }
+
+  const filePath = toLabelFileName(parcel.order_number || input.ankaufs_nummer);
+  const { error: uploadError } = await serviceClient.storage
+    .from(LABEL_BUCKET)
+    .upload(filePath, await response.blob(), { contentType: 'application/pdf', upsert: true });
+  if (uploadError) {
+    console.error('Error uploading return label:', uploadError);
+    return null;
+  }
+
+  const labelUrl = serviceClient.storage.from(LABEL_BUCKET).getPublicUrl(filePath).data.publicUrl;
+  const { error } = await serviceClient.rpc('register_shipment_label', {
+    p_ankauf_request_id: input.ankauf_request_id,
+    p_ankaufs_nummer: input.ankaufs_nummer,
+    p_label_index: Number(input.label_index),
+    p_carrier: CARRIER_NAME,
+    p_parcel_id: String(parcel.id),
+    p_tracking_number: parcel.tracking_number ?? null,
+    p_label_url: labelUrl,
+    p_file_path: filePath,
+  });
+  if (error) {
+    console.error('Error registering return label:', error);
+    return null;
+  }
+  return { labelUrl, filePath };
+};
+
+const createReturnLabel = async (req: Request) => {
+  const input = await req.json().catch(() => null);
+  const ankaufRequestId = input?.ankauf_request_id;
+  const labelIndex = Number(input?.label_index);
+  const { data: label, error } = await serviceClient.rpc('prepare_return_label', {
+    p_ankauf_request_id: ankaufRequestId,
+    p_ankaufs_nummer: input?.ankaufs_nummer,
+    p_label_index: labelIndex,
+  });
+
+  if (error) {
+    const [status, message] = PREPARE_ERRORS[error.code] ?? [500, 'Das Versandlabel konnte nicht vorbereitet werden.'];
+    if (status === 500) console.error('Error preparing return label:', error);
+    return jsonError(status, message);
+  }
+
+  // Wiederholung (z.B. nach abgebrochenem Speichern): dasselbe Paket statt eines weiteren.
+  const response = label.parcel_id
+    ? await sendcloudFetch(`/parcels/${label.parcel_id}`)
+    : await createParcel(label);
+
+  if (!response.ok) {
+    if (!label.parcel_id) {
+      await serviceClient.rpc('finish_return_label', { p_ankauf_request_id: ankaufRequestId, p_label_index: labelIndex, p_parcel_id: null });
+    }
+    return passThrough(response);
+  }
+
+  const { parcel } = await response.json();
+  if (!label.parcel_id) {
+    const { error: finishError } = await serviceClient.rpc('finish_return_label', {
+      p_ankauf_request_id: ankaufRequestId,
+      p_label_index: labelIndex,
+      p_parcel_id: String(parcel.id),
+    });
+    if (finishError) {
+      console.error('Error recording return label parcel:', finishError);
+    }
+  }
+
+  const stored = await storeReturnLabel(input, parcel);
+  if (!stored) {
+    return jsonError(502, 'Das Label wurde erstellt, konnte aber nicht gespeichert werden. Bitte versuche es erneut.');
+  }
+  return jsonResponse(200, { parcel, label_url: stored.labelUrl, file_path: stored.filePath });
+};
+
+const listReturnLabels = async (url: URL) => {
+  const { data, error } = await serviceClient.rpc('get_shipment_label_files', {
+    p_ankauf_request_id: url.searchParams.get('ankauf_request_id'),
+    p_ankaufs_nummer: url.searchParams.get('ankaufs_nummer'),
+  });
+  if (error) {
+    const [status, message] = PREPARE_ERRORS[error.code] ?? [500, 'Die Versandlabels konnten nicht geladen werden.'];
+    if (status === 500) console.error('Error loading return labels:', error);
+    return jsonError(status, message);
+  }
+  return jsonResponse(200, { labels: data ?? [] });
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const url = new URL(req.url);
+  const path = url.pathname.replace(/^.*\/sendcloud-api/, '') || '/';
+
+  if (path === '/return-labels') {
+    if (req.method === 'POST') return createReturnLabel(req);
+    if (req.method === 'GET') return listReturnLabels(url);
+  }
+
+  const isPublic = (req.method === 'GET' && path === '/shipping_methods')
+    || (req.method === 'GET' && path === '/service-points');
+
+  if (!isPublic && !(await isAdmin(req))) {
+    return jsonError(403, 'Nicht erlaubt.');
+  }
+
+  const baseUrl = path === '/service-points' ? SERVICE_POINTS_API_URL : SENDCLOUD_API_URL;
+  const response = await fetch(`${baseUrl}${path}${url.search}`, {
+    method: req.method,
+    headers: {
+      Authorization: sendcloudAuthorization,
+      'Content-Type': 'application/json',
+    },
+    body: req.method === 'GET' ? undefined : await req.text(),
+  });
+
+  return passThrough(response);
+});
@@ -0,0 +1,67 @@
+// Empfängt Sendcloud-Webhooks "parcel_status_changed" und übernimmt den Status in shipment_labels.
+// Sendcloud signiert den Body mit dem API-Secret (HMAC-SHA256, Header Sendcloud-Signature); ohne
+// gültige Signatur wird nichts gespeichert. Lokal sendet scripts/fake-sendcloud-server.js dieselben Webhooks.
+//
+// Deploy ohne JWT-Prüfung (Sendcloud schickt kein Supabase-Token): supabase functions deploy sendcloud-webhook --no-verify-jwt
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { normalizeSendcloudStatus } from '../_shared/sendcloudStatus.js';
+
+const encoder = new TextEncoder();
+
+const isValidSignature = async (body: string, signature: string | null) => {
+  if (!signature) return false;
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(Deno.env.get('SENDCLOUD_SECRET_KEY') ?? ''),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign'],
+  );
+  const digest = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(body)));
+  const expected = Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+  if (expected.length !== signature.length) return false;
+  let difference = 0;
+  for (let i = 0; i < expected.length; i++) {
+    difference |= expected.charCodeAt(i) ^ signature.charCodeAt(i);
+  }
+  return difference === 0;
+};
+
+Deno.serve(async (req) => {
+  if (req.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405 });
+  }
+
+  const body = await req.text();
+  if (!(await isValidSignature(body, req.headers.get('Sendcloud-Signature')))) {
+    return new Response('Invalid signature', { status: 401 });
+  }
+
+  const payload = JSON.parse(body);
+  // Andere Ereignisse (z.B. Integrations-Updates) bestätigen, damit Sendcloud sie nicht wiederholt.
+  if (payload.action !== 'parcel_status_changed' || !payload.parcel?.id) {
+    return new Response('ignored', { status: 200 });
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL') ?? '', Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '');
+  const { parcel } = payload;
+  // Sendcloud stellt Webhooks nicht garantiert in Reihenfolge zu und wiederholt fehlgeschlagene;
+  // mit dem Ereigniszeitpunkt verwirft die Datenbank Meldungen, die älter als der gespeicherte Status sind.
+  const statusAt = Number(payload.timestamp) > 0 ? new Date(Number(payload.timestamp)).toISOString() : null;
+  const { error } = await supabase.rpc('apply_shipment_tracking_update', {
+    p_carrier: Deno.env.get('SHIPPING_CARRIER_NAME') ?? 'sendcloud',
+    p_parcel_id: String(parcel.id),
+    p_tracking_status: normalizeSendcloudStatus(parcel.status),
+    p_status_text: parcel.status?.message ?? null,
+    p_tracking_number: parcel.tracking_number ?? null,
+    p_status_at: statusAt,
+  });
+
+  if (error) {
+    console.error('Error applying tracking update:', error);
+    // 500 → Sendcloud versucht es später erneut.
+    return new Response('Update failed', { status: 500 });
+  }
+  return new Response('ok', { status: 200 });
+});
@@ -0,0 +1,109 @@
+-- Status-Workflow für ankauf_requests:
+-- pending → label_created → received → checked → paid / rejected / returned
+-- Jeder Übergang wird mit Zeitstempel und Admin-Benutzer protokolliert.
+
+alter table public.ankauf_requests
+  add column if not exists status_changed_at timestamptz not null default now();
+
+alter table public.ankauf_requests
+  drop constraint if exists ankauf_requests_status_check;
+
+alter table public.ankauf_requests
+  add constraint ankauf_requests_status_check
+  check (status in ('pending', 'label_created', 'received', 'checked', 'paid', 'rejected', 'returned'));
+
+create table if not exists public.ankauf_status_transitions (
+  from_status text not null,
+  to_status text not null,
+  primary key (from_status, to_status)
+);
+
+insert into public.ankauf_status_transitions (from_status, to_status) values
+  ('pending', 'label_created'),
+  ('pending', 'received'),
+  ('pending', 'rejected'),
+  ('label_created', 'received'),
+  ('label_created', 'rejected'),
+  ('received', 'checked'),
+  ('received', 'rejected'),
+  ('received', 'returned'),
+  ('checked', 'paid'),
+  ('checked', 'rejected'),
+  ('checked', 'returned'),
+  ('rejected', 'returned')
+on conflict do nothing;
+
+create table if not exists public.ankauf_status_history (
+  id bigint generated by default as identity primary key,
+  ankauf_request_id uuid not null references public.ankauf_requests (id) on delete cascade,
+  from_status text not null,
+  to_status text not null,
+  note text,
+  changed_by uuid references auth.users (id),
+  changed_by_email text,
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists ankauf_status_history_request_idx
+  on public.ankauf_status_history (ankauf_request_id, changed_at desc);
+
+alter table public.ankauf_status_history enable row level security;
+
+drop policy if exists "Admins lesen Statushistorie" on public.ankauf_status_history;
+create policy "Admins lesen Statushistorie"
+  on public.ankauf_status_history for select
+  to authenticated
+  using (true);
+
+-- Führt einen Statuswechsel aus, sofern er laut ankauf_status_transitions erlaubt ist.
+-- Sperrt die Zeile, damit zwei Admins nicht gleichzeitig denselben Auftrag weiterschalten.
+create or replace function public.transition_ankauf_status(
+  p_ankauf_request_id uuid,
+  p_to_status text,
+  p_note text default null
+)
+returns public.ankauf_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request public.ankauf_requests;
+  v_user_id uuid := auth.uid();
+begin
+  if v_user_id is null then
+    raise exception 'Nicht angemeldet.' using errcode = '42501';
+  end if;
+
+  select * into v_request
+  from public.ankauf_requests
+  where id = p_ankauf_request_id
+  for update;
+
+  if not found then
+    raise exception 'Ankaufsanfrage % nicht gefunden.', p_ankauf_request_id using errcode = 'P0002';
+  end if;
+
+  if not exists (
+    select 1 from public.ankauf_status_transitions
+    where from_status = v_request.status and to_status = p_to_status
+  ) then
+    raise exception 'Statuswechsel von "%" nach "%" ist nicht erlaubt.', v_request.status, p_to_status
+      using errcode = '22023';
+  end if;
+
+  insert into public.ankauf_status_history (ankauf_request_id, from_status, to_status, note, changed_by, changed_by_email)
+  values (v_request.id, v_request.status, p_to_status, nullif(trim(p_note), ''), v_user_id, auth.jwt() ->> 'email');
+
+  update public.ankauf_requests
+  set status = p_to_status,
+      status_changed_at = now()
+  where id = v_request.id
+  returning * into v_request;
+
+  return v_request;
+end;
+$$;
+
+revoke all on function public.transition_ankauf_status(uuid, text, text) from public, anon;
+grant execute on function public.transition_ankauf_status(uuid, text, text) to authenticated;
@@ -0,0 +1,86 @@
+-- Wareneingang: welche Pakete (Label -L1, -L2 …) eines Ankaufs tatsächlich angekommen sind.
+-- Bei Selbstanlieferung/Abholung gibt es genau ein "Paket" mit label_index 1.
+
+create table if not exists public.ankauf_parcel_receipts (
+  id bigint generated by default as identity primary key,
+  ankauf_request_id uuid not null references public.ankauf_requests (id) on delete cascade,
+  label_index integer not null check (label_index >= 1),
+  received_at timestamptz not null default now(),
+  received_by uuid references auth.users (id),
+  received_by_email text,
+  note text,
+  unique (ankauf_request_id, label_index)
+);
+
+alter table public.ankauf_parcel_receipts enable row level security;
+
+drop policy if exists "Admins lesen Wareneingang" on public.ankauf_parcel_receipts;
+create policy "Admins lesen Wareneingang"
+  on public.ankauf_parcel_receipts for select
+  to authenticated
+  using (true);
+
+-- Bucht die gescannten Pakete ein. Solange der Ankauf noch "pending" oder "label_created" ist,
+-- wird er dabei über transition_ankauf_status auf "received" gesetzt.
+create or replace function public.register_parcel_receipt(
+  p_ankauf_request_id uuid,
+  p_label_indexes integer[],
+  p_note text default null
+)
+returns setof public.ankauf_parcel_receipts
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request public.ankauf_requests;
+  v_label_count integer;
+  v_index integer;
+begin
+  if auth.uid() is null then
+    raise exception 'Nicht angemeldet.' using errcode = '42501';
+  end if;
+
+  select * into v_request
+  from public.ankauf_requests
+  where id = p_ankauf_request_id
+  for update;
+
+  if not found then
+    raise exception 'Ankaufsanfrage % nicht gefunden.', p_ankauf_request_id using errcode = 'P0002';
+  end if;
+
+  if coalesce(array_length(p_label_indexes, 1), 0) = 0 then
+    raise exception 'Bitte mindestens ein Paket auswählen.' using errcode = '22023';
+  end if;
+
+  v_label_count := greatest(coalesce(v_request.number_of_labels, 0), 1);
+
+  foreach v_index in array p_label_indexes loop
+    if v_index < 1 or v_index > v_label_count then
+      raise exception 'Paket % existiert für % nicht (% Label).', v_index, v_request.ankaufs_nummer, v_label_count
+        using errcode = '22023';
+    end if;
+
+    insert into public.ankauf_parcel_receipts (ankauf_request_id, label_index, received_by, received_by_email, note)
+    values (v_request.id, v_index, auth.uid(), auth.jwt() ->> 'email', nullif(trim(p_note), ''))
+    on conflict (ankauf_request_id, label_index) do nothing;
+  end loop;
+
+  if v_request.status in ('pending', 'label_created') then
+    perform public.transition_ankauf_status(
+      v_request.id,
+      'received',
+      'Wareneingang: Paket ' || array_to_string(p_label_indexes, ', ')
+    );
+  end if;
+
+  return query
+    select * from public.ankauf_parcel_receipts
+    where ankauf_request_id = v_request.id
+    order by label_index;
+end;
+$$;
+
+revoke all on function public.register_parcel_receipt(uuid, integer[], text) from public, anon;
+grant execute on function public.register_parcel_receipt(uuid, integer[], text) to authenticated;
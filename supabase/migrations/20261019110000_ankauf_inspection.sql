@@ -0,0 +1,139 @@
+-- Eingangsprüfung: tatsächliche Gewichte je angemeldeter Kategorie, abgelehnte Mengen mit Grund
+-- und der daraus berechnete Endpreis. Die angemeldeten Werte bleiben unverändert in ankauf_requests.items.
+
+alter table public.ankauf_requests
+  add column if not exists final_weight numeric(10, 2),
+  add column if not exists final_price numeric(10, 2),
+  add column if not exists inspected_at timestamptz,
+  add column if not exists inspected_by uuid references auth.users (id),
+  add column if not exists inspected_by_email text;
+
+create table if not exists public.ankauf_inspection_items (
+  id bigint generated by default as identity primary key,
+  ankauf_request_id uuid not null references public.ankauf_requests (id) on delete cascade,
+  item_index integer not null,
+  category text not null,
+  declared_weight numeric(10, 2) not null default 0,
+  declared_price numeric(10, 2) not null default 0,
+  price_per_kg numeric(10, 2) not null default 0,
+  actual_weight numeric(10, 2) not null default 0 check (actual_weight >= 0),
+  rejected_weight numeric(10, 2) not null default 0 check (rejected_weight >= 0),
+  rejection_reason text,
+  rejection_note text,
+  accepted_weight numeric(10, 2) generated always as (greatest(actual_weight - rejected_weight, 0)) stored,
+  final_price numeric(10, 2) not null default 0,
+  updated_at timestamptz not null default now(),
+  unique (ankauf_request_id, item_index),
+  check (rejected_weight <= actual_weight),
+  check (rejected_weight = 0 or rejection_reason is not null)
+);
+
+alter table public.ankauf_inspection_items enable row level security;
+
+drop policy if exists "Admins lesen Prüfergebnisse" on public.ankauf_inspection_items;
+create policy "Admins lesen Prüfergebnisse"
+  on public.ankauf_inspection_items for select
+  to authenticated
+  using (true);
+
+-- Speichert die Prüfergebnisse. Der Preis pro kg wird ausschließlich aus dem bei Absendung
+-- gespeicherten Warenkorb (items[].pricePerKg) gelesen, niemals aus den Eingaben des Clients.
+-- p_items: [{ "item_index": 0, "actual_weight": 12.3, "rejected_weight": 1.1, "rejection_reason": "schimmel", "rejection_note": "" }]
+create or replace function public.save_ankauf_inspection(
+  p_ankauf_request_id uuid,
+  p_items jsonb,
+  p_complete boolean default false
+)
+returns public.ankauf_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request public.ankauf_requests;
+  v_input jsonb;
+  v_item jsonb;
+  v_index integer;
+  v_price_per_kg numeric;
+  v_actual numeric;
+  v_rejected numeric;
+begin
+  if auth.uid() is null then
+    raise exception 'Nicht angemeldet.' using errcode = '42501';
+  end if;
+
+  select * into v_request
+  from public.ankauf_requests
+  where id = p_ankauf_request_id
+  for update;
+
+  if not found then
+    raise exception 'Ankaufsanfrage % nicht gefunden.', p_ankauf_request_id using errcode = 'P0002';
+  end if;
+
+  if v_request.status not in ('received', 'checked') then
+    raise exception 'Prüfung ist nur für eingegangene Ankäufe möglich (aktuell: %).', v_request.status
+      using errcode = '22023';
+  end if;
+
+  for v_input in select * from jsonb_array_elements(coalesce(p_items, '[]'::jsonb)) loop
+    v_index := (v_input ->> 'item_index')::integer;
+    v_item := v_request.items -> v_index;
+    if v_item is null then
+      raise exception 'Position % existiert in % nicht.', v_index, v_request.ankaufs_nummer using errcode = '22023';
+    end if;
+
+    v_price_per_kg := coalesce((v_item ->> 'pricePerKg')::numeric, 0);
+    v_actual := coalesce((v_input ->> 'actual_weight')::numeric, 0);
+    v_rejected := coalesce((v_input ->> 'rejected_weight')::numeric, 0);
+
+    insert into public.ankauf_inspection_items (
+      ankauf_request_id, item_index, category, declared_weight, declared_price, price_per_kg,
+      actual_weight, rejected_weight, rejection_reason, rejection_note, final_price, updated_at
+    ) values (
+      v_request.id,
+      v_index,
+      v_item ->> 'category',
+      coalesce((v_item ->> 'weight')::numeric, 0),
+      coalesce((v_item ->> 'price')::numeric, 0),
+      v_price_per_kg,
+      v_actual,
+      v_rejected,
+      case when v_rejected > 0 then nullif(v_input ->> 'rejection_reason', '') end,
+      nullif(trim(v_input ->> 'rejection_note'), ''),
+      round(greatest(v_actual - v_rejected, 0) * v_price_per_kg, 2),
+      now()
+    )
+    on conflict (ankauf_request_id, item_index) do update set
+      actual_weight = excluded.actual_weight,
+      rejected_weight = excluded.rejected_weight,
+      rejection_reason = excluded.rejection_reason,
+      rejection_note = excluded.rejection_note,
+      final_price = excluded.final_price,
+      updated_at = now();
+  end loop;
+
+  update public.ankauf_requests r
+  set final_weight = totals.accepted_weight,
+      final_price = totals.final_price,
+      inspected_at = now(),
+      inspected_by = auth.uid(),
+      inspected_by_email = auth.jwt() ->> 'email'
+  from (
+    select coalesce(sum(accepted_weight), 0) as accepted_weight, coalesce(sum(final_price), 0) as final_price
+    from public.ankauf_inspection_items
+    where ankauf_request_id = p_ankauf_request_id
+  ) totals
+  where r.id = v_request.id
+  returning r.* into v_request;
+
+  if p_complete and v_request.status = 'received' then
+    v_request := public.transition_ankauf_status(v_request.id, 'checked', 'Eingangsprüfung abgeschlossen');
+  end if;
+
+  return v_request;
+end;
+$$;
+
+revoke all on function public.save_ankauf_inspection(uuid, jsonb, boolean) from public, anon;
+grant execute on function public.save_ankauf_inspection(uuid, jsonb, boolean) to authenticated;
@@ -0,0 +1,97 @@
+-- Preishistorie für Ankaufkategorien. Jede Preisänderung an product_categories erzeugt eine neue
+-- Version mit Gültigkeitszeitraum; die vorherige Version wird geschlossen. Die Versionen bleiben auch
+-- nach dem Löschen einer Kategorie erhalten (daher kein Fremdschlüssel, Name wird mitgespeichert).
+
+create table if not exists public.product_category_prices (
+  id bigint generated by default as identity primary key,
+  category_id uuid not null,
+  category_name text not null,
+  category_type text,
+  price_per_kg numeric(10, 2) not null,
+  valid_from timestamptz not null default now(),
+  valid_to timestamptz,
+  changed_by uuid references auth.users (id),
+  changed_by_email text,
+  reason text,
+  check (valid_to is null or valid_to >= valid_from)
+);
+
+create unique index if not exists product_category_prices_one_open_version
+  on public.product_category_prices (category_id)
+  where valid_to is null;
+
+create index if not exists product_category_prices_category_idx
+  on public.product_category_prices (category_id, valid_from desc);
+
+alter table public.product_category_prices enable row level security;
+
+-- Der Rechner liest die Version mit, daher auch für anonyme Besucher lesbar.
+drop policy if exists "Preisversionen sind lesbar" on public.product_category_prices;
+create policy "Preisversionen sind lesbar"
+  on public.product_category_prices for select
+  to anon, authenticated
+  using (true);
+
+alter table public.product_categories
+  add column if not exists current_price_version_id bigint references public.product_category_prices (id),
+  -- Nur Transportfeld für den Trigger: wird beim Speichern in die Version übernommen und geleert.
+  add column if not exists price_change_reason text;
+
+create or replace function public.version_product_category_price()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_version_id bigint;
+begin
+  if tg_op = 'INSERT' or old.price_per_kg is distinct from new.price_per_kg then
+    update public.product_category_prices
+    set valid_to = now()
+    where category_id = new.id
+      and valid_to is null;
+
+    insert into public.product_category_prices (
+      category_id, category_name, category_type, price_per_kg, changed_by, changed_by_email, reason
+    ) values (
+      new.id,
+      new.name,
+      new.category_type,
+      coalesce(new.price_per_kg, 0),
+      auth.uid(),
+      auth.jwt() ->> 'email',
+      nullif(trim(new.price_change_reason), '')
+    )
+    returning id into v_version_id;
+
+    new.current_price_version_id := v_version_id;
+  end if;
+
+  new.price_change_reason := null;
+  return new;
+end;
+$$;
+
+drop trigger if exists product_categories_price_version on public.product_categories;
+create trigger product_categories_price_version
+  before insert or update on public.product_categories
+  for each row execute function public.version_product_category_price();
+
+-- Bestehende Preise als Ausgangsversion übernehmen.
+with initial_versions as (
+  insert into public.product_category_prices (category_id, category_name, category_type, price_per_kg, reason)
+  select c.id, c.name, c.category_type, coalesce(c.price_per_kg, 0), 'Ausgangspreis bei Einführung der Preishistorie'
+  from public.product_categories c
+  where c.current_price_version_id is null
+  returning id, category_id
+)
+update public.product_categories c
+set current_price_version_id = v.id
+from initial_versions v
+where c.id = v.category_id;
+
+-- Ankaufsanfragen merken sich die Preisversionen, mit denen der Warenkorb berechnet wurde
+-- (zusätzlich steht die Version je Position in items[].priceVersionId).
+alter table public.ankauf_requests
+  add column if not exists price_version_ids bigint[] not null default '{}';
@@ -0,0 +1,144 @@
+-- Geplante Preis- und Statusänderungen für Ankaufkategorien. Fällige Änderungen werden vor jeder
+-- Auslieferung der Kategorien übernommen (get_effective_product_categories) und, falls pg_cron
+-- verfügbar ist, zusätzlich minütlich.
+
+create table if not exists public.product_category_scheduled_changes (
+  id bigint generated by default as identity primary key,
+  category_id uuid not null references public.product_categories (id) on delete cascade,
+  effective_at timestamptz not null,
+  new_price_per_kg numeric(10, 2) check (new_price_per_kg is null or new_price_per_kg >= 0),
+  new_is_active boolean,
+  reason text,
+  created_by uuid references auth.users (id) default auth.uid(),
+  created_by_email text default (auth.jwt() ->> 'email'),
+  created_at timestamptz not null default now(),
+  applied_at timestamptz,
+  cancelled_at timestamptz,
+  check (new_price_per_kg is not null or new_is_active is not null),
+  check (applied_at is null or cancelled_at is null)
+);
+
+create index if not exists product_category_scheduled_changes_pending_idx
+  on public.product_category_scheduled_changes (effective_at)
+  where applied_at is null and cancelled_at is null;
+
+alter table public.product_category_scheduled_changes enable row level security;
+
+drop policy if exists "Admins lesen geplante Änderungen" on public.product_category_scheduled_changes;
+create policy "Admins lesen geplante Änderungen"
+  on public.product_category_scheduled_changes for select
+  to authenticated
+  using (true);
+
+drop policy if exists "Admins planen Änderungen" on public.product_category_scheduled_changes;
+create policy "Admins planen Änderungen"
+  on public.product_category_scheduled_changes for insert
+  to authenticated
+  with check (applied_at is null and cancelled_at is null and effective_at > now());
+
+-- Nur noch offene Änderungen dürfen storniert werden.
+drop policy if exists "Admins stornieren geplante Änderungen" on public.product_category_scheduled_changes;
+create policy "Admins stornieren geplante Änderungen"
+  on public.product_category_scheduled_changes for update
+  to authenticated
+  using (applied_at is null and cancelled_at is null)
+  with check (applied_at is null);
+
+create or replace function public.apply_due_category_changes()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_change public.product_category_scheduled_changes;
+  v_old_version_id bigint;
+  v_new_version_id bigint;
+  v_applied integer := 0;
+begin
+  for v_change in
+    select *
+    from public.product_category_scheduled_changes
+    where applied_at is null
+      and cancelled_at is null
+      and effective_at <= now()
+    order by effective_at, id
+    for update skip locked
+  loop
+    select current_price_version_id into v_old_version_id
+    from public.product_categories
+    where id = v_change.category_id;
+
+    -- Der Preis-Trigger legt bei geändertem Preis eine neue Version mit diesem Grund an.
+    update public.product_categories
+    set price_per_kg = coalesce(v_change.new_price_per_kg, price_per_kg),
+        is_active = coalesce(v_change.new_is_active, is_active),
+        price_change_reason = coalesce(nullif(trim(v_change.reason), ''), 'Geplante Änderung #' || v_change.id)
+    where id = v_change.category_id
+    returning current_price_version_id into v_new_version_id;
+
+    if v_new_version_id is distinct from v_old_version_id then
+      update public.product_category_prices
+      set changed_by = v_change.created_by,
+          changed_by_email = v_change.created_by_email
+      where id = v_new_version_id;
+    end if;
+
+    update public.product_category_scheduled_changes
+    set applied_at = now()
+    where id = v_change.id;
+
+    v_applied := v_applied + 1;
+  end loop;
+
+  return v_applied;
+end;
+$$;
+
+revoke all on function public.apply_due_category_changes() from public, anon;
+grant execute on function public.apply_due_category_changes() to authenticated;
+
+-- Öffentliche Kategorienliste für den Rechner. Liefert nur den Zeitpunkt der nächsten geplanten
+-- Änderung, nicht deren Inhalt.
+create or replace function public.get_effective_product_categories()
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_categories jsonb;
+begin
+  perform public.apply_due_category_changes();
+
+  select coalesce(jsonb_agg(
+    (to_jsonb(c) - 'price_change_reason') || jsonb_build_object(
+      'next_change_at',
+      (
+        select min(s.effective_at)
+        from public.product_category_scheduled_changes s
+        where s.category_id = c.id
+          and s.applied_at is null
+          and s.cancelled_at is null
+      )
+    )
+    order by c.sort_order, c.name
+  ), '[]'::jsonb)
+  into v_categories
+  from public.product_categories c
+  where c.is_active;
+
+  return v_categories;
+end;
+$$;
+
+revoke all on function public.get_effective_product_categories() from public;
+grant execute on function public.get_effective_product_categories() to anon, authenticated;
+
+do $$
+begin
+  if exists (select 1 from pg_extension where extname = 'pg_cron') then
+    perform cron.schedule('apply-due-category-changes', '* * * * *', 'select public.apply_due_category_changes()');
+  end if;
+end;
+$$;
@@ -0,0 +1,58 @@
+-- Preisliste für Einzelartikel (ISBN/EAN). Codes werden normalisiert als 8-, 12- oder 13-stellige
+-- Ziffernfolge gespeichert; ISBN-10 wird vom Client vorher in ISBN-13 umgerechnet.
+
+create table if not exists public.product_code_prices (
+  id bigint generated by default as identity primary key,
+  code text not null unique check (code ~ '^[0-9]{8}$|^[0-9]{12,13}$'),
+  title text not null,
+  category_id uuid references public.product_categories (id) on delete set null,
+  price numeric(10, 2) not null check (price >= 0),
+  estimated_weight numeric(10, 3) not null default 0 check (estimated_weight >= 0),
+  is_active boolean not null default true,
+  notes text,
+  updated_at timestamptz not null default now(),
+  updated_by_email text default (auth.jwt() ->> 'email')
+);
+
+alter table public.product_code_prices enable row level security;
+
+-- Die komplette Liste sehen nur Admins; Besucher fragen einzelne Codes per RPC ab.
+drop policy if exists "Admins verwalten Einzelartikel" on public.product_code_prices;
+create policy "Admins verwalten Einzelartikel"
+  on public.product_code_prices for all
+  to authenticated
+  using (true)
+  with check (true);
+
+create or replace function public.touch_product_code_price()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  new.updated_by_email := coalesce(auth.jwt() ->> 'email', new.updated_by_email);
+  return new;
+end;
+$$;
+
+drop trigger if exists product_code_prices_touch on public.product_code_prices;
+create trigger product_code_prices_touch
+  before update on public.product_code_prices
+  for each row execute function public.touch_product_code_price();
+
+create or replace function public.lookup_product_code(p_code text)
+returns table (code text, title text, price numeric, estimated_weight numeric, category_id uuid)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select p.code, p.title, p.price, p.estimated_weight, p.category_id
+  from public.product_code_prices p
+  where p.code = regexp_replace(coalesce(p_code, ''), '[^0-9]', '', 'g')
+    and p.is_active
+  limit 1;
+$$;
+
+revoke all on function public.lookup_product_code(text) from public;
+grant execute on function public.lookup_product_code(text) to anon, authenticated;
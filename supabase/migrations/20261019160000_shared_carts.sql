@@ -0,0 +1,79 @@
+-- Geteilte Warenkörbe: Der Kunde kann seinen Warenkorb unter einem zufälligen Token speichern
+-- und über den Link auf einem anderen Gerät wiederherstellen. Zugriff nur über die RPCs,
+-- damit sich die Tabelle nicht auflisten lässt.
+
+create table if not exists public.shared_carts (
+  token text primary key,
+  items jsonb not null,
+  storage_version integer not null default 1,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null default now() + interval '30 days',
+  last_opened_at timestamptz,
+  constraint shared_carts_items_array check (jsonb_typeof(items) = 'array')
+);
+
+create index if not exists shared_carts_expires_at_idx on public.shared_carts (expires_at);
+
+alter table public.shared_carts enable row level security;
+
+create or replace function public.create_shared_cart(p_items jsonb, p_storage_version integer default 1)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_token text;
+begin
+  if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'Der Warenkorb ist leer.';
+  end if;
+  if jsonb_array_length(p_items) > 100 or pg_column_size(p_items) > 65536 then
+    raise exception 'Der Warenkorb ist zu groß zum Teilen.';
+  end if;
+
+  -- Abgelaufene Links bei Gelegenheit aufräumen.
+  delete from public.shared_carts where expires_at < now();
+
+  -- Zwei UUIDv4 ergeben 244 Zufallsbits, das Token ist damit nicht zu erraten.
+  v_token := replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', '');
+
+  insert into public.shared_carts (token, items, storage_version)
+  values (v_token, p_items, coalesce(p_storage_version, 1));
+
+  return v_token;
+end;
+$$;
+
+create or replace function public.get_shared_cart(p_token text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_cart public.shared_carts;
+begin
+  update public.shared_carts
+  set last_opened_at = now()
+  where token = p_token
+    and expires_at >= now()
+  returning * into v_cart;
+
+  if v_cart.token is null then
+    return null;
+  end if;
+
+  return jsonb_build_object(
+    'items', v_cart.items,
+    'storage_version', v_cart.storage_version,
+    'created_at', v_cart.created_at,
+    'expires_at', v_cart.expires_at
+  );
+end;
+$$;
+
+revoke all on function public.create_shared_cart(jsonb, integer) from public;
+revoke all on function public.get_shared_cart(text) from public;
+grant execute on function public.create_shared_cart(jsonb, integer) to anon, authenticated;
+grant execute on function public.get_shared_cart(text) to anon, authenticated;
@@ -0,0 +1,95 @@
+-- Öffentliche Statusabfrage (/status): Kunden sehen ihren Ankauf nach Eingabe von Ankaufsnummer
+-- und E-Mail oder PLZ. Die Abfrage läuft nur über get_ankauf_status, liefert keine Kundendaten
+-- und ist pro Client und pro Ankaufsnummer begrenzt.
+
+-- Download-Links der Versandlabels, damit sie auch später noch abrufbar sind.
+alter table public.ankauf_requests
+  add column if not exists label_urls text[] not null default '{}';
+
+create table if not exists public.ankauf_status_lookups (
+  id bigint generated by default as identity primary key,
+  client_key text not null,
+  ankaufs_nummer text not null,
+  succeeded boolean not null,
+  attempted_at timestamptz not null default now()
+);
+
+create index if not exists ankauf_status_lookups_client_idx
+  on public.ankauf_status_lookups (client_key, attempted_at desc);
+
+create index if not exists ankauf_status_lookups_nummer_idx
+  on public.ankauf_status_lookups (ankaufs_nummer, attempted_at desc);
+
+-- Keine Policies: nur die Funktion unten schreibt und liest hier.
+alter table public.ankauf_status_lookups enable row level security;
+
+create or replace function public.get_ankauf_status(p_ankaufs_nummer text, p_verification text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_nummer text := upper(regexp_replace(trim(coalesce(p_ankaufs_nummer, '')), '-L\d+$', '', 'i'));
+  v_verification text := lower(regexp_replace(coalesce(p_verification, ''), '\s', '', 'g'));
+  v_headers json := nullif(current_setting('request.headers', true), '')::json;
+  v_client text;
+  v_request public.ankauf_requests;
+  v_window interval := interval '15 minutes';
+begin
+  v_client := coalesce(nullif(trim(split_part(v_headers ->> 'x-forwarded-for', ',', 1)), ''), 'unbekannt');
+
+  if v_nummer = '' or v_verification = '' then
+    raise exception 'Bitte Ankaufsnummer und E-Mail oder PLZ angeben.';
+  end if;
+
+  if (select count(*) from public.ankauf_status_lookups
+      where client_key = v_client and attempted_at > now() - v_window) >= 20
+     or (select count(*) from public.ankauf_status_lookups
+      where ankaufs_nummer = v_nummer and not succeeded and attempted_at > now() - v_window) >= 5 then
+    raise exception 'Zu viele Abfragen. Bitte versuche es in 15 Minuten erneut.' using errcode = '54000';
+  end if;
+
+  select r.* into v_request
+  from public.ankauf_requests r
+  join public.customers c on c.id = r.customer_id
+  where upper(r.ankaufs_nummer) = v_nummer
+    and (lower(trim(c.email)) = v_verification
+      or lower(regexp_replace(coalesce(c.zip, ''), '\s', '', 'g')) = v_verification)
+  limit 1;
+
+  delete from public.ankauf_status_lookups where attempted_at < now() - interval '1 day';
+  insert into public.ankauf_status_lookups (client_key, ankaufs_nummer, succeeded)
+  values (v_client, v_nummer, v_request.id is not null);
+
+  -- Falsche Nummer und falsche E-Mail/PLZ sehen gleich aus, damit sich Ankaufsnummern nicht ausprobieren lassen.
+  if v_request.id is null then
+    return null;
+  end if;
+
+  return jsonb_build_object(
+    'ankaufs_nummer', v_request.ankaufs_nummer,
+    'status', v_request.status,
+    'submission_date', v_request.submission_date,
+    'delivery_type', v_request.delivery_type,
+    'total_weight', v_request.total_weight,
+    'total_price', v_request.total_price,
+    'final_weight', v_request.final_weight,
+    'final_price', v_request.final_price,
+    'inspected_at', v_request.inspected_at,
+    'number_of_labels', v_request.number_of_labels,
+    'pdf_url', v_request.pdf_url,
+    'label_urls', to_jsonb(v_request.label_urls),
+    'parcels_received', (select count(*) from public.ankauf_parcel_receipts p where p.ankauf_request_id = v_request.id),
+    'first_parcel_received_at', (select min(p.received_at) from public.ankauf_parcel_receipts p where p.ankauf_request_id = v_request.id),
+    'status_events', coalesce((
+      select jsonb_agg(jsonb_build_object('status', h.to_status, 'changed_at', h.changed_at) order by h.changed_at)
+      from public.ankauf_status_history h
+      where h.ankauf_request_id = v_request.id
+    ), '[]'::jsonb)
+  );
+end;
+$$;
+
+revoke all on function public.get_ankauf_status(text, text) from public;
+grant execute on function public.get_ankauf_status(text, text) to anon, authenticated;
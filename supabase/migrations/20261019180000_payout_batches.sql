@@ -0,0 +1,254 @@
+-- Auszahlungsläufe: geprüfte, unbezahlte Ankäufe werden zu einem Lauf zusammengefasst,
+-- als SEPA-Überweisungsdatei (pain.001) bzw. PayPal-Sammelzahlung exportiert und nach der
+-- Freigabe bei der Bank als "paid" markiert.
+
+-- Prüfziffer nach ISO 13616 (mod 97). Länge und Aufbau je Land prüft der Client zusätzlich.
+create or replace function public.is_valid_iban(p_iban text)
+returns boolean
+language plpgsql
+immutable
+set search_path = public
+as $$
+declare
+  v_iban text := upper(regexp_replace(coalesce(p_iban, ''), '\s', '', 'g'));
+  v_rearranged text;
+  v_char text;
+  v_remainder integer := 0;
+  i integer;
+begin
+  if v_iban !~ '^[A-Z]{2}[0-9]{2}[A-Z0-9]{11,30}$' then
+    return false;
+  end if;
+
+  v_rearranged := substr(v_iban, 5) || substr(v_iban, 1, 4);
+  for i in 1..length(v_rearranged) loop
+    v_char := substr(v_rearranged, i, 1);
+    if v_char ~ '[0-9]' then
+      v_remainder := (v_remainder * 10 + v_char::integer) % 97;
+    else
+      v_remainder := (v_remainder * 100 + ascii(v_char) - 55) % 97;
+    end if;
+  end loop;
+
+  return v_remainder = 1;
+end;
+$$;
+
+create table if not exists public.payout_batches (
+  id uuid primary key default gen_random_uuid(),
+  batch_number text not null unique,
+  status text not null default 'open' check (status in ('open', 'confirmed', 'cancelled')),
+  sepa_count integer not null default 0,
+  sepa_total numeric(12, 2) not null default 0,
+  paypal_count integer not null default 0,
+  paypal_total numeric(12, 2) not null default 0,
+  created_at timestamptz not null default now(),
+  created_by uuid references auth.users (id),
+  created_by_email text,
+  confirmed_at timestamptz,
+  confirmed_by uuid references auth.users (id),
+  confirmed_by_email text,
+  cancelled_at timestamptz
+);
+
+create table if not exists public.payout_batch_items (
+  id bigint generated by default as identity primary key,
+  batch_id uuid not null references public.payout_batches (id) on delete cascade,
+  ankauf_request_id uuid not null references public.ankauf_requests (id),
+  ankaufs_nummer text not null,
+  method text not null check (method in ('sepa', 'paypal')),
+  amount numeric(12, 2) not null check (amount > 0),
+  creditor_name text not null,
+  iban text,
+  paypal text,
+  unique (batch_id, ankauf_request_id)
+);
+
+create index if not exists payout_batch_items_request_idx on public.payout_batch_items (ankauf_request_id);
+
+alter table public.ankauf_requests
+  add column if not exists payout_batch_id uuid references public.payout_batches (id),
+  add column if not exists paid_at timestamptz;
+
+alter table public.payout_batches enable row level security;
+alter table public.payout_batch_items enable row level security;
+
+drop policy if exists "Admins lesen Auszahlungsläufe" on public.payout_batches;
+create policy "Admins lesen Auszahlungsläufe"
+  on public.payout_batches for select
+  to authenticated
+  using (true);
+
+drop policy if exists "Admins lesen Auszahlungspositionen" on public.payout_batch_items;
+create policy "Admins lesen Auszahlungspositionen"
+  on public.payout_batch_items for select
+  to authenticated
+  using (true);
+
+-- Legt einen offenen Lauf an. Beträge und Zahlungsdaten kommen aus der Datenbank, nicht vom Client.
+create or replace function public.create_payout_batch(p_ankauf_request_ids uuid[])
+returns public.payout_batches
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_batch public.payout_batches;
+  v_request record;
+  v_day_count integer;
+  v_iban text;
+begin
+  if v_user_id is null then
+    raise exception 'Nicht angemeldet.' using errcode = '42501';
+  end if;
+  if p_ankauf_request_ids is null or cardinality(p_ankauf_request_ids) = 0 then
+    raise exception 'Keine Ankäufe ausgewählt.';
+  end if;
+
+  select count(*) into v_day_count
+  from public.payout_batches
+  where created_at::date = current_date;
+
+  insert into public.payout_batches (batch_number, created_by, created_by_email)
+  values ('AZ-' || to_char(now(), 'YYYYMMDD') || '-' || lpad((v_day_count + 1)::text, 2, '0'), v_user_id, auth.jwt() ->> 'email')
+  returning * into v_batch;
+
+  for v_request in
+    select r.id, r.ankaufs_nummer, r.status, r.final_price, r.iban, r.paypal, r.payout_batch_id,
+           coalesce(nullif(trim(c.company_name), ''), c.name) as creditor_name
+    from public.ankauf_requests r
+    left join public.customers c on c.id = r.customer_id
+    where r.id = any(p_ankauf_request_ids)
+    order by r.ankaufs_nummer
+    for update of r
+  loop
+    if v_request.status <> 'checked' or v_request.payout_batch_id is not null then
+      raise exception 'Ankauf % ist nicht zur Auszahlung bereit (Status "%").', v_request.ankaufs_nummer, v_request.status;
+    end if;
+    if coalesce(v_request.final_price, 0) <= 0 then
+      raise exception 'Ankauf % hat keinen Endbetrag.', v_request.ankaufs_nummer;
+    end if;
+    if exists (
+      select 1 from public.payout_batch_items i
+      join public.payout_batches b on b.id = i.batch_id
+      where i.ankauf_request_id = v_request.id and b.status = 'open'
+    ) then
+      raise exception 'Ankauf % ist bereits in einem offenen Auszahlungslauf.', v_request.ankaufs_nummer;
+    end if;
+
+    v_iban := upper(regexp_replace(coalesce(v_request.iban, ''), '\s', '', 'g'));
+    if v_iban <> '' then
+      if not public.is_valid_iban(v_iban) then
+        raise exception 'Ankauf %: Die IBAN ist ungültig.', v_request.ankaufs_nummer;
+      end if;
+      insert into public.payout_batch_items (batch_id, ankauf_request_id, ankaufs_nummer, method, amount, creditor_name, iban)
+      values (v_batch.id, v_request.id, v_request.ankaufs_nummer, 'sepa', v_request.final_price, v_request.creditor_name, v_iban);
+    elsif nullif(trim(v_request.paypal), '') is not null then
+      insert into public.payout_batch_items (batch_id, ankauf_request_id, ankaufs_nummer, method, amount, creditor_name, paypal)
+      values (v_batch.id, v_request.id, v_request.ankaufs_nummer, 'paypal', v_request.final_price, v_request.creditor_name, trim(v_request.paypal));
+    else
+      raise exception 'Ankauf % hat weder IBAN noch PayPal.', v_request.ankaufs_nummer;
+    end if;
+  end loop;
+
+  update public.payout_batches b
+  set sepa_count = totals.sepa_count,
+      sepa_total = totals.sepa_total,
+      paypal_count = totals.paypal_count,
+      paypal_total = totals.paypal_total
+  from (
+    select count(*) filter (where method = 'sepa') as sepa_count,
+           coalesce(sum(amount) filter (where method = 'sepa'), 0) as sepa_total,
+           count(*) filter (where method = 'paypal') as paypal_count,
+           coalesce(sum(amount) filter (where method = 'paypal'), 0) as paypal_total
+    from public.payout_batch_items
+    where batch_id = v_batch.id
+  ) totals
+  where b.id = v_batch.id
+  returning b.* into v_batch;
+
+  if v_batch.sepa_count + v_batch.paypal_count <> cardinality(p_ankauf_request_ids) then
+    raise exception 'Nicht alle ausgewählten Ankäufe wurden gefunden.';
+  end if;
+
+  return v_batch;
+end;
+$$;
+
+-- Nach der Ausführung bei Bank bzw. PayPal: alle Positionen auf "paid" setzen und den Lauf festschreiben.
+create or replace function public.confirm_payout_batch(p_batch_id uuid)
+returns public.payout_batches
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_batch public.payout_batches;
+  v_item record;
+begin
+  if v_user_id is null then
+    raise exception 'Nicht angemeldet.' using errcode = '42501';
+  end if;
+
+  select * into v_batch from public.payout_batches where id = p_batch_id for update;
+  if not found then
+    raise exception 'Auszahlungslauf nicht gefunden.' using errcode = 'P0002';
+  end if;
+  if v_batch.status <> 'open' then
+    raise exception 'Auszahlungslauf % ist nicht mehr offen.', v_batch.batch_number;
+  end if;
+
+  for v_item in select * from public.payout_batch_items where batch_id = v_batch.id loop
+    perform public.transition_ankauf_status(v_item.ankauf_request_id, 'paid', 'Auszahlungslauf ' || v_batch.batch_number);
+    update public.ankauf_requests
+    set payout_batch_id = v_batch.id,
+        paid_at = now()
+    where id = v_item.ankauf_request_id;
+  end loop;
+
+  update public.payout_batches
+  set status = 'confirmed',
+      confirmed_at = now(),
+      confirmed_by = v_user_id,
+      confirmed_by_email = auth.jwt() ->> 'email'
+  where id = v_batch.id
+  returning * into v_batch;
+
+  return v_batch;
+end;
+$$;
+
+create or replace function public.cancel_payout_batch(p_batch_id uuid)
+returns public.payout_batches
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_batch public.payout_batches;
+begin
+  if auth.uid() is null then
+    raise exception 'Nicht angemeldet.' using errcode = '42501';
+  end if;
+
+  update public.payout_batches
+  set status = 'cancelled',
+      cancelled_at = now()
+  where id = p_batch_id and status = 'open'
+  returning * into v_batch;
+
+  if v_batch.id is null then
+    raise exception 'Nur offene Auszahlungsläufe können verworfen werden.';
+  end if;
+  return v_batch;
+end;
+$$;
+
+revoke all on function public.create_payout_batch(uuid[]) from public, anon;
+revoke all on function public.confirm_payout_batch(uuid) from public, anon;
+revoke all on function public.cancel_payout_batch(uuid) from public, anon;
+grant execute on function public.create_payout_batch(uuid[]) to authenticated;
+grant execute on function public.confirm_payout_batch(uuid) to authenticated;
+grant execute on function public.cancel_payout_batch(uuid) to authenticated;
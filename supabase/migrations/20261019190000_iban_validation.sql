@@ -0,0 +1,135 @@
+-- IBAN-Prüfung vor dem Speichern einer Ankaufsanfrage: Länderformat (BBAN-Aufbau) und Prüfziffer mod 97.
+-- Spiegelt src/lib/iban.js; bei neuen Ländern beide Stellen anpassen.
+
+create or replace function public.iban_bban_pattern(p_country_code text)
+returns text
+language sql
+immutable
+set search_path = public
+as $$
+  select case p_country_code
+    when 'AD' then '^[0-9]{8}[A-Z0-9]{12}$'
+    when 'AT' then '^[0-9]{16}$'
+    when 'BE' then '^[0-9]{12}$'
+    when 'BG' then '^[A-Z]{4}[0-9]{6}[A-Z0-9]{8}$'
+    when 'CH' then '^[0-9]{5}[A-Z0-9]{12}$'
+    when 'CY' then '^[0-9]{8}[A-Z0-9]{16}$'
+    when 'CZ' then '^[0-9]{20}$'
+    when 'DE' then '^[0-9]{18}$'
+    when 'DK' then '^[0-9]{14}$'
+    when 'EE' then '^[0-9]{16}$'
+    when 'ES' then '^[0-9]{20}$'
+    when 'FI' then '^[0-9]{14}$'
+    when 'FR' then '^[0-9]{10}[A-Z0-9]{11}[0-9]{2}$'
+    when 'GB' then '^[A-Z]{4}[0-9]{14}$'
+    when 'GI' then '^[A-Z]{4}[A-Z0-9]{15}$'
+    when 'GR' then '^[0-9]{7}[A-Z0-9]{16}$'
+    when 'HR' then '^[0-9]{17}$'
+    when 'HU' then '^[0-9]{24}$'
+    when 'IE' then '^[A-Z]{4}[0-9]{14}$'
+    when 'IS' then '^[0-9]{22}$'
+    when 'IT' then '^[A-Z][0-9]{10}[A-Z0-9]{12}$'
+    when 'LI' then '^[0-9]{5}[A-Z0-9]{12}$'
+    when 'LT' then '^[0-9]{16}$'
+    when 'LU' then '^[0-9]{3}[A-Z0-9]{13}$'
+    when 'LV' then '^[A-Z]{4}[A-Z0-9]{13}$'
+    when 'MC' then '^[0-9]{10}[A-Z0-9]{11}[0-9]{2}$'
+    when 'MT' then '^[A-Z]{4}[0-9]{5}[A-Z0-9]{18}$'
+    when 'NL' then '^[A-Z]{4}[0-9]{10}$'
+    when 'NO' then '^[0-9]{11}$'
+    when 'PL' then '^[0-9]{24}$'
+    when 'PT' then '^[0-9]{21}$'
+    when 'RO' then '^[A-Z]{4}[A-Z0-9]{16}$'
+    when 'SE' then '^[0-9]{20}$'
+    when 'SI' then '^[0-9]{15}$'
+    when 'SK' then '^[0-9]{20}$'
+    when 'SM' then '^[A-Z][0-9]{10}[A-Z0-9]{12}$'
+    when 'VA' then '^[0-9]{18}$'
+  end;
+$$;
+
+create or replace function public.get_iban_error(p_iban text)
+returns text
+language plpgsql
+immutable
+set search_path = public
+as $$
+declare
+  v_iban text := upper(regexp_replace(coalesce(p_iban, ''), '\s', '', 'g'));
+  v_country text := substr(v_iban, 1, 2);
+  v_pattern text;
+  v_rearranged text;
+  v_char text;
+  v_remainder integer := 0;
+  i integer;
+begin
+  if v_iban = '' then
+    return 'Keine IBAN angegeben.';
+  end if;
+  if v_iban !~ '^[A-Z]{2}[0-9]{2}[A-Z0-9]+$' then
+    return 'Die IBAN enthält ungültige Zeichen.';
+  end if;
+
+  v_pattern := public.iban_bban_pattern(v_country);
+  if v_pattern is null then
+    return format('Das Land %s gehört nicht zum SEPA-Raum.', v_country);
+  end if;
+  if substr(v_iban, 5) !~ v_pattern then
+    return format('Der Aufbau passt nicht zu einer IBAN aus %s.', v_country);
+  end if;
+
+  v_rearranged := substr(v_iban, 5) || substr(v_iban, 1, 4);
+  for i in 1..length(v_rearranged) loop
+    v_char := substr(v_rearranged, i, 1);
+    if v_char ~ '[0-9]' then
+      v_remainder := (v_remainder * 10 + v_char::integer) % 97;
+    else
+      v_remainder := (v_remainder * 100 + ascii(v_char) - 55) % 97;
+    end if;
+  end loop;
+
+  if v_remainder <> 1 then
+    return 'Die Prüfziffer der IBAN stimmt nicht. Bitte auf Tippfehler prüfen.';
+  end if;
+  return null;
+end;
+$$;
+
+-- Auszahlungsläufe prüfen seit jeher über is_valid_iban; jetzt mit derselben Länderprüfung.
+create or replace function public.is_valid_iban(p_iban text)
+returns boolean
+language sql
+immutable
+set search_path = public
+as $$
+  select public.get_iban_error(p_iban) is null;
+$$;
+
+create or replace function public.validate_ankauf_request_iban()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_error text;
+begin
+  if nullif(trim(coalesce(new.iban, '')), '') is null then
+    new.iban := null;
+    return new;
+  end if;
+
+  new.iban := upper(regexp_replace(new.iban, '\s', '', 'g'));
+  v_error := public.get_iban_error(new.iban);
+  if v_error is not null then
+    raise exception '%', v_error using errcode = '22023';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists ankauf_requests_validate_iban on public.ankauf_requests;
+create trigger ankauf_requests_validate_iban
+  before insert or update of iban on public.ankauf_requests
+  for each row execute function public.validate_ankauf_request_iban();
+
+grant execute on function public.get_iban_error(text) to anon, authenticated;
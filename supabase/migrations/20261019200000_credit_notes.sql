@@ -0,0 +1,212 @@
+-- Gutschriften (§14 Abs. 2 Satz 2 UStG) über die geprüften Endbeträge eines Ankaufs.
+-- Nummern laufen je Kalenderjahr lückenlos (GS-2026-00001, ...). Zähler und Gutschrift werden in
+-- derselben Transaktion geschrieben: schlägt etwas fehl, wird auch die Nummer nicht verbraucht.
+-- Gutschriften werden nie gelöscht; das PDF kann jederzeit aus dem gespeicherten Stand neu erzeugt werden.
+
+create table if not exists public.credit_note_sequences (
+  year integer primary key,
+  last_number integer not null default 0
+);
+
+alter table public.credit_note_sequences enable row level security;
+
+create table if not exists public.credit_notes (
+  id uuid primary key default gen_random_uuid(),
+  credit_note_number text not null unique,
+  year integer not null,
+  sequence_number integer not null,
+  ankauf_request_id uuid not null unique references public.ankauf_requests (id) on delete restrict,
+  ankaufs_nummer text not null,
+  issued_at timestamptz not null default now(),
+  service_date date not null,
+  issued_by uuid references auth.users (id),
+  issued_by_email text,
+  tax_treatment text not null check (tax_treatment in ('private', 'regular', 'margin_scheme', 'small_business')),
+  vat_rate numeric(4, 2) not null default 0,
+  net_amount numeric(12, 2) not null,
+  vat_amount numeric(12, 2) not null default 0,
+  gross_amount numeric(12, 2) not null,
+  -- Verkäufer (Kunde) inkl. Auszahlungsweg zum Zeitpunkt der Ausstellung,
+  -- damit spätere Adressänderungen die Gutschrift nicht verändern.
+  seller jsonb not null,
+  -- Geprüfte Positionen: [{ category, unit, quantity, weight, unit_price, price }]
+  items jsonb not null,
+  pdf_url text,
+  unique (year, sequence_number),
+  check (tax_treatment = 'regular' or vat_rate = 0)
+);
+
+alter table public.credit_notes enable row level security;
+
+drop policy if exists "Admins lesen Gutschriften" on public.credit_notes;
+create policy "Admins lesen Gutschriften"
+  on public.credit_notes for select
+  to authenticated
+  using (true);
+
+alter table public.ankauf_requests
+  add column if not exists credit_note_url text;
+
+-- p_tax_treatment / p_vat_rate / p_seller_vat_id gelten nur für gewerbliche Verkäufer (customers.company_name).
+-- Privatverkäufer erhalten immer eine Gutschrift ohne Umsatzsteuer.
+create or replace function public.issue_credit_note(
+  p_ankauf_request_id uuid,
+  p_tax_treatment text default null,
+  p_vat_rate numeric default null,
+  p_seller_vat_id text default null
+)
+returns public.credit_notes
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request record;
+  v_existing public.credit_notes;
+  v_credit_note public.credit_notes;
+  v_year integer := extract(year from now() at time zone 'Europe/Berlin')::integer;
+  v_number integer;
+  v_tax_treatment text;
+  v_vat_rate numeric := 0;
+  v_net numeric;
+  v_items jsonb;
+begin
+  if auth.uid() is null then
+    raise exception 'Nicht angemeldet.' using errcode = '42501';
+  end if;
+
+  select r.*, c.name as customer_name, c.company_name, c.street, c.zip, c.city, c.email
+  into v_request
+  from public.ankauf_requests r
+  join public.customers c on c.id = r.customer_id
+  where r.id = p_ankauf_request_id
+  for update of r;
+
+  if not found then
+    raise exception 'Ankaufsanfrage % nicht gefunden.', p_ankauf_request_id using errcode = 'P0002';
+  end if;
+
+  -- Pro Ankauf genau eine Gutschrift; ein zweiter Aufruf liefert die vorhandene zurück.
+  select * into v_existing from public.credit_notes where ankauf_request_id = v_request.id;
+  if found then
+    return v_existing;
+  end if;
+
+  if v_request.status not in ('checked', 'paid') or v_request.inspected_at is null then
+    raise exception 'Eine Gutschrift gibt es erst nach abgeschlossener Prüfung (aktuell: %).', v_request.status
+      using errcode = '22023';
+  end if;
+  if coalesce(v_request.final_price, 0) <= 0 then
+    raise exception 'Ankauf % hat keinen Endbetrag.', v_request.ankaufs_nummer using errcode = '22023';
+  end if;
+
+  if nullif(trim(coalesce(v_request.company_name, '')), '') is null then
+    v_tax_treatment := 'private';
+  else
+    v_tax_treatment := coalesce(p_tax_treatment, '');
+    if v_tax_treatment not in ('regular', 'margin_scheme', 'small_business') then
+      raise exception 'Bitte die Besteuerung des gewerblichen Verkäufers angeben.' using errcode = '22023';
+    end if;
+    if v_tax_treatment = 'regular' then
+      if p_vat_rate is null or p_vat_rate not in (7, 19) then
+        raise exception 'Bitte den Steuersatz (7 %% oder 19 %%) angeben.' using errcode = '22023';
+      end if;
+      if nullif(trim(coalesce(p_seller_vat_id, '')), '') is null then
+        raise exception 'Für eine Gutschrift mit Umsatzsteuer wird die Steuernummer oder USt-IdNr. des Verkäufers benötigt.'
+          using errcode = '22023';
+      end if;
+      v_vat_rate := p_vat_rate;
+    end if;
+  end if;
+
+  -- Endbeträge sind Bruttobeträge; bei Regelbesteuerung ist die Umsatzsteuer herausgerechnet.
+  v_net := round(v_request.final_price / (1 + v_vat_rate / 100), 2);
+
+  select coalesce(jsonb_agg(jsonb_build_object(
+    'category', i.category,
+    'unit', i.unit,
+    'quantity', case when i.unit = 'piece' then greatest(coalesce(i.actual_quantity, 0) - coalesce(i.rejected_quantity, 0), 0) end,
+    'weight', i.accepted_weight,
+    'unit_price', i.price_per_kg,
+    'price', i.final_price
+  ) order by i.item_index), '[]'::jsonb)
+  into v_items
+  from public.ankauf_inspection_items i
+  where i.ankauf_request_id = v_request.id
+    and i.final_price > 0;
+
+  insert into public.credit_note_sequences as s (year, last_number)
+  values (v_year, 1)
+  on conflict (year) do update set last_number = s.last_number + 1
+  returning last_number into v_number;
+
+  insert into public.credit_notes (
+    credit_note_number, year, sequence_number, ankauf_request_id, ankaufs_nummer, service_date,
+    issued_by, issued_by_email, tax_treatment, vat_rate, net_amount, vat_amount, gross_amount, seller, items
+  ) values (
+    format('GS-%s-%s', v_year, lpad(v_number::text, 5, '0')),
+    v_year,
+    v_number,
+    v_request.id,
+    v_request.ankaufs_nummer,
+    (v_request.inspected_at at time zone 'Europe/Berlin')::date,
+    auth.uid(),
+    auth.jwt() ->> 'email',
+    v_tax_treatment,
+    v_vat_rate,
+    v_net,
+    v_request.final_price - v_net,
+    v_request.final_price,
+    jsonb_build_object(
+      'name', v_request.customer_name,
+      'company_name', nullif(trim(coalesce(v_request.company_name, '')), ''),
+      'street', v_request.street,
+      'zip', v_request.zip,
+      'city', v_request.city,
+      'email', v_request.email,
+      'iban', v_request.iban,
+      'paypal', nullif(trim(coalesce(v_request.paypal, '')), ''),
+      'vat_id', case when v_tax_treatment = 'private' then null else nullif(trim(coalesce(p_seller_vat_id, '')), '') end
+    ),
+    v_items
+  )
+  returning * into v_credit_note;
+
+  return v_credit_note;
+end;
+$$;
+
+create or replace function public.set_credit_note_pdf_url(p_credit_note_id uuid, p_pdf_url text)
+returns public.credit_notes
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_credit_note public.credit_notes;
+begin
+  if auth.uid() is null then
+    raise exception 'Nicht angemeldet.' using errcode = '42501';
+  end if;
+
+  update public.credit_notes
+  set pdf_url = p_pdf_url
+  where id = p_credit_note_id
+  returning * into v_credit_note;
+
+  if not found then
+    raise exception 'Gutschrift % nicht gefunden.', p_credit_note_id using errcode = 'P0002';
+  end if;
+
+  update public.ankauf_requests
+  set credit_note_url = p_pdf_url
+  where id = v_credit_note.ankauf_request_id;
+
+  return v_credit_note;
+end;
+$$;
+
+revoke all on function public.issue_credit_note(uuid, text, numeric, text) from public, anon;
+grant execute on function public.issue_credit_note(uuid, text, numeric, text) to authenticated;
+revoke all on function public.set_credit_note_pdf_url(uuid, text) from public, anon;
+grant execute on function public.set_credit_note_pdf_url(uuid, text) to authenticated;
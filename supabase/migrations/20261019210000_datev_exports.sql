@@ -0,0 +1,141 @@
+-- DATEV-Export (Buchungsstapel im EXTF-Format) der ausgezahlten Ankäufe für den Steuerberater.
+-- Sachkonto je Ankaufkategorie; ohne Zuordnung bucht der Export auf das Standardkonto aus der App-Konfiguration.
+-- Jeder Export wird mit den enthaltenen Ankäufen protokolliert, damit ein erneuter Export auffällt.
+
+alter table public.product_categories
+  add column if not exists datev_account text;
+
+alter table public.product_categories
+  drop constraint if exists product_categories_datev_account_check;
+
+alter table public.product_categories
+  add constraint product_categories_datev_account_check
+  check (datev_account is null or datev_account ~ '^[0-9]{4,8}$');
+
+create table if not exists public.datev_exports (
+  id uuid primary key default gen_random_uuid(),
+  period_from date not null,
+  period_to date not null,
+  file_name text not null,
+  booking_count integer not null default 0,
+  total_amount numeric(12, 2) not null default 0,
+  ankauf_request_ids uuid[] not null default '{}',
+  exported_at timestamptz not null default now(),
+  exported_by uuid references auth.users (id),
+  exported_by_email text,
+  check (period_from <= period_to)
+);
+
+create index if not exists datev_exports_period_idx on public.datev_exports (period_from, period_to);
+
+alter table public.datev_exports enable row level security;
+
+drop policy if exists "Admins lesen DATEV-Exporte" on public.datev_exports;
+create policy "Admins lesen DATEV-Exporte"
+  on public.datev_exports for select
+  to authenticated
+  using (true);
+
+-- Ausgezahlte Ankäufe im Zeitraum (nach Auszahlungsdatum) mit Buchungszeilen je Sachkonto.
+-- Auszahlungen ohne Auszahlungslauf (z.B. bar vor Ort) haben kein paid_at; dann zählt der Statuswechsel auf "paid".
+create or replace function public.get_datev_export_rows(p_from date, p_to date)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_rows jsonb;
+begin
+  if auth.uid() is null then
+    raise exception 'Nicht angemeldet.' using errcode = '42501';
+  end if;
+
+  with paid as (
+    select
+      r.*,
+      coalesce(r.paid_at, (
+        select max(h.changed_at)
+        from public.ankauf_status_history h
+        where h.ankauf_request_id = r.id and h.to_status = 'paid'
+      ), r.status_changed_at) as paid_on
+    from public.ankauf_requests r
+    where r.status = 'paid'
+  )
+  select coalesce(jsonb_agg(jsonb_build_object(
+    'ankauf_request_id', p.id,
+    'ankaufs_nummer', p.ankaufs_nummer,
+    'paid_at', p.paid_on,
+    'amount', p.final_price,
+    'customer_name', coalesce(nullif(trim(coalesce(c.company_name, '')), ''), c.name),
+    'payment_method', coalesce(
+      (select bi.method from public.payout_batch_items bi where bi.batch_id = p.payout_batch_id and bi.ankauf_request_id = p.id),
+      case
+        when nullif(trim(coalesce(p.iban, '')), '') is not null then 'sepa'
+        when nullif(trim(coalesce(p.paypal, '')), '') is not null then 'paypal'
+        else 'cash'
+      end
+    ),
+    'credit_note_number', cn.credit_note_number,
+    'lines', coalesce((
+      select jsonb_agg(jsonb_build_object('account', l.account, 'categories', l.categories, 'amount', l.amount) order by l.account nulls last)
+      from (
+        select pc.datev_account as account, string_agg(distinct i.category, ', ') as categories, sum(i.final_price) as amount
+        from public.ankauf_inspection_items i
+        left join public.product_categories pc on pc.id::text = p.items -> i.item_index ->> 'categoryId'
+        where i.ankauf_request_id = p.id and i.final_price > 0
+        group by pc.datev_account
+      ) l
+    ), jsonb_build_array(jsonb_build_object('account', null, 'categories', null, 'amount', p.final_price))),
+    'last_exported_at', (
+      select max(e.exported_at) from public.datev_exports e where p.id = any (e.ankauf_request_ids)
+    )
+  ) order by p.paid_on, p.ankaufs_nummer), '[]'::jsonb)
+  into v_rows
+  from paid p
+  join public.customers c on c.id = p.customer_id
+  left join public.credit_notes cn on cn.ankauf_request_id = p.id
+  where (p.paid_on at time zone 'Europe/Berlin')::date between p_from and p_to
+    and coalesce(p.final_price, 0) > 0;
+
+  return v_rows;
+end;
+$$;
+
+create or replace function public.record_datev_export(
+  p_period_from date,
+  p_period_to date,
+  p_file_name text,
+  p_ankauf_request_ids uuid[],
+  p_booking_count integer,
+  p_total_amount numeric
+)
+returns public.datev_exports
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_export public.datev_exports;
+begin
+  if auth.uid() is null then
+    raise exception 'Nicht angemeldet.' using errcode = '42501';
+  end if;
+
+  insert into public.datev_exports (
+    period_from, period_to, file_name, booking_count, total_amount, ankauf_request_ids, exported_by, exported_by_email
+  ) values (
+    p_period_from, p_period_to, p_file_name, p_booking_count, p_total_amount,
+    coalesce(p_ankauf_request_ids, '{}'), auth.uid(), auth.jwt() ->> 'email'
+  )
+  returning * into v_export;
+
+  return v_export;
+end;
+$$;
+
+revoke all on function public.get_datev_export_rows(date, date) from public, anon;
+revoke all on function public.record_datev_export(date, date, text, uuid[], integer, numeric) from public, anon;
+grant execute on function public.get_datev_export_rows(date, date) to authenticated;
+grant execute on function public.record_datev_export(date, date, text, uuid[], integer, numeric) to authenticated;
@@ -0,0 +1,213 @@
+-- Ankaufsnummern kommen aus einem Zähler je Kalenderjahr: BR-JJJJ-NNNNN-P.
+-- P ist die Prüfziffer nach Damm über Jahr und laufende Nummer (Gegenstück in src/lib/ankaufsNummer.js);
+-- sie erkennt jeden einzelnen Tippfehler und jeden Zahlendreher benachbarter Ziffern.
+-- Label-Referenzen hängen wie bisher "-L1", "-L2", … an. Alte Nummern (BR-12345678) bleiben unverändert.
+
+create table if not exists public.ankauf_number_sequences (
+  year integer primary key,
+  last_number integer not null default 0
+);
+
+-- Keine Policies: nur next_ankaufs_nummer zählt hoch.
+alter table public.ankauf_number_sequences enable row level security;
+
+create or replace function public.damm_check_digit(p_digits text)
+returns integer
+language plpgsql
+immutable
+as $$
+declare
+  v_table integer[] := array[
+    [0, 3, 1, 7, 5, 9, 8, 6, 4, 2],
+    [7, 0, 9, 2, 1, 5, 4, 8, 6, 3],
+    [4, 2, 0, 6, 8, 7, 1, 3, 5, 9],
+    [1, 7, 5, 0, 9, 8, 3, 4, 2, 6],
+    [6, 1, 2, 3, 0, 4, 5, 9, 7, 8],
+    [3, 6, 7, 4, 2, 0, 9, 5, 8, 1],
+    [5, 8, 6, 9, 7, 2, 0, 1, 3, 4],
+    [8, 9, 4, 5, 3, 6, 2, 0, 1, 7],
+    [9, 4, 3, 8, 6, 1, 7, 2, 0, 5],
+    [2, 5, 8, 1, 4, 3, 6, 7, 9, 0]
+  ];
+  v_interim integer := 0;
+  v_digit text;
+begin
+  foreach v_digit in array regexp_split_to_array(p_digits, '') loop
+    v_interim := v_table[v_interim + 1][v_digit::integer + 1];
+  end loop;
+  return v_interim;
+end;
+$$;
+
+-- Vergibt die nächste Nummer; der Zähler wird in der Transaktion des Aufrufers gesperrt.
+create or replace function public.next_ankaufs_nummer()
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_year integer := extract(year from now() at time zone 'Europe/Berlin')::integer;
+  v_number integer;
+  v_digits text;
+begin
+  insert into public.ankauf_number_sequences as s (year, last_number)
+  values (v_year, 1)
+  on conflict (year) do update set last_number = s.last_number + 1
+  returning last_number into v_number;
+
+  v_digits := v_year::text || lpad(v_number::text, 5, '0');
+  return 'BR-' || v_year || '-' || lpad(v_number::text, 5, '0') || '-' || public.damm_check_digit(v_digits);
+end;
+$$;
+
+revoke all on function public.next_ankaufs_nummer() from public, anon, authenticated;
+
+-- submit_ankauf_request vergibt die Nummer jetzt über den Zähler; Kollisionen sind damit ausgeschlossen.
+create or replace function public.submit_ankauf_request(
+  p_idempotency_key uuid,
+  p_customer jsonb,
+  p_request jsonb,
+  p_delivery jsonb default '{}'::jsonb
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_email text := lower(trim(coalesce(p_customer ->> 'email', '')));
+  v_delivery_type text := p_request ->> 'delivery_type';
+  v_items jsonb := p_request -> 'items';
+  v_iban text := nullif(trim(coalesce(p_request ->> 'iban', '')), '');
+  v_paypal text := nullif(trim(coalesce(p_request ->> 'paypal', '')), '');
+  v_delivery jsonb := coalesce(p_delivery, '{}'::jsonb);
+  v_existing record;
+  v_customer_id uuid;
+  v_request public.ankauf_requests;
+begin
+  if p_idempotency_key is null then
+    raise exception 'Die Anfrage ist unvollständig. Bitte lade die Seite neu.'
+      using errcode = '22023', hint = 'missing_idempotency_key';
+  end if;
+
+  -- Gleichzeitige Aufrufe mit demselben Schlüssel (Doppelklick) warten hier aufeinander.
+  perform pg_advisory_xact_lock(hashtextextended(p_idempotency_key::text, 0));
+
+  select r.id, r.ankaufs_nummer, r.submission_date, lower(trim(c.email)) as email
+  into v_existing
+  from public.ankauf_requests r
+  join public.customers c on c.id = r.customer_id
+  where r.idempotency_key = p_idempotency_key;
+
+  if found then
+    if v_existing.email <> v_email then
+      raise exception 'Diese Anfrage wurde bereits mit anderen Daten abgeschickt. Bitte lade die Seite neu.'
+        using errcode = '22023', hint = 'idempotency_key_reused';
+    end if;
+    return jsonb_build_object(
+      'ankauf_request_id', v_existing.id,
+      'ankaufs_nummer', v_existing.ankaufs_nummer,
+      'submission_date', v_existing.submission_date,
+      'duplicate', true
+    );
+  end if;
+
+  if v_email !~ '^[^\s@]+@[^\s@]+\.[^\s@]+$'
+     or nullif(trim(coalesce(p_customer ->> 'name', '')), '') is null
+     or nullif(trim(coalesce(p_customer ->> 'street', '')), '') is null
+     or coalesce(p_customer ->> 'zip', '') !~ '^\d{5}$'
+     or nullif(trim(coalesce(p_customer ->> 'city', '')), '') is null then
+    raise exception 'Bitte prüfe Name, E-Mail und Anschrift.'
+      using errcode = '22023', hint = 'invalid_customer';
+  end if;
+
+  if v_items is null or jsonb_typeof(v_items) <> 'array' or jsonb_array_length(v_items) = 0 then
+    raise exception 'Der Warenkorb ist leer.' using errcode = '22023', hint = 'empty_cart';
+  end if;
+
+  if v_delivery_type is null or v_delivery_type not in ('versand', 'abholung', 'selbstanlieferung') then
+    raise exception 'Bitte wähle eine gültige Abgabeart.' using errcode = '22023', hint = 'invalid_delivery_type';
+  end if;
+
+  if not coalesce((p_request ->> 'agb_accepted')::boolean, false)
+     or not coalesce((p_request ->> 'own_items_confirmed')::boolean, false) then
+    raise exception 'Bitte bestätige die AGB und dass die Artikel dein Eigentum sind.'
+      using errcode = '22023', hint = 'missing_consent';
+  end if;
+
+  if v_iban is null and v_paypal is null then
+    raise exception 'Für die Auszahlung wird eine IBAN oder PayPal-E-Mail benötigt.'
+      using errcode = '22023', hint = 'missing_payout';
+  end if;
+
+  select id into v_customer_id
+  from public.customers
+  where email = p_customer ->> 'email'
+  limit 1
+  for update;
+
+  if found then
+    update public.customers
+    set name = p_customer ->> 'name',
+        phone = p_customer ->> 'phone',
+        street = p_customer ->> 'street',
+        zip = p_customer ->> 'zip',
+        city = p_customer ->> 'city',
+        company_name = nullif(trim(coalesce(p_customer ->> 'company_name', '')), '')
+    where id = v_customer_id;
+  else
+    insert into public.customers (name, email, phone, street, zip, city, company_name)
+    values (
+      p_customer ->> 'name',
+      p_customer ->> 'email',
+      p_customer ->> 'phone',
+      p_customer ->> 'street',
+      p_customer ->> 'zip',
+      p_customer ->> 'city',
+      nullif(trim(coalesce(p_customer ->> 'company_name', '')), '')
+    )
+    returning id into v_customer_id;
+  end if;
+
+  insert into public.ankauf_requests (
+    customer_id, submission_date, delivery_type, total_weight, total_price, items, price_version_ids,
+    iban, paypal, agb_accepted, own_items_confirmed, status, ankaufs_nummer, number_of_labels, idempotency_key
+  ) values (
+    v_customer_id,
+    now(),
+    v_delivery_type,
+    coalesce((p_request ->> 'total_weight')::numeric, 0),
+    coalesce((p_request ->> 'total_price')::numeric, 0),
+    v_items,
+    coalesce((select array_agg(distinct value::bigint) from jsonb_array_elements_text(p_request -> 'price_version_ids')), '{}'),
+    v_iban,
+    v_paypal,
+    true,
+    true,
+    'pending',
+    public.next_ankaufs_nummer(),
+    coalesce((p_request ->> 'number_of_labels')::integer, 0),
+    p_idempotency_key
+  )
+  returning * into v_request;
+
+  -- Die Spaltentypen der Termintabellen übernimmt jsonb_populate_record.
+  if v_delivery_type = 'abholung' then
+    insert into public.pickup_requests (ankauf_request_id, customer_id, pickup_date, pickup_time, notes)
+    select v_request.id, v_customer_id, d.pickup_date, d.pickup_time, d.notes
+    from jsonb_populate_record(null::public.pickup_requests, v_delivery) d;
+  elsif v_delivery_type = 'selbstanlieferung' then
+    insert into public.self_delivery_appointments (ankauf_request_id, customer_id, delivery_date, time_slot, notes)
+    select v_request.id, v_customer_id, d.delivery_date, d.time_slot, d.notes
+    from jsonb_populate_record(null::public.self_delivery_appointments, v_delivery) d;
+  end if;
+
+  return jsonb_build_object(
+    'ankauf_request_id', v_request.id,
+    'ankaufs_nummer', v_request.ankaufs_nummer,
+    'submission_date', v_request.submission_date,
+    'duplicate', false
+  );
+end;
+$$;
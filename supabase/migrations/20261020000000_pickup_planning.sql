@@ -0,0 +1,364 @@
+-- Abholtouren: Admins legen Abholtage mit Fahrer, Gebiet (PLZ-Präfixe) und Kapazität an
+-- (Gesamtgewicht und Anzahl Stopps). Kunden sehen im Formular nur Tage, die für ihre PLZ
+-- noch Platz haben; die Buchung prüft die Kapazität unter Sperre ein zweites Mal.
+-- Stornierte (abgelehnte/retournierte) Ankäufe zählen nicht zur Auslastung.
+
+create table if not exists public.pickup_drivers (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  phone text,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.pickup_days (
+  id uuid primary key default gen_random_uuid(),
+  pickup_date date not null,
+  driver_id uuid references public.pickup_drivers (id) on delete set null,
+  -- Leer = alle Abhol-PLZ; sonst z.B. {'163', '134'}.
+  zip_prefixes text[] not null default '{}',
+  max_weight numeric(8, 2) not null check (max_weight > 0),
+  max_stops integer not null check (max_stops > 0),
+  window_start time not null default '09:00',
+  window_end time not null default '16:00',
+  is_active boolean not null default true,
+  note text,
+  created_at timestamptz not null default now(),
+  check (window_start < window_end),
+  check (array_to_string(zip_prefixes, ',') ~ '^([0-9]{1,5}(,[0-9]{1,5})*)?$')
+);
+
+create index if not exists pickup_days_date_idx on public.pickup_days (pickup_date);
+
+alter table public.pickup_requests
+  add column if not exists pickup_day_id uuid references public.pickup_days (id) on delete set null;
+
+create index if not exists pickup_requests_day_idx on public.pickup_requests (pickup_day_id);
+
+alter table public.pickup_drivers enable row level security;
+alter table public.pickup_days enable row level security;
+
+drop policy if exists "Admins verwalten Fahrer" on public.pickup_drivers;
+create policy "Admins verwalten Fahrer"
+  on public.pickup_drivers for all
+  to authenticated
+  using (true)
+  with check (true);
+
+drop policy if exists "Admins verwalten Abholtage" on public.pickup_days;
+create policy "Admins verwalten Abholtage"
+  on public.pickup_days for all
+  to authenticated
+  using (true)
+  with check (true);
+
+-- Gebuchtes Gewicht (geschätzt laut Ankaufsformular) und Stopps eines Abholtags.
+create or replace function public.get_pickup_day_load(p_pickup_day_id uuid)
+returns table (booked_weight numeric, booked_stops integer)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(sum(r.total_weight), 0), count(*)::integer
+  from public.pickup_requests p
+  join public.ankauf_requests r on r.id = p.ankauf_request_id
+  where p.pickup_day_id = p_pickup_day_id
+    and r.status not in ('rejected', 'returned');
+$$;
+
+create or replace function public.pickup_day_serves_zip(p_zip_prefixes text[], p_zip text)
+returns boolean
+language sql
+immutable
+as $$
+  select cardinality(p_zip_prefixes) = 0
+    or exists (select 1 from unnest(p_zip_prefixes) prefix where coalesce(p_zip, '') like prefix || '%');
+$$;
+
+-- Freie Abholtage für das Formular: pro Datum die Tour mit dem meisten freien Gewicht.
+create or replace function public.get_available_pickup_days(p_zip text, p_weight numeric)
+returns table (pickup_day_id uuid, pickup_date date, window_start time, window_end time)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select distinct on (d.pickup_date) d.id, d.pickup_date, d.window_start, d.window_end
+  from public.pickup_days d
+  cross join lateral public.get_pickup_day_load(d.id) l
+  where d.is_active
+    and d.pickup_date > (now() at time zone 'Europe/Berlin')::date
+    and d.pickup_date <= (now() at time zone 'Europe/Berlin')::date + 60
+    and public.pickup_day_serves_zip(d.zip_prefixes, p_zip)
+    and l.booked_stops < d.max_stops
+    and l.booked_weight + coalesce(p_weight, 0) <= d.max_weight
+  order by d.pickup_date, d.max_weight - l.booked_weight desc;
+$$;
+
+-- Legt den Abhol- bzw. Anliefertermin zu einer neuen Ankaufsanfrage an (aufgerufen von submit_ankauf_request).
+-- Die Spaltentypen der Termintabellen übernimmt jsonb_populate_record.
+create or replace function public.insert_ankauf_delivery_record(
+  p_request public.ankauf_requests,
+  p_customer_id uuid,
+  p_delivery jsonb
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_day public.pickup_days;
+  v_load record;
+  v_zip text;
+begin
+  if p_request.delivery_type = 'abholung' then
+    -- Sperre auf dem Tag: zwei gleichzeitige Buchungen können die Kapazität nicht gemeinsam überschreiten.
+    select * into v_day
+    from public.pickup_days
+    where id = nullif(p_delivery ->> 'pickup_day_id', '')::uuid
+    for update;
+
+    if v_day.id is null then
+      raise exception 'Bitte wähle einen Abholtag.' using errcode = '22023', hint = 'pickup_day_required';
+    end if;
+
+    select zip into v_zip from public.customers where id = p_customer_id;
+    select * into v_load from public.get_pickup_day_load(v_day.id);
+
+    if not v_day.is_active
+       or v_day.pickup_date <= (now() at time zone 'Europe/Berlin')::date
+       or not public.pickup_day_serves_zip(v_day.zip_prefixes, v_zip)
+       or v_load.booked_stops >= v_day.max_stops
+       or v_load.booked_weight + coalesce(p_request.total_weight, 0) > v_day.max_weight then
+      raise exception 'Der gewählte Abholtag ist nicht mehr frei. Bitte wähle einen anderen Tag.'
+        using errcode = '22023', hint = 'pickup_day_full';
+    end if;
+
+    insert into public.pickup_requests (ankauf_request_id, customer_id, pickup_day_id, pickup_date, notes)
+    select p_request.id, p_customer_id, v_day.id, v_day.pickup_date, d.notes
+    from jsonb_populate_record(null::public.pickup_requests, p_delivery) d;
+  elsif p_request.delivery_type = 'selbstanlieferung' then
+    insert into public.self_delivery_appointments (ankauf_request_id, customer_id, delivery_date, time_slot, notes)
+    select p_request.id, p_customer_id, d.delivery_date, d.time_slot, d.notes
+    from jsonb_populate_record(null::public.self_delivery_appointments, p_delivery) d;
+  end if;
+end;
+$$;
+
+-- Abholtage im Zeitraum mit Fahrer und Auslastung (Admin-Übersicht).
+create or replace function public.get_pickup_days(p_from date, p_to date)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Nicht angemeldet.' using errcode = '42501';
+  end if;
+
+  return coalesce((
+    select jsonb_agg(to_jsonb(d) || jsonb_build_object(
+      'driver_name', dr.name,
+      'driver_phone', dr.phone,
+      'booked_weight', l.booked_weight,
+      'booked_stops', l.booked_stops
+    ) order by d.pickup_date, d.window_start)
+    from public.pickup_days d
+    left join public.pickup_drivers dr on dr.id = d.driver_id
+    cross join lateral public.get_pickup_day_load(d.id) l
+    where d.pickup_date between p_from and p_to
+  ), '[]'::jsonb);
+end;
+$$;
+
+-- Stopps eines Abholtags mit Anschrift für Routenplanung und Fahrerliste.
+create or replace function public.get_pickup_day_stops(p_pickup_day_id uuid)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Nicht angemeldet.' using errcode = '42501';
+  end if;
+
+  return coalesce((
+    select jsonb_agg(jsonb_build_object(
+      'pickup_request_id', p.id,
+      'ankauf_request_id', r.id,
+      'ankaufs_nummer', r.ankaufs_nummer,
+      'status', r.status,
+      'total_weight', r.total_weight,
+      'number_of_items', jsonb_array_length(coalesce(r.items, '[]'::jsonb)),
+      'notes', p.notes,
+      'name', c.name,
+      'company_name', c.company_name,
+      'phone', c.phone,
+      'street', c.street,
+      'zip', c.zip,
+      'city', c.city
+    ) order by c.zip, c.street)
+    from public.pickup_requests p
+    join public.ankauf_requests r on r.id = p.ankauf_request_id
+    join public.customers c on c.id = r.customer_id
+    where p.pickup_day_id = p_pickup_day_id
+      and r.status not in ('rejected', 'returned')
+  ), '[]'::jsonb);
+end;
+$$;
+
+revoke all on function public.get_pickup_day_load(uuid) from public, anon;
+revoke all on function public.get_available_pickup_days(text, numeric) from public;
+revoke all on function public.insert_ankauf_delivery_record(public.ankauf_requests, uuid, jsonb) from public, anon, authenticated;
+revoke all on function public.get_pickup_days(date, date) from public, anon;
+revoke all on function public.get_pickup_day_stops(uuid) from public, anon;
+grant execute on function public.get_pickup_day_load(uuid) to authenticated;
+grant execute on function public.get_available_pickup_days(text, numeric) to anon, authenticated;
+grant execute on function public.get_pickup_days(date, date) to authenticated;
+grant execute on function public.get_pickup_day_stops(uuid) to authenticated;
+
+-- submit_ankauf_request legt Termine jetzt über insert_ankauf_delivery_record an.
+create or replace function public.submit_ankauf_request(
+  p_idempotency_key uuid,
+  p_customer jsonb,
+  p_request jsonb,
+  p_delivery jsonb default '{}'::jsonb
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_email text := lower(trim(coalesce(p_customer ->> 'email', '')));
+  v_delivery_type text := p_request ->> 'delivery_type';
+  v_items jsonb := p_request -> 'items';
+  v_iban text := nullif(trim(coalesce(p_request ->> 'iban', '')), '');
+  v_paypal text := nullif(trim(coalesce(p_request ->> 'paypal', '')), '');
+  v_delivery jsonb := coalesce(p_delivery, '{}'::jsonb);
+  v_existing record;
+  v_customer_id uuid;
+  v_request public.ankauf_requests;
+begin
+  if p_idempotency_key is null then
+    raise exception 'Die Anfrage ist unvollständig. Bitte lade die Seite neu.'
+      using errcode = '22023', hint = 'missing_idempotency_key';
+  end if;
+
+  -- Gleichzeitige Aufrufe mit demselben Schlüssel (Doppelklick) warten hier aufeinander.
+  perform pg_advisory_xact_lock(hashtextextended(p_idempotency_key::text, 0));
+
+  select r.id, r.ankaufs_nummer, r.submission_date, lower(trim(c.email)) as email
+  into v_existing
+  from public.ankauf_requests r
+  join public.customers c on c.id = r.customer_id
+  where r.idempotency_key = p_idempotency_key;
+
+  if found then
+    if v_existing.email <> v_email then
+      raise exception 'Diese Anfrage wurde bereits mit anderen Daten abgeschickt. Bitte lade die Seite neu.'
+        using errcode = '22023', hint = 'idempotency_key_reused';
+    end if;
+    return jsonb_build_object(
+      'ankauf_request_id', v_existing.id,
+      'ankaufs_nummer', v_existing.ankaufs_nummer,
+      'submission_date', v_existing.submission_date,
+      'duplicate', true
+    );
+  end if;
+
+  if v_email !~ '^[^\s@]+@[^\s@]+\.[^\s@]+$'
+     or nullif(trim(coalesce(p_customer ->> 'name', '')), '') is null
+     or nullif(trim(coalesce(p_customer ->> 'street', '')), '') is null
+     or coalesce(p_customer ->> 'zip', '') !~ '^\d{5}$'
+     or nullif(trim(coalesce(p_customer ->> 'city', '')), '') is null then
+    raise exception 'Bitte prüfe Name, E-Mail und Anschrift.'
+      using errcode = '22023', hint = 'invalid_customer';
+  end if;
+
+  if v_items is null or jsonb_typeof(v_items) <> 'array' or jsonb_array_length(v_items) = 0 then
+    raise exception 'Der Warenkorb ist leer.' using errcode = '22023', hint = 'empty_cart';
+  end if;
+
+  if v_delivery_type is null or v_delivery_type not in ('versand', 'abholung', 'selbstanlieferung') then
+    raise exception 'Bitte wähle eine gültige Abgabeart.' using errcode = '22023', hint = 'invalid_delivery_type';
+  end if;
+
+  if not coalesce((p_request ->> 'agb_accepted')::boolean, false)
+     or not coalesce((p_request ->> 'own_items_confirmed')::boolean, false) then
+    raise exception 'Bitte bestätige die AGB und dass die Artikel dein Eigentum sind.'
+      using errcode = '22023', hint = 'missing_consent';
+  end if;
+
+  if v_iban is null and v_paypal is null then
+    raise exception 'Für die Auszahlung wird eine IBAN oder PayPal-E-Mail benötigt.'
+      using errcode = '22023', hint = 'missing_payout';
+  end if;
+
+  select id into v_customer_id
+  from public.customers
+  where email = p_customer ->> 'email'
+  limit 1
+  for update;
+
+  if found then
+    update public.customers
+    set name = p_customer ->> 'name',
+        phone = p_customer ->> 'phone',
+        street = p_customer ->> 'street',
+        zip = p_customer ->> 'zip',
+        city = p_customer ->> 'city',
+        company_name = nullif(trim(coalesce(p_customer ->> 'company_name', '')), '')
+    where id = v_customer_id;
+  else
+    insert into public.customers (name, email, phone, street, zip, city, company_name)
+    values (
+      p_customer ->> 'name',
+      p_customer ->> 'email',
+      p_customer ->> 'phone',
+      p_customer ->> 'street',
+      p_customer ->> 'zip',
+      p_customer ->> 'city',
+      nullif(trim(coalesce(p_customer ->> 'company_name', '')), '')
+    )
+    returning id into v_customer_id;
+  end if;
+
+  insert into public.ankauf_requests (
+    customer_id, submission_date, delivery_type, total_weight, total_price, items, price_version_ids,
+    iban, paypal, agb_accepted, own_items_confirmed, status, ankaufs_nummer, number_of_labels, idempotency_key
+  ) values (
+    v_customer_id,
+    now(),
+    v_delivery_type,
+    coalesce((p_request ->> 'total_weight')::numeric, 0),
+    coalesce((p_request ->> 'total_price')::numeric, 0),
+    v_items,
+    coalesce((select array_agg(distinct value::bigint) from jsonb_array_elements_text(p_request -> 'price_version_ids')), '{}'),
+    v_iban,
+    v_paypal,
+    true,
+    true,
+    'pending',
+    public.next_ankaufs_nummer(),
+    coalesce((p_request ->> 'number_of_labels')::integer, 0),
+    p_idempotency_key
+  )
+  returning * into v_request;
+
+  perform public.insert_ankauf_delivery_record(v_request, v_customer_id, v_delivery);
+
+  return jsonb_build_object(
+    'ankauf_request_id', v_request.id,
+    'ankaufs_nummer', v_request.ankaufs_nummer,
+    'submission_date', v_request.submission_date,
+    'duplicate', false
+  );
+end;
+$$;
@@ -0,0 +1,543 @@
+-- Selbstanlieferung mit buchbaren Zeitfenstern: Kapazität je Wochentag und Stunde, Schließtage
+-- (Betriebsurlaub; gesetzliche Feiertage in Brandenburg blendet das Formular selbst aus) und eine
+-- kurze Reservierung, solange das Formular ausgefüllt wird. Kunden können ihren Termin über einen
+-- Link mit manage_token verschieben oder absagen.
+
+create table if not exists public.self_delivery_slot_capacities (
+  -- ISO-Wochentag: 1 = Montag … 7 = Sonntag
+  weekday smallint not null check (weekday between 1 and 7),
+  slot_start time not null,
+  capacity integer not null default 0 check (capacity >= 0),
+  primary key (weekday, slot_start)
+);
+
+-- Bisherige Annahmezeiten: Mo–Fr 07:00–16:00, zwei Anlieferungen je Stunde.
+insert into public.self_delivery_slot_capacities (weekday, slot_start, capacity)
+select weekday, make_time(hour, 0, 0), 2
+from generate_series(1, 5) weekday
+cross join generate_series(7, 15) hour
+on conflict do nothing;
+
+create table if not exists public.self_delivery_closures (
+  id uuid primary key default gen_random_uuid(),
+  date_from date not null,
+  date_to date not null,
+  reason text,
+  created_at timestamptz not null default now(),
+  check (date_from <= date_to)
+);
+
+create table if not exists public.self_delivery_slot_holds (
+  -- Idempotenzschlüssel des Ankaufsformulars; pro Formular höchstens eine Reservierung.
+  hold_token uuid primary key,
+  delivery_date date not null,
+  slot_start time not null,
+  expires_at timestamptz not null
+);
+
+create index if not exists self_delivery_slot_holds_slot_idx
+  on public.self_delivery_slot_holds (delivery_date, slot_start);
+
+alter table public.self_delivery_appointments
+  add column if not exists slot_start time,
+  add column if not exists status text not null default 'booked' check (status in ('booked', 'cancelled')),
+  add column if not exists manage_token uuid not null default gen_random_uuid(),
+  add column if not exists cancelled_at timestamptz;
+
+create unique index if not exists self_delivery_appointments_manage_token_idx
+  on public.self_delivery_appointments (manage_token);
+
+create index if not exists self_delivery_appointments_slot_idx
+  on public.self_delivery_appointments (delivery_date, slot_start);
+
+-- Alte Termine tragen nur den Text "07:00 - 08:00".
+update public.self_delivery_appointments
+set slot_start = substring(time_slot::text from '^\d{2}:\d{2}')::time
+where slot_start is null
+  and time_slot::text ~ '^\d{2}:\d{2}';
+
+alter table public.self_delivery_slot_capacities enable row level security;
+alter table public.self_delivery_closures enable row level security;
+alter table public.self_delivery_slot_holds enable row level security;
+
+drop policy if exists "Admins verwalten Anlieferzeiten" on public.self_delivery_slot_capacities;
+create policy "Admins verwalten Anlieferzeiten"
+  on public.self_delivery_slot_capacities for all
+  to authenticated
+  using (true)
+  with check (true);
+
+drop policy if exists "Admins verwalten Schließtage" on public.self_delivery_closures;
+create policy "Admins verwalten Schließtage"
+  on public.self_delivery_closures for all
+  to authenticated
+  using (true)
+  with check (true);
+
+-- "07:00" → "07:00 - 08:00" (Schreibweise von time_slot)
+create or replace function public.format_self_delivery_slot(p_slot_start time)
+returns text
+language sql
+immutable
+as $$
+  select to_char(p_slot_start, 'HH24:MI') || ' - ' || to_char(p_slot_start + interval '1 hour', 'HH24:MI');
+$$;
+
+-- Freie Plätze eines Zeitfensters. Die eigene Reservierung (p_hold_token) zählt nicht mit.
+create or replace function public.get_self_delivery_slot_remaining(p_date date, p_slot_start time, p_hold_token uuid default null)
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when exists (select 1 from public.self_delivery_closures c where p_date between c.date_from and c.date_to) then 0
+    else coalesce((
+      select capacity from public.self_delivery_slot_capacities
+      where weekday = extract(isodow from p_date) and slot_start = p_slot_start
+    ), 0)
+      - (select count(*) from public.self_delivery_appointments a
+         where a.delivery_date = p_date and a.slot_start = p_slot_start and a.status = 'booked')::integer
+      - (select count(*) from public.self_delivery_slot_holds h
+         where h.delivery_date = p_date and h.slot_start = p_slot_start and h.expires_at > now()
+           and h.hold_token is distinct from p_hold_token)::integer
+  end;
+$$;
+
+-- Buchbar sind Zeitfenster, die noch nicht begonnen haben, höchstens 60 Tage im Voraus.
+create or replace function public.is_self_delivery_slot_in_range(p_date date, p_slot_start time)
+returns boolean
+language sql
+stable
+as $$
+  select p_date + p_slot_start > (now() at time zone 'Europe/Berlin')
+    and p_date <= (now() at time zone 'Europe/Berlin')::date + 60;
+$$;
+
+create or replace function public.get_available_self_delivery_slots(p_from date, p_to date, p_hold_token uuid default null)
+returns table (delivery_date date, slot_start time, time_slot text, remaining integer)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select day::date, c.slot_start, public.format_self_delivery_slot(c.slot_start),
+    public.get_self_delivery_slot_remaining(day::date, c.slot_start, p_hold_token)
+  from generate_series(p_from::timestamp, least(p_to, (now() at time zone 'Europe/Berlin')::date + 60)::timestamp, interval '1 day') day
+  join public.self_delivery_slot_capacities c on c.weekday = extract(isodow from day) and c.capacity > 0
+  where public.is_self_delivery_slot_in_range(day::date, c.slot_start)
+    and public.get_self_delivery_slot_remaining(day::date, c.slot_start, p_hold_token) > 0
+  order by 1, 2;
+$$;
+
+-- Sperrt ein Zeitfenster für die laufende Transaktion und prüft, ob noch ein Platz frei ist.
+create or replace function public.lock_self_delivery_slot(p_date date, p_slot_start time, p_hold_token uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if p_date is null or p_slot_start is null then
+    raise exception 'Bitte wähle einen Termin für die Anlieferung.'
+      using errcode = '22023', hint = 'self_delivery_slot_required';
+  end if;
+
+  perform pg_advisory_xact_lock(hashtextextended('self_delivery:' || p_date::text || ' ' || p_slot_start::text, 0));
+
+  if not public.is_self_delivery_slot_in_range(p_date, p_slot_start)
+     or public.get_self_delivery_slot_remaining(p_date, p_slot_start, p_hold_token) <= 0 then
+    raise exception 'Das gewählte Zeitfenster ist nicht mehr frei. Bitte wähle ein anderes.'
+      using errcode = '22023', hint = 'self_delivery_slot_full';
+  end if;
+end;
+$$;
+
+-- Reserviert ein Zeitfenster für 20 Minuten; eine frühere Reservierung desselben Formulars wird ersetzt.
+create or replace function public.hold_self_delivery_slot(p_hold_token uuid, p_date date, p_slot_start time)
+returns timestamptz
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_expires_at timestamptz := now() + interval '20 minutes';
+begin
+  if p_hold_token is null then
+    raise exception 'Die Anfrage ist unvollständig. Bitte lade die Seite neu.'
+      using errcode = '22023', hint = 'missing_idempotency_key';
+  end if;
+
+  perform public.lock_self_delivery_slot(p_date, p_slot_start, p_hold_token);
+
+  delete from public.self_delivery_slot_holds where expires_at <= now();
+
+  insert into public.self_delivery_slot_holds (hold_token, delivery_date, slot_start, expires_at)
+  values (p_hold_token, p_date, p_slot_start, v_expires_at)
+  on conflict (hold_token) do update
+  set delivery_date = excluded.delivery_date,
+      slot_start = excluded.slot_start,
+      expires_at = excluded.expires_at;
+
+  return v_expires_at;
+end;
+$$;
+
+-- Legt den Abhol- bzw. Anliefertermin zu einer neuen Ankaufsanfrage an (aufgerufen von submit_ankauf_request).
+-- Die Spaltentypen der Termintabellen übernimmt jsonb_populate_record.
+create or replace function public.insert_ankauf_delivery_record(
+  p_request public.ankauf_requests,
+  p_customer_id uuid,
+  p_delivery jsonb
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_day public.pickup_days;
+  v_load record;
+  v_zip text;
+  v_delivery_date date;
+  v_slot_start time;
+begin
+  if p_request.delivery_type = 'abholung' then
+    -- Sperre auf dem Tag: zwei gleichzeitige Buchungen können die Kapazität nicht gemeinsam überschreiten.
+    select * into v_day
+    from public.pickup_days
+    where id = nullif(p_delivery ->> 'pickup_day_id', '')::uuid
+    for update;
+
+    if v_day.id is null then
+      raise exception 'Bitte wähle einen Abholtag.' using errcode = '22023', hint = 'pickup_day_required';
+    end if;
+
+    select zip into v_zip from public.customers where id = p_customer_id;
+    select * into v_load from public.get_pickup_day_load(v_day.id);
+
+    if not v_day.is_active
+       or v_day.pickup_date <= (now() at time zone 'Europe/Berlin')::date
+       or not public.pickup_day_serves_zip(v_day.zip_prefixes, v_zip)
+       or v_load.booked_stops >= v_day.max_stops
+       or v_load.booked_weight + coalesce(p_request.total_weight, 0) > v_day.max_weight then
+      raise exception 'Der gewählte Abholtag ist nicht mehr frei. Bitte wähle einen anderen Tag.'
+        using errcode = '22023', hint = 'pickup_day_full';
+    end if;
+
+    insert into public.pickup_requests (ankauf_request_id, customer_id, pickup_day_id, pickup_date, notes)
+    select p_request.id, p_customer_id, v_day.id, v_day.pickup_date, d.notes
+    from jsonb_populate_record(null::public.pickup_requests, p_delivery) d;
+  elsif p_request.delivery_type = 'selbstanlieferung' then
+    v_delivery_date := nullif(p_delivery ->> 'delivery_date', '')::date;
+    v_slot_start := nullif(p_delivery ->> 'slot_start', '')::time;
+
+    -- Die Reservierung aus dem Formular trägt den Idempotenzschlüssel der Anfrage und zählt hier nicht mit.
+    perform public.lock_self_delivery_slot(v_delivery_date, v_slot_start, p_request.idempotency_key);
+
+    insert into public.self_delivery_appointments (ankauf_request_id, customer_id, delivery_date, slot_start, time_slot, notes)
+    select p_request.id, p_customer_id, v_delivery_date, v_slot_start, d.time_slot, d.notes
+    from jsonb_populate_record(
+      null::public.self_delivery_appointments,
+      p_delivery || jsonb_build_object('time_slot', public.format_self_delivery_slot(v_slot_start))
+    ) d;
+
+    delete from public.self_delivery_slot_holds where hold_token = p_request.idempotency_key;
+  end if;
+end;
+$$;
+
+-- Termin zum Link aus der Bestätigung. Änderbar, solange der Ankauf offen ist und der Termin noch nicht begonnen hat.
+create or replace function public.get_self_delivery_appointment(p_manage_token uuid)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select jsonb_build_object(
+    'ankaufs_nummer', r.ankaufs_nummer,
+    'delivery_date', a.delivery_date,
+    'slot_start', a.slot_start,
+    'time_slot', a.time_slot,
+    'status', a.status,
+    'can_change', r.status = 'pending'
+      and (a.status = 'cancelled' or public.is_self_delivery_slot_in_range(a.delivery_date, a.slot_start))
+  )
+  from public.self_delivery_appointments a
+  join public.ankauf_requests r on r.id = a.ankauf_request_id
+  where a.manage_token = p_manage_token;
+$$;
+
+create or replace function public.lock_self_delivery_appointment(p_manage_token uuid)
+returns public.self_delivery_appointments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_appointment public.self_delivery_appointments;
+begin
+  select * into v_appointment
+  from public.self_delivery_appointments
+  where manage_token = p_manage_token
+  for update;
+
+  if v_appointment.id is null then
+    raise exception 'Termin nicht gefunden.' using errcode = 'P0002';
+  end if;
+
+  if not coalesce((public.get_self_delivery_appointment(p_manage_token) ->> 'can_change')::boolean, false) then
+    raise exception 'Dieser Termin kann nicht mehr geändert werden. Bitte kontaktiere uns.'
+      using errcode = '22023', hint = 'appointment_locked';
+  end if;
+
+  return v_appointment;
+end;
+$$;
+
+-- Verschiebt einen Termin (auch einen abgesagten) in ein freies Zeitfenster.
+create or replace function public.reschedule_self_delivery_appointment(p_manage_token uuid, p_date date, p_slot_start time)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_appointment public.self_delivery_appointments;
+begin
+  v_appointment := public.lock_self_delivery_appointment(p_manage_token);
+
+  if v_appointment.status = 'cancelled'
+     or v_appointment.delivery_date is distinct from p_date
+     or v_appointment.slot_start is distinct from p_slot_start then
+    perform public.lock_self_delivery_slot(p_date, p_slot_start, p_manage_token);
+  end if;
+
+  update public.self_delivery_appointments
+  set delivery_date = p_date,
+      slot_start = p_slot_start,
+      time_slot = public.format_self_delivery_slot(p_slot_start),
+      status = 'booked',
+      cancelled_at = null
+  where id = v_appointment.id;
+
+  return public.get_self_delivery_appointment(p_manage_token);
+end;
+$$;
+
+create or replace function public.cancel_self_delivery_appointment(p_manage_token uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_appointment public.self_delivery_appointments;
+begin
+  v_appointment := public.lock_self_delivery_appointment(p_manage_token);
+
+  update public.self_delivery_appointments
+  set status = 'cancelled',
+      cancelled_at = now()
+  where id = v_appointment.id
+    and status <> 'cancelled';
+
+  return public.get_self_delivery_appointment(p_manage_token);
+end;
+$$;
+
+-- Anlieferungen im Zeitraum (Admin-Übersicht).
+create or replace function public.get_self_delivery_appointments(p_from date, p_to date)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Nicht angemeldet.' using errcode = '42501';
+  end if;
+
+  return coalesce((
+    select jsonb_agg(jsonb_build_object(
+      'id', a.id,
+      'delivery_date', a.delivery_date,
+      'slot_start', a.slot_start,
+      'time_slot', a.time_slot,
+      'status', a.status,
+      'notes', a.notes,
+      'ankaufs_nummer', r.ankaufs_nummer,
+      'ankauf_status', r.status,
+      'total_weight', r.total_weight,
+      'name', c.name,
+      'phone', c.phone
+    ) order by a.delivery_date, a.slot_start)
+    from public.self_delivery_appointments a
+    join public.ankauf_requests r on r.id = a.ankauf_request_id
+    join public.customers c on c.id = a.customer_id
+    where a.delivery_date between p_from and p_to
+  ), '[]'::jsonb);
+end;
+$$;
+
+-- submit_ankauf_request liefert zusätzlich den Link-Token des Anliefertermins (self_delivery_token).
+create or replace function public.submit_ankauf_request(
+  p_idempotency_key uuid,
+  p_customer jsonb,
+  p_request jsonb,
+  p_delivery jsonb default '{}'::jsonb
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_email text := lower(trim(coalesce(p_customer ->> 'email', '')));
+  v_delivery_type text := p_request ->> 'delivery_type';
+  v_items jsonb := p_request -> 'items';
+  v_iban text := nullif(trim(coalesce(p_request ->> 'iban', '')), '');
+  v_paypal text := nullif(trim(coalesce(p_request ->> 'paypal', '')), '');
+  v_delivery jsonb := coalesce(p_delivery, '{}'::jsonb);
+  v_existing record;
+  v_customer_id uuid;
+  v_request public.ankauf_requests;
+begin
+  if p_idempotency_key is null then
+    raise exception 'Die Anfrage ist unvollständig. Bitte lade die Seite neu.'
+      using errcode = '22023', hint = 'missing_idempotency_key';
+  end if;
+
+  -- Gleichzeitige Aufrufe mit demselben Schlüssel (Doppelklick) warten hier aufeinander.
+  perform pg_advisory_xact_lock(hashtextextended(p_idempotency_key::text, 0));
+
+  select r.id, r.ankaufs_nummer, r.submission_date, lower(trim(c.email)) as email
+  into v_existing
+  from public.ankauf_requests r
+  join public.customers c on c.id = r.customer_id
+  where r.idempotency_key = p_idempotency_key;
+
+  if found then
+    if v_existing.email <> v_email then
+      raise exception 'Diese Anfrage wurde bereits mit anderen Daten abgeschickt. Bitte lade die Seite neu.'
+        using errcode = '22023', hint = 'idempotency_key_reused';
+    end if;
+    return jsonb_build_object(
+      'ankauf_request_id', v_existing.id,
+      'ankaufs_nummer', v_existing.ankaufs_nummer,
+      'submission_date', v_existing.submission_date,
+      'self_delivery_token', (select manage_token from public.self_delivery_appointments where ankauf_request_id = v_existing.id),
+      'duplicate', true
+    );
+  end if;
+
+  if v_email !~ '^[^\s@]+@[^\s@]+\.[^\s@]+$'
+     or nullif(trim(coalesce(p_customer ->> 'name', '')), '') is null
+     or nullif(trim(coalesce(p_customer ->> 'street', '')), '') is null
+     or coalesce(p_customer ->> 'zip', '') !~ '^\d{5}$'
+     or nullif(trim(coalesce(p_customer ->> 'city', '')), '') is null then
+    raise exception 'Bitte prüfe Name, E-Mail und Anschrift.'
+      using errcode = '22023', hint = 'invalid_customer';
+  end if;
+
+  if v_items is null or jsonb_typeof(v_items) <> 'array' or jsonb_array_length(v_items) = 0 then
+    raise exception 'Der Warenkorb ist leer.' using errcode = '22023', hint = 'empty_cart';
+  end if;
+
+  if v_delivery_type is null or v_delivery_type not in ('versand', 'abholung', 'selbstanlieferung') then
+    raise exception 'Bitte wähle eine gültige Abgabeart.' using errcode = '22023', hint = 'invalid_delivery_type';
+  end if;
+
+  if not coalesce((p_request ->> 'agb_accepted')::boolean, false)
+     or not coalesce((p_request ->> 'own_items_confirmed')::boolean, false) then
+    raise exception 'Bitte bestätige die AGB und dass die Artikel dein Eigentum sind.'
+      using errcode = '22023', hint = 'missing_consent';
+  end if;
+
+  if v_iban is null and v_paypal is null then
+    raise exception 'Für die Auszahlung wird eine IBAN oder PayPal-E-Mail benötigt.'
+      using errcode = '22023', hint = 'missing_payout';
+  end if;
+
+  select id into v_customer_id
+  from public.customers
+  where email = p_customer ->> 'email'
+  limit 1
+  for update;
+
+  if found then
+    update public.customers
+    set name = p_customer ->> 'name',
+        phone = p_customer ->> 'phone',
+        street = p_customer ->> 'street',
+        zip = p_customer ->> 'zip',
+        city = p_customer ->> 'city',
+        company_name = nullif(trim(coalesce(p_customer ->> 'company_name', '')), '')
+    where id = v_customer_id;
+  else
+    insert into public.customers (name, email, phone, street, zip, city, company_name)
+    values (
+      p_customer ->> 'name',
+      p_customer ->> 'email',
+      p_customer ->> 'phone',
+      p_customer ->> 'street',
+      p_customer ->> 'zip',
+      p_customer ->> 'city',
+      nullif(trim(coalesce(p_customer ->> 'company_name', '')), '')
+    )
+    returning id into v_customer_id;
+  end if;
+
+  insert into public.ankauf_requests (
+    customer_id, submission_date, delivery_type, total_weight, total_price, items, price_version_ids,
+    iban, paypal, agb_accepted, own_items_confirmed, status, ankaufs_nummer, number_of_labels, idempotency_key
+  ) values (
+    v_customer_id,
+    now(),
+    v_delivery_type,
+    coalesce((p_request ->> 'total_weight')::numeric, 0),
+    coalesce((p_request ->> 'total_price')::numeric, 0),
+    v_items,
+    coalesce((select array_agg(distinct value::bigint) from jsonb_array_elements_text(p_request -> 'price_version_ids')), '{}'),
+    v_iban,
+    v_paypal,
+    true,
+    true,
+    'pending',
+    public.next_ankaufs_nummer(),
+    coalesce((p_request ->> 'number_of_labels')::integer, 0),
+    p_idempotency_key
+  )
+  returning * into v_request;
+
+  perform public.insert_ankauf_delivery_record(v_request, v_customer_id, v_delivery);
+
+  return jsonb_build_object(
+    'ankauf_request_id', v_request.id,
+    'ankaufs_nummer', v_request.ankaufs_nummer,
+    'submission_date', v_request.submission_date,
+    'self_delivery_token', (select manage_token from public.self_delivery_appointments where ankauf_request_id = v_request.id),
+    'duplicate', false
+  );
+end;
+$$;
+
+revoke all on function public.get_self_delivery_slot_remaining(date, time, uuid) from public, anon, authenticated;
+revoke all on function public.get_available_self_delivery_slots(date, date, uuid) from public;
+revoke all on function public.lock_self_delivery_slot(date, time, uuid) from public, anon, authenticated;
+revoke all on function public.hold_self_delivery_slot(uuid, date, time) from public;
+revoke all on function public.insert_ankauf_delivery_record(public.ankauf_requests, uuid, jsonb) from public, anon, authenticated;
+revoke all on function public.get_self_delivery_appointment(uuid) from public;
+revoke all on function public.lock_self_delivery_appointment(uuid) from public, anon, authenticated;
+revoke all on function public.reschedule_self_delivery_appointment(uuid, date, time) from public;
+revoke all on function public.cancel_self_delivery_appointment(uuid) from public;
+revoke all on function public.get_self_delivery_appointments(date, date) from public, anon;
+grant execute on function public.get_available_self_delivery_slots(date, date, uuid) to anon, authenticated;
+grant execute on function public.hold_self_delivery_slot(uuid, date, time) to anon, authenticated;
+grant execute on function public.get_self_delivery_appointment(uuid) to anon, authenticated;
+grant execute on function public.reschedule_self_delivery_appointment(uuid, date, time) to anon, authenticated;
+grant execute on function public.cancel_self_delivery_appointment(uuid) to anon, authenticated;
+grant execute on function public.get_self_delivery_appointments(date, date) to authenticated;
@@ -0,0 +1,83 @@
+-- Kalendereinträge (.ics) zu Anlieferterminen: Jede Änderung oder Absage zählt calendar_sequence hoch,
+-- damit Kalenderprogramme den bereits importierten Termin (gleiche UID) ersetzen.
+-- Der Link aus der Bestätigung liefert zusätzlich Name und E-Mail für die Benachrichtigung.
+
+alter table public.self_delivery_appointments
+  add column if not exists calendar_sequence integer not null default 0;
+
+create or replace function public.get_self_delivery_appointment(p_manage_token uuid)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select jsonb_build_object(
+    'ankaufs_nummer', r.ankaufs_nummer,
+    'customer_name', c.name,
+    'customer_email', c.email,
+    'calendar_sequence', a.calendar_sequence,
+    'delivery_date', a.delivery_date,
+    'slot_start', a.slot_start,
+    'time_slot', a.time_slot,
+    'status', a.status,
+    'can_change', r.status = 'pending'
+      and (a.status = 'cancelled' or public.is_self_delivery_slot_in_range(a.delivery_date, a.slot_start))
+  )
+  from public.self_delivery_appointments a
+  join public.ankauf_requests r on r.id = a.ankauf_request_id
+  join public.customers c on c.id = a.customer_id
+  where a.manage_token = p_manage_token;
+$$;
+
+create or replace function public.reschedule_self_delivery_appointment(p_manage_token uuid, p_date date, p_slot_start time)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_appointment public.self_delivery_appointments;
+begin
+  v_appointment := public.lock_self_delivery_appointment(p_manage_token);
+
+  if v_appointment.status = 'cancelled'
+     or v_appointment.delivery_date is distinct from p_date
+     or v_appointment.slot_start is distinct from p_slot_start then
+    perform public.lock_self_delivery_slot(p_date, p_slot_start, p_manage_token);
+  end if;
+
+  update public.self_delivery_appointments
+  set delivery_date = p_date,
+      slot_start = p_slot_start,
+      time_slot = public.format_self_delivery_slot(p_slot_start),
+      status = 'booked',
+      cancelled_at = null,
+      calendar_sequence = calendar_sequence + 1
+  where id = v_appointment.id;
+
+  return public.get_self_delivery_appointment(p_manage_token);
+end;
+$$;
+
+create or replace function public.cancel_self_delivery_appointment(p_manage_token uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_appointment public.self_delivery_appointments;
+begin
+  v_appointment := public.lock_self_delivery_appointment(p_manage_token);
+
+  update public.self_delivery_appointments
+  set status = 'cancelled',
+      cancelled_at = now(),
+      calendar_sequence = calendar_sequence + 1
+  where id = v_appointment.id
+    and status <> 'cancelled';
+
+  return public.get_self_delivery_appointment(p_manage_token);
+end;
+$$;
@@ -0,0 +1,164 @@
+-- Abholgebiete als Daten statt fester PLZ-Präfixe im Frontend: PLZ-Bereiche oder einzelne PLZ
+-- (zip_from = zip_to) mit Mindestgewicht und optionaler Abholgebühr je Zone.
+-- Überschneiden sich Zonen, gilt die engste (z.B. eine einzelne PLZ mit Gebühr innerhalb von 16xxx).
+-- Formular, Texte und die Buchung in submit_ankauf_request lesen dieselbe Tabelle.
+
+create table if not exists public.pickup_service_areas (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  zip_from text not null check (zip_from ~ '^[0-9]{5}$'),
+  zip_to text not null check (zip_to ~ '^[0-9]{5}$'),
+  min_weight numeric(8, 2) not null default 15 check (min_weight >= 0),
+  pickup_fee numeric(8, 2) not null default 0 check (pickup_fee >= 0),
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  check (zip_from <= zip_to)
+);
+
+-- Bisher im Code: PLZ 16xxx, 130xx/131xx und 134xx, jeweils ab 15 kg und kostenlos.
+insert into public.pickup_service_areas (name, zip_from, zip_to, min_weight, pickup_fee)
+select v.name, v.zip_from, v.zip_to, 15, 0
+from (values
+  ('Brandenburg Nord', '16000', '16999'),
+  ('Berlin Pankow/Reinickendorf', '13000', '13199'),
+  ('Berlin Reinickendorf West', '13400', '13499')
+) as v(name, zip_from, zip_to)
+where not exists (select 1 from public.pickup_service_areas);
+
+alter table public.pickup_requests
+  add column if not exists pickup_fee numeric(8, 2) not null default 0;
+
+alter table public.pickup_service_areas enable row level security;
+
+drop policy if exists "Admins verwalten Abholgebiete" on public.pickup_service_areas;
+create policy "Admins verwalten Abholgebiete"
+  on public.pickup_service_areas for all
+  to authenticated
+  using (true)
+  with check (true);
+
+-- Formular, Standort- und FAQ-Seite zeigen die aktiven Gebiete auch anonymen Besuchern.
+drop policy if exists "Aktive Abholgebiete sind lesbar" on public.pickup_service_areas;
+create policy "Aktive Abholgebiete sind lesbar"
+  on public.pickup_service_areas for select
+  to anon, authenticated
+  using (is_active);
+
+create or replace function public.find_pickup_service_area(p_zip text)
+returns public.pickup_service_areas
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select *
+  from public.pickup_service_areas
+  where is_active
+    and coalesce(p_zip, '') ~ '^[0-9]{5}$'
+    and p_zip between zip_from and zip_to
+  order by zip_to::integer - zip_from::integer, zip_from
+  limit 1;
+$$;
+
+-- Wie bisher, aber nur für PLZ in einem aktiven Abholgebiet und ab dessen Mindestgewicht.
+create or replace function public.get_available_pickup_days(p_zip text, p_weight numeric)
+returns table (pickup_day_id uuid, pickup_date date, window_start time, window_end time)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select distinct on (d.pickup_date) d.id, d.pickup_date, d.window_start, d.window_end
+  from public.pickup_days d
+  cross join lateral public.get_pickup_day_load(d.id) l
+  cross join lateral public.find_pickup_service_area(p_zip) a
+  where a.id is not null
+    and coalesce(p_weight, 0) >= a.min_weight
+    and d.is_active
+    and d.pickup_date > (now() at time zone 'Europe/Berlin')::date
+    and d.pickup_date <= (now() at time zone 'Europe/Berlin')::date + 60
+    and public.pickup_day_serves_zip(d.zip_prefixes, p_zip)
+    and l.booked_stops < d.max_stops
+    and l.booked_weight + coalesce(p_weight, 0) <= d.max_weight
+  order by d.pickup_date, d.max_weight - l.booked_weight desc;
+$$;
+
+-- Abholung: Gebiet und Mindestgewicht werden vor dem Abholtag geprüft; die Gebühr der Zone wird
+-- zum Zeitpunkt der Buchung festgehalten. Selbstanlieferung unverändert.
+create or replace function public.insert_ankauf_delivery_record(
+  p_request public.ankauf_requests,
+  p_customer_id uuid,
+  p_delivery jsonb
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_day public.pickup_days;
+  v_area public.pickup_service_areas;
+  v_load record;
+  v_zip text;
+  v_delivery_date date;
+  v_slot_start time;
+begin
+  if p_request.delivery_type = 'abholung' then
+    select zip into v_zip from public.customers where id = p_customer_id;
+    v_area := public.find_pickup_service_area(v_zip);
+
+    if v_area.id is null then
+      raise exception 'Für diese PLZ bieten wir leider keine Abholung an.'
+        using errcode = '22023', hint = 'pickup_area_unavailable';
+    end if;
+
+    if coalesce(p_request.total_weight, 0) < v_area.min_weight then
+      raise exception 'Für eine Abholung in diesem Gebiet sind mindestens % kg erforderlich.', v_area.min_weight
+        using errcode = '22023', hint = 'pickup_min_weight';
+    end if;
+
+    -- Sperre auf dem Tag: zwei gleichzeitige Buchungen können die Kapazität nicht gemeinsam überschreiten.
+    select * into v_day
+    from public.pickup_days
+    where id = nullif(p_delivery ->> 'pickup_day_id', '')::uuid
+    for update;
+
+    if v_day.id is null then
+      raise exception 'Bitte wähle einen Abholtag.' using errcode = '22023', hint = 'pickup_day_required';
+    end if;
+
+    select * into v_load from public.get_pickup_day_load(v_day.id);
+
+    if not v_day.is_active
+       or v_day.pickup_date <= (now() at time zone 'Europe/Berlin')::date
+       or not public.pickup_day_serves_zip(v_day.zip_prefixes, v_zip)
+       or v_load.booked_stops >= v_day.max_stops
+       or v_load.booked_weight + coalesce(p_request.total_weight, 0) > v_day.max_weight then
+      raise exception 'Der gewählte Abholtag ist nicht mehr frei. Bitte wähle einen anderen Tag.'
+        using errcode = '22023', hint = 'pickup_day_full';
+    end if;
+
+    insert into public.pickup_requests (ankauf_request_id, customer_id, pickup_day_id, pickup_date, pickup_fee, notes)
+    select p_request.id, p_customer_id, v_day.id, v_day.pickup_date, v_area.pickup_fee, d.notes
+    from jsonb_populate_record(null::public.pickup_requests, p_delivery) d;
+  elsif p_request.delivery_type = 'selbstanlieferung' then
+    v_delivery_date := nullif(p_delivery ->> 'delivery_date', '')::date;
+    v_slot_start := nullif(p_delivery ->> 'slot_start', '')::time;
+
+    -- Die Reservierung aus dem Formular trägt den Idempotenzschlüssel der Anfrage und zählt hier nicht mit.
+    perform public.lock_self_delivery_slot(v_delivery_date, v_slot_start, p_request.idempotency_key);
+
+    insert into public.self_delivery_appointments (ankauf_request_id, customer_id, delivery_date, slot_start, time_slot, notes)
+    select p_request.id, p_customer_id, v_delivery_date, v_slot_start, d.time_slot, d.notes
+    from jsonb_populate_record(
+      null::public.self_delivery_appointments,
+      p_delivery || jsonb_build_object('time_slot', public.format_self_delivery_slot(v_slot_start))
+    ) d;
+
+    delete from public.self_delivery_slot_holds where hold_token = p_request.idempotency_key;
+  end if;
+end;
+$$;
+
+revoke all on function public.find_pickup_service_area(text) from public, anon, authenticated;
+revoke all on function public.insert_ankauf_delivery_record(public.ankauf_requests, uuid, jsonb) from public, anon, authenticated;
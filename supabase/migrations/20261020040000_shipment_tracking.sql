@@ -0,0 +1,267 @@
+-- Sendungsverfolgung der Rücksendelabels: eine Zeile pro Label mit Paket-ID und Sendungsnummer
+-- beim Versanddienstleister. Den Status liefern der Sendcloud-Webhook (supabase/functions/sendcloud-webhook)
+-- und der Abgleich im Adminbereich; beide schreiben über apply_shipment_tracking_update.
+
+create table if not exists public.shipment_labels (
+  id uuid primary key default gen_random_uuid(),
+  ankauf_request_id uuid not null references public.ankauf_requests (id) on delete cascade,
+  label_index integer not null check (label_index > 0),
+  reference text not null,
+  carrier text not null,
+  parcel_id text not null,
+  tracking_number text,
+  label_url text,
+  tracking_status text not null default 'label_created'
+    check (tracking_status in ('label_created', 'announced', 'in_transit', 'delivered', 'returned', 'cancelled', 'exception', 'unknown')),
+  tracking_status_text text,
+  status_changed_at timestamptz not null default now(),
+  -- Erster Scan beim Paketdienst (unterwegs, zugestellt, Problem …); leer = nie eingeliefert.
+  first_scanned_at timestamptz,
+  last_synced_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (ankauf_request_id, label_index),
+  unique (carrier, parcel_id)
+);
+
+create index if not exists shipment_labels_open_idx
+  on public.shipment_labels (created_at)
+  where tracking_status not in ('delivered', 'returned', 'cancelled');
+
+alter table public.shipment_labels enable row level security;
+
+drop policy if exists "Admins verwalten Versandlabels" on public.shipment_labels;
+create policy "Admins verwalten Versandlabels"
+  on public.shipment_labels for all
+  to authenticated
+  using (true)
+  with check (true);
+
+-- Von der Bestätigungsseite nach dem Erstellen eines Labels. Ankaufsnummer und ID zusammen
+-- weisen den Aufrufer als Absender der Anfrage aus.
+create or replace function public.register_shipment_label(
+  p_ankauf_request_id uuid,
+  p_ankaufs_nummer text,
+  p_label_index integer,
+  p_carrier text,
+  p_parcel_id text,
+  p_tracking_number text,
+  p_label_url text
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request public.ankauf_requests;
+begin
+  select * into v_request
+  from public.ankauf_requests
+  where id = p_ankauf_request_id
+    and ankaufs_nummer = p_ankaufs_nummer;
+
+  if v_request.id is null then
+    raise exception 'Ankauf nicht gefunden.' using errcode = 'P0002';
+  end if;
+
+  if v_request.delivery_type <> 'versand'
+     or p_label_index is null
+     or p_label_index not between 1 and greatest(v_request.number_of_labels, 1)
+     or coalesce(trim(p_parcel_id), '') = '' then
+    raise exception 'Ungültige Labeldaten.' using errcode = '22023', hint = 'invalid_label';
+  end if;
+
+  insert into public.shipment_labels (ankauf_request_id, label_index, reference, carrier, parcel_id, tracking_number, label_url)
+  values (
+    v_request.id,
+    p_label_index,
+    case when v_request.number_of_labels > 1 then v_request.ankaufs_nummer || '-L' || p_label_index else v_request.ankaufs_nummer end,
+    p_carrier,
+    trim(p_parcel_id),
+    nullif(trim(p_tracking_number), ''),
+    p_label_url
+  )
+  on conflict (ankauf_request_id, label_index) do update
+    set carrier = excluded.carrier,
+        parcel_id = excluded.parcel_id,
+        tracking_number = excluded.tracking_number,
+        label_url = excluded.label_url,
+        tracking_status = 'label_created',
+        tracking_status_text = null,
+        status_changed_at = now(),
+        first_scanned_at = null,
+        last_synced_at = null;
+end;
+$$;
+
+-- Übernimmt einen Sendungsstatus (Webhook oder Abgleich). Liefert true, wenn sich der Status geändert hat.
+create or replace function public.apply_shipment_tracking_update(
+  p_carrier text,
+  p_parcel_id text,
+  p_tracking_status text,
+  p_status_text text default null,
+  p_tracking_number text default null
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_label public.shipment_labels;
+  v_changed boolean;
+begin
+  if auth.uid() is null and coalesce(auth.role(), '') <> 'service_role' then
+    raise exception 'Nicht angemeldet.' using errcode = '42501';
+  end if;
+
+  select * into v_label
+  from public.shipment_labels
+  where carrier = p_carrier and parcel_id = p_parcel_id
+  for update;
+
+  if v_label.id is null then
+    return false;
+  end if;
+
+  v_changed := v_label.tracking_status is distinct from p_tracking_status;
+
+  update public.shipment_labels
+  set tracking_status = p_tracking_status,
+      tracking_status_text = coalesce(p_status_text, tracking_status_text),
+      tracking_number = coalesce(nullif(trim(p_tracking_number), ''), tracking_number),
+      status_changed_at = case when v_changed then now() else status_changed_at end,
+      first_scanned_at = coalesce(first_scanned_at,
+        case when p_tracking_status in ('in_transit', 'delivered', 'returned', 'exception') then now() end),
+      last_synced_at = now()
+  where id = v_label.id;
+
+  return v_changed;
+end;
+$$;
+
+-- Labels, die vor mehr als p_min_age_days Tagen erstellt und nie eingescannt wurden, solange
+-- das Paket auch nicht anderweitig bei uns eingegangen ist.
+create or replace function public.get_unscanned_shipment_labels(p_min_age_days integer)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Nicht angemeldet.' using errcode = '42501';
+  end if;
+
+  return coalesce((
+    select jsonb_agg(jsonb_build_object(
+      'id', l.id,
+      'ankauf_request_id', r.id,
+      'ankaufs_nummer', r.ankaufs_nummer,
+      'reference', l.reference,
+      'tracking_number', l.tracking_number,
+      'tracking_status', l.tracking_status,
+      'created_at', l.created_at,
+      'customer_name', c.name,
+      'customer_email', c.email
+    ) order by l.created_at)
+    from public.shipment_labels l
+    join public.ankauf_requests r on r.id = l.ankauf_request_id
+    left join public.customers c on c.id = r.customer_id
+    where l.first_scanned_at is null
+      and l.tracking_status not in ('cancelled', 'delivered', 'returned')
+      and l.created_at < now() - make_interval(days => greatest(p_min_age_days, 0))
+      and r.status in ('pending', 'label_created')
+      and not exists (select 1 from public.ankauf_parcel_receipts p where p.ankauf_request_id = r.id)
+  ), '[]'::jsonb);
+end;
+$$;
+
+-- Statusseite: zusätzlich die Sendungen mit ihrem Status (ohne Paket-ID und Label-Link).
+create or replace function public.get_ankauf_status(p_ankaufs_nummer text, p_verification text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_nummer text := upper(regexp_replace(trim(coalesce(p_ankaufs_nummer, '')), '-L\d+$', '', 'i'));
+  v_verification text := lower(regexp_replace(coalesce(p_verification, ''), '\s', '', 'g'));
+  v_headers json := nullif(current_setting('request.headers', true), '')::json;
+  v_client text;
+  v_request public.ankauf_requests;
+  v_window interval := interval '15 minutes';
+begin
+  v_client := coalesce(nullif(trim(split_part(v_headers ->> 'x-forwarded-for', ',', 1)), ''), 'unbekannt');
+
+  if v_nummer = '' or v_verification = '' then
+    raise exception 'Bitte Ankaufsnummer und E-Mail oder PLZ angeben.';
+  end if;
+
+  if (select count(*) from public.ankauf_status_lookups
+      where client_key = v_client and attempted_at > now() - v_window) >= 20
+     or (select count(*) from public.ankauf_status_lookups
+      where ankaufs_nummer = v_nummer and not succeeded and attempted_at > now() - v_window) >= 5 then
+    raise exception 'Zu viele Abfragen. Bitte versuche es in 15 Minuten erneut.' using errcode = '54000';
+  end if;
+
+  select r.* into v_request
+  from public.ankauf_requests r
+  join public.customers c on c.id = r.customer_id
+  where upper(r.ankaufs_nummer) = v_nummer
+    and (lower(trim(c.email)) = v_verification
+      or lower(regexp_replace(coalesce(c.zip, ''), '\s', '', 'g')) = v_verification)
+  limit 1;
+
+  delete from public.ankauf_status_lookups where attempted_at < now() - interval '1 day';
+  insert into public.ankauf_status_lookups (client_key, ankaufs_nummer, succeeded)
+  values (v_client, v_nummer, v_request.id is not null);
+
+  -- Falsche Nummer und falsche E-Mail/PLZ sehen gleich aus, damit sich Ankaufsnummern nicht ausprobieren lassen.
+  if v_request.id is null then
+    return null;
+  end if;
+
+  return jsonb_build_object(
+    'ankaufs_nummer', v_request.ankaufs_nummer,
+    'status', v_request.status,
+    'submission_date', v_request.submission_date,
+    'delivery_type', v_request.delivery_type,
+    'total_weight', v_request.total_weight,
+    'total_price', v_request.total_price,
+    'final_weight', v_request.final_weight,
+    'final_price', v_request.final_price,
+    'inspected_at', v_request.inspected_at,
+    'number_of_labels', v_request.number_of_labels,
+    'pdf_url', v_request.pdf_url,
+    'label_urls', to_jsonb(v_request.label_urls),
+    'shipments', coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'label_index', l.label_index,
+        'reference', l.reference,
+        'tracking_number', l.tracking_number,
+        'tracking_status', l.tracking_status,
+        'status_changed_at', l.status_changed_at,
+        'first_scanned_at', l.first_scanned_at
+      ) order by l.label_index)
+      from public.shipment_labels l
+      where l.ankauf_request_id = v_request.id
+    ), '[]'::jsonb),
+    'parcels_received', (select count(*) from public.ankauf_parcel_receipts p where p.ankauf_request_id = v_request.id),
+    'first_parcel_received_at', (select min(p.received_at) from public.ankauf_parcel_receipts p where p.ankauf_request_id = v_request.id),
+    'status_events', coalesce((
+      select jsonb_agg(jsonb_build_object('status', h.to_status, 'changed_at', h.changed_at) order by h.changed_at)
+      from public.ankauf_status_history h
+      where h.ankauf_request_id = v_request.id
+    ), '[]'::jsonb)
+  );
+end;
+$$;
+
+revoke all on function public.register_shipment_label(uuid, text, integer, text, text, text, text) from public;
+revoke all on function public.apply_shipment_tracking_update(text, text, text, text, text) from public, anon;
+revoke all on function public.get_unscanned_shipment_labels(integer) from public, anon;
+grant execute on function public.register_shipment_label(uuid, text, integer, text, text, text, text) to anon, authenticated;
+grant execute on function public.apply_shipment_tracking_update(text, text, text, text, text) to authenticated, service_role;
+grant execute on function public.get_unscanned_shipment_labels(integer) to authenticated;
@@ -0,0 +1,237 @@
+-- Versandlabels nur noch in shipment_labels: Dateipfad im Bucket "lieferschein" dazu, die alten
+-- Links aus ankauf_requests.label_urls übernehmen und die Spalte entfernen. ankauf_requests.pdf_url
+-- ist damit ausschließlich der Begleitschein.
+
+alter table public.shipment_labels
+  add column if not exists file_path text;
+
+-- Übernommene Labels von vor der Sendungsverfolgung haben keine Paket-ID.
+alter table public.shipment_labels
+  alter column parcel_id drop not null;
+
+insert into public.shipment_labels (ankauf_request_id, label_index, reference, carrier, label_url, file_path, tracking_status, created_at)
+select
+  r.id,
+  l.label_index,
+  case when r.number_of_labels > 1 then r.ankaufs_nummer || '-L' || l.label_index else r.ankaufs_nummer end,
+  'sendcloud',
+  l.label_url,
+  nullif(substring(l.label_url from '/lieferschein/([^?]+)$'), ''),
+  'unknown',
+  coalesce(r.status_changed_at, r.submission_date, now())
+from public.ankauf_requests r
+cross join lateral unnest(r.label_urls) with ordinality as l (label_url, label_index)
+where r.delivery_type = 'versand'
+  and l.label_index <= greatest(r.number_of_labels, 1)
+on conflict (ankauf_request_id, label_index) do nothing;
+
+update public.shipment_labels
+set file_path = substring(label_url from '/lieferschein/([^?]+)$')
+where file_path is null and label_url is not null;
+
+drop function if exists public.register_shipment_label(uuid, text, integer, text, text, text, text);
+
+create or replace function public.register_shipment_label(
+  p_ankauf_request_id uuid,
+  p_ankaufs_nummer text,
+  p_label_index integer,
+  p_carrier text,
+  p_parcel_id text,
+  p_tracking_number text,
+  p_label_url text,
+  p_file_path text
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request public.ankauf_requests;
+begin
+  select * into v_request
+  from public.ankauf_requests
+  where id = p_ankauf_request_id
+    and ankaufs_nummer = p_ankaufs_nummer;
+
+  if v_request.id is null then
+    raise exception 'Ankauf nicht gefunden.' using errcode = 'P0002';
+  end if;
+
+  if v_request.delivery_type <> 'versand'
+     or p_label_index is null
+     or p_label_index not between 1 and greatest(v_request.number_of_labels, 1)
+     or coalesce(trim(p_parcel_id), '') = ''
+     or coalesce(trim(p_label_url), '') = '' then
+    raise exception 'Ungültige Labeldaten.' using errcode = '22023', hint = 'invalid_label';
+  end if;
+
+  insert into public.shipment_labels (ankauf_request_id, label_index, reference, carrier, parcel_id, tracking_number, label_url, file_path)
+  values (
+    v_request.id,
+    p_label_index,
+    case when v_request.number_of_labels > 1 then v_request.ankaufs_nummer || '-L' || p_label_index else v_request.ankaufs_nummer end,
+    p_carrier,
+    trim(p_parcel_id),
+    nullif(trim(p_tracking_number), ''),
+    p_label_url,
+    p_file_path
+  )
+  on conflict (ankauf_request_id, label_index) do update
+    set carrier = excluded.carrier,
+        parcel_id = excluded.parcel_id,
+        tracking_number = excluded.tracking_number,
+        label_url = excluded.label_url,
+        file_path = excluded.file_path,
+        tracking_status = 'label_created',
+        tracking_status_text = null,
+        status_changed_at = now(),
+        first_scanned_at = null,
+        last_synced_at = null,
+        created_at = now();
+end;
+$$;
+
+-- Bestätigungsseite und Bestätigungs-E-Mail: die bereits erstellten Labels eines Ankaufs.
+create or replace function public.get_shipment_label_files(p_ankauf_request_id uuid, p_ankaufs_nummer text)
+returns table (label_index integer, reference text, label_url text, tracking_number text)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select l.label_index, l.reference, l.label_url, l.tracking_number
+  from public.shipment_labels l
+  join public.ankauf_requests r on r.id = l.ankauf_request_id
+  where r.id = p_ankauf_request_id
+    and r.ankaufs_nummer = p_ankaufs_nummer
+    and l.label_url is not null
+  order by l.label_index;
+$$;
+
+-- Übernommene Labels ohne Paket-ID lassen sich nicht verfolgen und lösen keine Warnung aus.
+create or replace function public.get_unscanned_shipment_labels(p_min_age_days integer)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Nicht angemeldet.' using errcode = '42501';
+  end if;
+
+  return coalesce((
+    select jsonb_agg(jsonb_build_object(
+      'id', l.id,
+      'ankauf_request_id', r.id,
+      'ankaufs_nummer', r.ankaufs_nummer,
+      'reference', l.reference,
+      'tracking_number', l.tracking_number,
+      'tracking_status', l.tracking_status,
+      'created_at', l.created_at,
+      'customer_name', c.name,
+      'customer_email', c.email
+    ) order by l.created_at)
+    from public.shipment_labels l
+    join public.ankauf_requests r on r.id = l.ankauf_request_id
+    left join public.customers c on c.id = r.customer_id
+    where l.parcel_id is not null
+      and l.first_scanned_at is null
+      and l.tracking_status not in ('cancelled', 'delivered', 'returned')
+      and l.created_at < now() - make_interval(days => greatest(p_min_age_days, 0))
+      and r.status in ('pending', 'label_created')
+      and not exists (select 1 from public.ankauf_parcel_receipts p where p.ankauf_request_id = r.id)
+  ), '[]'::jsonb);
+end;
+$$;
+
+-- Statusseite: Label-Links kommen jetzt pro Sendung statt aus label_urls.
+create or replace function public.get_ankauf_status(p_ankaufs_nummer text, p_verification text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_nummer text := upper(regexp_replace(trim(coalesce(p_ankaufs_nummer, '')), '-L\d+$', '', 'i'));
+  v_verification text := lower(regexp_replace(coalesce(p_verification, ''), '\s', '', 'g'));
+  v_headers json := nullif(current_setting('request.headers', true), '')::json;
+  v_client text;
+  v_request public.ankauf_requests;
+  v_window interval := interval '15 minutes';
+begin
+  v_client := coalesce(nullif(trim(split_part(v_headers ->> 'x-forwarded-for', ',', 1)), ''), 'unbekannt');
+
+  if v_nummer = '' or v_verification = '' then
+    raise exception 'Bitte Ankaufsnummer und E-Mail oder PLZ angeben.';
+  end if;
+
+  if (select count(*) from public.ankauf_status_lookups
+      where client_key = v_client and attempted_at > now() - v_window) >= 20
+     or (select count(*) from public.ankauf_status_lookups
+      where ankaufs_nummer = v_nummer and not succeeded and attempted_at > now() - v_window) >= 5 then
+    raise exception 'Zu viele Abfragen. Bitte versuche es in 15 Minuten erneut.' using errcode = '54000';
+  end if;
+
+  select r.* into v_request
+  from public.ankauf_requests r
+  join public.customers c on c.id = r.customer_id
+  where upper(r.ankaufs_nummer) = v_nummer
+    and (lower(trim(c.email)) = v_verification
+      or lower(regexp_replace(coalesce(c.zip, ''), '\s', '', 'g')) = v_verification)
+  limit 1;
+
+  delete from public.ankauf_status_lookups where attempted_at < now() - interval '1 day';
+  insert into public.ankauf_status_lookups (client_key, ankaufs_nummer, succeeded)
+  values (v_client, v_nummer, v_request.id is not null);
+
+  -- Falsche Nummer und falsche E-Mail/PLZ sehen gleich aus, damit sich Ankaufsnummern nicht ausprobieren lassen.
+  if v_request.id is null then
+    return null;
+  end if;
+
+  return jsonb_build_object(
+    'ankaufs_nummer', v_request.ankaufs_nummer,
+    'status', v_request.status,
+    'submission_date', v_request.submission_date,
+    'delivery_type', v_request.delivery_type,
+    'total_weight', v_request.total_weight,
+    'total_price', v_request.total_price,
+    'final_weight', v_request.final_weight,
+    'final_price', v_request.final_price,
+    'inspected_at', v_request.inspected_at,
+    'number_of_labels', v_request.number_of_labels,
+    'pdf_url', v_request.pdf_url,
+    'shipments', coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'label_index', l.label_index,
+        'reference', l.reference,
+        'label_url', l.label_url,
+        'tracking_number', l.tracking_number,
+        'tracking_status', l.tracking_status,
+        'status_changed_at', l.status_changed_at,
+        'first_scanned_at', l.first_scanned_at
+      ) order by l.label_index)
+      from public.shipment_labels l
+      where l.ankauf_request_id = v_request.id
+    ), '[]'::jsonb),
+    'parcels_received', (select count(*) from public.ankauf_parcel_receipts p where p.ankauf_request_id = v_request.id),
+    'first_parcel_received_at', (select min(p.received_at) from public.ankauf_parcel_receipts p where p.ankauf_request_id = v_request.id),
+    'status_events', coalesce((
+      select jsonb_agg(jsonb_build_object('status', h.to_status, 'changed_at', h.changed_at) order by h.changed_at)
+      from public.ankauf_status_history h
+      where h.ankauf_request_id = v_request.id
+    ), '[]'::jsonb)
+  );
+end;
+$$;
+
+alter table public.ankauf_requests
+  drop column if exists label_urls;
+
+revoke all on function public.register_shipment_label(uuid, text, integer, text, text, text, text, text) from public;
+revoke all on function public.get_shipment_label_files(uuid, text) from public;
+grant execute on function public.register_shipment_label(uuid, text, integer, text, text, text, text, text) to anon, authenticated;
+grant execute on function public.get_shipment_label_files(uuid, text) to anon, authenticated;
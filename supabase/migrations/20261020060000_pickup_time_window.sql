@@ -0,0 +1,94 @@
+-- pickup_requests.pickup_time wird seit den Abholtagen nicht mehr geschrieben; Admin-Ansichten und
+-- Exporte lesen die Spalte aber weiterhin. Jetzt steht dort wieder das gebuchte Zeitfenster der
+-- Tour ("09:00 - 16:00", ohne "Uhr" wie früher aus dem Formular).
+
+create or replace function public.format_pickup_window(p_day public.pickup_days)
+returns text
+language sql
+immutable
+as $$
+  select to_char(p_day.window_start, 'HH24:MI') || ' - ' || to_char(p_day.window_end, 'HH24:MI');
+$$;
+
+update public.pickup_requests p
+set pickup_time = public.format_pickup_window(d)
+from public.pickup_days d
+where d.id = p.pickup_day_id
+  and p.pickup_time is null;
+
+create or replace function public.insert_ankauf_delivery_record(
+  p_request public.ankauf_requests,
+  p_customer_id uuid,
+  p_delivery jsonb
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_day public.pickup_days;
+  v_area public.pickup_service_areas;
+  v_load record;
+  v_zip text;
+  v_delivery_date date;
+  v_slot_start time;
+begin
+  if p_request.delivery_type = 'abholung' then
+    select zip into v_zip from public.customers where id = p_customer_id;
+    v_area := public.find_pickup_service_area(v_zip);
+
+    if v_area.id is null then
+      raise exception 'Für diese PLZ bieten wir leider keine Abholung an.'
+        using errcode = '22023', hint = 'pickup_area_unavailable';
+    end if;
+
+    if coalesce(p_request.total_weight, 0) < v_area.min_weight then
+      raise exception 'Für eine Abholung in diesem Gebiet sind mindestens % kg erforderlich.', v_area.min_weight
+        using errcode = '22023', hint = 'pickup_min_weight';
+    end if;
+
+    -- Sperre auf dem Tag: zwei gleichzeitige Buchungen können die Kapazität nicht gemeinsam überschreiten.
+    select * into v_day
+    from public.pickup_days
+    where id = nullif(p_delivery ->> 'pickup_day_id', '')::uuid
+    for update;
+
+    if v_day.id is null then
+      raise exception 'Bitte wähle einen Abholtag.' using errcode = '22023', hint = 'pickup_day_required';
+    end if;
+
+    select * into v_load from public.get_pickup_day_load(v_day.id);
+
+    if not v_day.is_active
+       or v_day.pickup_date <= (now() at time zone 'Europe/Berlin')::date
+       or not public.pickup_day_serves_zip(v_day.zip_prefixes, v_zip)
+       or v_load.booked_stops >= v_day.max_stops
+       or v_load.booked_weight + coalesce(p_request.total_weight, 0) > v_day.max_weight then
+      raise exception 'Der gewählte Abholtag ist nicht mehr frei. Bitte wähle einen anderen Tag.'
+        using errcode = '22023', hint = 'pickup_day_full';
+    end if;
+
+    insert into public.pickup_requests (ankauf_request_id, customer_id, pickup_day_id, pickup_date, pickup_time, pickup_fee, notes)
+    select p_request.id, p_customer_id, v_day.id, v_day.pickup_date, public.format_pickup_window(v_day), v_area.pickup_fee, d.notes
+    from jsonb_populate_record(null::public.pickup_requests, p_delivery) d;
+  elsif p_request.delivery_type = 'selbstanlieferung' then
+    v_delivery_date := nullif(p_delivery ->> 'delivery_date', '')::date;
+    v_slot_start := nullif(p_delivery ->> 'slot_start', '')::time;
+
+    -- Die Reservierung aus dem Formular trägt den Idempotenzschlüssel der Anfrage und zählt hier nicht mit.
+    perform public.lock_self_delivery_slot(v_delivery_date, v_slot_start, p_request.idempotency_key);
+
+    insert into public.self_delivery_appointments (ankauf_request_id, customer_id, delivery_date, slot_start, time_slot, notes)
+    select p_request.id, p_customer_id, v_delivery_date, v_slot_start, d.time_slot, d.notes
+    from jsonb_populate_record(
+      null::public.self_delivery_appointments,
+      p_delivery || jsonb_build_object('time_slot', public.format_self_delivery_slot(v_slot_start))
+    ) d;
+
+    delete from public.self_delivery_slot_holds where hold_token = p_request.idempotency_key;
+  end if;
+end;
+$$;
+
+revoke all on function public.insert_ankauf_delivery_record(public.ankauf_requests, uuid, jsonb) from public, anon, authenticated;
@@ -0,0 +1,114 @@
+-- Laufnummern der Auszahlungsläufe (AZ-JJJJMMTT-NN) kommen aus einem Zähler je Tag statt aus
+-- count(*) der heutigen Läufe: zwei gleichzeitige Läufe bekamen sonst dieselbe Nummer und der
+-- zweite scheiterte am Unique-Key.
+
+create table if not exists public.payout_batch_sequences (
+  batch_date date primary key,
+  last_number integer not null default 0
+);
+
+-- Keine Policies: nur create_payout_batch zählt hoch.
+alter table public.payout_batch_sequences enable row level security;
+
+insert into public.payout_batch_sequences (batch_date, last_number)
+select to_date(substring(batch_number from '^AZ-(\d{8})-'), 'YYYYMMDD'), max(substring(batch_number from '-(\d+)$')::integer)
+from public.payout_batches
+where batch_number ~ '^AZ-\d{8}-\d+$'
+group by 1
+on conflict (batch_date) do update set last_number = greatest(payout_batch_sequences.last_number, excluded.last_number);
+
+create or replace function public.create_payout_batch(p_ankauf_request_ids uuid[])
+returns public.payout_batches
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_batch public.payout_batches;
+  v_request record;
+  v_day date := (now() at time zone 'Europe/Berlin')::date;
+  v_number integer;
+  v_iban text;
+begin
+  if v_user_id is null then
+    raise exception 'Nicht angemeldet.' using errcode = '42501';
+  end if;
+  if p_ankauf_request_ids is null or cardinality(p_ankauf_request_ids) = 0 then
+    raise exception 'Keine Ankäufe ausgewählt.';
+  end if;
+
+  -- Sperrt den Zähler des Tages bis zum Ende der Transaktion; gleichzeitige Läufe warten hier.
+  insert into public.payout_batch_sequences as s (batch_date, last_number)
+  values (v_day, 1)
+  on conflict (batch_date) do update set last_number = s.last_number + 1
+  returning last_number into v_number;
+
+  insert into public.payout_batches (batch_number, created_by, created_by_email)
+  values ('AZ-' || to_char(v_day, 'YYYYMMDD') || '-' || lpad(v_number::text, 2, '0'), v_user_id, auth.jwt() ->> 'email')
+  returning * into v_batch;
+
+  for v_request in
+    select r.id, r.ankaufs_nummer, r.status, r.final_price, r.iban, r.paypal, r.payout_batch_id,
+           coalesce(nullif(trim(c.company_name), ''), c.name) as creditor_name
+    from public.ankauf_requests r
+    left join public.customers c on c.id = r.customer_id
+    where r.id = any(p_ankauf_request_ids)
+    order by r.ankaufs_nummer
+    for update of r
+  loop
+    if v_request.status <> 'checked' or v_request.payout_batch_id is not null then
+      raise exception 'Ankauf % ist nicht zur Auszahlung bereit (Status "%").', v_request.ankaufs_nummer, v_request.status;
+    end if;
+    if coalesce(v_request.final_price, 0) <= 0 then
+      raise exception 'Ankauf % hat keinen Endbetrag.', v_request.ankaufs_nummer;
+    end if;
+    if exists (
+      select 1 from public.payout_batch_items i
+      join public.payout_batches b on b.id = i.batch_id
+      where i.ankauf_request_id = v_request.id and b.status = 'open'
+    ) then
+      raise exception 'Ankauf % ist bereits in einem offenen Auszahlungslauf.', v_request.ankaufs_nummer;
+    end if;
+
+    v_iban := upper(regexp_replace(coalesce(v_request.iban, ''), '\s', '', 'g'));
+    if v_iban <> '' then
+      if not public.is_valid_iban(v_iban) then
+        raise exception 'Ankauf %: Die IBAN ist ungültig.', v_request.ankaufs_nummer;
+      end if;
+      insert into public.payout_batch_items (batch_id, ankauf_request_id, ankaufs_nummer, method, amount, creditor_name, iban)
+      values (v_batch.id, v_request.id, v_request.ankaufs_nummer, 'sepa', v_request.final_price, v_request.creditor_name, v_iban);
+    elsif nullif(trim(v_request.paypal), '') is not null then
+      insert into public.payout_batch_items (batch_id, ankauf_request_id, ankaufs_nummer, method, amount, creditor_name, paypal)
+      values (v_batch.id, v_request.id, v_request.ankaufs_nummer, 'paypal', v_request.final_price, v_request.creditor_name, trim(v_request.paypal));
+    else
+      raise exception 'Ankauf % hat weder IBAN noch PayPal.', v_request.ankaufs_nummer;
+    end if;
+  end loop;
+
+  update public.payout_batches b
+  set sepa_count = totals.sepa_count,
+      sepa_total = totals.sepa_total,
+      paypal_count = totals.paypal_count,
+      paypal_total = totals.paypal_total
+  from (
+    select count(*) filter (where method = 'sepa') as sepa_count,
+           coalesce(sum(amount) filter (where method = 'sepa'), 0) as sepa_total,
+           count(*) filter (where method = 'paypal') as paypal_count,
+           coalesce(sum(amount) filter (where method = 'paypal'), 0) as paypal_total
+    from public.payout_batch_items
+    where batch_id = v_batch.id
+  ) totals
+  where b.id = v_batch.id
+  returning b.* into v_batch;
+
+  if v_batch.sepa_count + v_batch.paypal_count <> cardinality(p_ankauf_request_ids) then
+    raise exception 'Nicht alle ausgewählten Ankäufe wurden gefunden.';
+  end if;
+
+  return v_batch;
+end;
+$$;
+
+revoke all on function public.create_payout_batch(uuid[]) from public, anon;
+grant execute on function public.create_payout_batch(uuid[]) to authenticated;
@@ -0,0 +1,25 @@
+-- Suche der Admin-Ankaufsliste in der Datenbank statt in den neuesten 500 geladenen Zeilen.
+-- Liefert ankauf_requests-Zeilen, damit der Client wie bisher Spalten einbetten, weiter filtern,
+-- sortieren und seitenweise laden kann. Läuft mit den Rechten des Aufrufers (RLS der Admins).
+
+create or replace function public.search_ankauf_requests(p_search text)
+returns setof public.ankauf_requests
+language sql
+stable
+set search_path = public
+as $$
+  select r.*
+  from public.ankauf_requests r
+  left join public.customers c on c.id = r.customer_id
+  cross join lateral (select lower(trim(coalesce(p_search, ''))) as term) s
+  where s.term = ''
+    or strpos(lower(r.ankaufs_nummer), s.term) > 0
+    or strpos(lower(coalesce(c.name, '')), s.term) > 0
+    or strpos(lower(coalesce(c.company_name, '')), s.term) > 0
+    or strpos(lower(coalesce(c.email, '')), s.term) > 0
+    or strpos(lower(coalesce(c.zip, '')), s.term) > 0
+    or strpos(lower(coalesce(c.city, '')), s.term) > 0;
+$$;
+
+revoke all on function public.search_ankauf_requests(text) from public, anon;
+grant execute on function public.search_ankauf_requests(text) to authenticated;
@@ -0,0 +1,134 @@
+-- Nach der Gutschrift ist die Eingangsprüfung fest: eine spätere Änderung von final_price würde
+-- create_payout_batch einen anderen Betrag auszahlen lassen als Gutschrift und DATEV-Export zeigen.
+
+create or replace function public.save_ankauf_inspection(
+  p_ankauf_request_id uuid,
+  p_items jsonb,
+  p_complete boolean default false
+)
+returns public.ankauf_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request public.ankauf_requests;
+  v_input jsonb;
+  v_item jsonb;
+  v_index integer;
+  v_unit text;
+  v_unit_price numeric;
+  v_weight_per_piece numeric;
+  v_actual_quantity integer;
+  v_rejected_quantity integer;
+  v_actual numeric;
+  v_rejected numeric;
+  v_final_price numeric;
+begin
+  if auth.uid() is null then
+    raise exception 'Nicht angemeldet.' using errcode = '42501';
+  end if;
+
+  select * into v_request
+  from public.ankauf_requests
+  where id = p_ankauf_request_id
+  for update;
+
+  if not found then
+    raise exception 'Ankaufsanfrage % nicht gefunden.', p_ankauf_request_id using errcode = 'P0002';
+  end if;
+
+  if v_request.status not in ('received', 'checked') then
+    raise exception 'Prüfung ist nur für eingegangene Ankäufe möglich (aktuell: %).', v_request.status
+      using errcode = '22023';
+  end if;
+
+  -- issue_credit_note sperrt dieselbe Zeile; danach bleibt final_price so, wie er auf der Gutschrift steht.
+  if exists (select 1 from public.credit_notes where ankauf_request_id = v_request.id) then
+    raise exception 'Für % ist bereits eine Gutschrift ausgestellt; die Prüfung kann nicht mehr geändert werden.', v_request.ankaufs_nummer
+      using errcode = '22023', hint = 'credit_note_issued';
+  end if;
+
+  for v_input in select * from jsonb_array_elements(coalesce(p_items, '[]'::jsonb)) loop
+    v_index := (v_input ->> 'item_index')::integer;
+    v_item := v_request.items -> v_index;
+    if v_item is null then
+      raise exception 'Position % existiert in % nicht.', v_index, v_request.ankaufs_nummer using errcode = '22023';
+    end if;
+
+    -- Preis pro kg bzw. pro Stück aus dem Warenkorb zum Zeitpunkt der Absendung.
+    v_unit := case when v_item ->> 'unit' = 'piece' then 'piece' else 'kg' end;
+    v_unit_price := coalesce((v_item ->> 'pricePerKg')::numeric, 0);
+
+    if v_unit = 'piece' then
+      v_weight_per_piece := coalesce((v_item ->> 'estimatedWeightPerPiece')::numeric, 0);
+      v_actual_quantity := coalesce((v_input ->> 'actual_quantity')::integer, 0);
+      v_rejected_quantity := coalesce((v_input ->> 'rejected_quantity')::integer, 0);
+      if v_rejected_quantity > v_actual_quantity then
+        raise exception 'Position %: Mehr Stück abgelehnt als eingegangen.', v_index using errcode = '22023';
+      end if;
+      v_actual := round(v_actual_quantity * v_weight_per_piece, 2);
+      v_rejected := round(v_rejected_quantity * v_weight_per_piece, 2);
+      v_final_price := round((v_actual_quantity - v_rejected_quantity) * v_unit_price, 2);
+    else
+      v_actual_quantity := null;
+      v_rejected_quantity := null;
+      v_actual := coalesce((v_input ->> 'actual_weight')::numeric, 0);
+      v_rejected := coalesce((v_input ->> 'rejected_weight')::numeric, 0);
+      v_final_price := round(greatest(v_actual - v_rejected, 0) * v_unit_price, 2);
+    end if;
+
+    insert into public.ankauf_inspection_items (
+      ankauf_request_id, item_index, category, unit, declared_weight, declared_quantity, declared_price, price_per_kg,
+      actual_weight, rejected_weight, actual_quantity, rejected_quantity, rejection_reason, rejection_note, final_price, updated_at
+    ) values (
+      v_request.id,
+      v_index,
+      v_item ->> 'category',
+      v_unit,
+      coalesce((v_item ->> 'weight')::numeric, 0),
+      case when v_unit = 'piece' then coalesce((v_item ->> 'quantity')::integer, 0) end,
+      coalesce((v_item ->> 'price')::numeric, 0),
+      v_unit_price,
+      v_actual,
+      v_rejected,
+      v_actual_quantity,
+      v_rejected_quantity,
+      case when v_rejected > 0 or coalesce(v_rejected_quantity, 0) > 0 then nullif(v_input ->> 'rejection_reason', '') end,
+      nullif(trim(v_input ->> 'rejection_note'), ''),
+      v_final_price,
+      now()
+    )
+    on conflict (ankauf_request_id, item_index) do update set
+      unit = excluded.unit,
+      actual_weight = excluded.actual_weight,
+      rejected_weight = excluded.rejected_weight,
+      actual_quantity = excluded.actual_quantity,
+      rejected_quantity = excluded.rejected_quantity,
+      rejection_reason = excluded.rejection_reason,
+      rejection_note = excluded.rejection_note,
+      final_price = excluded.final_price,
+      updated_at = now();
+  end loop;
+
+  update public.ankauf_requests r
+  set final_weight = totals.accepted_weight,
+      final_price = totals.final_price,
+      inspected_at = now(),
+      inspected_by = auth.uid(),
+      inspected_by_email = auth.jwt() ->> 'email'
+  from (
+    select coalesce(sum(accepted_weight), 0) as accepted_weight, coalesce(sum(final_price), 0) as final_price
+    from public.ankauf_inspection_items
+    where ankauf_request_id = p_ankauf_request_id
+  ) totals
+  where r.id = v_request.id
+  returning r.* into v_request;
+
+  if p_complete and v_request.status = 'received' then
+    v_request := public.transition_ankauf_status(v_request.id, 'checked', 'Eingangsprüfung abgeschlossen');
+  end if;
+
+  return v_request;
+end;
+$$;
@@ -0,0 +1,445 @@
+-- Die Abholgebühr der Zone wird jetzt tatsächlich berechnet: Sie steht am Ankauf, wird bei der
+-- Eingangsprüfung vom Endbetrag abgezogen (damit auch von der Auszahlung), auf der Gutschrift als
+-- Abzug ausgewiesen und im DATEV-Export gegengebucht. Begleitschein und Formular nennen sie vorab.
+
+alter table public.ankauf_requests
+  add column if not exists pickup_fee numeric(8, 2) not null default 0 check (pickup_fee >= 0);
+
+alter table public.credit_notes
+  add column if not exists pickup_fee numeric(12, 2) not null default 0;
+
+update public.ankauf_requests r
+set pickup_fee = p.pickup_fee
+from public.pickup_requests p
+where p.ankauf_request_id = r.id
+  and r.delivery_type = 'abholung'
+  and p.pickup_fee > 0;
+
+-- Bereits geprüfte, aber noch nicht abgerechnete Ankäufe mit Gebühr neu berechnen.
+update public.ankauf_requests r
+set final_price = greatest(totals.final_price - r.pickup_fee, 0)
+from (
+  select ankauf_request_id, coalesce(sum(final_price), 0) as final_price
+  from public.ankauf_inspection_items
+  group by ankauf_request_id
+) totals
+where totals.ankauf_request_id = r.id
+  and r.pickup_fee > 0
+  and r.status in ('received', 'checked')
+  and not exists (select 1 from public.credit_notes cn where cn.ankauf_request_id = r.id)
+  and not exists (
+    select 1 from public.payout_batch_items i
+    join public.payout_batches b on b.id = i.batch_id
+    where i.ankauf_request_id = r.id and b.status = 'open'
+  );
+
+create or replace function public.insert_ankauf_delivery_record(
+  p_request public.ankauf_requests,
+  p_customer_id uuid,
+  p_delivery jsonb
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_day public.pickup_days;
+  v_area public.pickup_service_areas;
+  v_load record;
+  v_zip text;
+  v_delivery_date date;
+  v_slot_start time;
+begin
+  if p_request.delivery_type = 'abholung' then
+    select zip into v_zip from public.customers where id = p_customer_id;
+    v_area := public.find_pickup_service_area(v_zip);
+
+    if v_area.id is null then
+      raise exception 'Für diese PLZ bieten wir leider keine Abholung an.'
+        using errcode = '22023', hint = 'pickup_area_unavailable';
+    end if;
+
+    if coalesce(p_request.total_weight, 0) < v_area.min_weight then
+      raise exception 'Für eine Abholung in diesem Gebiet sind mindestens % kg erforderlich.', v_area.min_weight
+        using errcode = '22023', hint = 'pickup_min_weight';
+    end if;
+
+    -- Sperre auf dem Tag: zwei gleichzeitige Buchungen können die Kapazität nicht gemeinsam überschreiten.
+    select * into v_day
+    from public.pickup_days
+    where id = nullif(p_delivery ->> 'pickup_day_id', '')::uuid
+    for update;
+
+    if v_day.id is null then
+      raise exception 'Bitte wähle einen Abholtag.' using errcode = '22023', hint = 'pickup_day_required';
+    end if;
+
+    select * into v_load from public.get_pickup_day_load(v_day.id);
+
+    if not v_day.is_active
+       or v_day.pickup_date <= (now() at time zone 'Europe/Berlin')::date
+       or not public.pickup_day_serves_zip(v_day.zip_prefixes, v_zip)
+       or v_load.booked_stops >= v_day.max_stops
+       or v_load.booked_weight + coalesce(p_request.total_weight, 0) > v_day.max_weight then
+      raise exception 'Der gewählte Abholtag ist nicht mehr frei. Bitte wähle einen anderen Tag.'
+        using errcode = '22023', hint = 'pickup_day_full';
+    end if;
+
+    insert into public.pickup_requests (ankauf_request_id, customer_id, pickup_day_id, pickup_date, pickup_time, pickup_fee, notes)
+    select p_request.id, p_customer_id, v_day.id, v_day.pickup_date, public.format_pickup_window(v_day), v_area.pickup_fee, d.notes
+    from jsonb_populate_record(null::public.pickup_requests, p_delivery) d;
+
+    update public.ankauf_requests
+    set pickup_fee = v_area.pickup_fee
+    where id = p_request.id;
+  elsif p_request.delivery_type = 'selbstanlieferung' then
+    v_delivery_date := nullif(p_delivery ->> 'delivery_date', '')::date;
+    v_slot_start := nullif(p_delivery ->> 'slot_start', '')::time;
+
+    -- Die Reservierung aus dem Formular trägt den Idempotenzschlüssel der Anfrage und zählt hier nicht mit.
+    perform public.lock_self_delivery_slot(v_delivery_date, v_slot_start, p_request.idempotency_key);
+
+    insert into public.self_delivery_appointments (ankauf_request_id, customer_id, delivery_date, slot_start, time_slot, notes)
+    select p_request.id, p_customer_id, v_delivery_date, v_slot_start, d.time_slot, d.notes
+    from jsonb_populate_record(
+      null::public.self_delivery_appointments,
+      p_delivery || jsonb_build_object('time_slot', public.format_self_delivery_slot(v_slot_start))
+    ) d;
+
+    delete from public.self_delivery_slot_holds where hold_token = p_request.idempotency_key;
+  end if;
+end;
+$$;
+
+create or replace function public.save_ankauf_inspection(
+  p_ankauf_request_id uuid,
+  p_items jsonb,
+  p_complete boolean default false
+)
+returns public.ankauf_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request public.ankauf_requests;
+  v_input jsonb;
+  v_item jsonb;
+  v_index integer;
+  v_unit text;
+  v_unit_price numeric;
+  v_weight_per_piece numeric;
+  v_actual_quantity integer;
+  v_rejected_quantity integer;
+  v_actual numeric;
+  v_rejected numeric;
+  v_final_price numeric;
+begin
+  if auth.uid() is null then
+    raise exception 'Nicht angemeldet.' using errcode = '42501';
+  end if;
+
+  select * into v_request
+  from public.ankauf_requests
+  where id = p_ankauf_request_id
+  for update;
+
+  if not found then
+    raise exception 'Ankaufsanfrage % nicht gefunden.', p_ankauf_request_id using errcode = 'P0002';
+  end if;
+
+  if v_request.status not in ('received', 'checked') then
+    raise exception 'Prüfung ist nur für eingegangene Ankäufe möglich (aktuell: %).', v_request.status
+      using errcode = '22023';
+  end if;
+
+  -- issue_credit_note sperrt dieselbe Zeile; danach bleibt final_price so, wie er auf der Gutschrift steht.
+  if exists (select 1 from public.credit_notes where ankauf_request_id = v_request.id) then
+    raise exception 'Für % ist bereits eine Gutschrift ausgestellt; die Prüfung kann nicht mehr geändert werden.', v_request.ankaufs_nummer
+      using errcode = '22023', hint = 'credit_note_issued';
+  end if;
+
+  for v_input in select * from jsonb_array_elements(coalesce(p_items, '[]'::jsonb)) loop
+    v_index := (v_input ->> 'item_index')::integer;
+    v_item := v_request.items -> v_index;
+    if v_item is null then
+      raise exception 'Position % existiert in % nicht.', v_index, v_request.ankaufs_nummer using errcode = '22023';
+    end if;
+
+    -- Preis pro kg bzw. pro Stück aus dem Warenkorb zum Zeitpunkt der Absendung.
+    v_unit := case when v_item ->> 'unit' = 'piece' then 'piece' else 'kg' end;
+    v_unit_price := coalesce((v_item ->> 'pricePerKg')::numeric, 0);
+
+    if v_unit = 'piece' then
+      v_weight_per_piece := coalesce((v_item ->> 'estimatedWeightPerPiece')::numeric, 0);
+      v_actual_quantity := coalesce((v_input ->> 'actual_quantity')::integer, 0);
+      v_rejected_quantity := coalesce((v_input ->> 'rejected_quantity')::integer, 0);
+      if v_rejected_quantity > v_actual_quantity then
+        raise exception 'Position %: Mehr Stück abgelehnt als eingegangen.', v_index using errcode = '22023';
+      end if;
+      v_actual := round(v_actual_quantity * v_weight_per_piece, 2);
+      v_rejected := round(v_rejected_quantity * v_weight_per_piece, 2);
+      v_final_price := round((v_actual_quantity - v_rejected_quantity) * v_unit_price, 2);
+    else
+      v_actual_quantity := null;
+      v_rejected_quantity := null;
+      v_actual := coalesce((v_input ->> 'actual_weight')::numeric, 0);
+      v_rejected := coalesce((v_input ->> 'rejected_weight')::numeric, 0);
+      v_final_price := round(greatest(v_actual - v_rejected, 0) * v_unit_price, 2);
+    end if;
+
+    insert into public.ankauf_inspection_items (
+      ankauf_request_id, item_index, category, unit, declared_weight, declared_quantity, declared_price, price_per_kg,
+      actual_weight, rejected_weight, actual_quantity, rejected_quantity, rejection_reason, rejection_note, final_price, updated_at
+    ) values (
+      v_request.id,
+      v_index,
+      v_item ->> 'category',
+      v_unit,
+      coalesce((v_item ->> 'weight')::numeric, 0),
+      case when v_unit = 'piece' then coalesce((v_item ->> 'quantity')::integer, 0) end,
+      coalesce((v_item ->> 'price')::numeric, 0),
+      v_unit_price,
+      v_actual,
+      v_rejected,
+      v_actual_quantity,
+      v_rejected_quantity,
+      case when v_rejected > 0 or coalesce(v_rejected_quantity, 0) > 0 then nullif(v_input ->> 'rejection_reason', '') end,
+      nullif(trim(v_input ->> 'rejection_note'), ''),
+      v_final_price,
+      now()
+    )
+    on conflict (ankauf_request_id, item_index) do update set
+      unit = excluded.unit,
+      actual_weight = excluded.actual_weight,
+      rejected_weight = excluded.rejected_weight,
+      actual_quantity = excluded.actual_quantity,
+      rejected_quantity = excluded.rejected_quantity,
+      rejection_reason = excluded.rejection_reason,
+      rejection_note = excluded.rejection_note,
+      final_price = excluded.final_price,
+      updated_at = now();
+  end loop;
+
+  update public.ankauf_requests r
+  set final_weight = totals.accepted_weight,
+      final_price = greatest(totals.final_price - r.pickup_fee, 0),
+      inspected_at = now(),
+      inspected_by = auth.uid(),
+      inspected_by_email = auth.jwt() ->> 'email'
+  from (
+    select coalesce(sum(accepted_weight), 0) as accepted_weight, coalesce(sum(final_price), 0) as final_price
+    from public.ankauf_inspection_items
+    where ankauf_request_id = p_ankauf_request_id
+  ) totals
+  where r.id = v_request.id
+  returning r.* into v_request;
+
+  if p_complete and v_request.status = 'received' then
+    v_request := public.transition_ankauf_status(v_request.id, 'checked', 'Eingangsprüfung abgeschlossen');
+  end if;
+
+  return v_request;
+end;
+$$;
+
+create or replace function public.issue_credit_note(
+  p_ankauf_request_id uuid,
+  p_tax_treatment text default null,
+  p_vat_rate numeric default null,
+  p_seller_vat_id text default null
+)
+returns public.credit_notes
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request record;
+  v_existing public.credit_notes;
+  v_credit_note public.credit_notes;
+  v_year integer := extract(year from now() at time zone 'Europe/Berlin')::integer;
+  v_number integer;
+  v_tax_treatment text;
+  v_vat_rate numeric := 0;
+  v_net numeric;
+  v_items jsonb;
+begin
+  if auth.uid() is null then
+    raise exception 'Nicht angemeldet.' using errcode = '42501';
+  end if;
+
+  select r.*, c.name as customer_name, c.company_name, c.street, c.zip, c.city, c.email
+  into v_request
+  from public.ankauf_requests r
+  join public.customers c on c.id = r.customer_id
+  where r.id = p_ankauf_request_id
+  for update of r;
+
+  if not found then
+    raise exception 'Ankaufsanfrage % nicht gefunden.', p_ankauf_request_id using errcode = 'P0002';
+  end if;
+
+  -- Pro Ankauf genau eine Gutschrift; ein zweiter Aufruf liefert die vorhandene zurück.
+  select * into v_existing from public.credit_notes where ankauf_request_id = v_request.id;
+  if found then
+    return v_existing;
+  end if;
+
+  if v_request.status not in ('checked', 'paid') or v_request.inspected_at is null then
+    raise exception 'Eine Gutschrift gibt es erst nach abgeschlossener Prüfung (aktuell: %).', v_request.status
+      using errcode = '22023';
+  end if;
+  if coalesce(v_request.final_price, 0) <= 0 then
+    raise exception 'Ankauf % hat keinen Endbetrag.', v_request.ankaufs_nummer using errcode = '22023';
+  end if;
+
+  if nullif(trim(coalesce(v_request.company_name, '')), '') is null then
+    v_tax_treatment := 'private';
+  else
+    v_tax_treatment := coalesce(p_tax_treatment, '');
+    if v_tax_treatment not in ('regular', 'margin_scheme', 'small_business') then
+      raise exception 'Bitte die Besteuerung des gewerblichen Verkäufers angeben.' using errcode = '22023';
+    end if;
+    if v_tax_treatment = 'regular' then
+      if p_vat_rate is null or p_vat_rate not in (7, 19) then
+        raise exception 'Bitte den Steuersatz (7 %% oder 19 %%) angeben.' using errcode = '22023';
+      end if;
+      if nullif(trim(coalesce(p_seller_vat_id, '')), '') is null then
+        raise exception 'Für eine Gutschrift mit Umsatzsteuer wird die Steuernummer oder USt-IdNr. des Verkäufers benötigt.'
+          using errcode = '22023';
+      end if;
+      v_vat_rate := p_vat_rate;
+    end if;
+  end if;
+
+  -- Endbeträge sind Bruttobeträge; bei Regelbesteuerung ist die Umsatzsteuer herausgerechnet.
+  v_net := round(v_request.final_price / (1 + v_vat_rate / 100), 2);
+
+  select coalesce(jsonb_agg(jsonb_build_object(
+    'category', i.category,
+    'unit', i.unit,
+    'quantity', case when i.unit = 'piece' then greatest(coalesce(i.actual_quantity, 0) - coalesce(i.rejected_quantity, 0), 0) end,
+    'weight', i.accepted_weight,
+    'unit_price', i.price_per_kg,
+    'price', i.final_price
+  ) order by i.item_index), '[]'::jsonb)
+  into v_items
+  from public.ankauf_inspection_items i
+  where i.ankauf_request_id = v_request.id
+    and i.final_price > 0;
+
+  insert into public.credit_note_sequences as s (year, last_number)
+  values (v_year, 1)
+  on conflict (year) do update set last_number = s.last_number + 1
+  returning last_number into v_number;
+
+  insert into public.credit_notes (
+    credit_note_number, year, sequence_number, ankauf_request_id, ankaufs_nummer, service_date,
+    issued_by, issued_by_email, tax_treatment, vat_rate, net_amount, vat_amount, gross_amount, pickup_fee, seller, items
+  ) values (
+    format('GS-%s-%s', v_year, lpad(v_number::text, 5, '0')),
+    v_year,
+    v_number,
+    v_request.id,
+    v_request.ankaufs_nummer,
+    (v_request.inspected_at at time zone 'Europe/Berlin')::date,
+    auth.uid(),
+    auth.jwt() ->> 'email',
+    v_tax_treatment,
+    v_vat_rate,
+    v_net,
+    v_request.final_price - v_net,
+    v_request.final_price,
+    v_request.pickup_fee,
+    jsonb_build_object(
+      'name', v_request.customer_name,
+      'company_name', nullif(trim(coalesce(v_request.company_name, '')), ''),
+      'street', v_request.street,
+      'zip', v_request.zip,
+      'city', v_request.city,
+      'email', v_request.email,
+      'iban', v_request.iban,
+      'paypal', nullif(trim(coalesce(v_request.paypal, '')), ''),
+      'vat_id', case when v_tax_treatment = 'private' then null else nullif(trim(coalesce(p_seller_vat_id, '')), '') end
+    ),
+    v_items
+  )
+  returning * into v_credit_note;
+
+  return v_credit_note;
+end;
+$$;
+
+create or replace function public.get_datev_export_rows(p_from date, p_to date)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_rows jsonb;
+begin
+  if auth.uid() is null then
+    raise exception 'Nicht angemeldet.' using errcode = '42501';
+  end if;
+
+  with paid as (
+    select
+      r.*,
+      coalesce(r.paid_at, (
+        select max(h.changed_at)
+        from public.ankauf_status_history h
+        where h.ankauf_request_id = r.id and h.to_status = 'paid'
+      ), r.status_changed_at) as paid_on
+    from public.ankauf_requests r
+    where r.status = 'paid'
+  )
+  select coalesce(jsonb_agg(jsonb_build_object(
+    'ankauf_request_id', p.id,
+    'ankaufs_nummer', p.ankaufs_nummer,
+    'paid_at', p.paid_on,
+    'amount', p.final_price,
+    'customer_name', coalesce(nullif(trim(coalesce(c.company_name, '')), ''), c.name),
+    'payment_method', coalesce(
+      (select bi.method from public.payout_batch_items bi where bi.batch_id = p.payout_batch_id and bi.ankauf_request_id = p.id),
+      case
+        when nullif(trim(coalesce(p.iban, '')), '') is not null then 'sepa'
+        when nullif(trim(coalesce(p.paypal, '')), '') is not null then 'paypal'
+        else 'cash'
+      end
+    ),
+    'credit_note_number', cn.credit_note_number,
+    'lines', coalesce((
+      select jsonb_agg(jsonb_build_object('account', l.account, 'categories', l.categories, 'amount', l.amount) order by l.amount < 0, l.account nulls last)
+      from (
+        select pc.datev_account as account, string_agg(distinct i.category, ', ') as categories, sum(i.final_price) as amount
+        from public.ankauf_inspection_items i
+        left join public.product_categories pc on pc.id::text = p.items -> i.item_index ->> 'categoryId'
+        where i.ankauf_request_id = p.id and i.final_price > 0
+        group by pc.datev_account
+        -- Die Abholgebühr mindert den Kaufpreis: Gegenbuchung auf dem Standard-Wareneingangskonto.
+        union all
+        select null, 'Abholgebühr', -p.pickup_fee
+        where p.pickup_fee > 0
+          and exists (select 1 from public.ankauf_inspection_items i where i.ankauf_request_id = p.id and i.final_price > 0)
+      ) l
+    ), jsonb_build_array(jsonb_build_object('account', null, 'categories', null, 'amount', p.final_price))),
+    'last_exported_at', (
+      select max(e.exported_at) from public.datev_exports e where p.id = any (e.ankauf_request_ids)
+    )
+  ) order by p.paid_on, p.ankaufs_nummer), '[]'::jsonb)
+  into v_rows
+  from paid p
+  join public.customers c on c.id = p.customer_id
+  left join public.credit_notes cn on cn.ankauf_request_id = p.id
+  where (p.paid_on at time zone 'Europe/Berlin')::date between p_from and p_to
+    and coalesce(p.final_price, 0) > 0;
+
+  return v_rows;
+end;
+$$;
+
+revoke all on function public.insert_ankauf_delivery_record(public.ankauf_requests, uuid, jsonb) from public, anon, authenticated;
@@ -0,0 +1,107 @@
+-- Statusabfrage absichern: Dokument-Links gibt es nur nach Prüfung der E-Mail-Adresse, mit der PLZ
+-- allein nur den Status. Das Rate-Limit nutzt die vom Proxy angehängte Adresse statt des ersten,
+-- vom Client frei setzbaren Eintrags in x-forwarded-for; die Sperre je Ankaufsnummer entfällt.
+
+-- Der API-Gateway hängt die Adresse des Aufrufers als letzten Eintrag an x-forwarded-for an;
+-- alles davor kann der Client selbst mitschicken.
+create or replace function public.get_request_client_key()
+returns text
+language plpgsql
+stable
+as $$
+declare
+  v_headers json := nullif(current_setting('request.headers', true), '')::json;
+  v_entries text[] := string_to_array(coalesce(v_headers ->> 'x-forwarded-for', ''), ',');
+begin
+  return coalesce(nullif(trim(v_entries[cardinality(v_entries)]), ''), 'unbekannt');
+end;
+$$;
+
+drop index if exists public.ankauf_status_lookups_nummer_idx;
+
+create or replace function public.get_ankauf_status(p_ankaufs_nummer text, p_verification text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_nummer text := upper(regexp_replace(trim(coalesce(p_ankaufs_nummer, '')), '-L\d+$', '', 'i'));
+  v_verification text := lower(regexp_replace(coalesce(p_verification, ''), '\s', '', 'g'));
+  v_client text := public.get_request_client_key();
+  v_request public.ankauf_requests;
+  v_email_verified boolean := false;
+  v_window interval := interval '15 minutes';
+begin
+  if v_nummer = '' or v_verification = '' then
+    raise exception 'Bitte Ankaufsnummer und E-Mail oder PLZ angeben.';
+  end if;
+
+  -- Nur pro Client: eine Sperre je Ankaufsnummer ließe sich von Dritten nutzen, um Kunden auszusperren.
+  if (select count(*) from public.ankauf_status_lookups
+      where client_key = v_client and attempted_at > now() - v_window) >= 20
+     or (select count(*) from public.ankauf_status_lookups
+      where client_key = v_client and not succeeded and attempted_at > now() - v_window) >= 5 then
+    raise exception 'Zu viele Abfragen. Bitte versuche es in 15 Minuten erneut.' using errcode = '54000';
+  end if;
+
+  select r.* into v_request
+  from public.ankauf_requests r
+  join public.customers c on c.id = r.customer_id
+  where upper(r.ankaufs_nummer) = v_nummer
+    and (lower(trim(c.email)) = v_verification
+      or lower(regexp_replace(coalesce(c.zip, ''), '\s', '', 'g')) = v_verification)
+  limit 1;
+
+  v_email_verified := v_request.id is not null and exists (
+    select 1 from public.customers c
+    where c.id = v_request.customer_id and lower(trim(c.email)) = v_verification
+  );
+
+  delete from public.ankauf_status_lookups where attempted_at < now() - interval '1 day';
+  insert into public.ankauf_status_lookups (client_key, ankaufs_nummer, succeeded)
+  values (v_client, v_nummer, v_request.id is not null);
+
+  -- Falsche Nummer und falsche E-Mail/PLZ sehen gleich aus, damit sich Ankaufsnummern nicht ausprobieren lassen.
+  if v_request.id is null then
+    return null;
+  end if;
+
+  return jsonb_build_object(
+    'ankaufs_nummer', v_request.ankaufs_nummer,
+    'status', v_request.status,
+    'submission_date', v_request.submission_date,
+    'delivery_type', v_request.delivery_type,
+    'total_weight', v_request.total_weight,
+    'total_price', v_request.total_price,
+    'final_weight', v_request.final_weight,
+    'final_price', v_request.final_price,
+    'inspected_at', v_request.inspected_at,
+    'number_of_labels', v_request.number_of_labels,
+    -- Begleitschein (Name, Anschrift, IBAN) und Labels nur nach Abfrage mit der E-Mail-Adresse;
+    -- die PLZ steht zusammen mit der Ankaufsnummer auf dem Paket.
+    'documents_available', v_email_verified,
+    'pdf_url', case when v_email_verified then v_request.pdf_url end,
+    'shipments', coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'label_index', l.label_index,
+        'reference', l.reference,
+        'label_url', case when v_email_verified then l.label_url end,
+        'tracking_number', l.tracking_number,
+        'tracking_status', l.tracking_status,
+        'status_changed_at', l.status_changed_at,
+        'first_scanned_at', l.first_scanned_at
+      ) order by l.label_index)
+      from public.shipment_labels l
+      where l.ankauf_request_id = v_request.id
+    ), '[]'::jsonb),
+    'parcels_received', (select count(*) from public.ankauf_parcel_receipts p where p.ankauf_request_id = v_request.id),
+    'first_parcel_received_at', (select min(p.received_at) from public.ankauf_parcel_receipts p where p.ankauf_request_id = v_request.id),
+    'status_events', coalesce((
+      select jsonb_agg(jsonb_build_object('status', h.to_status, 'changed_at', h.changed_at) order by h.changed_at)
+      from public.ankauf_status_history h
+      where h.ankauf_request_id = v_request.id
+    ), '[]'::jsonb)
+  );
+end;
+$$;
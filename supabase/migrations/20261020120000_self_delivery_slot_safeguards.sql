@@ -0,0 +1,134 @@
+-- Selbstanlieferung serverseitig absichern: gesetzliche Feiertage in Brandenburg sperrt jetzt auch
+-- die Datenbank (Buchung, Reservierung und Verschieben), nicht nur das Formular. Reservierungen
+-- sind je Client (vom Proxy angehängte Adresse, siehe get_request_client_key) auf drei begrenzt.
+
+-- Ostersonntag nach der Gaußschen Osterformel, wie getEasterSunday in src/lib/holidays.js.
+create or replace function public.get_easter_sunday(p_year integer)
+returns date
+language plpgsql
+immutable
+as $$
+declare
+  a integer := p_year % 19;
+  b integer := p_year / 100;
+  c integer := p_year % 100;
+  d integer := b / 4;
+  e integer := b % 4;
+  f integer := (b + 8) / 25;
+  g integer := (b - f + 1) / 3;
+  h integer := (19 * a + b - d - g + 15) % 30;
+  i integer := c / 4;
+  k integer := c % 4;
+  l integer := (32 + 2 * e + 2 * i - h - k) % 7;
+  m integer := (a + 11 * h + 22 * l) / 451;
+begin
+  return make_date(p_year, (h + l - 7 * m + 114) / 31, (h + l - 7 * m + 114) % 31 + 1);
+end;
+$$;
+
+-- Dieselben Feiertage wie getBrandenburgHolidays in src/lib/holidays.js.
+create or replace function public.is_brandenburg_holiday(p_date date)
+returns boolean
+language sql
+immutable
+as $$
+  select p_date is not null and (
+    to_char(p_date, 'MM-DD') in ('01-01', '05-01', '10-03', '10-31', '12-25', '12-26')
+    or p_date - public.get_easter_sunday(extract(year from p_date)::integer) in (-2, 0, 1, 39, 49, 50)
+  );
+$$;
+
+alter table public.self_delivery_slot_holds
+  add column if not exists client_key text;
+
+create index if not exists self_delivery_slot_holds_client_idx
+  on public.self_delivery_slot_holds (client_key, expires_at);
+
+create or replace function public.get_self_delivery_slot_remaining(p_date date, p_slot_start time, p_hold_token uuid default null)
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when public.is_brandenburg_holiday(p_date) then 0
+    when exists (select 1 from public.self_delivery_closures c where p_date between c.date_from and c.date_to) then 0
+    else coalesce((
+      select capacity from public.self_delivery_slot_capacities
+      where weekday = extract(isodow from p_date) and slot_start = p_slot_start
+    ), 0)
+      - (select count(*) from public.self_delivery_appointments a
+         where a.delivery_date = p_date and a.slot_start = p_slot_start and a.status = 'booked')::integer
+      - (select count(*) from public.self_delivery_slot_holds h
+         where h.delivery_date = p_date and h.slot_start = p_slot_start and h.expires_at > now()
+           and h.hold_token is distinct from p_hold_token)::integer
+  end;
+$$;
+
+create or replace function public.lock_self_delivery_slot(p_date date, p_slot_start time, p_hold_token uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if p_date is null or p_slot_start is null then
+    raise exception 'Bitte wähle einen Termin für die Anlieferung.'
+      using errcode = '22023', hint = 'self_delivery_slot_required';
+  end if;
+
+  perform pg_advisory_xact_lock(hashtextextended('self_delivery:' || p_date::text || ' ' || p_slot_start::text, 0));
+
+  if public.is_brandenburg_holiday(p_date) then
+    raise exception 'An gesetzlichen Feiertagen ist keine Anlieferung möglich. Bitte wähle einen anderen Tag.'
+      using errcode = '22023', hint = 'self_delivery_holiday';
+  end if;
+
+  if not public.is_self_delivery_slot_in_range(p_date, p_slot_start)
+     or public.get_self_delivery_slot_remaining(p_date, p_slot_start, p_hold_token) <= 0 then
+    raise exception 'Das gewählte Zeitfenster ist nicht mehr frei. Bitte wähle ein anderes.'
+      using errcode = '22023', hint = 'self_delivery_slot_full';
+  end if;
+end;
+$$;
+
+create or replace function public.hold_self_delivery_slot(p_hold_token uuid, p_date date, p_slot_start time)
+returns timestamptz
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_expires_at timestamptz := now() + interval '20 minutes';
+  v_client text := public.get_request_client_key();
+begin
+  if p_hold_token is null then
+    raise exception 'Die Anfrage ist unvollständig. Bitte lade die Seite neu.'
+      using errcode = '22023', hint = 'missing_idempotency_key';
+  end if;
+
+  -- Jeder zufällige Token gilt als Formular; ohne Grenze je Client ließen sich alle Zeitfenster blockieren.
+  perform pg_advisory_xact_lock(hashtextextended('self_delivery_hold:' || v_client, 0));
+
+  if (select count(*) from public.self_delivery_slot_holds
+      where client_key = v_client and expires_at > now() and hold_token <> p_hold_token) >= 3 then
+    raise exception 'Zu viele Reservierungen. Bitte versuche es in 20 Minuten erneut.'
+      using errcode = '54000', hint = 'too_many_holds';
+  end if;
+
+  perform public.lock_self_delivery_slot(p_date, p_slot_start, p_hold_token);
+
+  delete from public.self_delivery_slot_holds where expires_at <= now();
+
+  insert into public.self_delivery_slot_holds (hold_token, delivery_date, slot_start, expires_at, client_key)
+  values (p_hold_token, p_date, p_slot_start, v_expires_at, v_client)
+  on conflict (hold_token) do update
+  set delivery_date = excluded.delivery_date,
+      slot_start = excluded.slot_start,
+      expires_at = excluded.expires_at,
+      client_key = excluded.client_key;
+
+  return v_expires_at;
+end;
+$$;
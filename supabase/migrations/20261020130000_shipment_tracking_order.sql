@@ -0,0 +1,63 @@
+-- Sendungsstatus nicht mehr zurücksetzen: Sendcloud stellt Webhooks nicht garantiert in Reihenfolge
+-- zu und wiederholt fehlgeschlagene. apply_shipment_tracking_update nimmt deshalb den Zeitpunkt der
+-- Meldung entgegen und verwirft Meldungen, die älter als der gespeicherte Status sind.
+-- Ohne Zeitpunkt (Abgleich über die API, die immer den aktuellen Stand liefert) gilt now().
+
+drop function if exists public.apply_shipment_tracking_update(text, text, text, text, text);
+
+-- Übernimmt einen Sendungsstatus (Webhook oder Abgleich). Liefert true, wenn sich der Status geändert hat.
+create or replace function public.apply_shipment_tracking_update(
+  p_carrier text,
+  p_parcel_id text,
+  p_tracking_status text,
+  p_status_text text default null,
+  p_tracking_number text default null,
+  p_status_at timestamptz default null
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_label public.shipment_labels;
+  v_status_at timestamptz := coalesce(p_status_at, now());
+  v_changed boolean;
+begin
+  if auth.uid() is null and coalesce(auth.role(), '') <> 'service_role' then
+    raise exception 'Nicht angemeldet.' using errcode = '42501';
+  end if;
+
+  select * into v_label
+  from public.shipment_labels
+  where carrier = p_carrier and parcel_id = p_parcel_id
+  for update;
+
+  if v_label.id is null then
+    return false;
+  end if;
+
+  -- Verspätete oder wiederholte Meldung (z.B. "announced" nach "delivered"). Vor der ersten Meldung
+  -- stammt status_changed_at aus register_shipment_label und kann jünger als frühe Webhooks sein.
+  if v_label.last_synced_at is not null and v_status_at < v_label.status_changed_at then
+    return false;
+  end if;
+
+  v_changed := v_label.tracking_status is distinct from p_tracking_status;
+
+  update public.shipment_labels
+  set tracking_status = p_tracking_status,
+      tracking_status_text = coalesce(p_status_text, tracking_status_text),
+      tracking_number = coalesce(nullif(trim(p_tracking_number), ''), tracking_number),
+      status_changed_at = case when v_changed then v_status_at else status_changed_at end,
+      first_scanned_at = coalesce(first_scanned_at,
+        case when p_tracking_status in ('in_transit', 'delivered', 'returned', 'exception') then v_status_at end),
+      last_synced_at = now()
+  where id = v_label.id;
+
+  return v_changed;
+end;
+$$;
+
+revoke all on function public.apply_shipment_tracking_update(text, text, text, text, text, timestamptz) from public, anon;
+grant execute on function public.apply_shipment_tracking_update(text, text, text, text, text, timestamptz) to authenticated, service_role;
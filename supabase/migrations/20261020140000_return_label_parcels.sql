@@ -0,0 +1,164 @@
+-- Rücksendelabels legt nur noch der Proxy supabase/functions/sendcloud-api an: Absender und Gewicht
+-- kommen aus dem Ankauf, der Empfänger steht im Proxy. Pro Label (Ankauf + Labelnummer bis
+-- number_of_labels) entsteht höchstens ein Paket; eine Wiederholung liefert das vorhandene Paket.
+-- Label-PDFs dürfen anonym nur für diese Pakete und nur in den ersten 15 Minuten abgerufen werden.
+-- Alle Funktionen hier sind nur für den Proxy (service_role) freigegeben.
+
+create table if not exists public.return_label_parcels (
+  ankauf_request_id uuid not null references public.ankauf_requests (id) on delete cascade,
+  label_index integer not null check (label_index > 0),
+  -- Leer, solange der Proxy das Paket beim Versanddienstleister anlegt.
+  parcel_id text,
+  created_at timestamptz not null default now(),
+  primary key (ankauf_request_id, label_index)
+);
+
+alter table public.return_label_parcels enable row level security;
+
+-- Reserviert das Label und liefert, was der Proxy für das Paket braucht. Hat der Proxy das Paket
+-- schon angelegt, kommt nur dessen parcel_id zurück.
+create or replace function public.prepare_return_label(
+  p_ankauf_request_id uuid,
+  p_ankaufs_nummer text,
+  p_label_index integer
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request public.ankauf_requests;
+  v_customer public.customers;
+  v_parcel public.return_label_parcels;
+  v_count integer;
+  v_units integer;
+begin
+  select * into v_request
+  from public.ankauf_requests
+  where id = p_ankauf_request_id
+    and ankaufs_nummer = p_ankaufs_nummer
+  for update;
+
+  if v_request.id is null then
+    raise exception 'Ankauf nicht gefunden.' using errcode = 'P0002';
+  end if;
+
+  v_count := greatest(coalesce(v_request.number_of_labels, 1), 1);
+
+  if v_request.delivery_type <> 'versand'
+     or p_label_index is null
+     or p_label_index not between 1 and v_count then
+    raise exception 'Ungültige Labeldaten.' using errcode = '22023', hint = 'invalid_label';
+  end if;
+
+  -- Bereits gespeicherte Labels lädt die Bestätigungsseite aus dem Storage.
+  if exists (
+    select 1
+    from public.shipment_labels
+    where ankauf_request_id = v_request.id
+      and label_index = p_label_index
+  ) then
+    raise exception 'Label bereits erstellt.' using errcode = '22023', hint = 'label_exists';
+  end if;
+
+  select * into v_parcel
+  from public.return_label_parcels
+  where ankauf_request_id = v_request.id
+    and label_index = p_label_index;
+
+  if v_parcel.parcel_id is not null then
+    return jsonb_build_object('parcel_id', v_parcel.parcel_id);
+  end if;
+
+  -- Eine abgebrochene Anlage (Proxy beendet, bevor finish_return_label lief) gilt nach zwei Minuten als verworfen.
+  if v_parcel.ankauf_request_id is not null and v_parcel.created_at > now() - interval '2 minutes' then
+    raise exception 'Das Label wird gerade erstellt.' using errcode = '55P03', hint = 'label_in_progress';
+  end if;
+
+  insert into public.return_label_parcels (ankauf_request_id, label_index)
+  values (v_request.id, p_label_index)
+  on conflict (ankauf_request_id, label_index) do update
+    set parcel_id = null,
+        created_at = now();
+
+  select * into v_customer
+  from public.customers
+  where id = v_request.customer_id;
+
+  -- Gleiche Aufteilung wie splitParcelWeights in src/lib/parcels.js (0,1 kg genau, mindestens 0,1 kg).
+  v_units := round(coalesce(v_request.total_weight, 0) * 10)::integer;
+
+  return jsonb_build_object(
+    'parcel_id', null,
+    'reference', case when v_count > 1 then v_request.ankaufs_nummer || '-L' || p_label_index else v_request.ankaufs_nummer end,
+    'weight', greatest(v_units / v_count + case when p_label_index <= v_units % v_count then 1 else 0 end, 1) / 10.0,
+    'sender', jsonb_build_object(
+      'name', v_customer.name,
+      'company_name', v_customer.company_name,
+      'street', v_customer.street,
+      'zip', v_customer.zip,
+      'city', v_customer.city,
+      'email', v_customer.email,
+      'phone', v_customer.phone
+    )
+  );
+end;
+$$;
+
+-- Nach der Anlage beim Versanddienstleister: Paket-ID speichern, ohne Paket-ID (Fehler) die Reservierung freigeben.
+create or replace function public.finish_return_label(
+  p_ankauf_request_id uuid,
+  p_label_index integer,
+  p_parcel_id text
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if coalesce(trim(p_parcel_id), '') = '' then
+    delete from public.return_label_parcels
+    where ankauf_request_id = p_ankauf_request_id
+      and label_index = p_label_index
+      and parcel_id is null;
+    return;
+  end if;
+
+  update public.return_label_parcels
+  set parcel_id = trim(p_parcel_id),
+      created_at = now()
+  where ankauf_request_id = p_ankauf_request_id
+    and label_index = p_label_index;
+end;
+$$;
+
+create or replace function public.can_download_return_label(
+  p_ankauf_request_id uuid,
+  p_ankaufs_nummer text,
+  p_parcel_id text
+)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from public.return_label_parcels p
+    join public.ankauf_requests r on r.id = p.ankauf_request_id
+    where p.ankauf_request_id = p_ankauf_request_id
+      and r.ankaufs_nummer = p_ankaufs_nummer
+      and p.parcel_id = p_parcel_id
+      and p.created_at > now() - interval '15 minutes'
+  );
+$$;
+
+revoke all on function public.prepare_return_label(uuid, text, integer) from public, anon, authenticated;
+revoke all on function public.finish_return_label(uuid, integer, text) from public, anon, authenticated;
+revoke all on function public.can_download_return_label(uuid, text, text) from public, anon, authenticated;
+grant execute on function public.prepare_return_label(uuid, text, integer) to service_role;
+grant execute on function public.finish_return_label(uuid, integer, text) to service_role;
+grant execute on function public.can_download_return_label(uuid, text, text) to service_role;
@@ -0,0 +1,26 @@
+-- Ab der 100.000. Nummer eines Jahres hat lpad(…, 5, '0') die laufende Nummer abgeschnitten und frühere
+-- Ankaufsnummern wiederholt. Aufgefüllt wird jetzt nur noch bis fünf Stellen; längere Nummern bleiben
+-- vollständig (src/lib/ankaufsNummer.js akzeptiert fünf und mehr Stellen).
+
+create or replace function public.next_ankaufs_nummer()
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_year integer := extract(year from now() at time zone 'Europe/Berlin')::integer;
+  v_number integer;
+  v_padded text;
+begin
+  insert into public.ankauf_number_sequences as s (year, last_number)
+  values (v_year, 1)
+  on conflict (year) do update set last_number = s.last_number + 1
+  returning last_number into v_number;
+
+  v_padded := lpad(v_number::text, greatest(5, length(v_number::text)), '0');
+  return 'BR-' || v_year || '-' || v_padded || '-' || public.damm_check_digit(v_year::text || v_padded);
+end;
+$$;
+
+revoke all on function public.next_ankaufs_nummer() from public, anon, authenticated;
@@ -0,0 +1,53 @@
+-- Geteilte Warenkörbe je Client begrenzen (vom Proxy angehängte Adresse, siehe get_request_client_key):
+-- höchstens zehn neue Links pro Stunde und 50 gültige Links gleichzeitig. Abgelaufene Links (30 Tage)
+-- räumt create_shared_cart weiterhin bei jedem Aufruf ab.
+
+alter table public.shared_carts
+  add column if not exists client_key text;
+
+create index if not exists shared_carts_client_key_idx
+  on public.shared_carts (client_key, created_at);
+
+create or replace function public.create_shared_cart(p_items jsonb, p_storage_version integer default 1)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_token text;
+  v_client text := public.get_request_client_key();
+begin
+  if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'Der Warenkorb ist leer.';
+  end if;
+  if jsonb_array_length(p_items) > 100 or pg_column_size(p_items) > 65536 then
+    raise exception 'Der Warenkorb ist zu groß zum Teilen.';
+  end if;
+
+  -- Abgelaufene Links bei Gelegenheit aufräumen.
+  delete from public.shared_carts where expires_at < now();
+
+  -- Gleichzeitige Aufrufe desselben Clients zählen nacheinander.
+  perform pg_advisory_xact_lock(hashtextextended('shared_cart:' || v_client, 0));
+
+  if (select count(*) from public.shared_carts
+      where client_key = v_client and created_at > now() - interval '1 hour') >= 10
+     or (select count(*) from public.shared_carts
+      where client_key = v_client and expires_at >= now()) >= 50 then
+    raise exception 'Zu viele geteilte Warenkörbe. Bitte versuche es später erneut.'
+      using errcode = '54000', hint = 'too_many_shared_carts';
+  end if;
+
+  -- Zwei UUIDv4 ergeben 244 Zufallsbits, das Token ist damit nicht zu erraten.
+  v_token := replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', '');
+
+  insert into public.shared_carts (token, items, storage_version, client_key)
+  values (v_token, p_items, coalesce(p_storage_version, 1), v_client);
+
+  return v_token;
+end;
+$$;
+
+revoke all on function public.create_shared_cart(jsonb, integer) from public;
+grant execute on function public.create_shared_cart(jsonb, integer) to anon, authenticated;
@@ -0,0 +1,225 @@
+-- Preisversionen der Ankaufsanfragen bestimmt der Server: submit_ankauf_request ignoriert
+-- price_version_ids und items[].priceVersionId aus dem Formular und setzt die Version, die bei der
+-- Absendung für die Kategorie gilt. Positionen mit anderem Preis als dem gültigen (veralteter
+-- Warenkorb oder manipulierte Anfrage) lehnt die Funktion ab; das Formular gleicht dann die Preise ab.
+
+-- Setzt items[].priceVersionId auf die zum Zeitpunkt p_at gültige Version der Kategorie
+-- (über categoryId, bei älteren Positionen ohne ID über den Kategorienamen). Einzelartikel haben keine Version.
+create or replace function public.stamp_ankauf_item_price_versions(p_items jsonb, p_at timestamptz)
+returns jsonb
+language sql
+stable
+set search_path = public
+as $$
+  select coalesce(jsonb_agg(
+    case
+      when nullif(i.item ->> 'productCode', '') is not null or v.id is null then i.item - 'priceVersionId'
+      else i.item || jsonb_build_object('priceVersionId', v.id)
+    end
+    order by i.idx
+  ), '[]'::jsonb)
+  from jsonb_array_elements(p_items) with ordinality as i(item, idx)
+  left join lateral (
+    select p.id
+    from public.product_category_prices p
+    where case
+        when i.item ->> 'categoryId' ~* '^[0-9a-f]{8}-([0-9a-f]{4}-){3}[0-9a-f]{12}$'
+          then p.category_id = (i.item ->> 'categoryId')::uuid
+        else p.category_name = i.item ->> 'category'
+      end
+      and p.valid_from <= p_at
+      and (p.valid_to is null or p.valid_to > p_at)
+    order by p.valid_from desc
+    limit 1
+  ) v on true;
+$$;
+
+create or replace function public.get_ankauf_price_version_ids(p_items jsonb)
+returns bigint[]
+language sql
+immutable
+as $$
+  select coalesce(array_agg(distinct (i ->> 'priceVersionId')::bigint), '{}')
+  from jsonb_array_elements(p_items) i
+  where i ->> 'priceVersionId' is not null;
+$$;
+
+create or replace function public.submit_ankauf_request(
+  p_idempotency_key uuid,
+  p_customer jsonb,
+  p_request jsonb,
+  p_delivery jsonb default '{}'::jsonb
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_email text := lower(trim(coalesce(p_customer ->> 'email', '')));
+  v_delivery_type text := p_request ->> 'delivery_type';
+  v_items jsonb := p_request -> 'items';
+  v_iban text := nullif(trim(coalesce(p_request ->> 'iban', '')), '');
+  v_paypal text := nullif(trim(coalesce(p_request ->> 'paypal', '')), '');
+  v_delivery jsonb := coalesce(p_delivery, '{}'::jsonb);
+  v_existing record;
+  v_customer_id uuid;
+  v_request public.ankauf_requests;
+begin
+  if p_idempotency_key is null then
+    raise exception 'Die Anfrage ist unvollständig. Bitte lade die Seite neu.'
+      using errcode = '22023', hint = 'missing_idempotency_key';
+  end if;
+
+  -- Gleichzeitige Aufrufe mit demselben Schlüssel (Doppelklick) warten hier aufeinander.
+  perform pg_advisory_xact_lock(hashtextextended(p_idempotency_key::text, 0));
+
+  select r.id, r.ankaufs_nummer, r.submission_date, lower(trim(c.email)) as email
+  into v_existing
+  from public.ankauf_requests r
+  join public.customers c on c.id = r.customer_id
+  where r.idempotency_key = p_idempotency_key;
+
+  if found then
+    if v_existing.email <> v_email then
+      raise exception 'Diese Anfrage wurde bereits mit anderen Daten abgeschickt. Bitte lade die Seite neu.'
+        using errcode = '22023', hint = 'idempotency_key_reused';
+    end if;
+    return jsonb_build_object(
+      'ankauf_request_id', v_existing.id,
+      'ankaufs_nummer', v_existing.ankaufs_nummer,
+      'submission_date', v_existing.submission_date,
+      'self_delivery_token', (select manage_token from public.self_delivery_appointments where ankauf_request_id = v_existing.id),
+      'duplicate', true
+    );
+  end if;
+
+  if v_email !~ '^[^\s@]+@[^\s@]+\.[^\s@]+$'
+     or nullif(trim(coalesce(p_customer ->> 'name', '')), '') is null
+     or nullif(trim(coalesce(p_customer ->> 'street', '')), '') is null
+     or coalesce(p_customer ->> 'zip', '') !~ '^\d{5}$'
+     or nullif(trim(coalesce(p_customer ->> 'city', '')), '') is null then
+    raise exception 'Bitte prüfe Name, E-Mail und Anschrift.'
+      using errcode = '22023', hint = 'invalid_customer';
+  end if;
+
+  if v_items is null or jsonb_typeof(v_items) <> 'array' or jsonb_array_length(v_items) = 0 then
+    raise exception 'Der Warenkorb ist leer.' using errcode = '22023', hint = 'empty_cart';
+  end if;
+
+  if exists (select 1 from jsonb_array_elements(v_items) i where jsonb_typeof(i) <> 'object') then
+    raise exception 'Der Warenkorb ist ungültig.' using errcode = '22023';
+  end if;
+
+  -- Preisversionen setzt der Server; Positionen zu Preisen, die so nicht mehr gelten, werden abgelehnt.
+  v_items := public.stamp_ankauf_item_price_versions(v_items, now());
+
+  if exists (
+    select 1
+    from jsonb_array_elements(v_items) i
+    left join public.product_category_prices p on p.id = (i ->> 'priceVersionId')::bigint
+    left join public.product_categories c on c.id = p.category_id
+    left join public.product_code_prices pc on pc.code = i ->> 'productCode' and pc.is_active
+    where case
+      when nullif(i ->> 'productCode', '') is not null
+        then pc.id is null or pc.price is distinct from (i ->> 'pricePerKg')::numeric
+      else c.id is null or not c.is_active or p.price_per_kg is distinct from (i ->> 'pricePerKg')::numeric
+    end
+  ) then
+    raise exception 'Die Ankaufspreise haben sich geändert. Bitte prüfe deinen Warenkorb.'
+      using errcode = '22023', hint = 'price_changed';
+  end if;
+
+  if v_delivery_type is null or v_delivery_type not in ('versand', 'abholung', 'selbstanlieferung') then
+    raise exception 'Bitte wähle eine gültige Abgabeart.' using errcode = '22023', hint = 'invalid_delivery_type';
+  end if;
+
+  if not coalesce((p_request ->> 'agb_accepted')::boolean, false)
+     or not coalesce((p_request ->> 'own_items_confirmed')::boolean, false) then
+    raise exception 'Bitte bestätige die AGB und dass die Artikel dein Eigentum sind.'
+      using errcode = '22023', hint = 'missing_consent';
+  end if;
+
+  if v_iban is null and v_paypal is null then
+    raise exception 'Für die Auszahlung wird eine IBAN oder PayPal-E-Mail benötigt.'
+      using errcode = '22023', hint = 'missing_payout';
+  end if;
+
+  select id into v_customer_id
+  from public.customers
+  where email = p_customer ->> 'email'
+  limit 1
+  for update;
+
+  if found then
+    update public.customers
+    set name = p_customer ->> 'name',
+        phone = p_customer ->> 'phone',
+        street = p_customer ->> 'street',
+        zip = p_customer ->> 'zip',
+        city = p_customer ->> 'city',
+        company_name = nullif(trim(coalesce(p_customer ->> 'company_name', '')), '')
+    where id = v_customer_id;
+  else
+    insert into public.customers (name, email, phone, street, zip, city, company_name)
+    values (
+      p_customer ->> 'name',
+      p_customer ->> 'email',
+      p_customer ->> 'phone',
+      p_customer ->> 'street',
+      p_customer ->> 'zip',
+      p_customer ->> 'city',
+      nullif(trim(coalesce(p_customer ->> 'company_name', '')), '')
+    )
+    returning id into v_customer_id;
+  end if;
+
+  insert into public.ankauf_requests (
+    customer_id, submission_date, delivery_type, total_weight, total_price, items, price_version_ids,
+    iban, paypal, agb_accepted, own_items_confirmed, status, ankaufs_nummer, number_of_labels, idempotency_key
+  ) values (
+    v_customer_id,
+    now(),
+    v_delivery_type,
+    coalesce((p_request ->> 'total_weight')::numeric, 0),
+    coalesce((p_request ->> 'total_price')::numeric, 0),
+    v_items,
+    public.get_ankauf_price_version_ids(v_items),
+    v_iban,
+    v_paypal,
+    true,
+    true,
+    'pending',
+    public.next_ankaufs_nummer(),
+    coalesce((p_request ->> 'number_of_labels')::integer, 0),
+    p_idempotency_key
+  )
+  returning * into v_request;
+
+  perform public.insert_ankauf_delivery_record(v_request, v_customer_id, v_delivery);
+
+  return jsonb_build_object(
+    'ankauf_request_id', v_request.id,
+    'ankaufs_nummer', v_request.ankaufs_nummer,
+    'submission_date', v_request.submission_date,
+    'self_delivery_token', (select manage_token from public.self_delivery_appointments where ankauf_request_id = v_request.id),
+    'duplicate', false
+  );
+end;
+$$;
+
+-- Bestehende Anfragen: Versionen aus dem Absendezeitpunkt statt aus dem Formular.
+update public.ankauf_requests
+set items = public.stamp_ankauf_item_price_versions(items, submission_date)
+where jsonb_typeof(items) = 'array'
+  and not exists (select 1 from jsonb_array_elements(items) i where jsonb_typeof(i) <> 'object');
+
+update public.ankauf_requests
+set price_version_ids = public.get_ankauf_price_version_ids(items)
+where jsonb_typeof(items) = 'array'
+  and not exists (select 1 from jsonb_array_elements(items) i where jsonb_typeof(i) <> 'object');
+
+revoke all on function public.stamp_ankauf_item_price_versions(jsonb, timestamptz) from public, anon, authenticated;
+revoke all on function public.get_ankauf_price_version_ids(jsonb) from public, anon, authenticated;
+revoke all on function public.submit_ankauf_request(uuid, jsonb, jsonb, jsonb) from public;
+grant execute on function public.submit_ankauf_request(uuid, jsonb, jsonb, jsonb) to anon, authenticated;
@@ -0,0 +1,285 @@
+-- number_of_labels kommt aus dem anonymen Formular. submit_ankauf_request begrenzt die Anzahl jetzt auf
+-- 0 bis 4 und auf die Pakete, die das Gesamtgewicht braucht (je Paket höchstens 31,5 kg, wie
+-- suggestParcelCount in src/lib/parcels.js). 0 heißt "gesondert anfragen": prepare_return_label legt
+-- dafür kein Label mehr an.
+
+create or replace function public.max_return_labels(p_total_weight numeric)
+returns integer
+language sql
+immutable
+as $$
+  select least(4, greatest(1, ceil(coalesce(p_total_weight, 0) / 31.5)))::integer;
+$$;
+
+create or replace function public.submit_ankauf_request(
+  p_idempotency_key uuid,
+  p_customer jsonb,
+  p_request jsonb,
+  p_delivery jsonb default '{}'::jsonb
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_email text := lower(trim(coalesce(p_customer ->> 'email', '')));
+  v_delivery_type text := p_request ->> 'delivery_type';
+  v_items jsonb := p_request -> 'items';
+  v_iban text := nullif(trim(coalesce(p_request ->> 'iban', '')), '');
+  v_paypal text := nullif(trim(coalesce(p_request ->> 'paypal', '')), '');
+  v_delivery jsonb := coalesce(p_delivery, '{}'::jsonb);
+  v_existing record;
+  v_customer_id uuid;
+  v_request public.ankauf_requests;
+begin
+  if p_idempotency_key is null then
+    raise exception 'Die Anfrage ist unvollständig. Bitte lade die Seite neu.'
+      using errcode = '22023', hint = 'missing_idempotency_key';
+  end if;
+
+  -- Gleichzeitige Aufrufe mit demselben Schlüssel (Doppelklick) warten hier aufeinander.
+  perform pg_advisory_xact_lock(hashtextextended(p_idempotency_key::text, 0));
+
+  select r.id, r.ankaufs_nummer, r.submission_date, r.number_of_labels, lower(trim(c.email)) as email
+  into v_existing
+  from public.ankauf_requests r
+  join public.customers c on c.id = r.customer_id
+  where r.idempotency_key = p_idempotency_key;
+
+  if found then
+    if v_existing.email <> v_email then
+      raise exception 'Diese Anfrage wurde bereits mit anderen Daten abgeschickt. Bitte lade die Seite neu.'
+        using errcode = '22023', hint = 'idempotency_key_reused';
+    end if;
+    return jsonb_build_object(
+      'ankauf_request_id', v_existing.id,
+      'ankaufs_nummer', v_existing.ankaufs_nummer,
+      'submission_date', v_existing.submission_date,
+      'number_of_labels', v_existing.number_of_labels,
+      'self_delivery_token', (select manage_token from public.self_delivery_appointments where ankauf_request_id = v_existing.id),
+      'duplicate', true
+    );
+  end if;
+
+  if v_email !~ '^[^\s@]+@[^\s@]+\.[^\s@]+$'
+     or nullif(trim(coalesce(p_customer ->> 'name', '')), '') is null
+     or nullif(trim(coalesce(p_customer ->> 'street', '')), '') is null
+     or coalesce(p_customer ->> 'zip', '') !~ '^\d{5}$'
+     or nullif(trim(coalesce(p_customer ->> 'city', '')), '') is null then
+    raise exception 'Bitte prüfe Name, E-Mail und Anschrift.'
+      using errcode = '22023', hint = 'invalid_customer';
+  end if;
+
+  if v_items is null or jsonb_typeof(v_items) <> 'array' or jsonb_array_length(v_items) = 0 then
+    raise exception 'Der Warenkorb ist leer.' using errcode = '22023', hint = 'empty_cart';
+  end if;
+
+  if exists (select 1 from jsonb_array_elements(v_items) i where jsonb_typeof(i) <> 'object') then
+    raise exception 'Der Warenkorb ist ungültig.' using errcode = '22023';
+  end if;
+
+  -- Preisversionen setzt der Server; Positionen zu Preisen, die so nicht mehr gelten, werden abgelehnt.
+  v_items := public.stamp_ankauf_item_price_versions(v_items, now());
+
+  if exists (
+    select 1
+    from jsonb_array_elements(v_items) i
+    left join public.product_category_prices p on p.id = (i ->> 'priceVersionId')::bigint
+    left join public.product_categories c on c.id = p.category_id
+    left join public.product_code_prices pc on pc.code = i ->> 'productCode' and pc.is_active
+    where case
+      when nullif(i ->> 'productCode', '') is not null
+        then pc.id is null or pc.price is distinct from (i ->> 'pricePerKg')::numeric
+      else c.id is null or not c.is_active or p.price_per_kg is distinct from (i ->> 'pricePerKg')::numeric
+    end
+  ) then
+    raise exception 'Die Ankaufspreise haben sich geändert. Bitte prüfe deinen Warenkorb.'
+      using errcode = '22023', hint = 'price_changed';
+  end if;
+
+  if v_delivery_type is null or v_delivery_type not in ('versand', 'abholung', 'selbstanlieferung') then
+    raise exception 'Bitte wähle eine gültige Abgabeart.' using errcode = '22023', hint = 'invalid_delivery_type';
+  end if;
+
+  if not coalesce((p_request ->> 'agb_accepted')::boolean, false)
+     or not coalesce((p_request ->> 'own_items_confirmed')::boolean, false) then
+    raise exception 'Bitte bestätige die AGB und dass die Artikel dein Eigentum sind.'
+      using errcode = '22023', hint = 'missing_consent';
+  end if;
+
+  if v_iban is null and v_paypal is null then
+    raise exception 'Für die Auszahlung wird eine IBAN oder PayPal-E-Mail benötigt.'
+      using errcode = '22023', hint = 'missing_payout';
+  end if;
+
+  select id into v_customer_id
+  from public.customers
+  where email = p_customer ->> 'email'
+  limit 1
+  for update;
+
+  if found then
+    update public.customers
+    set name = p_customer ->> 'name',
+        phone = p_customer ->> 'phone',
+        street = p_customer ->> 'street',
+        zip = p_customer ->> 'zip',
+        city = p_customer ->> 'city',
+        company_name = nullif(trim(coalesce(p_customer ->> 'company_name', '')), '')
+    where id = v_customer_id;
+  else
+    insert into public.customers (name, email, phone, street, zip, city, company_name)
+    values (
+      p_customer ->> 'name',
+      p_customer ->> 'email',
+      p_customer ->> 'phone',
+      p_customer ->> 'street',
+      p_customer ->> 'zip',
+      p_customer ->> 'city',
+      nullif(trim(coalesce(p_customer ->> 'company_name', '')), '')
+    )
+    returning id into v_customer_id;
+  end if;
+
+  insert into public.ankauf_requests (
+    customer_id, submission_date, delivery_type, total_weight, total_price, items, price_version_ids,
+    iban, paypal, agb_accepted, own_items_confirmed, status, ankaufs_nummer, number_of_labels, idempotency_key
+  ) values (
+    v_customer_id,
+    now(),
+    v_delivery_type,
+    coalesce((p_request ->> 'total_weight')::numeric, 0),
+    coalesce((p_request ->> 'total_price')::numeric, 0),
+    v_items,
+    public.get_ankauf_price_version_ids(v_items),
+    v_iban,
+    v_paypal,
+    true,
+    true,
+    'pending',
+    public.next_ankaufs_nummer(),
+    least(
+      greatest(coalesce((p_request ->> 'number_of_labels')::integer, 0), 0),
+      public.max_return_labels(coalesce((p_request ->> 'total_weight')::numeric, 0))
+    ),
+    p_idempotency_key
+  )
+  returning * into v_request;
+
+  perform public.insert_ankauf_delivery_record(v_request, v_customer_id, v_delivery);
+
+  return jsonb_build_object(
+    'ankauf_request_id', v_request.id,
+    'ankaufs_nummer', v_request.ankaufs_nummer,
+    'submission_date', v_request.submission_date,
+    'number_of_labels', v_request.number_of_labels,
+    'self_delivery_token', (select manage_token from public.self_delivery_appointments where ankauf_request_id = v_request.id),
+    'duplicate', false
+  );
+end;
+$$;
+
+create or replace function public.prepare_return_label(
+  p_ankauf_request_id uuid,
+  p_ankaufs_nummer text,
+  p_label_index integer
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request public.ankauf_requests;
+  v_customer public.customers;
+  v_parcel public.return_label_parcels;
+  v_count integer;
+  v_units integer;
+begin
+  select * into v_request
+  from public.ankauf_requests
+  where id = p_ankauf_request_id
+    and ankaufs_nummer = p_ankaufs_nummer
+  for update;
+
+  if v_request.id is null then
+    raise exception 'Ankauf nicht gefunden.' using errcode = 'P0002';
+  end if;
+
+  v_count := coalesce(v_request.number_of_labels, 0);
+
+  -- Ohne Labels (0 = "gesondert anfragen") gibt es hier keins.
+  if v_request.delivery_type <> 'versand'
+     or p_label_index is null
+     or p_label_index not between 1 and v_count then
+    raise exception 'Ungültige Labeldaten.' using errcode = '22023', hint = 'invalid_label';
+  end if;
+
+  -- Bereits gespeicherte Labels lädt die Bestätigungsseite aus dem Storage.
+  if exists (
+    select 1
+    from public.shipment_labels
+    where ankauf_request_id = v_request.id
+      and label_index = p_label_index
+  ) then
+    raise exception 'Label bereits erstellt.' using errcode = '22023', hint = 'label_exists';
+  end if;
+
+  select * into v_parcel
+  from public.return_label_parcels
+  where ankauf_request_id = v_request.id
+    and label_index = p_label_index;
+
+  if v_parcel.parcel_id is not null then
+    return jsonb_build_object('parcel_id', v_parcel.parcel_id);
+  end if;
+
+  -- Eine abgebrochene Anlage (Proxy beendet, bevor finish_return_label lief) gilt nach zwei Minuten als verworfen.
+  if v_parcel.ankauf_request_id is not null and v_parcel.created_at > now() - interval '2 minutes' then
+    raise exception 'Das Label wird gerade erstellt.' using errcode = '55P03', hint = 'label_in_progress';
+  end if;
+
+  insert into public.return_label_parcels (ankauf_request_id, label_index)
+  values (v_request.id, p_label_index)
+  on conflict (ankauf_request_id, label_index) do update
+    set parcel_id = null,
+        created_at = now();
+
+  select * into v_customer
+  from public.customers
+  where id = v_request.customer_id;
+
+  -- Gleiche Aufteilung wie splitParcelWeights in src/lib/parcels.js (0,1 kg genau, mindestens 0,1 kg).
+  v_units := round(coalesce(v_request.total_weight, 0) * 10)::integer;
+
+  return jsonb_build_object(
+    'parcel_id', null,
+    'reference', case when v_count > 1 then v_request.ankaufs_nummer || '-L' || p_label_index else v_request.ankaufs_nummer end,
+    'weight', greatest(v_units / v_count + case when p_label_index <= v_units % v_count then 1 else 0 end, 1) / 10.0,
+    'sender', jsonb_build_object(
+      'name', v_customer.name,
+      'company_name', v_customer.company_name,
+      'street', v_customer.street,
+      'zip', v_customer.zip,
+      'city', v_customer.city,
+      'email', v_customer.email,
+      'phone', v_customer.phone
+    )
+  );
+end;
+$$;
+
+-- Bestehende Anfragen begrenzen; bereits erstellte Labels bleiben gültig.
+update public.ankauf_requests r
+set number_of_labels = greatest(
+  least(greatest(coalesce(r.number_of_labels, 0), 0), public.max_return_labels(r.total_weight)),
+  coalesce((select max(l.label_index) from public.shipment_labels l where l.ankauf_request_id = r.id), 0)
+)
+where r.number_of_labels is distinct from greatest(
+  least(greatest(coalesce(r.number_of_labels, 0), 0), public.max_return_labels(r.total_weight)),
+  coalesce((select max(l.label_index) from public.shipment_labels l where l.ankauf_request_id = r.id), 0)
+);
+
+revoke all on function public.submit_ankauf_request(uuid, jsonb, jsonb, jsonb) from public;
+grant execute on function public.submit_ankauf_request(uuid, jsonb, jsonb, jsonb) to anon, authenticated;
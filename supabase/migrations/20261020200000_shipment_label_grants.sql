@@ -0,0 +1,12 @@
+-- Versandlabels speichert nur noch der Proxy supabase/functions/sendcloud-api: Er legt das Paket an,
+-- lädt das PDF in den Storage und trägt es ein. Anonyme Aufrufer können damit keine fremden Paket-IDs
+-- oder Dateien mehr als Label eines Ankaufs hinterlegen. Die Bestätigungsseite liest die Labels über
+-- den Proxy (GET /return-labels).
+-- Label-PDFs lädt der Proxy selbst; der anonyme Abruf über can_download_return_label entfällt.
+
+revoke all on function public.register_shipment_label(uuid, text, integer, text, text, text, text, text) from public, anon, authenticated;
+revoke all on function public.get_shipment_label_files(uuid, text) from public, anon, authenticated;
+grant execute on function public.register_shipment_label(uuid, text, integer, text, text, text, text, text) to service_role;
+grant execute on function public.get_shipment_label_files(uuid, text) to service_role;
+
+drop function if exists public.can_download_return_label(uuid, text, text);